@@ -0,0 +1,148 @@
+import { useState } from "react";
+import { MAX_CLASSES, validateClassName } from "./classes";
+
+function ClassRow({ cls, classes, count, onRename, onRecolor, onDelete }) {
+  const [draft, setDraft] = useState(cls.name);
+  const [error, setError] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const others = classes.filter((c) => c.name !== cls.name);
+  const [reassignTo, setReassignTo] = useState("");
+
+  function commitName() {
+    if (draft.trim() === cls.name) {
+      setDraft(cls.name);
+      setError(null);
+      return;
+    }
+    const problem = validateClassName(classes, draft, cls.name);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setError(null);
+    onRename(cls.name, draft.trim());
+  }
+
+  return (
+    <li className="knn-class-row">
+      <div className="knn-class-row-main">
+        <input
+          type="color"
+          className="knn-color-input"
+          value={cls.color}
+          title={`Color for class ${cls.name}`}
+          onChange={(e) => onRecolor(cls.name, e.target.value)}
+        />
+        <input
+          type="text"
+          className="knn-class-name-input"
+          value={draft}
+          aria-label={`Name for class ${cls.name}`}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={commitName}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") e.currentTarget.blur();
+            if (e.key === "Escape") {
+              setDraft(cls.name);
+              setError(null);
+            }
+          }}
+        />
+        <span className="knn-class-count">
+          {count} {count === 1 ? "point" : "points"}
+        </span>
+        <button
+          className="knn-delete-btn"
+          disabled={classes.length <= 1}
+          onClick={() => setDeleting(true)}
+        >
+          delete
+        </button>
+      </div>
+
+      {error && <div className="knn-error-text">{error}</div>}
+
+      {deleting && (
+        <div className="knn-class-delete">
+          {count > 0 ? (
+            <label>
+              Its {count} {count === 1 ? "point" : "points"}:
+              <select
+                className="knn-select"
+                value={reassignTo}
+                onChange={(e) => setReassignTo(e.target.value)}
+              >
+                <option value="">Drop them</option>
+                {others.map((c) => (
+                  <option key={c.name} value={c.name}>
+                    Move to {c.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ) : (
+            <span>This class has no points.</span>
+          )}
+          <div className="knn-button-row">
+            <button
+              className="knn-btn knn-btn-danger"
+              onClick={() => {
+                setDeleting(false);
+                onDelete(cls.name, reassignTo || null);
+              }}
+            >
+              Delete {cls.name}
+            </button>
+            <button className="knn-btn" onClick={() => setDeleting(false)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </li>
+  );
+}
+
+export default function ClassManager({
+  classes,
+  points,
+  onAdd,
+  onRename,
+  onRecolor,
+  onDelete,
+}) {
+  const counts = {};
+  points.forEach((p) => {
+    counts[p.label] = (counts[p.label] || 0) + 1;
+  });
+
+  return (
+    <div className="knn-card">
+      <div className="knn-card-title">Classes ({classes.length})</div>
+      <ul className="knn-class-list">
+        {classes.map((cls) => (
+          <ClassRow
+            // Re-mount on rename so the draft resets to the new name.
+            key={cls.name}
+            cls={cls}
+            classes={classes}
+            count={counts[cls.name] || 0}
+            onRename={onRename}
+            onRecolor={onRecolor}
+            onDelete={onDelete}
+          />
+        ))}
+      </ul>
+      <button
+        className="knn-btn"
+        disabled={classes.length >= MAX_CLASSES}
+        onClick={onAdd}
+      >
+        + Add class
+      </button>
+      {classes.length >= MAX_CLASSES && (
+        <span className="knn-hint"> Up to {MAX_CLASSES} classes.</span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,351 @@
+import { useMemo, useState } from "react";
+import {
+  compareModels,
+  disagreementPixels,
+  MAX_CONFIGS,
+  MIN_CONFIGS,
+} from "./comparison";
+import { createKnn, createKnnRegressor, METRICS } from "./knn";
+import { MAX_MINKOWSKI_P } from "./metrics";
+import PreviewPlot from "./PreviewPlot";
+import { pixelsImageUrl } from "./useBoundary";
+
+const COMPARE_RESOLUTION = 40;
+
+function configTitle(config, metricNames) {
+  const p = config.metric === "minkowski" ? `, p = ${config.p}` : "";
+  return `k = ${config.k} · ${metricNames[config.metric]}${p}`;
+}
+
+/**
+ * Small multiples of two to four k/metric/p configurations on the same
+ * training points. Hovering one plot places a shared query in all of them;
+ * a summary maps where their predictions disagree. Every other model option
+ * comes from `baseOptions`, except that each plot searches a fixed k
+ * nearest neighbors.
+ */
+export default function ComparisonPanel({
+  mode,
+  points,
+  queryPoint,
+  classes,
+  valueRange,
+  pointColor,
+  baseOptions,
+  metricNames,
+  formatValue,
+}) {
+  const [show, setShow] = useState(false);
+  const [configs, setConfigs] = useState(() => [
+    { id: 0, k: baseOptions.k, metric: baseOptions.metric, p: baseOptions.p },
+    {
+      id: 1,
+      k: Math.max(1, Math.min(points.length, baseOptions.k * 3)),
+      metric: baseOptions.metric,
+      p: baseOptions.p,
+    },
+  ]);
+  const [hover, setHover] = useState(null);
+  const isRegression = mode === "regression";
+  const maxK = Math.max(1, points.length);
+
+  const optionsList = useMemo(
+    () =>
+      configs.map((c) => ({
+        ...baseOptions,
+        neighborMode: "k",
+        k: Math.min(c.k, maxK),
+        metric: c.metric,
+        p: c.p,
+      })),
+    [configs, baseOptions, maxK]
+  );
+
+  const models = useMemo(
+    () =>
+      show
+        ? optionsList.map((options) =>
+            isRegression
+              ? createKnnRegressor(options).fit(points)
+              : createKnn(options).fit(points)
+          )
+        : [],
+    [show, optionsList, isRegression, points]
+  );
+
+  // Regression predictions "disagree" beyond 5% of the target range.
+  const comparison = useMemo(() => {
+    if (models.length === 0 || points.length === 0) return null;
+    return compareModels(models, {
+      mode,
+      resolution: COMPARE_RESOLUTION,
+      tolerance: 0.05 * (valueRange.max - valueRange.min),
+    });
+  }, [models, points, mode, valueRange]);
+
+  const disagreementImage = useMemo(
+    () =>
+      comparison &&
+      pixelsImageUrl(disagreementPixels(comparison), comparison.resolution),
+    [comparison]
+  );
+
+  const query = hover || queryPoint;
+  const atQuery = useMemo(
+    () =>
+      query && points.length > 0
+        ? models.map((model) => ({
+            neighbors: model.kneighbors(query),
+            predicted: model.predict(query),
+          }))
+        : models.map(() => ({ neighbors: [], predicted: null })),
+    [models, query, points]
+  );
+
+  const classNames = useMemo(() => classes.map((c) => c.name), [classes]);
+  const paint = useMemo(
+    () => ({
+      colors: classes.map((c) => c.color),
+      valueRange,
+      opacity: isRegression ? 0.45 : 0.22,
+    }),
+    [classes, valueRange, isRegression]
+  );
+
+  function updateConfig(index, patch) {
+    setConfigs((prev) =>
+      prev.map((c, i) => (i === index ? { ...c, ...patch } : c))
+    );
+  }
+
+  function addConfig() {
+    setConfigs((prev) =>
+      prev.length >= MAX_CONFIGS
+        ? prev
+        : [
+            ...prev,
+            {
+              ...prev[prev.length - 1],
+              id: Math.max(...prev.map((c) => c.id)) + 1,
+            },
+          ]
+    );
+  }
+
+  function removeConfig(index) {
+    setConfigs((prev) =>
+      prev.length <= MIN_CONFIGS ? prev : prev.filter((_, i) => i !== index)
+    );
+  }
+
+  return (
+    <div className="knn-card">
+      <div className="knn-card-title">Compare configurations</div>
+      <label>
+        <input
+          type="checkbox"
+          className="knn-checkbox"
+          checked={show}
+          onChange={(e) => setShow(e.target.checked)}
+        />
+        Show {configs.length} configurations side by side
+      </label>
+
+      {show && points.length === 0 && (
+        <p className="knn-hint">Add training points to compare models.</p>
+      )}
+
+      {show && points.length > 0 && (
+        <>
+          {baseOptions.neighborMode !== "k" && (
+            <p className="knn-hint">
+              Each plot searches a fixed k nearest neighbors, whatever the
+              Neighbors setting.
+            </p>
+          )}
+          <div className="knn-preview-grid">
+            {configs.map((config, i) => (
+              <div key={config.id}>
+                <PreviewPlot
+                  title={configTitle(
+                    { ...config, k: optionsList[i].k },
+                    metricNames
+                  )}
+                  mode={mode}
+                  points={points}
+                  classNames={classNames}
+                  options={optionsList[i]}
+                  neighbors={atQuery[i].neighbors}
+                  queryPoint={query}
+                  paint={paint}
+                  pointColor={pointColor}
+                  onHover={setHover}
+                />
+                <div className="knn-compare-controls">
+                  <label>
+                    k
+                    <input
+                      type="number"
+                      className="knn-select knn-range-input"
+                      min="1"
+                      max={maxK}
+                      value={config.k}
+                      onChange={(e) =>
+                        updateConfig(i, {
+                          k: Math.max(
+                            1,
+                            Math.floor(Number(e.target.value)) || 1
+                          ),
+                        })
+                      }
+                    />
+                  </label>
+                  <select
+                    className="knn-select"
+                    value={config.metric}
+                    onChange={(e) =>
+                      updateConfig(i, { metric: e.target.value })
+                    }
+                  >
+                    {METRICS.map((m) => (
+                      <option key={m} value={m}>
+                        {metricNames[m]}
+                      </option>
+                    ))}
+                  </select>
+                  {config.metric === "minkowski" && (
+                    <label>
+                      p
+                      <input
+                        type="number"
+                        className="knn-select knn-range-input"
+                        min="1"
+                        max={MAX_MINKOWSKI_P}
+                        step="0.5"
+                        value={config.p}
+                        onChange={(e) =>
+                          updateConfig(i, {
+                            p: Math.max(
+                              1,
+                              Math.min(
+                                MAX_MINKOWSKI_P,
+                                Number(e.target.value) || 1
+                              )
+                            ),
+                          })
+                        }
+                      />
+                    </label>
+                  )}
+                  {configs.length > MIN_CONFIGS && (
+                    <button
+                      className="knn-btn knn-btn-danger"
+                      onClick={() => removeConfig(i)}
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="knn-button-row">
+            <button
+              className="knn-btn"
+              disabled={configs.length >= MAX_CONFIGS}
+              onClick={addConfig}
+            >
+              Add configuration
+            </button>
+          </div>
+
+          {comparison && (
+            <div className="knn-compare-summary">
+              <div>
+                <div className="knn-preview-title">Disagreement</div>
+                <svg viewBox="0 0 100 100" className="knn-preview-svg">
+                  {disagreementImage && (
+                    <image
+                      href={disagreementImage}
+                      x="0"
+                      y="0"
+                      width="100"
+                      height="100"
+                      preserveAspectRatio="none"
+                      style={{ imageRendering: "pixelated" }}
+                    />
+                  )}
+                  {points.map((p, i) => (
+                    <circle
+                      key={i}
+                      cx={p.x}
+                      cy={100 - p.y}
+                      r={1.4}
+                      fill={pointColor(p)}
+                    />
+                  ))}
+                </svg>
+              </div>
+              <div>
+                <p style={{ fontSize: 12 }}>
+                  The configurations disagree on{" "}
+                  <strong>{(comparison.fraction * 100).toFixed(1)}%</strong> of
+                  the plot (red).
+                </p>
+                {configs.length > 2 && (
+                  <table className="knn-table">
+                    <thead>
+                      <tr>
+                        <th />
+                        {configs.map((_, j) => (
+                          <th key={j}>#{j + 1}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comparison.pairwise.map((row, i) => (
+                        <tr key={i}>
+                          <th>#{i + 1}</th>
+                          {row.map((share, j) => (
+                            <td key={j}>
+                              {i === j ? "–" : `${(share * 100).toFixed(0)}%`}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {query ? (
+                  <ul style={{ fontSize: 12, paddingLeft: 16 }}>
+                    {atQuery.map((r, i) => (
+                      <li key={i}>
+                        #{i + 1}:{" "}
+                        <strong>
+                          {isRegression
+                            ? formatValue(r.predicted)
+                            : (r.predicted ?? "–")}
+                        </strong>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="knn-hint">
+                    Hover over a plot to compare predictions at a point.
+                  </p>
+                )}
+                {isRegression && (
+                  <p className="knn-hint">
+                    Predictions count as different when they are more than 5% of
+                    the target range apart.
+                  </p>
+                )}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
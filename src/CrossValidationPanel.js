@@ -0,0 +1,382 @@
+import { useEffect, useRef, useState } from "react";
+import { createCrossValidationJob, CV_METHODS } from "./crossValidation";
+import { METRICS } from "./knn";
+
+const CURVE_COLORS = [
+  "#2563eb",
+  "#f97316",
+  "#16a34a",
+  "#9333ea",
+  "#db2777",
+  "#0891b2",
+  "#854d0e",
+];
+
+// Time slice per tick, so a long run never blocks the page for long.
+const TICK_MS = 30;
+
+const CHART = {
+  width: 300,
+  height: 150,
+  left: 34,
+  right: 8,
+  top: 8,
+  bottom: 24,
+};
+
+function formatScore(score, mode) {
+  if (!score) return "–";
+  return mode === "regression"
+    ? `RMSE ${score.rmse.toFixed(2)}`
+    : `${(score.accuracy * 100).toFixed(1)}% accuracy`;
+}
+
+/**
+ * Cross-validation card: scores every k from 1 to "max k" for each metric
+ * (leave-one-out or k-fold) with a fixed-k search, plots the curves and
+ * applies the best k. Calls `onApply({ k, metric })`.
+ */
+export default function CrossValidationPanel({
+  points,
+  mode,
+  options,
+  k,
+  metric,
+  minkowskiP,
+  metricNames,
+  onApply,
+}) {
+  const [method, setMethod] = useState("loo");
+  const [folds, setFolds] = useState(5);
+  const [seed, setSeed] = useState(1);
+  const [maxK, setMaxK] = useState(25);
+  const [showError, setShowError] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [run, setRun] = useState(null);
+  const jobRef = useRef(null);
+
+  const isRegression = mode === "regression";
+
+  // Everything besides k and the metric that changes the scores.
+  const settingsKey = JSON.stringify([
+    mode,
+    options.weights,
+    options.bandwidth,
+    options.tieBreak,
+    options.seed,
+    minkowskiP,
+    options.metricParams,
+  ]);
+  const stale =
+    run && (run.points !== points || run.settingsKey !== settingsKey);
+
+  // Stop a running job when the card goes away.
+  useEffect(
+    () => () => {
+      jobRef.current = null;
+    },
+    []
+  );
+
+  function start() {
+    const job = createCrossValidationJob({
+      points,
+      mode,
+      method,
+      folds,
+      seed,
+      maxK,
+      metrics: METRICS.map((m) => ({ metric: m, p: minkowskiP })),
+      options,
+    });
+    jobRef.current = job;
+    setProgress(0);
+
+    const tick = () => {
+      if (jobRef.current !== job) return;
+      const until = Date.now() + TICK_MS;
+      let done = job.step();
+      while (!done && Date.now() < until) done = job.step();
+
+      if (!done) {
+        setProgress(job.progress());
+        setTimeout(tick, 0);
+        return;
+      }
+      jobRef.current = null;
+      setProgress(null);
+      setRun({ ...job.result, points, settingsKey, method, folds });
+    };
+    tick();
+  }
+
+  function cancel() {
+    jobRef.current = null;
+    setProgress(null);
+  }
+
+  const running = progress !== null;
+  const current = run && run.curves.find((c) => c.metric === metric);
+
+  // Chart scales.
+  const valueOf = (s) => {
+    if (isRegression) return s.rmse;
+    return showError ? s.error : s.accuracy;
+  };
+  let yMax = 1;
+  if (run && isRegression) {
+    const all = run.curves.flatMap((c) => c.scores.map((s) => s.rmse));
+    yMax = Math.max(1e-9, ...all.filter(Number.isFinite));
+  }
+  const plotW = CHART.width - CHART.left - CHART.right;
+  const plotH = CHART.height - CHART.top - CHART.bottom;
+  const kMax = run ? Math.max(2, run.kValues.length) : 2;
+  const sx = (kv) => CHART.left + ((kv - 1) / (kMax - 1)) * plotW;
+  const sy = (v) => CHART.top + (1 - v / yMax) * plotH;
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map((t) => t * yMax);
+  const yLabel = isRegression ? "RMSE" : showError ? "Error" : "Accuracy";
+  const formatTick = (v) =>
+    isRegression ? v.toFixed(v >= 10 ? 0 : 1) : `${Math.round(v * 100)}%`;
+
+  return (
+    <div className="knn-card">
+      <div className="knn-card-title">Cross-validation</div>
+
+      {options.neighborMode !== "k" && (
+        <p className="knn-hint">
+          Scores a fixed k nearest neighbors; applying a k switches the
+          Neighbors setting to fixed k.
+        </p>
+      )}
+
+      <label>
+        Method:
+        <select
+          className="knn-select"
+          value={method}
+          onChange={(e) => setMethod(e.target.value)}
+        >
+          {Object.entries(CV_METHODS).map(([value, name]) => (
+            <option key={value} value={value}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {method === "kfold" && (
+        <>
+          <label>
+            Folds: {folds}
+            <input
+              type="range"
+              className="knn-slider"
+              min="2"
+              max="10"
+              value={folds}
+              onChange={(e) => setFolds(Number(e.target.value))}
+            />
+          </label>
+          <label>
+            Shuffle seed:
+            <input
+              type="number"
+              className="knn-select"
+              value={seed}
+              onChange={(e) => setSeed(Number(e.target.value) || 0)}
+            />
+          </label>
+        </>
+      )}
+
+      <label>
+        Largest k tried: {maxK}
+        <input
+          type="range"
+          className="knn-slider"
+          min="1"
+          max="50"
+          value={maxK}
+          onChange={(e) => setMaxK(Number(e.target.value))}
+        />
+      </label>
+
+      <div className="knn-button-row">
+        {running ? (
+          <button className="knn-btn" onClick={cancel}>
+            Cancel ({Math.round(progress * 100)}%)
+          </button>
+        ) : (
+          <button
+            className="knn-btn"
+            disabled={points.length < 2}
+            onClick={start}
+          >
+            Run cross-validation
+          </button>
+        )}
+        {current && current.best && (
+          <button
+            className="knn-btn"
+            disabled={stale || current.best.k === k}
+            onClick={() => onApply({ k: current.best.k })}
+          >
+            Apply best k (k = {current.best.k})
+          </button>
+        )}
+      </div>
+
+      {stale && (
+        <p className="knn-hint">
+          The data or settings changed since this run. Run it again for current
+          results.
+        </p>
+      )}
+
+      {run && run.kValues.length === 0 && (
+        <p className="knn-hint">Not enough points to cross-validate.</p>
+      )}
+
+      {run && run.kValues.length > 0 && (
+        <>
+          <svg
+            className="knn-cv-chart"
+            viewBox={`0 0 ${CHART.width} ${CHART.height}`}
+          >
+            {yTicks.map((v) => (
+              <g key={v}>
+                <line
+                  x1={CHART.left}
+                  x2={CHART.width - CHART.right}
+                  y1={sy(v)}
+                  y2={sy(v)}
+                  stroke="#e5e7eb"
+                  strokeWidth="1"
+                />
+                <text
+                  x={CHART.left - 4}
+                  y={sy(v) + 3}
+                  textAnchor="end"
+                  className="knn-cv-tick"
+                >
+                  {formatTick(v)}
+                </text>
+              </g>
+            ))}
+            {run.kValues
+              .filter((kv) => kv === 1 || kv % 5 === 0)
+              .map((kv) => (
+                <text
+                  key={kv}
+                  x={sx(kv)}
+                  y={CHART.height - CHART.bottom + 12}
+                  textAnchor="middle"
+                  className="knn-cv-tick"
+                >
+                  {kv}
+                </text>
+              ))}
+            <text
+              x={CHART.left + plotW / 2}
+              y={CHART.height - 2}
+              textAnchor="middle"
+              className="knn-cv-tick"
+            >
+              k
+            </text>
+
+            {k <= kMax && (
+              <line
+                x1={sx(k)}
+                x2={sx(k)}
+                y1={CHART.top}
+                y2={CHART.top + plotH}
+                stroke="#111827"
+                strokeDasharray="3 3"
+                strokeWidth="1"
+              />
+            )}
+
+            {run.curves.map((curve, i) => {
+              const color = CURVE_COLORS[i % CURVE_COLORS.length];
+              const d = curve.scores
+                .filter((s) => Number.isFinite(valueOf(s)))
+                .map(
+                  (s, j) =>
+                    `${j === 0 ? "M" : "L"}${sx(s.k).toFixed(1)} ${sy(
+                      valueOf(s)
+                    ).toFixed(1)}`
+                )
+                .join("");
+              return (
+                <g key={curve.metric}>
+                  <path
+                    d={d}
+                    fill="none"
+                    stroke={color}
+                    strokeWidth={curve.metric === metric ? 2 : 1.2}
+                    strokeOpacity={curve.metric === metric ? 1 : 0.7}
+                  />
+                  {curve.best && (
+                    <circle
+                      cx={sx(curve.best.k)}
+                      cy={sy(valueOf(curve.best))}
+                      r="3.5"
+                      fill={color}
+                      stroke="#ffffff"
+                      strokeWidth="1"
+                    />
+                  )}
+                </g>
+              );
+            })}
+          </svg>
+
+          {!isRegression && (
+            <label>
+              <input
+                type="checkbox"
+                className="knn-checkbox"
+                checked={showError}
+                onChange={(e) => setShowError(e.target.checked)}
+              />
+              Plot error instead of accuracy
+            </label>
+          )}
+
+          <ul className="knn-legend-list">
+            {run.curves.map((curve, i) => (
+              <li key={curve.metric}>
+                <span
+                  className="knn-label-dot"
+                  style={{ background: CURVE_COLORS[i % CURVE_COLORS.length] }}
+                />
+                {metricNames[curve.metric] || curve.metric}
+                {curve.metric === "minkowski" && ` (p = ${curve.p})`}: best k ={" "}
+                {curve.best ? curve.best.k : "–"},{" "}
+                {formatScore(curve.best, mode)}
+                {curve.best && curve.metric !== metric && (
+                  <button
+                    className="knn-inline-btn"
+                    disabled={stale}
+                    onClick={() =>
+                      onApply({ k: curve.best.k, metric: curve.metric })
+                    }
+                  >
+                    use
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          <p className="knn-hint">
+            {CV_METHODS[run.method]}
+            {run.method === "kfold" && ` (${run.folds} folds)`} on{" "}
+            {run.points.length} points. {yLabel} per k; dots mark the best k for
+            each metric, the dashed line the current k.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
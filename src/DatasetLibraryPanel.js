@@ -0,0 +1,112 @@
+import { useState } from "react";
+import { DATASET_LIBRARY, loadLibraryDataset } from "./datasetLibrary";
+
+/**
+ * Classic datasets card: pick a bundled dataset, read its description and
+ * choose the two plotted features. Calls `onLoad({ points, classes, axes,
+ * features })` (see `loadLibraryDataset`) to replace the current points.
+ */
+export default function DatasetLibraryPanel({ onLoad }) {
+  const [id, setId] = useState("iris");
+  const [axes, setAxes] = useState({
+    x: DATASET_LIBRARY.iris.x,
+    y: DATASET_LIBRARY.iris.y,
+  });
+  const [allFeatures, setAllFeatures] = useState(false);
+  const dataset = DATASET_LIBRARY[id];
+
+  function choose(nextId) {
+    const next = DATASET_LIBRARY[nextId];
+    setId(nextId);
+    setAxes({ x: next.x, y: next.y });
+  }
+
+  function axisSelect(key) {
+    return (
+      <label>
+        {key} axis:
+        <select
+          className="knn-select"
+          value={axes[key]}
+          onChange={(e) => setAxes({ ...axes, [key]: e.target.value })}
+        >
+          {dataset.features.map((f) => (
+            <option key={f} value={f}>
+              {f}
+            </option>
+          ))}
+        </select>
+      </label>
+    );
+  }
+
+  return (
+    <div className="knn-card">
+      <div className="knn-card-title">Classic datasets</div>
+
+      <label>
+        Dataset:
+        <select
+          className="knn-select"
+          value={id}
+          onChange={(e) => choose(e.target.value)}
+        >
+          {Object.entries(DATASET_LIBRARY).map(([value, d]) => (
+            <option key={value} value={value}>
+              {d.name}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className="knn-dataset-card">
+        <strong>{dataset.name}</strong>
+        <p>{dataset.description}</p>
+        <div className="knn-dataset-classes">
+          {dataset.classes.map((c) => (
+            <span key={c.name}>
+              <span className="knn-label-dot" style={{ background: c.color }} />
+              {c.name}
+            </span>
+          ))}
+        </div>
+        <div className="knn-hint">
+          {dataset.features.length} features: {dataset.features.join(", ")}.
+        </div>
+        <div className="knn-hint">{dataset.source}</div>
+      </div>
+
+      {axisSelect("x")}
+      {axisSelect("y")}
+
+      {dataset.features.length > 2 && (
+        <label>
+          <input
+            type="checkbox"
+            className="knn-checkbox"
+            checked={allFeatures}
+            onChange={(e) => setAllFeatures(e.target.checked)}
+          />
+          Find neighbors using all {dataset.features.length} features (the plot
+          shows x and y)
+        </label>
+      )}
+
+      <p className="knn-hint">
+        Every feature is rescaled into the plot, so each one spans the same
+        range. Loading replaces the current points and classes.
+      </p>
+
+      <div className="knn-button-row">
+        <button
+          className="knn-btn"
+          onClick={() =>
+            onLoad(loadLibraryDataset(id, { ...axes, allFeatures }))
+          }
+        >
+          Load {dataset.name}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,375 @@
+import { useMemo, useState } from "react";
+import { ensureClasses } from "./classes";
+import {
+  checkInPlotArea,
+  exportCsv,
+  exportJson,
+  featureColumns,
+  guessMapping,
+  parseDataset,
+  rescaleAxes,
+  rescalePoints,
+  rowsToPoints,
+} from "./datasetIO";
+import { downloadText } from "./download";
+import { axesFromSettings, composeAxes, fromRaw, toRaw } from "./scaling";
+
+const MAX_LISTED_ERRORS = 8;
+
+function ColumnSelect({ label, value, columns, optional, onChange }) {
+  return (
+    <label>
+      {label}
+      <select
+        className="knn-select"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        {optional && <option value="">{optional}</option>}
+        {!optional && !value && <option value="">Choose a column</option>}
+        {columns.map((c) => (
+          <option key={c} value={c}>
+            {c}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+/**
+ * Import (with a column-mapping step) and export of the training set.
+ * `onImport({ points, classes, settings, axes, features, replace })`
+ * receives points already in viewBox coordinates, the class list they
+ * need, the axes that map them back to the file's raw units (see
+ * `scaling.js`) and, for high-dimensional data, the feature names (empty
+ * otherwise). `featureNames` label the features of exported points.
+ * Appended points are placed in the current points' `axes` instead of
+ * being rescaled on their own.
+ */
+export default function DatasetPanel({
+  points,
+  classes,
+  settings,
+  featureNames = [],
+  axes: currentAxes,
+  defaultLabel,
+  onImport,
+}) {
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [rescale, setRescale] = useState(true);
+  const [replace, setReplace] = useState(true);
+  const [readError, setReadError] = useState(null);
+
+  async function handleFile(e) {
+    const picked = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!picked) return;
+    try {
+      const text = await picked.text();
+      const parsed = parseDataset(text, picked.name);
+      setReadError(null);
+      setFile({ name: picked.name, parsed });
+      setMapping(guessMapping(parsed.columns));
+    } catch (err) {
+      setReadError(`Could not read ${picked.name}: ${err.message}`);
+      setFile(null);
+    }
+  }
+
+  const preview = useMemo(() => {
+    if (!file || !mapping) return null;
+    const { parsed } = file;
+    const errors = [...parsed.errors];
+    if (!mapping.x || !mapping.y) {
+      return { points: [], errors, classes, missingAxes: true };
+    }
+
+    // Extra features only make sense for a fresh set of points, and never
+    // include a column since mapped to something else.
+    const used = {
+      ...mapping,
+      features: replace
+        ? (mapping.features || []).filter(
+            (c) => ![mapping.label, mapping.value, mapping.split].includes(c)
+          )
+        : [],
+    };
+    const converted = rowsToPoints(parsed.rows, used, { defaultLabel });
+    errors.push(...converted.errors);
+
+    // Files written by export carry the axes of their x/y columns.
+    const exported =
+      mapping.x === "x" && mapping.y === "y"
+        ? axesFromSettings(parsed.settings || {})
+        : null;
+    const columnAxes = exported || {
+      x: { name: mapping.x, offset: 0, scale: 1 },
+      y: { name: mapping.y, offset: 0, scale: 1 },
+    };
+    let imported = converted.points;
+    let axes = columnAxes;
+    if (rescale && replace) {
+      axes = composeAxes(columnAxes, rescaleAxes(imported));
+      imported = rescalePoints(imported);
+    } else {
+      if (rescale) {
+        imported = imported.map((p) => ({
+          ...p,
+          ...fromRaw(toRaw(p, columnAxes), currentAxes),
+        }));
+        axes = currentAxes;
+      }
+      const lines = parsed.rows
+        .filter((row) => !converted.errors.some((err) => err.line === row.line))
+        .map((row) => row.line);
+      const checked = checkInPlotArea(imported, lines);
+      imported = checked.points;
+      errors.push(...checked.errors);
+    }
+
+    const labels = imported.map((p) => p.label);
+    const base = replace ? [] : classes;
+    // Keep the current colors for labels that already exist here.
+    const ensured = ensureClasses(base, labels, [
+      ...(parsed.classes || []),
+      ...classes,
+    ]);
+    errors.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+    return {
+      points: imported,
+      axes,
+      features: featureColumns(used),
+      errors,
+      classes: ensured.classes.length ? ensured.classes : classes,
+      droppedLabels: ensured.dropped,
+    };
+  }, [file, mapping, rescale, replace, classes, currentAxes, defaultLabel]);
+
+  function confirmImport() {
+    if (!preview || preview.points.length === 0) return;
+    onImport({
+      points: preview.points,
+      classes: preview.classes,
+      settings: file.parsed.settings || {},
+      axes: preview.axes,
+      features: preview.features,
+      replace,
+    });
+    setFile(null);
+    setMapping(null);
+  }
+
+  function exportAs(format) {
+    if (format === "csv") {
+      downloadText(
+        "knn-dataset.csv",
+        exportCsv(points, settings, featureNames),
+        "text/csv"
+      );
+    } else {
+      downloadText(
+        "knn-dataset.json",
+        exportJson(points, settings, classes, featureNames),
+        "application/json"
+      );
+    }
+  }
+
+  const canImport =
+    preview &&
+    preview.points.length > 0 &&
+    (!preview.droppedLabels || preview.droppedLabels.length === 0);
+
+  return (
+    <div className="knn-card">
+      <div className="knn-card-title">Import / export data</div>
+
+      <label>
+        Import a CSV or JSON file (x, y, label columns):
+        <input
+          type="file"
+          className="knn-file-input"
+          accept=".csv,.tsv,.json,text/csv,application/json"
+          onChange={handleFile}
+        />
+      </label>
+      {readError && <div className="knn-error-text">{readError}</div>}
+
+      {file && mapping && (
+        <div className="knn-import-step">
+          <div style={{ fontSize: 12, fontWeight: 600 }}>
+            {file.name}: {file.parsed.rows.length} rows,{" "}
+            {file.parsed.columns.length} columns
+          </div>
+
+          <ColumnSelect
+            label="x column:"
+            value={mapping.x}
+            columns={file.parsed.columns}
+            onChange={(x) => setMapping({ ...mapping, x })}
+          />
+          <ColumnSelect
+            label="y column:"
+            value={mapping.y}
+            columns={file.parsed.columns}
+            onChange={(y) => setMapping({ ...mapping, y })}
+          />
+          <ColumnSelect
+            label="Label column:"
+            value={mapping.label}
+            columns={file.parsed.columns}
+            optional={`(none, use class ${defaultLabel})`}
+            onChange={(label) => setMapping({ ...mapping, label })}
+          />
+          <ColumnSelect
+            label="Target value column (regression):"
+            value={mapping.value}
+            columns={file.parsed.columns}
+            optional="(none)"
+            onChange={(value) => setMapping({ ...mapping, value })}
+          />
+          <ColumnSelect
+            label="Train/test split column:"
+            value={mapping.split}
+            columns={file.parsed.columns}
+            optional="(none, all training)"
+            onChange={(split) => setMapping({ ...mapping, split })}
+          />
+
+          <div className="knn-feature-columns">
+            <div>
+              More feature columns (k-NN then uses every feature; x and y pick
+              the first view):
+            </div>
+            {file.parsed.columns
+              .filter(
+                (c) =>
+                  ![
+                    mapping.x,
+                    mapping.y,
+                    mapping.label,
+                    mapping.value,
+                  ].includes(c) && c !== mapping.split
+              )
+              .map((c) => (
+                <label key={c}>
+                  <input
+                    type="checkbox"
+                    className="knn-checkbox"
+                    disabled={!replace}
+                    checked={(mapping.features || []).includes(c)}
+                    onChange={(e) =>
+                      setMapping({
+                        ...mapping,
+                        features: e.target.checked
+                          ? [...(mapping.features || []), c]
+                          : (mapping.features || []).filter((f) => f !== c),
+                      })
+                    }
+                  />
+                  {c}
+                </label>
+              ))}
+            {!replace && (
+              <div className="knn-hint">
+                Extra features need the current points replaced.
+              </div>
+            )}
+          </div>
+
+          <label>
+            <input
+              type="checkbox"
+              className="knn-checkbox"
+              checked={rescale}
+              onChange={(e) => setRescale(e.target.checked)}
+            />
+            {replace
+              ? "Rescale x, y and the features into the 0–100 plot area"
+              : "Place x and y in the units of the current points"}
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              className="knn-checkbox"
+              checked={replace}
+              onChange={(e) => setReplace(e.target.checked)}
+            />
+            Replace current points (otherwise append)
+          </label>
+
+          {preview && preview.missingAxes && (
+            <div className="knn-error-text">
+              Choose both an x and a y column.
+            </div>
+          )}
+
+          {preview &&
+            preview.droppedLabels &&
+            preview.droppedLabels.length > 0 && (
+              <div className="knn-error-text">
+                Too many classes: {preview.droppedLabels.join(", ")} would
+                exceed the class limit. Pick another label column or delete
+                classes first.
+              </div>
+            )}
+
+          {preview && preview.errors.length > 0 && (
+            <div className="knn-import-errors">
+              <strong>
+                {preview.errors.length}{" "}
+                {preview.errors.length === 1 ? "row" : "rows"} will be skipped:
+              </strong>
+              <ul>
+                {preview.errors.slice(0, MAX_LISTED_ERRORS).map((err, i) => (
+                  <li key={i}>
+                    {err.line !== null ? `Line ${err.line}: ` : ""}
+                    {err.message}
+                  </li>
+                ))}
+              </ul>
+              {preview.errors.length > MAX_LISTED_ERRORS && (
+                <div>
+                  …and {preview.errors.length - MAX_LISTED_ERRORS} more.
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="knn-button-row">
+            <button
+              className="knn-btn"
+              disabled={!canImport}
+              onClick={confirmImport}
+            >
+              Import {preview ? preview.points.length : 0} points
+            </button>
+            <button
+              className="knn-btn"
+              onClick={() => {
+                setFile(null);
+                setMapping(null);
+              }}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div style={{ marginTop: 12, fontSize: 12 }}>
+        Export {points.length} points with the current settings:
+      </div>
+      <div className="knn-button-row">
+        <button className="knn-btn" onClick={() => exportAs("csv")}>
+          Export CSV
+        </button>
+        <button className="knn-btn" onClick={() => exportAs("json")}>
+          Export JSON
+        </button>
+      </div>
+    </div>
+  );
+}
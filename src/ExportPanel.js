@@ -0,0 +1,100 @@
+import { useState } from "react";
+import { downloadText } from "./download";
+import {
+  buildReport,
+  EXPORT_SIZES,
+  PIXEL_RATIOS,
+  plotSvgMarkup,
+  REPORT_FORMATS,
+  svgToPng,
+} from "./plotExport";
+
+const REPORT_FILES = {
+  html: { extension: "html", mime: "text/html" },
+  markdown: { extension: "md", mime: "text/markdown" },
+};
+
+/**
+ * Export row under the plot: the plot in `svgRef` as SVG or PNG at a
+ * chosen size, and a report bundling it with the contents of
+ * `getReport()` (see `buildReport`).
+ */
+export default function ExportPanel({ svgRef, getReport }) {
+  const [size, setSize] = useState(800);
+  const [pixelRatio, setPixelRatio] = useState(2);
+  const [error, setError] = useState(null);
+
+  const markup = () => plotSvgMarkup(svgRef.current, size);
+
+  function handleSvg() {
+    downloadText(`knn-plot-${size}.svg`, markup(), "image/svg+xml");
+  }
+
+  async function handlePng() {
+    setError(null);
+    try {
+      const png = await svgToPng(markup(), size, pixelRatio);
+      const suffix = pixelRatio > 1 ? `@${pixelRatio}x` : "";
+      downloadText(`knn-plot-${size}${suffix}.png`, png, "image/png");
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function handleReport(format) {
+    const { extension, mime } = REPORT_FILES[format];
+    const report = buildReport({ ...getReport(), plot: markup() }, format);
+    downloadText(`knn-report.${extension}`, report, mime);
+  }
+
+  return (
+    <div className="knn-tool-options">
+      <label>
+        Size:
+        <select
+          className="knn-select"
+          value={size}
+          onChange={(e) => setSize(Number(e.target.value))}
+        >
+          {EXPORT_SIZES.map((s) => (
+            <option key={s} value={s}>
+              {s} × {s} px
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        PNG density:
+        <select
+          className="knn-select"
+          value={pixelRatio}
+          onChange={(e) => setPixelRatio(Number(e.target.value))}
+        >
+          {PIXEL_RATIOS.map((r) => (
+            <option key={r} value={r}>
+              {r}×
+            </option>
+          ))}
+        </select>
+      </label>
+      <div className="knn-button-row">
+        <button className="knn-btn" onClick={handleSvg}>
+          Export SVG
+        </button>
+        <button className="knn-btn" onClick={handlePng}>
+          Export PNG
+        </button>
+        {Object.entries(REPORT_FORMATS).map(([format, name]) => (
+          <button
+            key={format}
+            className="knn-btn"
+            onClick={() => handleReport(format)}
+          >
+            Report ({name})
+          </button>
+        ))}
+      </div>
+      {error && <p className="knn-error-text">{error}</p>}
+    </div>
+  );
+}
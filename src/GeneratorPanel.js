@@ -0,0 +1,127 @@
+import { useState } from "react";
+import { MAX_CLASSES } from "./classes";
+import { generateDataset, GENERATORS } from "./generators";
+import { axesForRanges } from "./scaling";
+
+/**
+ * Synthetic dataset generator card. Calls `onGenerate(points, { replace,
+ * classCount, axes })` with `label` holding the class index; `axes` map the
+ * plot onto the chosen raw feature ranges.
+ */
+export default function GeneratorPanel({ onGenerate }) {
+  const [kind, setKind] = useState("blobs");
+  const [classCount, setClassCount] = useState(2);
+  const [perClass, setPerClass] = useState(30);
+  const [noise, setNoise] = useState(0.2);
+  const [seed, setSeed] = useState(1);
+  const [ranges, setRanges] = useState({ x: [0, 100], y: [0, 100] });
+
+  function generate(replace) {
+    const points = generateDataset(kind, { classCount, perClass, noise, seed });
+    onGenerate(points, { replace, classCount, axes: axesForRanges(ranges) });
+  }
+
+  function rangeInput(key, end) {
+    return (
+      <input
+        type="number"
+        className="knn-select knn-range-input"
+        value={ranges[key][end]}
+        onChange={(e) => {
+          const next = ranges[key].slice();
+          next[end] = Number(e.target.value) || 0;
+          setRanges({ ...ranges, [key]: next });
+        }}
+      />
+    );
+  }
+
+  return (
+    <div className="knn-card">
+      <div className="knn-card-title">Dataset generator</div>
+
+      <label>
+        Shape:
+        <select
+          className="knn-select"
+          value={kind}
+          onChange={(e) => setKind(e.target.value)}
+        >
+          {Object.entries(GENERATORS).map(([value, name]) => (
+            <option key={value} value={value}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label>
+        Classes: {classCount}
+        <input
+          type="range"
+          className="knn-slider"
+          min="1"
+          max={MAX_CLASSES}
+          value={classCount}
+          onChange={(e) => setClassCount(Number(e.target.value))}
+        />
+      </label>
+
+      <label>
+        Points per class: {perClass}
+        <input
+          type="range"
+          className="knn-slider"
+          min="1"
+          max="200"
+          value={perClass}
+          onChange={(e) => setPerClass(Number(e.target.value))}
+        />
+      </label>
+
+      <label>
+        Noise: {noise.toFixed(2)}
+        <input
+          type="range"
+          className="knn-slider"
+          min="0"
+          max="1"
+          step="0.05"
+          value={noise}
+          onChange={(e) => setNoise(Number(e.target.value))}
+        />
+      </label>
+
+      <label>
+        Random seed:
+        <input
+          type="number"
+          className="knn-select"
+          value={seed}
+          onChange={(e) => setSeed(Number(e.target.value) || 0)}
+        />
+      </label>
+
+      <label>
+        Raw x range: {rangeInput("x", 0)} to {rangeInput("x", 1)}
+      </label>
+      <label>
+        Raw y range: {rangeInput("y", 0)} to {rangeInput("y", 1)}
+      </label>
+
+      <div className="knn-button-row">
+        <button className="knn-btn" onClick={() => generate(true)}>
+          Replace points
+        </button>
+        <button className="knn-btn" onClick={() => generate(false)}>
+          Append
+        </button>
+      </div>
+      <p className="knn-hint" style={{ marginTop: 6 }}>
+        The same seed always gives the same dataset. The raw ranges give the
+        features their own units, e.g. x from 0 to 1 and y from 0 to 10000, to
+        see what unscaled features do to k-NN.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+import { useEffect, useRef } from "react";
+
+/** Clickable list of history entries; the current one is highlighted. */
+export default function HistoryPanel({ history, onJump }) {
+  const listRef = useRef(null);
+
+  // Keep the current entry in view as the list grows.
+  useEffect(() => {
+    const list = listRef.current;
+    const active = list && list.querySelector(".knn-history-current");
+    if (active && active.scrollIntoView)
+      active.scrollIntoView({ block: "nearest" });
+  }, [history.index, history.entries.length]);
+
+  return (
+    <div className="knn-card">
+      <div className="knn-card-title">History ({history.entries.length})</div>
+      <ol className="knn-history-list" ref={listRef}>
+        {history.entries.map((entry, i) => {
+          let className = "knn-history-entry";
+          if (i === history.index) className += " knn-history-current";
+          if (i > history.index) className += " knn-history-future";
+          return (
+            <li key={i}>
+              <button className={className} onClick={() => onJump(i)}>
+                {entry.label}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+      <p className="knn-hint" style={{ marginTop: 6 }}>
+        Click an entry to jump back to it. Ctrl+Z undoes, Ctrl+Shift+Z redoes.
+      </p>
+    </div>
+  );
+}
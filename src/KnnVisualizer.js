@@ -1,112 +1,882 @@
-import { useState, useMemo, useEffect } from "react";
+import { useState, useMemo, useEffect, useRef, useCallback } from "react";
+import ClassManager from "./ClassManager";
+import ComparisonPanel from "./ComparisonPanel";
+import CrossValidationPanel from "./CrossValidationPanel";
+import { randomSplit, setTestFlag, splitPoints } from "./evaluation";
+import {
+  classColorMap,
+  defaultClasses,
+  deleteClass,
+  nextClass,
+  recolorClass,
+  renameClass,
+} from "./classes";
+import {
+  BOUNDARY_RESOLUTIONS,
+  BOUNDARY_SHADINGS,
+  MAX_RESOLUTION,
+  segmentsToPath,
+  UNCERTAINTY_COLORS,
+} from "./boundary";
+import { gradientCss, valueToColor } from "./colorScale";
+import {
+  plotCoords,
+  pointsInBox,
+  removePoints,
+  sprayPoints,
+  svgCoords,
+  updatePoints,
+} from "./editing";
+import DatasetLibraryPanel from "./DatasetLibraryPanel";
+import DatasetPanel from "./DatasetPanel";
+import ExportPanel from "./ExportPanel";
+import GeneratorPanel from "./GeneratorPanel";
+import HistoryPanel from "./HistoryPanel";
+import {
+  canRedo,
+  canUndo,
+  createHistory,
+  currentSession,
+  jumpTo,
+  pushHistory,
+  redo,
+  undo,
+} from "./history";
+import { decodeState, readHash, shareUrl, stateToHash } from "./urlState";
+import {
+  ADAPTIVE_MAX_FACTOR,
+  createKnn,
+  createKnnRegressor,
+  distance,
+  EMPTY_RADIUS,
+  getNeighbors,
+  majorityLabel,
+  meanValue,
+  METRICS,
+  NEIGHBOR_MODES,
+  normalizeScores,
+} from "./knn";
+import {
+  COSINE_ORIGIN,
+  covarianceParts,
+  covarianceFromParts,
+  estimateCovariance,
+  invertCovariance,
+  MAX_MINKOWSKI_P,
+  metricBallPath,
+} from "./metrics";
+import {
+  liftFeatures,
+  pairProjection,
+  projectFeatures,
+  reproject,
+} from "./projection";
+import ProjectionPanel from "./ProjectionPanel";
+import PruningPanel from "./PruningPanel";
+import { treeNodes } from "./spatialIndex";
+import {
+  delaunayEdges,
+  ORDER_K_RESOLUTION,
+  orderKPixels,
+  orderKRegions,
+  polygonPath,
+  regionIndexAt,
+  voronoiCells,
+  VORONOI_FILLS,
+  VORONOI_ORDERS,
+} from "./voronoi";
+import {
+  axesToSettings,
+  fitScaling,
+  IDENTITY_AXES,
+  scaleFeatures,
+  SCALINGS,
+  scalingWeights,
+  toRaw,
+} from "./scaling";
+import ScalingPreviewPanel from "./ScalingPreviewPanel";
+import SplitPanel from "./SplitPanel";
+import SweepPanel from "./SweepPanel";
+import TestMetricsPanel from "./TestMetricsPanel";
+import useBoundary, { boundaryImageUrl, pixelsImageUrl } from "./useBoundary";
+import usePlayer from "./usePlayer";
+import { buildWalkthrough, walkthroughFrames } from "./walkthrough";
+import WalkthroughOverlay from "./WalkthroughOverlay";
+import WalkthroughPanel from "./WalkthroughPanel";
 import "./KnnVisualizer.css";
 
+// `value` is the numeric target used in regression mode.
 const initialPoints = [
-  { x: 20, y: 20, label: "A" },
-  { x: 25, y: 30, label: "A" },
-  { x: 30, y: 25, label: "A" },
-  { x: 35, y: 20, label: "A" },
-  { x: 40, y: 30, label: "A" },
-
-  { x: 70, y: 70, label: "B" },
-  { x: 75, y: 65, label: "B" },
-  { x: 80, y: 75, label: "B" },
-  { x: 65, y: 80, label: "B" },
-  { x: 72, y: 78, label: "B" },
+  { x: 20, y: 20, label: "A", value: 12 },
+  { x: 25, y: 30, label: "A", value: 20 },
+  { x: 30, y: 25, label: "A", value: 18 },
+  { x: 35, y: 20, label: "A", value: 25 },
+  { x: 40, y: 30, label: "A", value: 33 },
+
+  { x: 70, y: 70, label: "B", value: 74 },
+  { x: 75, y: 65, label: "B", value: 70 },
+  { x: 80, y: 75, label: "B", value: 88 },
+  { x: 65, y: 80, label: "B", value: 79 },
+  { x: 72, y: 78, label: "B", value: 85 },
 ];
 
-const labelColors = {
-  A: "#e74c3c",
-  B: "#3498db",
-  C: "#2ecc71",
+const weightingPrettyNames = {
+  uniform: "Uniform (1 vote each)",
+  distance: "Inverse distance (1/d)",
+  gaussian: "Gaussian kernel",
 };
 
+const tieBreakPrettyNames = {
+  nearest: "Nearest neighbor wins",
+  distance: "Smallest total distance",
+  random: "Random (seeded)",
+};
+
+const algorithmPrettyNames = {
+  brute: "Brute force",
+  kd: "KD-tree",
+  ball: "Ball tree",
+};
+
+// Outline of a search tree node: its bounding box (KD-tree) or its ball
+// under the tree's metric (ball tree).
+function treeNodeShape(tree, node, props) {
+  if (node.box) {
+    const { minX, maxX, minY, maxY } = node.box;
+    return (
+      <rect
+        x={minX}
+        y={100 - maxY}
+        width={maxX - minX}
+        height={maxY - minY}
+        {...props}
+      />
+    );
+  }
+  return (
+    <path
+      d={metricBallPath(
+        node.center,
+        node.radius,
+        tree.metric,
+        tree.p,
+        tree.params
+      )}
+      {...props}
+    />
+  );
+}
+
+const toolNames = {
+  point: "Point",
+  select: "Select",
+  brush: "Brush",
+  test: "Test",
+};
+
+// Metric settings for the given axis weights. The covariance is in plot
+// units; Mahalanobis needs it in the weighted units the metric compares.
+// High-dimensional data also passes its projection.
+function metricParamsFor(weights, plotCovariance, binSize, projection) {
+  const { x: wx, y: wy } = weights;
+  return {
+    projection,
+    axisWeights: weights,
+    precision: invertCovariance(
+      plotCovariance && {
+        xx: wx * wx * plotCovariance.xx,
+        xy: wx * wy * plotCovariance.xy,
+        yy: wy * wy * plotCovariance.yy,
+      }
+    ),
+    binSize,
+  };
+}
+
+// The user's axis weights combined with a scaling fitted on `train`.
+function weightsForScaling(kind, train, axes, axisWeights) {
+  const w = scalingWeights(axes, fitScaling(kind, train, axes));
+  return { x: axisWeights.x * w.x, y: axisWeights.y * w.y };
+}
+
 const metricPrettyNames = {
   euclidean: "Euclidean (L2)",
   manhattan: "Manhattan (L1)",
   minkowski: "Minkowski (Lp)",
+  chebyshev: "Chebyshev (L∞)",
+  cosine: "Cosine",
+  mahalanobis: "Mahalanobis",
+  hamming: "Hamming (grid cells)",
 };
 
-function formatDistance(d) {
-  if (d === undefined || d === null || Number.isNaN(d)) return "-";
-  return d.toFixed(3);
-}
+const metricSymbols = {
+  euclidean: "√(Δx² + Δy²)",
+  manhattan: "|Δx| + |Δy|",
+  minkowski: (
+    <>
+      (|Δx|<sup>p</sup> + |Δy|<sup>p</sup>)<sup>1/p</sup>
+    </>
+  ),
+  chebyshev: "max(|Δx|, |Δy|)",
+  cosine: "1 − cos θ",
+  mahalanobis: (
+    <>
+      √(Δ<sup>T</sup> Σ<sup>−1</sup> Δ)
+    </>
+  ),
+  hamming: "# axes in different cells",
+};
 
-function distance(a, b, metric, p = 3) {
-  const dx = Math.abs(a.x - b.x);
-  const dy = Math.abs(a.y - b.y);
+// Outline colors of the per-metric balls around the query point.
+const metricColors = {
+  euclidean: "#2563eb",
+  manhattan: "#f97316",
+  minkowski: "#16a34a",
+  chebyshev: "#9333ea",
+  cosine: "#db2777",
+  mahalanobis: "#0891b2",
+  hamming: "#854d0e",
+};
 
-  switch (metric) {
-    case "manhattan":
-      return dx + dy;
-    case "minkowski": {
-      const sum = Math.pow(dx, p) + Math.pow(dy, p);
-      return Math.pow(sum, 1 / p);
-    }
-    case "euclidean":
-    default:
-      return Math.sqrt(dx * dx + dy * dy);
-  }
+// Range of the neighbor radius slider, in the units of each metric (cosine
+// distances stay within 0–1 here, Hamming counts mismatched axes).
+const radiusRanges = {
+  cosine: { min: 0, max: 1, step: 0.005 },
+  hamming: { min: 0, max: 2, step: 0.1 },
+};
+const plotRadiusRange = { min: 0.5, max: 100, step: 0.5 };
+
+// Everything a shared link restores. Missing or invalid link fields fall
+// back to these.
+const defaultSession = {
+  mode: "classification",
+  points: initialPoints,
+  classes: defaultClasses,
+  k: 3,
+  neighborMode: "k",
+  radius: 15,
+  emptyRadius: "none",
+  queryPoint: null,
+  distanceMetric: "euclidean",
+  minkowskiP: 3,
+  axisWeights: { x: 1, y: 1 },
+  covarianceSource: "data",
+  covariance: { sx: 20, sy: 20, rho: 0 },
+  binSize: 10,
+  featureAxes: IDENTITY_AXES,
+  scaling: "none",
+  // High-dimensional data: how points' features map to the plot (see
+  // `projection.js`); null for plain 2-D points.
+  projection: null,
+  algorithm: "brute",
+  weights: "uniform",
+  bandwidth: 10,
+  tieBreak: "nearest",
+  tieSeed: 1,
+  selectedLabelForNewPoint: "A",
+  valueForNewPoint: 50,
+  showDecisionBoundary: true,
+};
+
+function loadSession() {
+  const encoded = readHash(window.location.hash);
+  const decoded = encoded ? decodeState(encoded) : null;
+  return {
+    ...defaultSession,
+    ...decoded,
+    linkError: Boolean(encoded && !decoded),
+  };
 }
 
-function getNeighbors(queryPoint, points, k, metric, minkowskiP) {
-  if (!queryPoint || points.length === 0) return [];
+function formatValue(v) {
+  if (v === undefined || v === null || !Number.isFinite(v)) return "-";
+  return Number.isInteger(v) ? String(v) : v.toFixed(2);
+}
 
-  const withDistances = points.map((p, index) => ({
-    ...p,
-    index,
-    dist: distance(p, queryPoint, metric, minkowskiP),
-  }));
+function formatWeight(w) {
+  return String(Number(w.toPrecision(3)));
+}
 
-  return withDistances.sort((a, b) => a.dist - b.dist).slice(0, k);
+// Raw feature values can be in any units, so keep significant digits.
+function formatCoord(v) {
+  if (!Number.isFinite(v)) return "-";
+  const abs = Math.abs(v);
+  if (abs !== 0 && (abs >= 10000 || abs < 0.01)) return v.toPrecision(3);
+  return v.toFixed(2);
 }
 
-function majorityLabel(neighbors) {
-  if (!neighbors || neighbors.length === 0) return null;
-  const counts = {};
-  neighbors.forEach((n) => {
-    counts[n.label] = (counts[n.label] || 0) + 1;
-  });
+function formatDistance(d) {
+  if (d === undefined || d === null || Number.isNaN(d)) return "-";
+  return d.toFixed(3);
+}
 
-  let bestLabel = null;
-  let bestCount = -1;
-  Object.entries(counts).forEach(([label, count]) => {
-    if (count > bestCount) {
-      bestLabel = label;
-      bestCount = count;
+export default function KnnVisualizer() {
+  const [initial] = useState(loadSession);
+
+  const [mode, setMode] = useState(initial.mode);
+  const [points, setPoints] = useState(initial.points);
+  const [classes, setClasses] = useState(initial.classes);
+  const [k, setK] = useState(initial.k);
+  const [neighborMode, setNeighborMode] = useState(initial.neighborMode);
+  const [radius, setRadius] = useState(initial.radius);
+  const [emptyRadius, setEmptyRadius] = useState(initial.emptyRadius);
+  const [queryPoint, setQueryPoint] = useState(initial.queryPoint);
+
+  const [distanceMetric, setDistanceMetric] = useState(initial.distanceMetric);
+  const [minkowskiP, setMinkowskiP] = useState(initial.minkowskiP);
+  const [axisWeights, setAxisWeights] = useState(initial.axisWeights);
+  const [covarianceSource, setCovarianceSource] = useState(
+    initial.covarianceSource
+  );
+  const [covariance, setCovariance] = useState(initial.covariance);
+  const [binSize, setBinSize] = useState(initial.binSize);
+  const [featureAxes, setFeatureAxes] = useState(initial.featureAxes);
+  const [scaling, setScaling] = useState(initial.scaling);
+  const [projection, setProjection] = useState(initial.projection);
+  const [algorithm, setAlgorithm] = useState(initial.algorithm);
+
+  const [weights, setWeights] = useState(initial.weights);
+  const [bandwidth, setBandwidth] = useState(initial.bandwidth);
+  const [tieBreak, setTieBreak] = useState(initial.tieBreak);
+  const [tieSeed, setTieSeed] = useState(initial.tieSeed);
+
+  const [selectedLabelForNewPoint, setSelectedLabelForNewPoint] = useState(
+    initial.selectedLabelForNewPoint
+  );
+  const [valueForNewPoint, setValueForNewPoint] = useState(
+    initial.valueForNewPoint
+  );
+  const [showDecisionBoundary, setShowDecisionBoundary] = useState(
+    initial.showDecisionBoundary
+  );
+
+  const [linkStatus, setLinkStatus] = useState(
+    initial.linkError ? "invalid" : null
+  );
+  const lastWrittenHash = useRef(null);
+
+  // Plot editing tools: "point" (click/drag), "select" (rubber band) and
+  // "brush" (spray points). These are UI state, not part of the session.
+  const [tool, setTool] = useState("point");
+  const [selectedIndexes, setSelectedIndexes] = useState([]);
+  const [selectionBox, setSelectionBox] = useState(null);
+  const [brushCount, setBrushCount] = useState(5);
+  const [brushRadius, setBrushRadius] = useState(6);
+  const dragRef = useRef(null);
+
+  // Per-metric balls around the query (view only, not part of the session).
+  const [showMetricBalls, setShowMetricBalls] = useState(false);
+  const [showVoronoi, setShowVoronoi] = useState(false);
+  const [voronoiOrder, setVoronoiOrder] = useState("first");
+  const [voronoiFill, setVoronoiFill] = useState("owner");
+  const [showDelaunay, setShowDelaunay] = useState(false);
+  const [voronoiHover, setVoronoiHover] = useState(null);
+
+  // Animated prediction walkthrough (view only, not part of the session).
+  const [showWalkthrough, setShowWalkthrough] = useState(false);
+
+  // Search tree overlay (view only, not part of the session).
+  const [showSearchTree, setShowSearchTree] = useState(false);
+  const [treeDepth, setTreeDepth] = useState(4);
+
+  // Boundary rendering settings (view only, not part of the session).
+  const [boundaryResolution, setBoundaryResolution] = useState("120");
+  const [showContours, setShowContours] = useState(false);
+  const [boundaryShading, setBoundaryShading] = useState("flat");
+  const [marginThreshold, setMarginThreshold] = useState(0.2);
+  const [plotPixels, setPlotPixels] = useState(400);
+  const svgRef = useRef(null);
+
+  // Rendered plot width in device pixels, for the "Pixel" resolution.
+  useEffect(() => {
+    function measure() {
+      if (!svgRef.current) return;
+      const { width: cssWidth } = svgRef.current.getBoundingClientRect();
+      const dpr = window.devicePixelRatio || 1;
+      if (cssWidth > 0) {
+        setPlotPixels(Math.min(MAX_RESOLUTION, Math.round(cssWidth * dpr)));
+      }
     }
-  });
+    measure();
+    window.addEventListener("resize", measure);
+    return () => window.removeEventListener("resize", measure);
+  }, []);
+  const suppressClickRef = useRef(false);
+
+  const session = useMemo(
+    () => ({
+      mode,
+      points,
+      classes,
+      k,
+      neighborMode,
+      radius,
+      emptyRadius,
+      queryPoint,
+      distanceMetric,
+      minkowskiP,
+      axisWeights,
+      covarianceSource,
+      covariance,
+      binSize,
+      featureAxes,
+      scaling,
+      projection,
+      algorithm,
+      weights,
+      bandwidth,
+      tieBreak,
+      tieSeed,
+      selectedLabelForNewPoint,
+      valueForNewPoint,
+      showDecisionBoundary,
+    }),
+    [
+      mode,
+      points,
+      classes,
+      k,
+      neighborMode,
+      radius,
+      emptyRadius,
+      queryPoint,
+      distanceMetric,
+      minkowskiP,
+      axisWeights,
+      covarianceSource,
+      covariance,
+      binSize,
+      featureAxes,
+      scaling,
+      projection,
+      algorithm,
+      weights,
+      bandwidth,
+      tieBreak,
+      tieSeed,
+      selectedLabelForNewPoint,
+      valueForNewPoint,
+      showDecisionBoundary,
+    ]
+  );
 
-  return { label: bestLabel, counts };
-}
+  // Keep the URL hash in sync (debounced: encoding large datasets isn't free).
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const hash = stateToHash(session);
+      lastWrittenHash.current = hash;
+      window.history.replaceState(null, "", hash);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [session]);
+
+  // Replace every piece of session state at once (shared links, undo/redo).
+  const applySession = useCallback((next) => {
+    setMode(next.mode);
+    setPoints(next.points);
+    setClasses(next.classes);
+    setK(next.k);
+    setNeighborMode(next.neighborMode);
+    setRadius(next.radius);
+    setEmptyRadius(next.emptyRadius);
+    setQueryPoint(next.queryPoint);
+    setDistanceMetric(next.distanceMetric);
+    setMinkowskiP(next.minkowskiP);
+    setAxisWeights(next.axisWeights);
+    setCovarianceSource(next.covarianceSource);
+    setCovariance(next.covariance);
+    setBinSize(next.binSize);
+    setFeatureAxes(next.featureAxes);
+    setScaling(next.scaling);
+    setProjection(next.projection);
+    setAlgorithm(next.algorithm);
+    setWeights(next.weights);
+    setBandwidth(next.bandwidth);
+    setTieBreak(next.tieBreak);
+    setTieSeed(next.tieSeed);
+    setSelectedLabelForNewPoint(next.selectedLabelForNewPoint);
+    setValueForNewPoint(next.valueForNewPoint);
+    setShowDecisionBoundary(next.showDecisionBoundary);
+  }, []);
+
+  // A link pasted into the address bar of an open tab only changes the hash.
+  useEffect(() => {
+    function handleHashChange() {
+      if (window.location.hash === lastWrittenHash.current) return;
+      const encoded = readHash(window.location.hash);
+      const decoded = encoded ? decodeState(encoded) : null;
+      if (!decoded) {
+        if (encoded) setLinkStatus("invalid");
+        return;
+      }
+      applySession({ ...defaultSession, ...decoded });
+      setLinkStatus(null);
+    }
+    window.addEventListener("hashchange", handleHashChange);
+    return () => window.removeEventListener("hashchange", handleHashChange);
+  }, [applySession]);
 
-export default function KnnVisualizer() {
-  const [points, setPoints] = useState(initialPoints);
-  const [k, setK] = useState(3);
-  const [queryPoint, setQueryPoint] = useState(null);
+  const [history, setHistory] = useState(() => createHistory(session));
+
+  // Record settled states only: follow-up updates (like clamping k after a
+  // point is deleted) land in the same entry as the edit that caused them.
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setHistory((prev) => pushHistory(prev, session));
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [session]);
+
+  const goToHistory = useCallback(
+    (nextHistory) => {
+      if (nextHistory === history) return;
+      setHistory(nextHistory);
+      applySession(currentSession(nextHistory));
+    },
+    [history, applySession]
+  );
+
+  const handleUndo = useCallback(
+    () => goToHistory(undo(history)),
+    [goToHistory, history]
+  );
+  const handleRedo = useCallback(
+    () => goToHistory(redo(history)),
+    [goToHistory, history]
+  );
 
-  const [distanceMetric, setDistanceMetric] = useState("euclidean");
-  const [minkowskiP, setMinkowskiP] = useState(3);
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), plus Ctrl+Y. Text fields keep
+  // their own undo.
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const target = e.target;
+      const isTextField =
+        target.tagName === "TEXTAREA" ||
+        (target.tagName === "INPUT" &&
+          !["range", "checkbox", "radio", "color", "file"].includes(
+            target.type
+          ));
+      if (isTextField) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        handleRedo();
+      }
+    }
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [handleUndo, handleRedo]);
+
+  async function handleCopyLink() {
+    const url = shareUrl(session);
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkStatus("copied");
+    } catch (err) {
+      window.prompt("Copy this link:", url);
+    }
+  }
 
-  const [selectedLabelForNewPoint, setSelectedLabelForNewPoint] = useState("A");
-  const [showDecisionBoundary, setShowDecisionBoundary] = useState(true);
+  useEffect(() => {
+    if (linkStatus !== "copied") return;
+    const timer = setTimeout(() => setLinkStatus(null), 2000);
+    return () => clearTimeout(timer);
+  }, [linkStatus]);
 
   useEffect(() => {
+    const trainCount = points.filter((p) => !p.test).length;
     setK((prev) => {
-      if (points.length === 0) return 1;
-      return Math.min(prev, points.length);
+      if (trainCount === 0) return 1;
+      return Math.min(prev, trainCount);
     });
   }, [points]);
 
+  const isRegression = mode === "regression";
+
+  const labelColors = useMemo(() => classColorMap(classes), [classes]);
+
+  // Test points are held out: the model only learns from training points.
+  const split = useMemo(() => splitPoints(points), [points]);
+
+  const estimatedCovariance = useMemo(
+    () => estimateCovariance(split.train),
+    [split]
+  );
+
+  const plotCovariance = useMemo(
+    () =>
+      covarianceSource === "manual"
+        ? covarianceFromParts(covariance)
+        : estimatedCovariance,
+    [covarianceSource, covariance, estimatedCovariance]
+  );
+
+  // Scaling is fitted on the training points in raw units and reaches the
+  // metric as extra axis weights (see `scaling.js`).
+  const fittedScaling = useMemo(
+    () => fitScaling(scaling, split.train, featureAxes),
+    [scaling, split, featureAxes]
+  );
+
+  const effectiveWeights = useMemo(
+    () => weightsForScaling(scaling, split.train, featureAxes, axisWeights),
+    [scaling, split, featureAxes, axisWeights]
+  );
+
+  // Extra settings of the metrics (see `distance`).
+  const metricParams = useMemo(
+    () =>
+      metricParamsFor(effectiveWeights, plotCovariance, binSize, projection),
+    [effectiveWeights, plotCovariance, binSize, projection]
+  );
+
+  // Raw range of each feature over the training points, and how much each
+  // one varies once weighted: a large imbalance means one feature decides
+  // every distance.
+  const featureSummary = useMemo(() => {
+    if (split.train.length === 0) return null;
+    const raw = split.train.map((p) => toRaw(p, featureAxes));
+    const axis = (key) => {
+      const vals = raw.map((r) => r[key]);
+      const plot = split.train.map((p) => p[key]);
+      const mean = plot.reduce((sum, v) => sum + v, 0) / plot.length;
+      const sd = Math.sqrt(
+        plot.reduce((sum, v) => sum + (v - mean) ** 2, 0) / plot.length
+      );
+      return {
+        name: featureAxes[key].name,
+        min: Math.min(...vals),
+        max: Math.max(...vals),
+        spread: sd * effectiveWeights[key],
+      };
+    };
+    const x = axis("x");
+    const y = axis("y");
+    const [big, small] = x.spread >= y.spread ? [x, y] : [y, x];
+    return {
+      x,
+      y,
+      dominant: small.spread > 0 && big.spread / small.spread > 10 ? big : null,
+      ratio: small.spread > 0 ? big.spread / small.spread : Infinity,
+    };
+  }, [split, featureAxes, effectiveWeights]);
+
+  const modelOptions = useMemo(() => {
+    const options = {
+      k,
+      metric: distanceMetric,
+      p: minkowskiP,
+      metricParams,
+      algorithm,
+      neighborMode,
+      radius,
+      emptyRadius,
+      weights,
+      bandwidth,
+    };
+    return isRegression ? options : { ...options, tieBreak, seed: tieSeed };
+  }, [
+    isRegression,
+    k,
+    neighborMode,
+    radius,
+    emptyRadius,
+    distanceMetric,
+    minkowskiP,
+    metricParams,
+    algorithm,
+    weights,
+    bandwidth,
+    tieBreak,
+    tieSeed,
+  ]);
+
+  // Model options under another scaling, for the side-by-side preview.
+  const optionsForScaling = useCallback(
+    (kind) => ({
+      ...modelOptions,
+      metricParams: metricParamsFor(
+        weightsForScaling(kind, split.train, featureAxes, axisWeights),
+        plotCovariance,
+        binSize,
+        projection
+      ),
+    }),
+    [
+      modelOptions,
+      split,
+      featureAxes,
+      axisWeights,
+      plotCovariance,
+      binSize,
+      projection,
+    ]
+  );
+
+  const model = useMemo(
+    () =>
+      isRegression
+        ? createKnnRegressor(modelOptions).fit(split.train)
+        : createKnn(modelOptions).fit(split.train),
+    [isRegression, modelOptions, split]
+  );
+
+  // Neighbor indexes refer to `points`, not to the training subset.
   const neighbors = useMemo(
-    () => getNeighbors(queryPoint, points, k, distanceMetric, minkowskiP),
-    [queryPoint, points, k, distanceMetric, minkowskiP]
+    () =>
+      queryPoint
+        ? model
+            .kneighbors(queryPoint)
+            .map((n) => ({ ...n, index: split.trainIndexes[n.index] }))
+        : [],
+    [model, queryPoint, split]
+  );
+
+  // Prediction for every test point, for the metrics card and highlights.
+  const testResults = useMemo(() => {
+    const predicted = model.predict(split.test);
+    return split.testIndexes.map((index, i) => ({
+      index,
+      predicted: predicted[i],
+    }));
+  }, [model, split]);
+
+  const misclassified = useMemo(
+    () =>
+      new Set(
+        isRegression
+          ? []
+          : testResults
+              .filter((r) => r.predicted !== points[r.index].label)
+              .map((r) => r.index)
+      ),
+    [isRegression, testResults, points]
+  );
+
+  // Tree nodes the current query entered and skipped (tree search only).
+  const searchTrace = useMemo(
+    () => (queryPoint ? model.traceSearch(queryPoint) : null),
+    [model, queryPoint]
+  );
+
+  const treeOverlayNodes = useMemo(
+    () =>
+      showSearchTree && model.tree ? treeNodes(model.tree, treeDepth) : [],
+    [showSearchTree, model, treeDepth]
   );
 
   const prediction = useMemo(() => {
-    if (!queryPoint || neighbors.length === 0) return null;
-    return majorityLabel(neighbors);
-  }, [neighbors, queryPoint]);
+    if (isRegression || !queryPoint || neighbors.length === 0) return null;
+    return majorityLabel(neighbors, {
+      weights,
+      bandwidth,
+      tieBreak,
+      seed: tieSeed,
+    });
+  }, [
+    isRegression,
+    neighbors,
+    queryPoint,
+    weights,
+    bandwidth,
+    tieBreak,
+    tieSeed,
+  ]);
+
+  // Class probabilities for the query, most likely first. Classes no
+  // neighbor voted for are listed at 0.
+  const predictionProba = useMemo(() => {
+    if (!prediction) return null;
+    const proba = normalizeScores(prediction);
+    const labels = [
+      ...new Set([...classes.map((c) => c.name), ...Object.keys(proba)]),
+    ];
+    return labels
+      .map((label) => ({ label, proba: proba[label] || 0 }))
+      .sort((a, b) => b.proba - a.proba);
+  }, [prediction, classes]);
+
+  const regression = useMemo(() => {
+    if (!isRegression || !queryPoint || neighbors.length === 0) return null;
+    return meanValue(neighbors, { weights, bandwidth });
+  }, [isRegression, neighbors, queryPoint, weights, bandwidth]);
+
+  // Color scale domain for regression targets.
+  const valueRange = useMemo(() => {
+    const values = points.map((p) => p.value).filter(Number.isFinite);
+    if (values.length === 0) return { min: 0, max: 100 };
+    return { min: Math.min(...values), max: Math.max(...values) };
+  }, [points]);
+
+  function colorForValue(v) {
+    return valueToColor(v, valueRange.min, valueRange.max);
+  }
+
+  // Fill of a data point: its class color, or its value on the color scale.
+  const pointColor = useCallback(
+    (p) =>
+      isRegression
+        ? valueToColor(p.value, valueRange.min, valueRange.max)
+        : labelColors[p.label] || "#7f8c8d",
+    [isRegression, valueRange, labelColors]
+  );
+
+  function trainColor(i) {
+    return pointColor(split.train[i]);
+  }
+
+  // Voronoi overlay of the training points: exact cells (with their
+  // Delaunay edges) or the order-k regions sampled on a grid.
+  const voronoi = useMemo(() => {
+    if (!showVoronoi || split.train.length === 0) return null;
+    if (voronoiOrder === "k") {
+      const grid = orderKRegions(
+        split.train,
+        Math.min(k, split.train.length),
+        ORDER_K_RESOLUTION
+      );
+      return { grid, path: segmentsToPath(grid.segments) };
+    }
+    const cells = voronoiCells(split.train);
+    return { cells, edges: delaunayEdges(cells) };
+  }, [showVoronoi, voronoiOrder, split, k]);
+
+  const voronoiImage = useMemo(() => {
+    if (!voronoi || !voronoi.grid || voronoiFill === "none") return null;
+    const colorOf = (i) => pointColor(split.train[i]);
+    return pixelsImageUrl(
+      orderKPixels(voronoi.grid, colorOf, 0.3),
+      voronoi.grid.resolution
+    );
+  }, [voronoi, voronoiFill, split, pointColor]);
+
+  // The cell or region under the pointer and the training points owning it.
+  // `voronoiHover` holds only its index, so moving within it does not
+  // re-render.
+  let voronoiHit = null;
+  if (voronoi && voronoiHover !== null) {
+    voronoiHit = voronoi.grid
+      ? voronoi.grid.regions[voronoiHover]
+      : voronoi.cells[voronoiHover];
+  }
+
+  function voronoiIndexAt(pos) {
+    if (voronoi.grid) return regionIndexAt(voronoi.grid, pos);
+    const [nearest] = getNeighbors(pos, split.train, 1);
+    return voronoi.cells.findIndex((c) => c.owners.includes(nearest.index));
+  }
+
+  const radiusRange = radiusRanges[distanceMetric] || plotRadiusRange;
+
+  const weightRule = {
+    uniform: "every neighbor counts once",
+    distance: "each neighbor is weighted by 1/d",
+    gaussian: `each neighbor is weighted by exp(-d² / 2h²) with h = ${bandwidth}`,
+  }[weights];
 
   const width = 400;
   const height = 400;
@@ -115,41 +885,316 @@ export default function KnnVisualizer() {
   const examplePair = useMemo(() => {
     if (!queryPoint || neighbors.length === 0) return null;
     const n = neighbors[0];
-    const dx = Math.abs(queryPoint.x - n.x);
-    const dy = Math.abs(queryPoint.y - n.y);
+    const { x: wx, y: wy } = effectiveWeights;
+    // Axis weights apply before every metric, so the deltas include them.
+    const dx = wx * Math.abs(queryPoint.x - n.x);
+    const dy = wy * Math.abs(queryPoint.y - n.y);
+    const fromOrigin = (q) => ({
+      x: wx * (q.x - COSINE_ORIGIN.x),
+      y: wy * (q.y - COSINE_ORIGIN.y),
+    });
+    const cell = (q) => [Math.floor(q.x / binSize), Math.floor(q.y / binSize)];
     return {
       neighbor: n,
       dx,
       dy,
+      u: fromOrigin(queryPoint),
+      v: fromOrigin(n),
+      queryCell: cell(queryPoint),
+      neighborCell: cell(n),
     };
-  }, [neighbors, queryPoint]);
+  }, [neighbors, queryPoint, effectiveWeights, binSize]);
 
-  // NEW: compute all three metrics for the same (dx, dy)
+  // NEW: every metric on the same pair of points
   const metricComparison = useMemo(() => {
     if (!examplePair) return null;
-    const { dx, dy } = examplePair;
-    const origin = { x: 0, y: 0 };
-    const deltas = { x: dx, y: dy };
-
+    return Object.fromEntries(
+      METRICS.map((m) => [
+        m,
+        distance(queryPoint, examplePair.neighbor, m, minkowskiP, metricParams),
+      ])
+    );
+  }, [examplePair, queryPoint, minkowskiP, metricParams]);
+
+  // Each metric's ball around the query, grown to reach that metric's own
+  // k-th nearest neighbor, so every outline holds k training points.
+  const metricBalls = useMemo(() => {
+    if (!showMetricBalls || !queryPoint || split.train.length === 0) {
+      return [];
+    }
+    return METRICS.map((m) => {
+      const found = getNeighbors(
+        queryPoint,
+        split.train,
+        k,
+        m,
+        minkowskiP,
+        metricParams
+      );
+      const reach = found[found.length - 1].dist;
+      return {
+        metric: m,
+        radius: reach,
+        path: metricBallPath(queryPoint, reach, m, minkowskiP, metricParams),
+      };
+    });
+  }, [showMetricBalls, queryPoint, split, k, minkowskiP, metricParams]);
+
+  // With adaptive k, how far the query's k-th nearest training point is:
+  // against the typical distance, it sets the query's own k.
+  const queryKDistance = useMemo(() => {
+    if (!queryPoint || neighborMode !== "adaptive") return null;
+    const nearest = getNeighbors(
+      queryPoint,
+      split.train,
+      k,
+      distanceMetric,
+      minkowskiP,
+      metricParams
+    );
+    return nearest.length > 0 ? nearest[nearest.length - 1].dist : null;
+  }, [
+    queryPoint,
+    neighborMode,
+    split,
+    k,
+    distanceMetric,
+    minkowskiP,
+    metricParams,
+  ]);
+
+  // The ball the query's neighbors come from: r in radius mode, the one
+  // reaching the farthest chosen neighbor with adaptive k.
+  const neighborBall = useMemo(() => {
+    if (!queryPoint || neighborMode === "k" || split.train.length === 0) {
+      return null;
+    }
+    const reach =
+      neighborMode === "radius"
+        ? radius
+        : neighbors.length > 0
+          ? neighbors[neighbors.length - 1].dist
+          : 0;
     return {
-      euclidean: distance(origin, deltas, "euclidean"),
-      manhattan: distance(origin, deltas, "manhattan"),
-      minkowski: distance(origin, deltas, "minkowski", minkowskiP),
+      radius: reach,
+      path: metricBallPath(
+        queryPoint,
+        reach,
+        distanceMetric,
+        minkowskiP,
+        metricParams
+      ),
     };
-  }, [examplePair, minkowskiP]);
+  }, [
+    queryPoint,
+    neighborMode,
+    split,
+    radius,
+    neighbors,
+    distanceMetric,
+    minkowskiP,
+    metricParams,
+  ]);
+
+  // How the query's neighbors are picked from the sorted training points,
+  // and what that gave for the current query.
+  const ballText = neighborBall ? formatDistance(neighborBall.radius) : "";
+  const usedNearest =
+    neighborMode === "radius" &&
+    neighbors.length > 0 &&
+    neighbors[0].dist > radius;
+  const pickRule = {
+    k: `select the first ${Math.min(k, neighbors.length)} points, the k nearest neighbors`,
+    radius: usedNearest
+      ? `no point lies within r = ${ballText}, so the nearest one is the only neighbor`
+      : `select every point within r = ${ballText}, ${neighbors.length} here`,
+    adaptive: `its k-th nearest point is ${formatDistance(queryKDistance)} away against a typical ${formatDistance(model.typicalDistance)}, so k scales to ${neighbors.length} (between 1 and ${ADAPTIVE_MAX_FACTOR * k}): select the first ${neighbors.length}, the adaptive k here`,
+  }[neighborMode];
+  const neighborsTitle = {
+    k: "Current k nearest neighbors",
+    radius: `Current neighbors within r = ${ballText}`,
+    adaptive: `Current neighbors (adaptive k = ${neighbors.length})`,
+  }[neighborMode];
+  // Radius mode can leave a query with no neighbors at all.
+  const emptyBallText =
+    neighborBall && neighbors.length === 0
+      ? `No training point lies within r = ${ballText} of the query, so there is no prediction. Increase r, or let an empty radius use the nearest point.`
+      : null;
+
+  // The walkthrough replays the query against the training points; its
+  // indexes are remapped to `points` like the neighbors'.
+  const walkthrough = useMemo(() => {
+    if (!showWalkthrough) return null;
+    const built = buildWalkthrough(queryPoint, split.train, modelOptions);
+    if (!built) return null;
+    const remap = (n) => ({ ...n, index: split.trainIndexes[n.index] });
+    return {
+      ...built,
+      ranked: built.ranked.map(remap),
+      order: built.order.map(remap),
+    };
+  }, [showWalkthrough, queryPoint, split, modelOptions]);
+
+  const walkthroughSteps = useMemo(
+    () => walkthroughFrames(walkthrough),
+    [walkthrough]
+  );
+  const walkthroughPlayer = usePlayer(walkthroughSteps.length);
+
+  const voteOptions = useMemo(
+    () => ({ weights, bandwidth, tieBreak, seed: tieSeed }),
+    [weights, bandwidth, tieBreak, tieSeed]
+  );
+
+  const weighted = effectiveWeights.x !== 1 || effectiveWeights.y !== 1;
+  const estimatedParts = estimatedCovariance
+    ? covarianceParts(estimatedCovariance)
+    : null;
+
+  function copyCovarianceFromData() {
+    if (!estimatedParts) return;
+    const half = (v) => Math.min(50, Math.max(1, Math.round(v * 2) / 2));
+    setCovariance({
+      sx: half(estimatedParts.sx),
+      sy: half(estimatedParts.sy),
+      rho: Math.min(
+        0.95,
+        Math.max(-0.95, Math.round(estimatedParts.rho * 20) / 20)
+      ),
+    });
+  }
+
+  function handlePointerDown(e) {
+    suppressClickRef.current = false;
+    if (e.button !== 0 || e.altKey) return;
+    const start = plotCoords(e);
+    const { pointIndex, query } = e.target.dataset || {};
+    let drag = null;
+
+    if (tool === "test") {
+      if (pointIndex !== undefined) handleToggleTest(Number(pointIndex));
+      return;
+    }
+    if (tool === "brush") {
+      drag = { type: "brush", start, last: start, moved: true };
+      sprayAt(start);
+    } else if (tool === "point" && pointIndex !== undefined) {
+      drag = { type: "point", index: Number(pointIndex), start, moved: false };
+    } else if (tool === "point" && query !== undefined) {
+      drag = { type: "query", start, moved: false };
+    } else if (tool === "select") {
+      drag = { type: "select", start, moved: false, additive: e.shiftKey };
+    }
+    if (!drag) return;
 
-  function getSvgCoords(evt) {
-    const svg = evt.currentTarget;
-    const pt = svg.createSVGPoint();
-    pt.x = evt.clientX;
-    pt.y = evt.clientY;
+    dragRef.current = drag;
+    if (e.currentTarget.setPointerCapture) {
+      e.currentTarget.setPointerCapture(e.pointerId);
+    }
+  }
 
-    const svgP = pt.matrixTransform(svg.getScreenCTM().inverse());
-    return { x: svgP.x, y: svgP.y }; // in viewBox coordinates (0–100)
+  function handlePointerMove(e) {
+    const drag = dragRef.current;
+    if (!drag) {
+      if (voronoi) {
+        const index = voronoiIndexAt(plotCoords(e));
+        setVoronoiHover((prev) => (prev === index ? prev : index));
+      }
+      return;
+    }
+    const pos = plotCoords(e);
+    const travelled = Math.hypot(pos.x - drag.start.x, pos.y - drag.start.y);
+    // Ignore jitter so that a plain click is still a click.
+    if (!drag.moved && travelled < 1) return;
+    drag.moved = true;
+
+    switch (drag.type) {
+      case "point":
+        setPoints((prev) =>
+          updatePoints(prev, [drag.index], (p) => ({ ...p, ...pos }))
+        );
+        break;
+      case "query":
+        setQueryPoint(pos);
+        break;
+      case "select":
+        setSelectionBox({ start: drag.start, end: pos });
+        break;
+      case "brush":
+        if (
+          Math.hypot(pos.x - drag.last.x, pos.y - drag.last.y) >=
+          brushRadius / 2
+        ) {
+          drag.last = pos;
+          sprayAt(pos);
+        }
+        break;
+      default:
+    }
+  }
+
+  function handlePointerUp(e) {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag) return;
+
+    if (drag.type === "select") {
+      const inside = drag.moved
+        ? pointsInBox(points, drag.start, plotCoords(e))
+        : [];
+      setSelectedIndexes((prev) =>
+        drag.additive ? [...new Set([...prev, ...inside])] : inside
+      );
+      setSelectionBox(null);
+    }
+    if (drag.moved) suppressClickRef.current = true;
+  }
+
+  function sprayAt(center) {
+    const sprayed = sprayPoints(center, brushCount, brushRadius).map((p) => ({
+      ...p,
+      label: selectedLabelForNewPoint,
+      value: valueForNewPoint,
+    }));
+    setPoints((prev) => [...prev, ...sprayed]);
+  }
+
+  function handleRelabelSelected() {
+    setPoints((prev) =>
+      updatePoints(prev, selection, (p) =>
+        isRegression
+          ? { ...p, value: valueForNewPoint }
+          : { ...p, label: selectedLabelForNewPoint }
+      )
+    );
+  }
+
+  function handleMarkSelected(test) {
+    setPoints((prev) =>
+      updatePoints(prev, selection, (p) => setTestFlag(p, test))
+    );
+  }
+
+  function handleToggleTest(index) {
+    setPoints((prev) =>
+      updatePoints(prev, [index], (p) => setTestFlag(p, !p.test))
+    );
+  }
+
+  function handleDeleteSelected() {
+    setPoints((prev) => removePoints(prev, selection));
+    setSelectedIndexes([]);
   }
 
   function handleClick(e) {
-    const { x, y } = getSvgCoords(e);
+    // The click that ends a drag is not a query placement.
+    if (suppressClickRef.current) {
+      suppressClickRef.current = false;
+      return;
+    }
+    if (tool !== "point") return;
+
+    const { x, y } = svgCoords(e);
 
     const yMath = 100 - y;
 
@@ -162,7 +1207,7 @@ export default function KnnVisualizer() {
 
   function handleContextMenu(e) {
     e.preventDefault();
-    const { x, y } = getSvgCoords(e);
+    const { x, y } = svgCoords(e);
     const yMath = 100 - y;
     addTrainingPoint({ x, y: yMath });
   }
@@ -170,10 +1215,198 @@ export default function KnnVisualizer() {
   function addTrainingPoint(point) {
     setPoints((prev) => [
       ...prev,
-      { x: point.x, y: point.y, label: selectedLabelForNewPoint },
+      {
+        x: point.x,
+        y: point.y,
+        label: selectedLabelForNewPoint,
+        value: valueForNewPoint,
+      },
     ]);
   }
 
+  function handleAddClass() {
+    setClasses((prev) => [...prev, nextClass(prev)]);
+  }
+
+  function handleRenameClass(oldName, newName) {
+    const result = renameClass(classes, points, oldName, newName);
+    setClasses(result.classes);
+    setPoints(result.points);
+    if (selectedLabelForNewPoint === oldName) {
+      setSelectedLabelForNewPoint(newName);
+    }
+  }
+
+  function handleRecolorClass(name, color) {
+    setClasses((prev) => recolorClass(prev, name, color));
+  }
+
+  function handleDeleteClass(name, reassignTo) {
+    const result = deleteClass(classes, points, name, reassignTo);
+    setClasses(result.classes);
+    setPoints(result.points);
+    if (selectedLabelForNewPoint === name) {
+      setSelectedLabelForNewPoint(result.classes[0].name);
+    }
+  }
+
+  // Current settings, in the shape written by dataset export.
+  const exportSettings = {
+    mode,
+    k,
+    neighborMode,
+    radius,
+    emptyRadius,
+    metric: distanceMetric,
+    minkowskiP,
+    axisWeightX: axisWeights.x,
+    axisWeightY: axisWeights.y,
+    covarianceSource,
+    covarianceSx: covariance.sx,
+    covarianceSy: covariance.sy,
+    covarianceRho: covariance.rho,
+    binSize,
+    scaling,
+    ...axesToSettings(featureAxes),
+    algorithm,
+    weights,
+    bandwidth,
+    tieBreak,
+    seed: tieSeed,
+  };
+
+  // Apply settings read from an imported file, ignoring invalid values.
+  function applySettings(settings) {
+    const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+    if (settings.mode === "classification" || settings.mode === "regression") {
+      setMode(settings.mode);
+    }
+    if (num(settings.k) !== null && settings.k >= 1) {
+      setK(Math.floor(settings.k));
+    }
+    if (NEIGHBOR_MODES[settings.neighborMode]) {
+      setNeighborMode(settings.neighborMode);
+    }
+    if (num(settings.radius) !== null && settings.radius >= 0) {
+      setRadius(settings.radius);
+    }
+    if (EMPTY_RADIUS[settings.emptyRadius]) {
+      setEmptyRadius(settings.emptyRadius);
+    }
+    if (metricPrettyNames[settings.metric]) setDistanceMetric(settings.metric);
+    if (num(settings.minkowskiP) !== null) {
+      setMinkowskiP(
+        Math.min(MAX_MINKOWSKI_P, Math.max(1, settings.minkowskiP))
+      );
+    }
+    if (
+      num(settings.axisWeightX) !== null &&
+      num(settings.axisWeightY) !== null
+    ) {
+      setAxisWeights({
+        x: Math.max(0, settings.axisWeightX),
+        y: Math.max(0, settings.axisWeightY),
+      });
+    }
+    if (
+      settings.covarianceSource === "data" ||
+      settings.covarianceSource === "manual"
+    ) {
+      setCovarianceSource(settings.covarianceSource);
+    }
+    if (
+      num(settings.covarianceSx) > 0 &&
+      num(settings.covarianceSy) > 0 &&
+      num(settings.covarianceRho) !== null
+    ) {
+      setCovariance({
+        sx: settings.covarianceSx,
+        sy: settings.covarianceSy,
+        rho: Math.min(0.95, Math.max(-0.95, settings.covarianceRho)),
+      });
+    }
+    if (num(settings.binSize) > 0) setBinSize(settings.binSize);
+    if (SCALINGS[settings.scaling]) setScaling(settings.scaling);
+    if (algorithmPrettyNames[settings.algorithm]) {
+      setAlgorithm(settings.algorithm);
+    }
+    if (weightingPrettyNames[settings.weights]) setWeights(settings.weights);
+    if (num(settings.bandwidth) !== null && settings.bandwidth > 0) {
+      setBandwidth(settings.bandwidth);
+    }
+    if (tieBreakPrettyNames[settings.tieBreak]) setTieBreak(settings.tieBreak);
+    if (num(settings.seed) !== null) setTieSeed(settings.seed);
+  }
+
+  // The scores came from a fixed-k search, so applying one switches to it.
+  function handleApplyCrossValidation({ k: bestK, metric }) {
+    if (metric) setDistanceMetric(metric);
+    setK(bestK);
+    setNeighborMode("k");
+  }
+
+  function handleImport({
+    points: imported,
+    classes: nextClasses,
+    settings,
+    axes,
+    features,
+    replace,
+  }) {
+    setClasses(nextClasses);
+    setPoints((prev) => (replace ? imported : [...prev, ...imported]));
+    if (replace) setQueryPoint(null);
+    // Extra feature columns start out viewed along the x and y columns.
+    if (replace) {
+      setProjection(
+        features && features.length > 2
+          ? pairProjection(
+              imported.map((p) => p.features),
+              features
+            )
+          : null
+      );
+    }
+    // Appended points are placed in the current axes.
+    if (replace && axes) setFeatureAxes(axes);
+    if (!nextClasses.some((c) => c.name === selectedLabelForNewPoint)) {
+      setSelectedLabelForNewPoint(nextClasses[0].name);
+    }
+    applySettings(settings);
+  }
+
+  function handleGenerate(generated, { replace, classCount, axes }) {
+    const nextClasses = classes.slice();
+    while (nextClasses.length < classCount) {
+      nextClasses.push(nextClass(nextClasses));
+    }
+    const labelled = generated.map((p) => ({
+      ...p,
+      label: nextClasses[p.label].name,
+    }));
+    setClasses(nextClasses);
+    setPoints((prev) => (replace ? labelled : [...prev, ...labelled]));
+    if (replace) setQueryPoint(null);
+    if (replace && axes) setFeatureAxes(axes);
+    if (replace) setProjection(null);
+  }
+
+  // Drop the training points pruning removed (`keep` follows split.train).
+  function handlePrune(keep) {
+    const removed = new Set(split.trainIndexes.filter((_, j) => !keep[j]));
+    setPoints((prev) => prev.filter((_, i) => !removed.has(i)));
+  }
+
+  // Switch the high-dimensional view: points and the query keep their
+  // features (including moves made on the plot) and are drawn anew.
+  function handleProjectionChange(next) {
+    setPoints((prev) => reproject(prev, projection, next));
+    setQueryPoint((q) =>
+      q ? projectFeatures(next, liftFeatures(projection, q)) : q
+    );
+    setProjection(next);
+  }
+
   function handleDeletePoint(indexToDelete) {
     setPoints((prev) => {
       if (prev.length <= 1) return prev;
@@ -185,42 +1418,217 @@ export default function KnnVisualizer() {
 
   const neighborIndexes = new Set(neighbors.map((n) => n.index));
 
-  const decisionCells = useMemo(() => {
-    if (!showDecisionBoundary || points.length === 0) return [];
-
-    const gridSize = 30;
-    const cellSize = 100 / gridSize;
-    const cells = [];
-
-    for (let gx = 0; gx < gridSize; gx++) {
-      for (let gy = 0; gy < gridSize; gy++) {
-        const xCenter = (gx + 0.5) * cellSize;
-        const yCenter = (gy + 0.5) * cellSize;
-
-        const cellPoint = { x: xCenter, y: yCenter };
-        const cellNeighbors = getNeighbors(
-          cellPoint,
-          points,
-          k,
-          distanceMetric,
-          minkowskiP
-        );
-        const maj = majorityLabel(cellNeighbors);
-        if (!maj || !maj.label) continue;
+  // Exports carry every feature, including moves made in the current view.
+  const exportPoints = useMemo(
+    () =>
+      projection
+        ? points.map((p) => ({ ...p, features: liftFeatures(projection, p) }))
+        : points,
+    [projection, points]
+  );
 
-        const color = labelColors[maj.label] || "#bdc3c7";
+  // Neighbor table: raw coordinates and the scaled features k-NN compares.
+  // High-dimensional points show every feature and where they are plotted.
+  const coordColumns = projection
+    ? ["Features", "Plotted (x, y)"]
+    : ["Raw (x, y)", "Scaled (x, y)"];
+  const neighborCoords = neighbors.map((n) => {
+    if (projection) {
+      const features = liftFeatures(projection, n).map(formatCoord);
+      return {
+        raw: `(${features.join(", ")})`,
+        scaled: `(${formatCoord(n.x)}, ${formatCoord(n.y)})`,
+      };
+    }
+    const raw = toRaw(n, featureAxes);
+    const scaled = scaleFeatures(n, featureAxes, fittedScaling);
+    return {
+      raw: `(${formatCoord(raw.x)}, ${formatCoord(raw.y)})`,
+      scaled: `(${formatCoord(scaled.x)}, ${formatCoord(scaled.y)})`,
+    };
+  });
 
-        cells.push({
-          x: xCenter - cellSize / 2,
-          y: yCenter - cellSize / 2,
-          size: cellSize,
-          color,
-        });
+  // What the report export bundles with the plot: the settings, the
+  // prediction card and the "How k-NN works here" steps as plain text.
+  function reportContents() {
+    const metricText =
+      metricPrettyNames[distanceMetric] +
+      (distanceMetric === "minkowski" ? `, p = ${minkowskiP}` : "");
+    const settings = [
+      ["Task", isRegression ? "Regression" : "Classification"],
+      neighborMode === "radius"
+        ? [
+            "Neighbors",
+            `Within r = ${radius}` +
+              (emptyRadius === "nearest" ? ", else the nearest point" : ""),
+          ]
+        : [
+            neighborMode === "adaptive" ? "Adaptive k" : "k",
+            neighborMode === "adaptive"
+              ? `typical ${k}, at most ${ADAPTIVE_MAX_FACTOR * k}`
+              : String(k),
+          ],
+      ["Distance", metricText],
+      ["Axis weights", `x ${axisWeights.x} · y ${axisWeights.y}`],
+      ["Feature scaling", SCALINGS[scaling]],
+      [
+        "Weighting",
+        weightingPrettyNames[weights] +
+          (weights === "gaussian" ? `, h = ${bandwidth}` : ""),
+      ],
+      ...(isRegression
+        ? []
+        : [
+            [
+              "Tie-break",
+              tieBreakPrettyNames[tieBreak] +
+                (tieBreak === "random" ? `, seed ${tieSeed}` : ""),
+            ],
+          ]),
+      ["Neighbor search", algorithmPrettyNames[algorithm]],
+      ["Points", `${split.train.length} training, ${split.test.length} test`],
+    ];
+
+    let predictionLines = ["No query point placed."];
+    let steps = [];
+    if (queryPoint) {
+      const raw = toRaw(queryPoint, featureAxes);
+      const at = `(${formatCoord(raw.x)}, ${formatCoord(raw.y)})`;
+      settings.push(["Query point", at]);
+      predictionLines = [
+        emptyBallText || "No training points yet, so there is no prediction.",
+      ];
+      if (regression) {
+        predictionLines = [
+          `Predicted value: ${formatValue(regression.value)}`,
+          `${weights === "uniform" ? "Plain mean" : "Weighted mean"} of the ${
+            neighbors.length
+          } nearest target values.`,
+        ];
+      }
+      if (prediction) {
+        predictionLines = [
+          `Predicted class: ${prediction.label}`,
+          ...Object.entries(prediction.counts).map(
+            ([label, count]) =>
+              `${label}: ${count} ${count === 1 ? "vote" : "votes"} · score ${prediction.scores[
+                label
+              ].toFixed(3)}`
+          ),
+          `Probabilities: ${predictionProba
+            .map(({ label, proba }) => `${label} ${(proba * 100).toFixed(1)}%`)
+            .join(", ")}`,
+        ];
+        if (prediction.tied.length > 1) {
+          predictionLines.push(
+            `Tie between ${prediction.tied.join(", ")}, resolved by ${tieBreakPrettyNames[tieBreak]}.`
+          );
+        }
+      }
+      if (neighbors.length > 0) {
+        steps = [
+          `Distance computation: compute the distance from the query point ${at} to every training point using ${metricText}.`,
+          "Sorting: sort all training points from closest to farthest.",
+          `Picking neighbors: ${pickRule}.`,
+          isRegression
+            ? `Averaging: ${weightRule}; the weighted mean of their target values becomes the prediction.`
+            : `Majority vote: ${weightRule}; the class with the highest total score becomes the prediction.`,
+        ];
       }
     }
 
-    return cells;
-  }, [points, k, distanceMetric, minkowskiP, showDecisionBoundary]);
+    return {
+      title: `k-NN ${isRegression ? "regression" : "classification"} report`,
+      settings,
+      prediction: predictionLines,
+      steps,
+      neighbors: {
+        columns: [
+          "#",
+          isRegression ? "Target" : "Label",
+          ...coordColumns,
+          "Distance",
+          ...(isRegression ? ["Weight"] : []),
+        ],
+        rows: neighbors.map((n, index) => [
+          String(index + 1),
+          isRegression ? formatValue(n.value) : n.label,
+          neighborCoords[index].raw,
+          neighborCoords[index].scaled,
+          formatDistance(n.dist),
+          ...(isRegression
+            ? [regression ? formatDistance(regression.weights[index]) : "-"]
+            : []),
+        ]),
+      },
+    };
+  }
+
+  // Undo, deletes and imports can leave stale indexes behind.
+  const selection = useMemo(
+    () => selectedIndexes.filter((i) => i < points.length),
+    [selectedIndexes, points.length]
+  );
+  const selectedSet = new Set(selection);
+
+  // The decision boundary is computed in a worker; this only describes it.
+  const boundaryRequest = useMemo(() => {
+    if (!showDecisionBoundary || split.train.length === 0) return null;
+    const span = valueRange.max - valueRange.min;
+    return {
+      mode,
+      points: split.train,
+      classNames: classes.map((c) => c.name),
+      options: modelOptions,
+      resolution:
+        boundaryResolution === "pixel"
+          ? plotPixels
+          : Number(boundaryResolution),
+      contours: showContours,
+      // Regression contours: four evenly spaced iso-value lines.
+      levels:
+        span > 0
+          ? [1, 2, 3, 4].map((i) => valueRange.min + (span * i) / 5)
+          : [],
+    };
+  }, [
+    showDecisionBoundary,
+    mode,
+    split,
+    classes,
+    modelOptions,
+    boundaryResolution,
+    plotPixels,
+    showContours,
+    valueRange,
+  ]);
+
+  const boundary = useBoundary(boundaryRequest);
+
+  // Confidence shading needs room to fade, so it starts more opaque; the
+  // uncertainty view keeps the class regions faint behind the highlights.
+  const boundaryImage = useMemo(() => {
+    if (!boundary.result) return null;
+    const isRegressionResult = boundary.result.mode === "regression";
+    const shading = isRegressionResult ? "flat" : boundaryShading;
+    return boundaryImageUrl(boundary.result, {
+      colors: classes.map((c) => c.color),
+      valueRange,
+      opacity: isRegressionResult
+        ? 0.45
+        : { flat: 0.16, confidence: 0.4, uncertainty: 0.08 }[shading],
+      shading,
+      marginThreshold,
+    });
+  }, [boundary.result, classes, valueRange, boundaryShading, marginThreshold]);
+
+  const boundaryPath = useMemo(
+    () =>
+      boundary.result && boundary.result.segments
+        ? segmentsToPath(boundary.result.segments)
+        : null,
+    [boundary.result]
+  );
 
   return (
     <div className="knn-root">
@@ -233,24 +1641,72 @@ export default function KnnVisualizer() {
               You can try out as much as you want!
             </div>
           </div>
-          <div className="knn-tag">Byambajav.M</div>
+          <div className="knn-header-actions">
+            <button className="knn-btn" onClick={handleCopyLink}>
+              {linkStatus === "copied" ? "Link copied!" : "Copy link"}
+            </button>
+            <div className="knn-tag">Byambajav.M</div>
+          </div>
         </div>
 
+        {linkStatus === "invalid" && (
+          <div className="knn-notice">
+            The settings in this link could not be read.
+          </div>
+        )}
+
         <div className="knn-main">
           {/* Graph at top, full width */}
           <div className="knn-plot-section">
-            <div className="knn-plot-subheader">
-              Click to place a query point. Alt+click or right-click adds a
-              training point with the selected label.
+            <div className="knn-plot-toolbar">
+              <div className="knn-plot-subheader">
+                Click to place a query point. Alt+click or right-click adds a
+                training point with the selected label.
+              </div>
+              <div className="knn-button-row">
+                {Object.entries(toolNames).map(([value, name]) => (
+                  <button
+                    key={value}
+                    className={
+                      tool === value ? "knn-btn knn-btn-active" : "knn-btn"
+                    }
+                    onClick={() => setTool(value)}
+                  >
+                    {name}
+                  </button>
+                ))}
+                <button
+                  className="knn-btn"
+                  disabled={!canUndo(history)}
+                  onClick={handleUndo}
+                  title="Undo (Ctrl+Z)"
+                >
+                  ↶ Undo
+                </button>
+                <button
+                  className="knn-btn"
+                  disabled={!canRedo(history)}
+                  onClick={handleRedo}
+                  title="Redo (Ctrl+Shift+Z)"
+                >
+                  ↷ Redo
+                </button>
+              </div>
             </div>
 
             <svg
+              ref={svgRef}
               width={width}
               height={height}
               viewBox="0 0 100 100"
-              className="knn-svg"
+              className={`knn-svg knn-svg-tool-${tool}`}
               onClick={handleClick}
               onContextMenu={handleContextMenu}
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={handlePointerUp}
+              onPointerLeave={() => setVoronoiHover(null)}
             >
               {/* Background grid */}
               <defs>
@@ -292,26 +1748,248 @@ export default function KnnVisualizer() {
                 opacity="0.9"
               />
 
-              {/* Decision cells */}
-              {decisionCells.map((cell, i) => (
-                <rect
-                  key={i}
-                  x={cell.x}
-                  y={100 - cell.y - cell.size}
-                  width={cell.size}
-                  height={cell.size}
-                  fill={cell.color}
-                  opacity={0.16}
+              {/* Decision boundary */}
+              {boundaryImage && (
+                <image
+                  href={boundaryImage}
+                  x="0"
+                  y="0"
+                  width="100"
+                  height="100"
+                  preserveAspectRatio="none"
+                  style={{ imageRendering: "pixelated" }}
+                  pointerEvents="none"
+                />
+              )}
+              {boundaryPath && (
+                <path
+                  d={boundaryPath}
+                  fill="none"
+                  stroke="#111827"
+                  strokeOpacity="0.55"
+                  strokeWidth="0.35"
+                  strokeLinecap="round"
+                  pointerEvents="none"
                 />
-              ))}
+              )}
+
+              {/* Voronoi cells, Delaunay edges or order-k regions */}
+              {voronoi && (
+                <g pointerEvents="none">
+                  {voronoiImage && (
+                    <image
+                      href={voronoiImage}
+                      x="0"
+                      y="0"
+                      width="100"
+                      height="100"
+                      preserveAspectRatio="none"
+                      style={{ imageRendering: "pixelated" }}
+                    />
+                  )}
+                  {voronoi.grid && (
+                    <path
+                      d={voronoi.path}
+                      fill="none"
+                      stroke="#374151"
+                      strokeOpacity="0.6"
+                      strokeWidth="0.25"
+                    />
+                  )}
+                  {voronoi.cells &&
+                    voronoi.cells.map((cell) => (
+                      <path
+                        key={cell.owners[0]}
+                        d={polygonPath(cell.polygon)}
+                        fill={
+                          voronoiFill === "owner"
+                            ? trainColor(cell.owners[0])
+                            : "none"
+                        }
+                        fillOpacity="0.25"
+                        stroke="#374151"
+                        strokeOpacity="0.6"
+                        strokeWidth="0.25"
+                      />
+                    ))}
+                  {voronoi.cells &&
+                    showDelaunay &&
+                    voronoi.edges.map(([a, b]) => (
+                      <line
+                        key={`${a}-${b}`}
+                        x1={split.train[a].x}
+                        y1={100 - split.train[a].y}
+                        x2={split.train[b].x}
+                        y2={100 - split.train[b].y}
+                        stroke="#6366f1"
+                        strokeWidth="0.25"
+                        strokeDasharray="0.8 0.6"
+                      />
+                    ))}
+                  {voronoiHit && voronoiHit.polygon && (
+                    <path
+                      d={polygonPath(voronoiHit.polygon)}
+                      fill="none"
+                      stroke="#f59e0b"
+                      strokeWidth="0.7"
+                    />
+                  )}
+                  {voronoiHit &&
+                    voronoiHit.owners.map((i) => (
+                      <circle
+                        key={i}
+                        cx={split.train[i].x}
+                        cy={100 - split.train[i].y}
+                        r={5.6}
+                        fill="none"
+                        stroke="#f59e0b"
+                        strokeWidth="0.9"
+                      />
+                    ))}
+                </g>
+              )}
+
+              {/* Search tree partitions and the current query's trace */}
+              {showSearchTree && model.tree && (
+                <g pointerEvents="none">
+                  {treeOverlayNodes.map((node) =>
+                    node.box ? (
+                      !node.indexes && (
+                        <line
+                          key={node.id}
+                          x1={node.axis === "x" ? node.split : node.box.minX}
+                          x2={node.axis === "x" ? node.split : node.box.maxX}
+                          y1={
+                            100 -
+                            (node.axis === "x" ? node.box.minY : node.split)
+                          }
+                          y2={
+                            100 -
+                            (node.axis === "x" ? node.box.maxY : node.split)
+                          }
+                          stroke="#6b7280"
+                          strokeOpacity={Math.max(
+                            0.25,
+                            0.8 - node.depth * 0.08
+                          )}
+                          strokeWidth="0.3"
+                        />
+                      )
+                    ) : (
+                      <g key={node.id}>
+                        {treeNodeShape(model.tree, node, {
+                          fill: "none",
+                          stroke: "#6b7280",
+                          strokeOpacity: Math.max(
+                            0.25,
+                            0.8 - node.depth * 0.08
+                          ),
+                          strokeWidth: 0.3,
+                        })}
+                      </g>
+                    )
+                  )}
+                  {searchTrace &&
+                    searchTrace.pruned.map((node) => (
+                      <g key={`pruned-${node.id}`}>
+                        {treeNodeShape(model.tree, node, {
+                          fill: "#ef4444",
+                          fillOpacity: 0.06,
+                          stroke: "#ef4444",
+                          strokeWidth: 0.3,
+                          strokeDasharray: "1 0.8",
+                        })}
+                      </g>
+                    ))}
+                  {searchTrace &&
+                    searchTrace.visited
+                      .filter((node) => node.indexes)
+                      .map((node) => (
+                        <g key={`visited-${node.id}`}>
+                          {treeNodeShape(model.tree, node, {
+                            fill: "#3b82f6",
+                            fillOpacity: 0.08,
+                            stroke: "#3b82f6",
+                            strokeWidth: 0.4,
+                          })}
+                        </g>
+                      ))}
+                </g>
+              )}
+
+              {/* Each metric's ball around the query */}
+              {metricBalls.length > 0 && (
+                <g pointerEvents="none">
+                  {metricBalls.map((ball) => (
+                    <path
+                      key={ball.metric}
+                      d={ball.path}
+                      fill="none"
+                      stroke={metricColors[ball.metric]}
+                      strokeWidth={ball.metric === distanceMetric ? 0.8 : 0.45}
+                      strokeDasharray={
+                        ball.metric === distanceMetric ? undefined : "1.5 1"
+                      }
+                    />
+                  ))}
+                </g>
+              )}
+
+              {/* Radius or adaptive-k neighborhood of the query */}
+              {neighborBall && !walkthrough && (
+                <path
+                  d={neighborBall.path}
+                  fill="#22c55e"
+                  fillOpacity="0.06"
+                  stroke="#16a34a"
+                  strokeWidth="0.6"
+                  strokeDasharray="2 1"
+                  pointerEvents="none"
+                />
+              )}
+
+              {/* Prediction walkthrough */}
+              {walkthrough && (
+                <WalkthroughOverlay
+                  walkthrough={walkthrough}
+                  frame={walkthroughSteps[walkthroughPlayer.frame]}
+                  metric={distanceMetric}
+                  p={minkowskiP}
+                  metricParams={metricParams}
+                  formatDistance={formatDistance}
+                />
+              )}
 
               {/* Training points */}
               {points.map((p, i) => {
-                const isNeighbor = neighborIndexes.has(i);
-                const color = labelColors[p.label] || "#7f8c8d";
+                // The walkthrough reveals the neighbors itself.
+                const isNeighbor = !walkthrough && neighborIndexes.has(i);
+                const color = pointColor(p);
 
                 return (
                   <g key={i}>
+                    {misclassified.has(i) && (
+                      <rect
+                        x={p.x - 4.6}
+                        y={100 - p.y - 4.6}
+                        width={9.2}
+                        height={9.2}
+                        fill="none"
+                        stroke="#dc2626"
+                        strokeWidth="0.9"
+                      />
+                    )}
+                    {selectedSet.has(i) && (
+                      <circle
+                        cx={p.x}
+                        cy={100 - p.y}
+                        r={5.6}
+                        fill="none"
+                        stroke="#111827"
+                        strokeWidth="0.6"
+                        strokeDasharray="1.2 1"
+                      />
+                    )}
                     {isNeighbor && (
                       <circle
                         cx={p.x}
@@ -322,7 +2000,30 @@ export default function KnnVisualizer() {
                         strokeWidth="0.9"
                       />
                     )}
-                    <circle cx={p.x} cy={100 - p.y} r={3.2} fill={color} />
+                    {p.test ? (
+                      <rect
+                        className="knn-point"
+                        data-point-index={i}
+                        x={p.x - 2.8}
+                        y={100 - p.y - 2.8}
+                        width={5.6}
+                        height={5.6}
+                        fill={color}
+                        stroke="#111827"
+                        strokeWidth="0.5"
+                      />
+                    ) : (
+                      <circle
+                        className="knn-point"
+                        data-point-index={i}
+                        cx={p.x}
+                        cy={100 - p.y}
+                        r={3.2}
+                        fill={color}
+                        stroke={isRegression ? "#ffffff" : "none"}
+                        strokeWidth="0.5"
+                      />
+                    )}
                   </g>
                 );
               })}
@@ -330,6 +2031,8 @@ export default function KnnVisualizer() {
               {/* Query point */}
               {queryPoint && (
                 <circle
+                  className="knn-point"
+                  data-query=""
                   cx={queryPoint.x}
                   cy={100 - queryPoint.y}
                   r={4}
@@ -338,56 +2041,583 @@ export default function KnnVisualizer() {
                   strokeWidth="1"
                 />
               )}
-            </svg>
 
-            <p className="knn-tip">
-              Click = query point · Alt+click / right-click = add training point
-              with selected label.
-            </p>
-          </div>
+              {/* Rubber-band selection */}
+              {selectionBox && (
+                <rect
+                  x={Math.min(selectionBox.start.x, selectionBox.end.x)}
+                  y={100 - Math.max(selectionBox.start.y, selectionBox.end.y)}
+                  width={Math.abs(selectionBox.end.x - selectionBox.start.x)}
+                  height={Math.abs(selectionBox.end.y - selectionBox.start.y)}
+                  fill="#3b82f6"
+                  fillOpacity="0.08"
+                  stroke="#3b82f6"
+                  strokeWidth="0.4"
+                  strokeDasharray="1.5 1"
+                  pointerEvents="none"
+                />
+              )}
+            </svg>
+
+            {tool === "brush" && (
+              <div className="knn-tool-options">
+                <label>
+                  Points per dab: {brushCount}
+                  <input
+                    type="range"
+                    className="knn-slider"
+                    min="1"
+                    max="20"
+                    value={brushCount}
+                    onChange={(e) => setBrushCount(Number(e.target.value))}
+                  />
+                </label>
+                <label>
+                  Brush radius: {brushRadius}
+                  <input
+                    type="range"
+                    className="knn-slider"
+                    min="1"
+                    max="20"
+                    value={brushRadius}
+                    onChange={(e) => setBrushRadius(Number(e.target.value))}
+                  />
+                </label>
+              </div>
+            )}
+
+            {selection.length > 0 && (
+              <div className="knn-tool-options">
+                <span>
+                  {selection.length} selected{" "}
+                  {selection.length === 1 ? "point" : "points"}
+                </span>
+                <div className="knn-button-row">
+                  <button className="knn-btn" onClick={handleRelabelSelected}>
+                    {isRegression
+                      ? `Set value to ${formatValue(valueForNewPoint)}`
+                      : `Relabel as ${selectedLabelForNewPoint}`}
+                  </button>
+                  <button
+                    className="knn-btn knn-btn-danger"
+                    disabled={selection.length >= points.length}
+                    title={
+                      selection.length >= points.length
+                        ? "At least one training point has to stay"
+                        : undefined
+                    }
+                    onClick={handleDeleteSelected}
+                  >
+                    Delete selected
+                  </button>
+                  <button
+                    className="knn-btn"
+                    onClick={() => handleMarkSelected(true)}
+                  >
+                    Mark as test
+                  </button>
+                  <button
+                    className="knn-btn"
+                    onClick={() => handleMarkSelected(false)}
+                  >
+                    Mark as training
+                  </button>
+                  <button
+                    className="knn-btn"
+                    onClick={() => setSelectedIndexes([])}
+                  >
+                    Clear selection
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {isRegression && (
+              <div className="knn-value-legend">
+                <span>{formatValue(valueRange.min)}</span>
+                <div
+                  className="knn-value-legend-bar"
+                  style={{ background: gradientCss() }}
+                />
+                <span>{formatValue(valueRange.max)}</span>
+                <span className="knn-value-legend-caption">
+                  predicted target value
+                </span>
+              </div>
+            )}
+
+            <p className="knn-tip">
+              {tool === "point" &&
+                "Click = query point · drag = move a point or the query · Alt+click / right-click = add training point with selected label."}
+              {tool === "select" &&
+                "Drag a box to select points (Shift adds to the selection), then relabel or delete them."}
+              {tool === "brush" &&
+                "Click or drag to spray points with the selected label."}
+              {tool === "test" &&
+                "Click a point to switch it between training and test."}
+            </p>
+
+            <ExportPanel svgRef={svgRef} getReport={reportContents} />
+          </div>
+
+          {/* All other components/cards below, using grid */}
+          <div className="knn-cards-grid">
+            {/* Controls */}
+            <div className="knn-card">
+              <div className="knn-card-title">k-NN Controls</div>
+
+              <label>
+                Task:
+                <select
+                  className="knn-select"
+                  value={mode}
+                  onChange={(e) => setMode(e.target.value)}
+                >
+                  <option value="classification">
+                    Classification (labels)
+                  </option>
+                  <option value="regression">
+                    Regression (numeric target)
+                  </option>
+                </select>
+              </label>
+
+              <label>
+                Neighbors:
+                <select
+                  className="knn-select"
+                  value={neighborMode}
+                  onChange={(e) => setNeighborMode(e.target.value)}
+                >
+                  {Object.entries(NEIGHBOR_MODES).map(([value, name]) => (
+                    <option key={value} value={value}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              {neighborMode === "radius" ? (
+                <>
+                  <label>
+                    Radius r: {radius}
+                    <input
+                      type="range"
+                      className="knn-slider"
+                      min={radiusRange.min}
+                      max={radiusRange.max}
+                      step={radiusRange.step}
+                      value={radius}
+                      onChange={(e) => setRadius(Number(e.target.value))}
+                    />
+                  </label>
+                  <label>
+                    No point within r:
+                    <select
+                      className="knn-select"
+                      value={emptyRadius}
+                      onChange={(e) => setEmptyRadius(e.target.value)}
+                    >
+                      {Object.entries(EMPTY_RADIUS).map(([value, name]) => (
+                        <option key={value} value={value}>
+                          {name}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <p className="knn-hint">
+                    Every training point within distance r of the query votes,
+                    however many that is. Sparse regions may have none.
+                  </p>
+                </>
+              ) : (
+                <label>
+                  {neighborMode === "adaptive"
+                    ? "k (typical number of neighbors)"
+                    : "k (number of neighbors)"}
+                  : {k}
+                  <input
+                    type="range"
+                    className="knn-slider"
+                    min="1"
+                    max={Math.max(split.train.length, 1)}
+                    value={k}
+                    onChange={(e) => setK(Number(e.target.value))}
+                  />
+                </label>
+              )}
+              {neighborMode === "adaptive" &&
+                model.typicalDistance !== null && (
+                  <p className="knn-hint">
+                    Each query scales k by how close its own k-th nearest point
+                    is compared with {formatDistance(model.typicalDistance)},
+                    the median distance from a training point to its k-th
+                    nearest neighbor: at least 1 and at most{" "}
+                    {ADAPTIVE_MAX_FACTOR * k}. Dense regions use more neighbors,
+                    sparse ones fewer.
+                  </p>
+                )}
+
+              <label>
+                Distance metric:
+                <select
+                  className="knn-select"
+                  value={distanceMetric}
+                  onChange={(e) => setDistanceMetric(e.target.value)}
+                >
+                  {METRICS.map((m) => (
+                    <option key={m} value={m}>
+                      {metricPrettyNames[m]}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              {distanceMetric === "minkowski" && (
+                <label>
+                  Minkowski p: {minkowskiP}
+                  <input
+                    type="range"
+                    className="knn-slider"
+                    min="1"
+                    max={MAX_MINKOWSKI_P}
+                    step="0.5"
+                    value={minkowskiP}
+                    onChange={(e) => setMinkowskiP(Number(e.target.value))}
+                  />
+                </label>
+              )}
+
+              {distanceMetric === "mahalanobis" && projection && (
+                <p className="knn-hint">
+                  The covariance is fitted on the plotted pair only, so with
+                  every feature in the distance Mahalanobis is Euclidean.
+                </p>
+              )}
+              {distanceMetric === "mahalanobis" && !projection && (
+                <>
+                  <label>
+                    Covariance:
+                    <select
+                      className="knn-select"
+                      value={covarianceSource}
+                      onChange={(e) => setCovarianceSource(e.target.value)}
+                    >
+                      <option value="data">
+                        Estimated from training points
+                      </option>
+                      <option value="manual">Set by hand</option>
+                    </select>
+                  </label>
+                  {covarianceSource === "data" && (
+                    <p className="knn-hint">
+                      {estimatedParts
+                        ? `σx = ${estimatedParts.sx.toFixed(1)}, σy = ${estimatedParts.sy.toFixed(1)}, ρ = ${estimatedParts.rho.toFixed(2)}.`
+                        : "Needs two training points; until then this is Euclidean."}{" "}
+                      Distances shrink along directions in which the data
+                      spreads.
+                    </p>
+                  )}
+                  {covarianceSource === "manual" && (
+                    <>
+                      <label>
+                        σx: {covariance.sx}
+                        <input
+                          type="range"
+                          className="knn-slider"
+                          min="1"
+                          max="50"
+                          step="0.5"
+                          value={covariance.sx}
+                          onChange={(e) =>
+                            setCovariance({
+                              ...covariance,
+                              sx: Number(e.target.value),
+                            })
+                          }
+                        />
+                      </label>
+                      <label>
+                        σy: {covariance.sy}
+                        <input
+                          type="range"
+                          className="knn-slider"
+                          min="1"
+                          max="50"
+                          step="0.5"
+                          value={covariance.sy}
+                          onChange={(e) =>
+                            setCovariance({
+                              ...covariance,
+                              sy: Number(e.target.value),
+                            })
+                          }
+                        />
+                      </label>
+                      <label>
+                        Correlation ρ: {covariance.rho}
+                        <input
+                          type="range"
+                          className="knn-slider"
+                          min="-0.95"
+                          max="0.95"
+                          step="0.05"
+                          value={covariance.rho}
+                          onChange={(e) =>
+                            setCovariance({
+                              ...covariance,
+                              rho: Number(e.target.value),
+                            })
+                          }
+                        />
+                      </label>
+                      <button
+                        className="knn-btn"
+                        disabled={!estimatedParts}
+                        onClick={copyCovarianceFromData}
+                      >
+                        Copy from data
+                      </button>
+                    </>
+                  )}
+                </>
+              )}
+
+              {distanceMetric === "hamming" && (
+                <>
+                  <label>
+                    Cell size: {binSize}
+                    <input
+                      type="range"
+                      className="knn-slider"
+                      min="2"
+                      max="50"
+                      value={binSize}
+                      onChange={(e) => setBinSize(Number(e.target.value))}
+                    />
+                  </label>
+                  <p className="knn-hint">
+                    The plot is cut into cells of this size; the distance counts
+                    the axes on which two points fall into different cells, so
+                    many neighbors tie.
+                  </p>
+                </>
+              )}
 
-          {/* All other components/cards below, using grid */}
-          <div className="knn-cards-grid">
-            {/* Controls */}
-            <div className="knn-card">
-              <div className="knn-card-title">k-NN Controls</div>
+              {distanceMetric === "cosine" && (
+                <p className="knn-hint">
+                  Cosine distance compares directions seen from the plot center
+                  ({COSINE_ORIGIN.x}, {COSINE_ORIGIN.y}): points on the same ray
+                  are at distance 0, however far apart.
+                </p>
+              )}
 
               <label>
-                k (number of neighbors): {k}
+                Axis weight x: {axisWeights.x}
                 <input
                   type="range"
                   className="knn-slider"
-                  min="1"
-                  max={Math.max(points.length, 1)}
-                  value={k}
-                  onChange={(e) => setK(Number(e.target.value))}
+                  min="0"
+                  max="5"
+                  step="0.1"
+                  value={axisWeights.x}
+                  disabled={Boolean(projection)}
+                  onChange={(e) =>
+                    setAxisWeights({
+                      ...axisWeights,
+                      x: Number(e.target.value),
+                    })
+                  }
                 />
               </label>
+              <label>
+                Axis weight y: {axisWeights.y}
+                <input
+                  type="range"
+                  className="knn-slider"
+                  min="0"
+                  max="5"
+                  step="0.1"
+                  value={axisWeights.y}
+                  disabled={Boolean(projection)}
+                  onChange={(e) =>
+                    setAxisWeights({
+                      ...axisWeights,
+                      y: Number(e.target.value),
+                    })
+                  }
+                />
+              </label>
+              {weighted && (
+                <button
+                  className="knn-btn"
+                  disabled={Boolean(projection)}
+                  onClick={() => setAxisWeights({ x: 1, y: 1 })}
+                >
+                  Reset axis weights
+                </button>
+              )}
 
               <label>
-                Distance metric:
+                Feature scaling:
                 <select
                   className="knn-select"
-                  value={distanceMetric}
-                  onChange={(e) => setDistanceMetric(e.target.value)}
+                  value={scaling}
+                  disabled={Boolean(projection)}
+                  onChange={(e) => setScaling(e.target.value)}
+                >
+                  {Object.entries(SCALINGS).map(([value, name]) => (
+                    <option key={value} value={value}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {projection && (
+                <p className="knn-hint">
+                  Distances compare all {projection.names.length} features, each
+                  rescaled to the plot on import. Axis weights and feature
+                  scaling act on the plotted x and y only, so they are off while
+                  every feature is used.
+                </p>
+              )}
+              {featureSummary && !projection && (
+                <p className="knn-hint">
+                  Raw ranges: {featureSummary.x.name}{" "}
+                  {formatCoord(featureSummary.x.min)} to{" "}
+                  {formatCoord(featureSummary.x.max)}, {featureSummary.y.name}{" "}
+                  {formatCoord(featureSummary.y.min)} to{" "}
+                  {formatCoord(featureSummary.y.max)}.
+                  {scaling !== "none" &&
+                    " Scaling is fitted on the training points and applied before every distance."}
+                </p>
+              )}
+              {featureSummary && featureSummary.dominant && !projection && (
+                <p className="knn-error-text">
+                  {featureSummary.dominant.name} varies about{" "}
+                  {Number.isFinite(featureSummary.ratio)
+                    ? Math.round(featureSummary.ratio)
+                    : "∞"}
+                  × more than the other feature, so it decides almost every
+                  distance.
+                  {scaling === "none" && " Try a feature scaling."}
+                </p>
+              )}
+
+              <label>
+                Neighbor search:
+                <select
+                  className="knn-select"
+                  value={algorithm}
+                  onChange={(e) => setAlgorithm(e.target.value)}
                 >
-                  <option value="euclidean">Euclidean (L2)</option>
-                  <option value="manhattan">Manhattan (L1)</option>
-                  <option value="minkowski">Minkowski (Lp)</option>
+                  {Object.entries(algorithmPrettyNames).map(([value, name]) => (
+                    <option key={value} value={value}>
+                      {name}
+                    </option>
+                  ))}
                 </select>
               </label>
 
-              {distanceMetric === "minkowski" && (
+              {algorithm !== "brute" && model.tree && (
+                <>
+                  <label>
+                    <input
+                      type="checkbox"
+                      className="knn-checkbox"
+                      checked={showSearchTree}
+                      onChange={(e) => setShowSearchTree(e.target.checked)}
+                    />
+                    Show tree partitions and visited nodes
+                  </label>
+                  {showSearchTree && (
+                    <label>
+                      Tree depth shown: {treeDepth}
+                      <input
+                        type="range"
+                        className="knn-slider"
+                        min="1"
+                        max="12"
+                        value={treeDepth}
+                        onChange={(e) => setTreeDepth(Number(e.target.value))}
+                      />
+                    </label>
+                  )}
+                </>
+              )}
+              <p className="knn-hint">
+                {algorithm === "brute" &&
+                  `Brute force computes all ${points.length} distances for every query.`}
+                {algorithm !== "brute" &&
+                  !model.tree &&
+                  points.length > 0 &&
+                  (neighborMode === "radius"
+                    ? "A radius search checks every point, so brute force is used."
+                    : "This tree cannot serve the current metric, so brute force is used.")}
+                {model.tree &&
+                  !searchTrace &&
+                  `${model.tree.size} tree nodes. Place a query point to see which ones the search visits.`}
+                {searchTrace &&
+                  `Last query: ${searchTrace.distanceCount} of ${points.length} distances computed, ${searchTrace.visited.length} nodes visited, ${searchTrace.pruned.length} subtrees pruned.`}
+              </p>
+
+              <label>
+                Vote weights:
+                <select
+                  className="knn-select"
+                  value={weights}
+                  onChange={(e) => setWeights(e.target.value)}
+                >
+                  {Object.entries(weightingPrettyNames).map(([value, name]) => (
+                    <option key={value} value={value}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              {weights === "gaussian" && (
                 <label>
-                  Minkowski p: {minkowskiP}
+                  Kernel bandwidth: {bandwidth}
                   <input
                     type="range"
                     className="knn-slider"
                     min="1"
-                    max="6"
-                    step="0.5"
-                    value={minkowskiP}
-                    onChange={(e) => setMinkowskiP(Number(e.target.value))}
+                    max="50"
+                    step="1"
+                    value={bandwidth}
+                    onChange={(e) => setBandwidth(Number(e.target.value))}
+                  />
+                </label>
+              )}
+
+              {!isRegression && (
+                <label>
+                  Tie-break policy:
+                  <select
+                    className="knn-select"
+                    value={tieBreak}
+                    onChange={(e) => setTieBreak(e.target.value)}
+                  >
+                    {Object.entries(tieBreakPrettyNames).map(
+                      ([value, name]) => (
+                        <option key={value} value={value}>
+                          {name}
+                        </option>
+                      )
+                    )}
+                  </select>
+                </label>
+              )}
+
+              {!isRegression && tieBreak === "random" && (
+                <label>
+                  Tie-break seed:
+                  <input
+                    type="number"
+                    className="knn-select"
+                    value={tieSeed}
+                    onChange={(e) => setTieSeed(Number(e.target.value) || 0)}
                   />
                 </label>
               )}
@@ -402,31 +2632,305 @@ export default function KnnVisualizer() {
                 Show decision boundary
               </label>
 
+              {showDecisionBoundary && (
+                <>
+                  <label>
+                    Boundary resolution:
+                    <select
+                      className="knn-select"
+                      value={boundaryResolution}
+                      onChange={(e) => setBoundaryResolution(e.target.value)}
+                    >
+                      {Object.entries(BOUNDARY_RESOLUTIONS).map(
+                        ([value, name]) => (
+                          <option key={value} value={value}>
+                            {name}
+                          </option>
+                        )
+                      )}
+                    </select>
+                  </label>
+                  <label>
+                    <input
+                      type="checkbox"
+                      className="knn-checkbox"
+                      checked={showContours}
+                      onChange={(e) => setShowContours(e.target.checked)}
+                    />
+                    {isRegression
+                      ? "Draw contour lines"
+                      : "Draw contour lines between classes"}
+                  </label>
+                  {!isRegression && (
+                    <label>
+                      Boundary shading:
+                      <select
+                        className="knn-select"
+                        value={boundaryShading}
+                        onChange={(e) => setBoundaryShading(e.target.value)}
+                      >
+                        {Object.entries(BOUNDARY_SHADINGS).map(
+                          ([value, name]) => (
+                            <option key={value} value={value}>
+                              {name}
+                            </option>
+                          )
+                        )}
+                      </select>
+                    </label>
+                  )}
+                  {!isRegression && boundaryShading === "confidence" && (
+                    <p className="knn-hint">
+                      Opacity follows the winning class&apos;s probability:
+                      solid where the neighbors agree, fading out where the vote
+                      is contested.
+                    </p>
+                  )}
+                  {!isRegression && boundaryShading === "uncertainty" && (
+                    <label>
+                      Low-margin threshold: {Math.round(marginThreshold * 100)}%
+                      <input
+                        type="range"
+                        className="knn-slider"
+                        min="0.05"
+                        max="0.5"
+                        step="0.05"
+                        value={marginThreshold}
+                        onChange={(e) =>
+                          setMarginThreshold(Number(e.target.value))
+                        }
+                      />
+                    </label>
+                  )}
+                  {boundary.pending && (
+                    <p className="knn-hint">Computing boundary…</p>
+                  )}
+                </>
+              )}
+
               <label>
-                Label for new training points:
-                <select
-                  className="knn-select"
-                  value={selectedLabelForNewPoint}
-                  onChange={(e) => setSelectedLabelForNewPoint(e.target.value)}
-                >
-                  <option value="A">Class A</option>
-                  <option value="B">Class B</option>
-                  <option value="C">Class C</option>
-                </select>
+                <input
+                  type="checkbox"
+                  className="knn-checkbox"
+                  checked={showVoronoi}
+                  onChange={(e) => {
+                    setShowVoronoi(e.target.checked);
+                    setVoronoiHover(null);
+                  }}
+                />
+                Show the Voronoi diagram of the training points
               </label>
+
+              {showVoronoi && (
+                <>
+                  <label>
+                    Cells:
+                    <select
+                      className="knn-select"
+                      value={voronoiOrder}
+                      onChange={(e) => setVoronoiOrder(e.target.value)}
+                    >
+                      {Object.entries(VORONOI_ORDERS).map(([value, name]) => (
+                        <option key={value} value={value}>
+                          {name}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Cell coloring:
+                    <select
+                      className="knn-select"
+                      value={voronoiFill}
+                      onChange={(e) => setVoronoiFill(e.target.value)}
+                    >
+                      {Object.entries(VORONOI_FILLS).map(([value, name]) => (
+                        <option key={value} value={value}>
+                          {name}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  {voronoiOrder === "first" && (
+                    <label>
+                      <input
+                        type="checkbox"
+                        className="knn-checkbox"
+                        checked={showDelaunay}
+                        onChange={(e) => setShowDelaunay(e.target.checked)}
+                      />
+                      Draw the Delaunay triangulation
+                    </label>
+                  )}
+                  <p className="knn-hint">
+                    {voronoiOrder === "first"
+                      ? "Each cell holds the positions closer to its point than to any other, so with k = 1 the cells are the decision regions, edge for edge. Delaunay edges join points whose cells touch."
+                      : `Each region holds the positions sharing the same ${k} nearest points, sampled on a ${ORDER_K_RESOLUTION} × ${ORDER_K_RESOLUTION} grid and colored by the mix of their classes.`}{" "}
+                    Hover the plot to ring the point(s) that own a cell.
+                  </p>
+                  {(distanceMetric !== "euclidean" ||
+                    projection ||
+                    effectiveWeights.x !== effectiveWeights.y) && (
+                    <p className="knn-hint">
+                      The diagram uses plain Euclidean distance on the plot. The
+                      current metric, axis weights, scaling or feature view
+                      measure distance differently, so the model&apos;s regions
+                      will not follow these cells.
+                    </p>
+                  )}
+                </>
+              )}
+
+              {isRegression ? (
+                <label>
+                  Target value for new training points:
+                  <input
+                    type="number"
+                    className="knn-select"
+                    value={valueForNewPoint}
+                    onChange={(e) =>
+                      setValueForNewPoint(Number(e.target.value) || 0)
+                    }
+                  />
+                </label>
+              ) : (
+                <label>
+                  Label for new training points:
+                  <select
+                    className="knn-select"
+                    value={selectedLabelForNewPoint}
+                    onChange={(e) =>
+                      setSelectedLabelForNewPoint(e.target.value)
+                    }
+                  >
+                    {classes.map((c) => (
+                      <option key={c.name} value={c.name}>
+                        Class {c.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
             </div>
 
+            {!isRegression && (
+              <ClassManager
+                classes={classes}
+                points={points}
+                onAdd={handleAddClass}
+                onRename={handleRenameClass}
+                onRecolor={handleRecolorClass}
+                onDelete={handleDeleteClass}
+              />
+            )}
+
+            <GeneratorPanel onGenerate={handleGenerate} />
+
+            <DatasetLibraryPanel
+              onLoad={(loaded) =>
+                handleImport({
+                  ...loaded,
+                  settings: { mode: "classification" },
+                  replace: true,
+                })
+              }
+            />
+
+            <DatasetPanel
+              points={exportPoints}
+              classes={classes}
+              settings={exportSettings}
+              featureNames={projection ? projection.names : []}
+              axes={featureAxes}
+              defaultLabel={selectedLabelForNewPoint}
+              onImport={handleImport}
+            />
+
+            <ProjectionPanel
+              projection={projection}
+              points={split.train}
+              trainIndexes={split.trainIndexes}
+              queryPoint={queryPoint}
+              neighbors={neighbors}
+              modelOptions={modelOptions}
+              onChange={handleProjectionChange}
+            />
+
+            <HistoryPanel
+              history={history}
+              onJump={(index) => goToHistory(jumpTo(history, index))}
+            />
+
+            <SplitPanel
+              trainCount={split.train.length}
+              testCount={split.test.length}
+              onSplit={(fraction, seed) =>
+                setPoints((prev) => randomSplit(prev, fraction, seed))
+              }
+              onClear={() =>
+                setPoints((prev) => prev.map((p) => setTestFlag(p, false)))
+              }
+            />
+
+            <TestMetricsPanel
+              mode={mode}
+              points={points}
+              results={testResults}
+              classes={classes}
+              labelColors={labelColors}
+              formatValue={formatValue}
+            />
+
+            <CrossValidationPanel
+              points={split.train}
+              mode={mode}
+              options={modelOptions}
+              k={k}
+              metric={distanceMetric}
+              minkowskiP={minkowskiP}
+              metricNames={metricPrettyNames}
+              onApply={handleApplyCrossValidation}
+            />
+
             {/* Prediction */}
             <div className="knn-card">
               <div className="knn-card-title">Prediction</div>
 
+              {emptyBallText && (
+                <p className="knn-hint" style={{ color: "#b91c1c" }}>
+                  {emptyBallText}
+                </p>
+              )}
+
               {!queryPoint && (
                 <p style={{ fontSize: 12, color: "#6b7280" }}>
                   Click on the graph to add a query point and see its predicted
-                  class.
+                  {isRegression ? " value" : " class"}.
                 </p>
               )}
 
+              {queryPoint && regression && (
+                <>
+                  <p style={{ fontSize: 13 }}>
+                    Predicted value:{" "}
+                    <strong style={{ fontSize: 15 }}>
+                      {formatValue(regression.value)}
+                    </strong>
+                    <span
+                      className="knn-label-dot"
+                      style={{
+                        background: colorForValue(regression.value),
+                        marginLeft: 6,
+                      }}
+                    />
+                  </p>
+                  <p style={{ marginTop: 8, fontSize: 12 }}>
+                    {weights === "uniform" ? "Plain mean" : "Weighted mean"} of
+                    the {neighbors.length} nearest target values.
+                  </p>
+                </>
+              )}
+
               {queryPoint && prediction && (
                 <>
                   <p style={{ fontSize: 13 }}>
@@ -440,7 +2944,9 @@ export default function KnnVisualizer() {
                       {prediction.label}
                     </strong>
                   </p>
-                  <p style={{ marginTop: 8, fontSize: 12 }}>Neighbor votes:</p>
+                  <p style={{ marginTop: 8, fontSize: 12 }}>
+                    Neighbor votes (raw count · weighted score):
+                  </p>
                   <ul style={{ fontSize: 12 }}>
                     {Object.entries(prediction.counts).map(([label, count]) => (
                       <li key={label}>
@@ -450,10 +2956,47 @@ export default function KnnVisualizer() {
                             background: labelColors[label] || "#9ca3af",
                           }}
                         />
-                        {label}: {count}
+                        {label}: {count} {count === 1 ? "vote" : "votes"} ·
+                        score {prediction.scores[label].toFixed(3)}
                       </li>
                     ))}
                   </ul>
+                  {predictionProba && (
+                    <div className="knn-proba">
+                      <p style={{ fontSize: 12 }}>Class probabilities:</p>
+                      {predictionProba.map(({ label, proba }) => (
+                        <div key={label} className="knn-bar-row">
+                          <span className="knn-bar-label">{label}</span>
+                          <div className="knn-bar">
+                            <div
+                              style={{
+                                width: `${proba * 100}%`,
+                                background: labelColors[label] || "#9ca3af",
+                              }}
+                            />
+                          </div>
+                          <span className="knn-bar-value">
+                            {(proba * 100).toFixed(1)}%
+                          </span>
+                        </div>
+                      ))}
+                      <p className="knn-hint">
+                        {predictionProba.length > 1
+                          ? `Margin over the runner-up: ${(
+                              (predictionProba[0].proba -
+                                predictionProba[1].proba) *
+                              100
+                            ).toFixed(1)} points.`
+                          : "Every neighbor agrees."}
+                      </p>
+                    </div>
+                  )}
+                  {prediction.tied.length > 1 && (
+                    <p style={{ fontSize: 11, color: "#6b7280" }}>
+                      Tie between {prediction.tied.join(", ")}, resolved by{" "}
+                      <strong>{tieBreakPrettyNames[tieBreak]}</strong>.
+                    </p>
+                  )}
                 </>
               )}
             </div>
@@ -470,12 +3013,37 @@ export default function KnnVisualizer() {
 
               {queryPoint && neighbors.length === 0 && (
                 <p style={{ fontSize: 12 }}>
-                  No training points yet, so k-NN cannot make a prediction.
+                  {emptyBallText ||
+                    "No training points yet, so k-NN cannot make a prediction."}
                 </p>
               )}
 
               {queryPoint && neighbors.length > 0 && (
                 <>
+                  <label>
+                    <input
+                      type="checkbox"
+                      className="knn-checkbox"
+                      checked={showWalkthrough}
+                      onChange={(e) => setShowWalkthrough(e.target.checked)}
+                    />
+                    Animate the steps on the plot
+                  </label>
+                  {walkthrough && (
+                    <WalkthroughPanel
+                      walkthrough={walkthrough}
+                      frames={walkthroughSteps}
+                      player={walkthroughPlayer}
+                      isRegression={isRegression}
+                      voteOptions={voteOptions}
+                      labelColors={labelColors}
+                      colorForValue={colorForValue}
+                      metricName={metricPrettyNames[distanceMetric]}
+                      formatValue={formatValue}
+                      formatDistance={formatDistance}
+                    />
+                  )}
+
                   <ol
                     style={{
                       paddingLeft: 18,
@@ -505,15 +3073,21 @@ export default function KnnVisualizer() {
                       <em>closest</em> to <em>farthest</em>.
                     </li>
                     <li>
-                      <strong>Picking neighbors:</strong> select the first{" "}
-                      <strong>{Math.min(k, neighbors.length)}</strong> points —
-                      those are the <strong>k nearest neighbors</strong>.
-                    </li>
-                    <li>
-                      <strong>Majority vote:</strong> count how many neighbors
-                      are in each class; the class with the most votes becomes
-                      the <strong>prediction</strong>.
+                      <strong>Picking neighbors:</strong> {pickRule}.
                     </li>
+                    {isRegression ? (
+                      <li>
+                        <strong>Averaging:</strong> {weightRule}; the weighted
+                        mean of their target values becomes the{" "}
+                        <strong>prediction</strong>.
+                      </li>
+                    ) : (
+                      <li>
+                        <strong>Majority vote:</strong> {weightRule}; the class
+                        with the highest total score becomes the{" "}
+                        <strong>prediction</strong>.
+                      </li>
+                    )}
                   </ol>
 
                   {prediction && (
@@ -531,16 +3105,17 @@ export default function KnnVisualizer() {
                   )}
 
                   <div style={{ marginTop: 10 }}>
-                    <strong style={{ fontSize: 12 }}>
-                      Current k nearest neighbors
-                    </strong>
+                    <strong style={{ fontSize: 12 }}>{neighborsTitle}</strong>
                     <table className="knn-table">
                       <thead>
                         <tr>
                           <th>#</th>
-                          <th>Label</th>
-                          <th>Position (x, y)</th>
+                          <th>{isRegression ? "Target" : "Label"}</th>
+                          {coordColumns.map((column) => (
+                            <th key={column}>{column}</th>
+                          ))}
                           <th>Distance</th>
+                          {isRegression && <th>Weight</th>}
                         </tr>
                       </thead>
                       <tbody>
@@ -551,24 +3126,113 @@ export default function KnnVisualizer() {
                               <span
                                 className="knn-label-dot"
                                 style={{
-                                  background: labelColors[n.label] || "#9ca3af",
+                                  background: isRegression
+                                    ? colorForValue(n.value)
+                                    : labelColors[n.label] || "#9ca3af",
                                 }}
                               />
-                              {n.label}
-                            </td>
-                            <td>
-                              ({n.x.toFixed(2)}, {n.y.toFixed(2)})
+                              {isRegression ? formatValue(n.value) : n.label}
                             </td>
+                            <td>{neighborCoords[index].raw}</td>
+                            <td>{neighborCoords[index].scaled}</td>
                             <td>{formatDistance(n.dist)}</td>
+                            {isRegression && (
+                              <td>
+                                {regression
+                                  ? formatDistance(regression.weights[index])
+                                  : "-"}
+                              </td>
+                            )}
                           </tr>
                         ))}
                       </tbody>
                     </table>
                   </div>
+
+                  {regression && (
+                    <div className="knn-formula-block">
+                      <div
+                        style={{
+                          fontSize: 12,
+                          marginBottom: 4,
+                          fontWeight: 600,
+                        }}
+                      >
+                        Averaging step
+                      </div>
+                      <div className="knn-formula">
+                        ŷ =
+                        <span className="knn-formula-dynamic">
+                          Σ w<sub>i</sub>·y<sub>i</sub> / Σ w<sub>i</sub>
+                        </span>
+                        =
+                        <span className="knn-formula-example">
+                          (
+                          {neighbors
+                            .map((n, i) => ({ n, w: regression.weights[i] }))
+                            .filter(({ w }) => w > 0)
+                            .map(
+                              ({ n, w }) =>
+                                `${formatDistance(w)}·${formatValue(n.value)}`
+                            )
+                            .join(" + ")}
+                          ) / {formatDistance(regression.totalWeight)} ≈{" "}
+                          {formatValue(regression.value)}
+                        </span>
+                      </div>
+                    </div>
+                  )}
                 </>
               )}
             </div>
 
+            {/* Scaling acts on x and y only, which lifted features ignore. */}
+            {!projection && (
+              <ScalingPreviewPanel
+                mode={mode}
+                points={split.train}
+                queryPoint={queryPoint}
+                classes={classes}
+                valueRange={valueRange}
+                pointColor={pointColor}
+                optionsFor={optionsForScaling}
+                scaling={scaling}
+              />
+            )}
+
+            <ComparisonPanel
+              mode={mode}
+              points={split.train}
+              queryPoint={queryPoint}
+              classes={classes}
+              valueRange={valueRange}
+              pointColor={pointColor}
+              baseOptions={modelOptions}
+              metricNames={metricPrettyNames}
+              formatValue={formatValue}
+            />
+
+            <SweepPanel
+              mode={mode}
+              points={split.train}
+              testPoints={split.test}
+              classes={classes}
+              valueRange={valueRange}
+              pointColor={pointColor}
+              baseOptions={modelOptions}
+            />
+
+            <PruningPanel
+              mode={mode}
+              points={split.train}
+              classes={classes}
+              valueRange={valueRange}
+              pointColor={pointColor}
+              baseOptions={modelOptions}
+              formatValue={formatValue}
+              onApply={handlePrune}
+            />
+
             {/* NEW: Distance metric intuition */}
             <div className="knn-card">
               <div className="knn-card-title">Distance metric intuition</div>
@@ -603,14 +3267,27 @@ export default function KnnVisualizer() {
                     Differences:
                     <br />
                     <code>
-                      Δx = |x<sub>query</sub> - x<sub>neighbor</sub>| ={" "}
+                      Δx ={" "}
+                      {weighted && <>{formatWeight(effectiveWeights.x)} · </>}
+                      |x
+                      <sub>query</sub> - x<sub>neighbor</sub>| ={" "}
                       {examplePair.dx.toFixed(3)}
                     </code>
                     <br />
                     <code>
-                      Δy = |y<sub>query</sub> - y<sub>neighbor</sub>| ={" "}
+                      Δy ={" "}
+                      {weighted && <>{formatWeight(effectiveWeights.y)} · </>}
+                      |y
+                      <sub>query</sub> - y<sub>neighbor</sub>| ={" "}
                       {examplePair.dy.toFixed(3)}
                     </code>
+                    {weighted && (
+                      <>
+                        <br />
+                        Each axis is multiplied by its weight (axis weights and
+                        feature scaling) before the metric is applied.
+                      </>
+                    )}
                   </p>
 
                   {/* Formula that changes with selected metric */}
@@ -671,6 +3348,72 @@ export default function KnnVisualizer() {
                         </span>
                       </div>
                     )}
+
+                    {distanceMetric === "chebyshev" && (
+                      <div className="knn-formula">
+                        d =
+                        <span className="knn-formula-dynamic">
+                          max(|Δx|, |Δy|)
+                        </span>
+                        =
+                        <span className="knn-formula-example">
+                          max({examplePair.dx.toFixed(3)},{" "}
+                          {examplePair.dy.toFixed(3)}) ≈{" "}
+                          {formatDistance(metricComparison.chebyshev)}
+                        </span>
+                      </div>
+                    )}
+
+                    {distanceMetric === "cosine" && (
+                      <div className="knn-formula">
+                        d =
+                        <span className="knn-formula-dynamic">
+                          1 − (u · v) / (|u| |v|)
+                        </span>
+                        with u, v measured from ({COSINE_ORIGIN.x},{" "}
+                        {COSINE_ORIGIN.y}):
+                        <span className="knn-formula-example">
+                          u = ({examplePair.u.x.toFixed(2)},{" "}
+                          {examplePair.u.y.toFixed(2)}), v = (
+                          {examplePair.v.x.toFixed(2)},{" "}
+                          {examplePair.v.y.toFixed(2)}) ⇒ d ≈{" "}
+                          {formatDistance(metricComparison.cosine)}
+                        </span>
+                      </div>
+                    )}
+
+                    {distanceMetric === "mahalanobis" && (
+                      <div className="knn-formula">
+                        d =
+                        <span className="knn-formula-dynamic">
+                          √(Δ<sup>T</sup> Σ<sup>−1</sup> Δ)
+                        </span>
+                        with Σ<sup>−1</sup> = [
+                        {metricParams.precision.xx.toPrecision(3)},{" "}
+                        {metricParams.precision.xy.toPrecision(3)};{" "}
+                        {metricParams.precision.xy.toPrecision(3)},{" "}
+                        {metricParams.precision.yy.toPrecision(3)}] ≈
+                        <span className="knn-formula-example">
+                          {" "}
+                          {formatDistance(metricComparison.mahalanobis)}
+                        </span>
+                      </div>
+                    )}
+
+                    {distanceMetric === "hamming" && (
+                      <div className="knn-formula">
+                        d =
+                        <span className="knn-formula-dynamic">
+                          [cells differ in x] + [cells differ in y]
+                        </span>
+                        =
+                        <span className="knn-formula-example">
+                          cell ({examplePair.queryCell.join(", ")}) vs (
+                          {examplePair.neighborCell.join(", ")}) ⇒{" "}
+                          {formatDistance(metricComparison.hamming)}
+                        </span>
+                      </div>
+                    )}
                   </div>
 
                   {/* Compare all metrics on the same pair */}
@@ -693,47 +3436,36 @@ export default function KnnVisualizer() {
                         </tr>
                       </thead>
                       <tbody>
-                        <tr
-                          className={
-                            distanceMetric === "euclidean"
-                              ? "knn-row-active-metric"
-                              : ""
-                          }
-                        >
-                          <td>Euclidean (L2)</td>
-                          <td>√(Δx² + Δy²)</td>
-                          <td>{formatDistance(metricComparison.euclidean)}</td>
-                        </tr>
-                        <tr
-                          className={
-                            distanceMetric === "manhattan"
-                              ? "knn-row-active-metric"
-                              : ""
-                          }
-                        >
-                          <td>Manhattan (L1)</td>
-                          <td>|Δx| + |Δy|</td>
-                          <td>{formatDistance(metricComparison.manhattan)}</td>
-                        </tr>
-                        <tr
-                          className={
-                            distanceMetric === "minkowski"
-                              ? "knn-row-active-metric"
-                              : ""
-                          }
-                        >
-                          <td>
-                            Minkowski (Lp)
-                            <br />
-                            <span style={{ fontSize: 11 }}>
-                              (current p = {minkowskiP})
-                            </span>
-                          </td>
-                          <td>
-                            (|Δx|<sup>p</sup> + |Δy|<sup>p</sup>)<sup>1/p</sup>
-                          </td>
-                          <td>{formatDistance(metricComparison.minkowski)}</td>
-                        </tr>
+                        {METRICS.map((m) => (
+                          <tr
+                            key={m}
+                            className={
+                              distanceMetric === m
+                                ? "knn-row-active-metric"
+                                : ""
+                            }
+                          >
+                            <td>
+                              {showMetricBalls && (
+                                <span
+                                  className="knn-label-dot"
+                                  style={{ background: metricColors[m] }}
+                                />
+                              )}
+                              {metricPrettyNames[m]}
+                              {m === "minkowski" && (
+                                <>
+                                  <br />
+                                  <span style={{ fontSize: 11 }}>
+                                    (current p = {minkowskiP})
+                                  </span>
+                                </>
+                              )}
+                            </td>
+                            <td>{metricSymbols[m]}</td>
+                            <td>{formatDistance(metricComparison[m])}</td>
+                          </tr>
+                        ))}
                       </tbody>
                     </table>
                     <p style={{ fontSize: 11, marginTop: 4, color: "#6b7280" }}>
@@ -745,27 +3477,97 @@ export default function KnnVisualizer() {
                   </div>
                 </>
               )}
+
+              {queryPoint && (
+                <>
+                  <label>
+                    <input
+                      type="checkbox"
+                      className="knn-checkbox"
+                      checked={showMetricBalls}
+                      onChange={(e) => setShowMetricBalls(e.target.checked)}
+                    />
+                    Draw each metric&apos;s ball around the query point
+                  </label>
+                  {showMetricBalls && (
+                    <p className="knn-hint">
+                      Every outline is one metric&apos;s ball, grown until it
+                      reaches that metric&apos;s own k-th nearest neighbor. The
+                      solid one is the current metric; the colored dots in the
+                      table match the outlines.
+                    </p>
+                  )}
+                </>
+              )}
             </div>
 
             {/* Legend */}
             <div className="knn-card">
               <div className="knn-card-title">Legend & interactions</div>
               <ul className="knn-legend-list">
-                <li>Colored dots = training points (A, B, C).</li>
+                <li>
+                  Colored dots = training points, one color per class (see
+                  Classes), or their target value in regression mode.
+                </li>
                 <li>Yellow dot = query point.</li>
                 <li>Green rings = current k nearest neighbors.</li>
-                <li>Background tint = predicted class region.</li>
+                <li>Dashed rings = selected points (Select tool).</li>
+                <li>
+                  Squares = test points (never vote); a red outline marks a
+                  misclassified test point.
+                </li>
+                {metricBalls.length > 0 && (
+                  <li>
+                    Colored outlines = each metric&apos;s ball around the query
+                    holding its k nearest neighbors (solid = current metric).
+                  </li>
+                )}
+                {showSearchTree && model.tree && (
+                  <li>
+                    Gray lines = tree partitions. Blue = leaves the search
+                    scanned, red dashed = subtrees skipped because they cannot
+                    hold a closer point than the current k-th neighbor.
+                  </li>
+                )}
+                <li>
+                  Background tint = predicted class region, or a heatmap of the
+                  predicted value in regression mode.
+                  {!isRegression &&
+                    boundaryShading === "confidence" &&
+                    " Fainter tint = less confident vote."}
+                </li>
+                {!isRegression && boundaryShading === "uncertainty" && (
+                  <li>
+                    <span
+                      className="knn-label-dot"
+                      style={{ background: UNCERTAINTY_COLORS.tie }}
+                    />
+                    Red = tied vote;{" "}
+                    <span
+                      className="knn-label-dot"
+                      style={{ background: UNCERTAINTY_COLORS.lowMargin }}
+                    />
+                    amber = winning margin below{" "}
+                    {Math.round(marginThreshold * 100)}%.
+                  </li>
+                )}
                 <li>
                   Alt+click or right-click on the graph to add a training point
                   with the selected label.
                 </li>
+                <li>
+                  Point tool: drag a training point or the query point to move
+                  it. Select tool: drag a box to relabel or delete many points.
+                  Brush tool: spray points of the selected label.
+                </li>
               </ul>
             </div>
 
             {/* Training points */}
             <div className="knn-card">
               <div className="knn-card-title">
-                Training points ({points.length})
+                Training points ({split.train.length})
+                {split.test.length > 0 && ` + ${split.test.length} test`}
               </div>
               <ul className="knn-list">
                 {points.map((p, i) => (
@@ -773,10 +3575,14 @@ export default function KnnVisualizer() {
                     <span
                       className="knn-label-dot"
                       style={{
-                        background: labelColors[p.label] || "#9ca3af",
+                        background: isRegression
+                          ? colorForValue(p.value)
+                          : labelColors[p.label] || "#9ca3af",
                       }}
                     />
-                    {p.label} @ ({p.x.toFixed(1)}, {p.y.toFixed(1)})
+                    {isRegression ? formatValue(p.value) : p.label} @ (
+                    {p.x.toFixed(1)}, {p.y.toFixed(1)})
+                    {p.test && <span className="knn-test-tag">test</span>}
                     <button
                       className="knn-delete-btn"
                       onClick={() => handleDeletePoint(i)}
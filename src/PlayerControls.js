@@ -0,0 +1,60 @@
+import { PLAYER_SPEEDS } from "./usePlayer";
+
+/**
+ * Restart / step back / play-pause / step forward buttons, a speed
+ * setting and a frame counter for a `usePlayer` player.
+ */
+export default function PlayerControls({ player, frameCount }) {
+  const isLast = player.frame >= frameCount - 1;
+  return (
+    <div className="knn-button-row">
+      <button
+        className="knn-btn"
+        onClick={() => player.seek(0)}
+        title="Restart (Home)"
+      >
+        ⏮
+      </button>
+      <button
+        className="knn-btn"
+        disabled={player.frame === 0}
+        onClick={() => player.step(-1)}
+        title="Step back (←)"
+      >
+        ◀
+      </button>
+      <button
+        className="knn-btn knn-btn-active"
+        onClick={player.toggle}
+        title="Play/pause (Space)"
+      >
+        {player.playing ? "⏸ Pause" : "▶ Play"}
+      </button>
+      <button
+        className="knn-btn"
+        disabled={isLast}
+        onClick={() => player.step(1)}
+        title="Step forward (→)"
+      >
+        ▶
+      </button>
+      <label>
+        Speed:
+        <select
+          className="knn-select"
+          value={player.speed}
+          onChange={(e) => player.setSpeed(Number(e.target.value))}
+        >
+          {PLAYER_SPEEDS.map((s) => (
+            <option key={s} value={s}>
+              {s}×
+            </option>
+          ))}
+        </select>
+      </label>
+      <span className="knn-hint">
+        Step {player.frame + 1} of {frameCount}
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import { useMemo } from "react";
+import { plotCoords } from "./editing";
+import useBoundary, { boundaryImageUrl } from "./useBoundary";
+
+const PREVIEW_RESOLUTION = 60;
+
+/**
+ * A small plot of one model: its decision regions, the training points and
+ * the query's neighbors. `options` are the model options; `paint` is passed
+ * to `boundaryPixels`. `removed` points (not part of the model) are drawn
+ * as hollow rings. With `onHover`, moving the pointer over the plot
+ * reports its position in plot coordinates (null when it leaves).
+ */
+export default function PreviewPlot({
+  title,
+  mode,
+  points,
+  classNames,
+  options,
+  neighbors,
+  queryPoint,
+  paint,
+  pointColor,
+  removed = [],
+  onHover,
+}) {
+  const request = useMemo(
+    () =>
+      points.length > 0
+        ? {
+            mode,
+            points,
+            classNames,
+            options,
+            resolution: PREVIEW_RESOLUTION,
+            contours: false,
+            levels: [],
+          }
+        : null,
+    [mode, points, classNames, options]
+  );
+  const { result } = useBoundary(request);
+  const image = useMemo(
+    () => result && boundaryImageUrl(result, paint),
+    [result, paint]
+  );
+  const neighborIndexes = new Set(neighbors.map((n) => n.index));
+
+  return (
+    <div>
+      <div className="knn-preview-title">{title}</div>
+      <svg
+        viewBox="0 0 100 100"
+        className="knn-preview-svg"
+        onPointerMove={onHover && ((e) => onHover(plotCoords(e)))}
+        onPointerLeave={onHover && (() => onHover(null))}
+      >
+        {image && (
+          <image
+            href={image}
+            x="0"
+            y="0"
+            width="100"
+            height="100"
+            preserveAspectRatio="none"
+            style={{ imageRendering: "pixelated" }}
+          />
+        )}
+        {queryPoint &&
+          neighbors.map((n) => (
+            <line
+              key={n.index}
+              x1={queryPoint.x}
+              y1={100 - queryPoint.y}
+              x2={n.x}
+              y2={100 - n.y}
+              stroke="#22c55e"
+              strokeWidth="0.5"
+            />
+          ))}
+        {removed.map((p, i) => (
+          <circle
+            key={`removed-${i}`}
+            cx={p.x}
+            cy={100 - p.y}
+            r={1.5}
+            fill="none"
+            stroke={pointColor(p)}
+            strokeWidth="0.5"
+            opacity="0.8"
+          />
+        ))}
+        {points.map((p, i) => (
+          <circle
+            key={i}
+            cx={p.x}
+            cy={100 - p.y}
+            r={neighborIndexes.has(i) ? 2.6 : 1.8}
+            fill={pointColor(p)}
+            stroke={neighborIndexes.has(i) ? "#22c55e" : "none"}
+            strokeWidth="0.8"
+          />
+        ))}
+        {queryPoint && (
+          <circle
+            cx={queryPoint.x}
+            cy={100 - queryPoint.y}
+            r={2.6}
+            fill="#facc15"
+            stroke="#111827"
+            strokeWidth="0.6"
+          />
+        )}
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,271 @@
+import { useMemo, useState } from "react";
+import { distance, getNeighbors } from "./knn";
+import {
+  CONCENTRATION_DIMS,
+  distanceConcentration,
+  liftFeatures,
+  pairProjection,
+  pcaProjection,
+  pointsConcentration,
+  PROJECTION_VIEWS,
+} from "./projection";
+
+const CHART = {
+  width: 300,
+  height: 140,
+  left: 34,
+  right: 8,
+  top: 8,
+  bottom: 28,
+};
+
+/**
+ * High-dimensional data: picks the 2-D view of the features (two of them,
+ * or the first two principal components) and compares the true neighbors
+ * with the ones that merely look close in the view. The distance
+ * concentration chart shows why nearest neighbors get less meaningful as
+ * the dimension grows, with `points` (training points) marked at theirs.
+ * `neighbors` carry indexes into the full data set; `trainIndexes[i]` is
+ * that index for `points[i]`.
+ */
+export default function ProjectionPanel({
+  projection,
+  points,
+  trainIndexes,
+  queryPoint,
+  neighbors,
+  modelOptions,
+  onChange,
+}) {
+  const [showChart, setShowChart] = useState(false);
+  const names = projection ? projection.names : ["x", "y"];
+  const vectors = useMemo(
+    () => (projection ? points.map((p) => liftFeatures(projection, p)) : []),
+    [projection, points]
+  );
+
+  function changeView(view, pair = projection.pair || [0, 1]) {
+    const [i, j] = pair;
+    onChange(
+      view === "pca"
+        ? pcaProjection(vectors, names)
+        : pairProjection(vectors, names, i, j)
+    );
+  }
+
+  // Of the true k nearest neighbors, which are also the k closest on screen?
+  const onScreen = useMemo(() => {
+    if (!projection || !queryPoint || neighbors.length === 0) return null;
+    // Plain Euclidean distance on the plotted x and y.
+    // Matched by index, not position: distinct points can share a spot.
+    const screen = getNeighbors(queryPoint, points, neighbors.length);
+    const near = new Set(screen.map(({ index }) => trainIndexes[index]));
+    const shared = neighbors.filter((n) => near.has(n.index)).length;
+    return { shared, total: neighbors.length };
+  }, [projection, queryPoint, neighbors, points, trainIndexes]);
+
+  const curve = useMemo(
+    () => (showChart ? distanceConcentration(CONCENTRATION_DIMS) : []),
+    [showChart]
+  );
+  const ownRatio = useMemo(() => {
+    if (!showChart) return null;
+    const { metric, p, metricParams } = modelOptions;
+    return pointsConcentration(points, (a, b) =>
+      distance(a, b, metric, p, metricParams)
+    );
+  }, [showChart, points, modelOptions]);
+
+  // Log-scaled dimension axis, ratio from 0 to 1.
+  const plotW = CHART.width - CHART.left - CHART.right;
+  const plotH = CHART.height - CHART.top - CHART.bottom;
+  const maxDim = CONCENTRATION_DIMS[CONCENTRATION_DIMS.length - 1];
+  const sx = (d) => CHART.left + (Math.log(d) / Math.log(maxDim)) * plotW;
+  const sy = (r) => CHART.top + (1 - r) * plotH;
+  const dims = names.length;
+
+  return (
+    <div className="knn-card">
+      <div className="knn-card-title">High-dimensional view</div>
+
+      {!projection && (
+        <p className="knn-hint">
+          These points have two features, x and y. Import a file with more
+          feature columns (in Import / export data) to search neighbors in all
+          of them and view the data from any angle.
+        </p>
+      )}
+
+      {projection && (
+        <>
+          <p style={{ fontSize: 12 }}>
+            {dims} features: {names.join(", ")}. Neighbors and votes use all of
+            them; the plot shows one 2-D view.
+          </p>
+          <label>
+            View:
+            <select
+              className="knn-select"
+              value={projection.view}
+              onChange={(e) => changeView(e.target.value)}
+            >
+              {Object.entries(PROJECTION_VIEWS).map(([value, name]) => (
+                <option key={value} value={value}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {projection.view === "pair" &&
+            ["x", "y"].map((axis, a) => (
+              <label key={axis}>
+                {axis} axis:
+                <select
+                  className="knn-select"
+                  value={projection.pair[a]}
+                  onChange={(e) => {
+                    const pair = projection.pair.slice();
+                    pair[a] = Number(e.target.value);
+                    changeView("pair", pair);
+                  }}
+                >
+                  {names.map((name, i) => (
+                    <option key={name} value={i}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+
+          {projection.view === "pca" && projection.explained && (
+            <p style={{ fontSize: 12 }}>
+              The x axis (PC1) explains{" "}
+              <strong>{(projection.explained[0] * 100).toFixed(1)}%</strong> of
+              the variance, the y axis (PC2){" "}
+              <strong>{(projection.explained[1] * 100).toFixed(1)}%</strong>.
+            </p>
+          )}
+
+          {onScreen && (
+            <p style={{ fontSize: 12 }}>
+              <strong>
+                {onScreen.shared} of {onScreen.total}
+              </strong>{" "}
+              true nearest neighbors (ringed on the plot) are also among the{" "}
+              {onScreen.total} closest points on screen.
+              {onScreen.shared < onScreen.total &&
+                " The others only look far away: they differ little in the features this view hides."}
+            </p>
+          )}
+
+          <p className="knn-hint">
+            The query point and points added on the plot take the mean of every
+            feature the view hides, so the decision boundary is a slice through
+            the middle of the data. Moving a point changes only the features in
+            view. Axis weights, scaling and the Mahalanobis covariance apply to
+            2-D data only.
+          </p>
+        </>
+      )}
+
+      <label>
+        <input
+          type="checkbox"
+          className="knn-checkbox"
+          checked={showChart}
+          onChange={(e) => setShowChart(e.target.checked)}
+        />
+        Show how distances concentrate in high dimensions
+      </label>
+
+      {showChart && (
+        <>
+          <svg
+            className="knn-cv-chart"
+            viewBox={`0 0 ${CHART.width} ${CHART.height}`}
+          >
+            {[0, 0.5, 1].map((r) => (
+              <g key={r}>
+                <line
+                  x1={CHART.left}
+                  x2={CHART.width - CHART.right}
+                  y1={sy(r)}
+                  y2={sy(r)}
+                  stroke="#e5e7eb"
+                  strokeWidth="1"
+                />
+                <text
+                  x={CHART.left - 4}
+                  y={sy(r) + 3}
+                  textAnchor="end"
+                  className="knn-cv-tick"
+                >
+                  {r}
+                </text>
+              </g>
+            ))}
+            {CONCENTRATION_DIMS.map((d) => (
+              <text
+                key={d}
+                x={sx(d)}
+                y={CHART.height - CHART.bottom + 12}
+                textAnchor="middle"
+                className="knn-cv-tick"
+              >
+                {d}
+              </text>
+            ))}
+            <text
+              x={CHART.left + plotW / 2}
+              y={CHART.height - 2}
+              textAnchor="middle"
+              className="knn-cv-tick"
+            >
+              dimensions
+            </text>
+            <path
+              d={curve
+                .map(
+                  (c, i) =>
+                    `${i === 0 ? "M" : "L"}${sx(c.dim).toFixed(1)} ${sy(c.ratio).toFixed(1)}`
+                )
+                .join("")}
+              fill="none"
+              stroke="#2563eb"
+              strokeWidth="2"
+            />
+            {curve.map((c) => (
+              <circle
+                key={c.dim}
+                cx={sx(c.dim)}
+                cy={sy(c.ratio)}
+                r="2.5"
+                fill="#2563eb"
+              />
+            ))}
+            {ownRatio !== null && dims <= maxDim && (
+              <circle
+                cx={sx(dims)}
+                cy={sy(ownRatio)}
+                r="4"
+                fill="#f97316"
+                stroke="#111827"
+                strokeWidth="1"
+              />
+            )}
+          </svg>
+          <p className="knn-hint">
+            Nearest ÷ farthest distance from a query, for uniform random points
+            (blue)
+            {ownRatio !== null &&
+              ` and for these ${points.length} training points in ${dims} dimensions (orange, ${ownRatio.toFixed(2)})`}
+            . As it nears 1, every point is about equally far away and the
+            &quot;nearest&quot; neighbors stop being much nearer than the rest.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
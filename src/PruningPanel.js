@@ -0,0 +1,269 @@
+import { useMemo, useState } from "react";
+import { getNeighbors } from "./knn";
+import PreviewPlot from "./PreviewPlot";
+import {
+  LABELLED_METHODS,
+  PRUNING_METHODS,
+  PRUNING_REASONS,
+  prunePoints,
+  pruningCrossValidation,
+} from "./prototypes";
+
+// How close (viewBox units) the pointer must be to explain a point.
+const HOVER_RADIUS = 4;
+
+/**
+ * Prototype selection: prune the training `points` with Condensed NN,
+ * Edited NN or a subsample, and compare the decision regions, the memory
+ * (points stored) and the cross-validated score before and after. Hovering
+ * the pruned plot explains why the point under the pointer was kept or
+ * removed. `onApply(keep)` replaces the training points with the kept ones
+ * (`keep[i]` for `points[i]`).
+ */
+export default function PruningPanel({
+  mode,
+  points,
+  classes,
+  valueRange,
+  pointColor,
+  baseOptions,
+  formatValue,
+  onApply,
+}) {
+  const [show, setShow] = useState(false);
+  const [method, setMethod] = useState("cnn");
+  const [fraction, setFraction] = useState(0.3);
+  const [seed, setSeed] = useState(1);
+  const [hover, setHover] = useState(null);
+  const isRegression = mode === "regression";
+  const methods = Object.keys(PRUNING_METHODS).filter(
+    (m) => !isRegression || !LABELLED_METHODS.includes(m)
+  );
+  const active = methods.includes(method) ? method : methods[0];
+
+  // Edited NN votes over a fixed k, so everything here uses a fixed-k search.
+  const options = useMemo(
+    () => ({ ...baseOptions, neighborMode: "k" }),
+    [baseOptions]
+  );
+  const pruneOptions = useMemo(() => ({ fraction, seed }), [fraction, seed]);
+  const decisions = useMemo(
+    () => (show ? prunePoints(active, points, options, pruneOptions) : []),
+    [show, active, points, options, pruneOptions]
+  );
+  const kept = useMemo(
+    () => points.filter((_, i) => decisions[i] && decisions[i].kept),
+    [points, decisions]
+  );
+  const removed = useMemo(
+    () => points.filter((_, i) => decisions[i] && !decisions[i].kept),
+    [points, decisions]
+  );
+  const validation = useMemo(
+    () =>
+      show
+        ? pruningCrossValidation(points, mode, active, options, pruneOptions)
+        : null,
+    [show, points, mode, active, options, pruneOptions]
+  );
+
+  const reasonCounts = {};
+  decisions.forEach((d) => {
+    reasonCounts[d.reason] = (reasonCounts[d.reason] || 0) + 1;
+  });
+
+  const classNames = useMemo(() => classes.map((c) => c.name), [classes]);
+  const paint = useMemo(
+    () => ({
+      colors: classes.map((c) => c.color),
+      valueRange,
+      opacity: isRegression ? 0.45 : 0.22,
+    }),
+    [classes, valueRange, isRegression]
+  );
+
+  // The training point under the pointer, plainly by its plotted position.
+  let explained = null;
+  if (hover && points.length > 0) {
+    const [nearest] = getNeighbors(hover, points, 1);
+    if (nearest.dist <= HOVER_RADIUS) explained = decisions[nearest.index];
+  }
+
+  const scoreText = (score) => {
+    const value = isRegression ? score.rmse : score.accuracy;
+    if (!Number.isFinite(value)) return "no predictions";
+    return isRegression
+      ? `RMSE ${formatValue(value)}`
+      : `${(value * 100).toFixed(1)}% accuracy`;
+  };
+
+  return (
+    <div className="knn-card">
+      <div className="knn-card-title">Prune the training set</div>
+      <label>
+        <input
+          type="checkbox"
+          className="knn-checkbox"
+          checked={show}
+          onChange={(e) => setShow(e.target.checked)}
+        />
+        Show which points k-NN could do without
+      </label>
+
+      {show && points.length === 0 && (
+        <p className="knn-hint">Add training points to prune them.</p>
+      )}
+
+      {show && points.length > 0 && (
+        <>
+          {baseOptions.neighborMode !== "k" && (
+            <p className="knn-hint">
+              Pruning and these plots use a fixed k = {options.k} nearest
+              neighbors, whatever the Neighbors setting.
+            </p>
+          )}
+          <label>
+            Method:
+            <select
+              className="knn-select"
+              value={active}
+              onChange={(e) => setMethod(e.target.value)}
+            >
+              {methods.map((m) => (
+                <option key={m} value={m}>
+                  {PRUNING_METHODS[m]}
+                </option>
+              ))}
+            </select>
+          </label>
+          {isRegression && (
+            <p className="knn-hint">
+              Condensed NN, Edited NN and stratified sampling read class labels,
+              so they need classification.
+            </p>
+          )}
+
+          {(active === "random" || active === "stratified") && (
+            <label>
+              Keep: {Math.round(fraction * 100)}%
+              <input
+                type="range"
+                className="knn-slider"
+                min="0.05"
+                max="1"
+                step="0.05"
+                value={fraction}
+                onChange={(e) => setFraction(Number(e.target.value))}
+              />
+            </label>
+          )}
+          {active !== "enn" && (
+            <label>
+              Random seed:
+              <input
+                type="number"
+                className="knn-select"
+                value={seed}
+                onChange={(e) => setSeed(Number(e.target.value) || 0)}
+              />
+            </label>
+          )}
+
+          <p className="knn-hint">
+            {active === "cnn" &&
+              "Visits the points in a random order and keeps only those the points kept so far misclassify with 1-NN, until nothing changes. Interiors go; borders stay. That guarantees 1-NN only: with a larger k, a class thinned to a few points can be outvoted."}
+            {active === "enn" &&
+              `Removes every point its ${options.k} nearest neighbors outvote. Noise and overlap go; the boundary gets smoother, but most points stay.`}
+            {active === "random" &&
+              "Keeps a random share of the points, whatever their class."}
+            {active === "stratified" &&
+              "Keeps the same random share of every class, so class sizes keep their proportions."}
+          </p>
+
+          <div className="knn-preview-grid">
+            <PreviewPlot
+              title={`Before: ${points.length} points`}
+              mode={mode}
+              points={points}
+              classNames={classNames}
+              options={options}
+              neighbors={[]}
+              queryPoint={null}
+              paint={paint}
+              pointColor={pointColor}
+            />
+            <PreviewPlot
+              title={`After: ${kept.length} kept, ${removed.length} removed`}
+              mode={mode}
+              points={kept}
+              classNames={classNames}
+              options={options}
+              neighbors={[]}
+              queryPoint={null}
+              paint={paint}
+              pointColor={pointColor}
+              removed={removed}
+              onHover={setHover}
+            />
+          </div>
+          <p className="knn-hint">
+            {explained
+              ? `${explained.kept ? "Kept" : "Removed"}: ${explained.detail}`
+              : "Hollow rings are removed points. Hover the right plot to see why a point was kept or removed."}
+          </p>
+
+          <table className="knn-table">
+            <thead>
+              <tr>
+                <th>Decision</th>
+                <th>Reason</th>
+                <th>Points</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(PRUNING_REASONS)
+                .filter(([reason]) => reasonCounts[reason])
+                .map(([reason, text]) => (
+                  <tr key={reason}>
+                    <td>
+                      {decisions.find((d) => d.reason === reason).kept
+                        ? "Kept"
+                        : "Removed"}
+                    </td>
+                    <td>{text}</td>
+                    <td>{reasonCounts[reason]}</td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+
+          <p style={{ fontSize: 12 }}>
+            Stored points: <strong>{points.length}</strong> →{" "}
+            <strong>{kept.length}</strong> (
+            {Math.round((100 * kept.length) / points.length)}% of the memory and
+            of the distances per query).
+          </p>
+          {validation && (
+            <p style={{ fontSize: 12 }}>
+              {validation.folds}-fold cross-validation:{" "}
+              <strong>{scoreText(validation.full)}</strong> with all{" "}
+              {Math.round(validation.full.trainSize)} training points per fold,{" "}
+              <strong>{scoreText(validation.pruned)}</strong> with the{" "}
+              {Math.round(validation.pruned.trainSize)} kept.
+            </p>
+          )}
+
+          <div className="knn-button-row">
+            <button
+              className="knn-btn"
+              disabled={removed.length === 0}
+              onClick={() => onApply(decisions.map((d) => d.kept))}
+            >
+              Remove the {removed.length} pruned points
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import { useMemo, useState } from "react";
+import { createKnn, createKnnRegressor } from "./knn";
+import PreviewPlot from "./PreviewPlot";
+import { SCALINGS } from "./scaling";
+
+/**
+ * Side-by-side preview of the training data without scaling (raw units)
+ * and with a chosen scaling: decision regions and the query's neighbors.
+ * `optionsFor(kind)` returns the model options for a scaling kind.
+ */
+export default function ScalingPreviewPanel({
+  mode,
+  points,
+  queryPoint,
+  classes,
+  valueRange,
+  pointColor,
+  optionsFor,
+  scaling,
+}) {
+  const [show, setShow] = useState(false);
+  const [compared, setCompared] = useState(
+    scaling !== "none" ? scaling : "zscore"
+  );
+  const isRegression = mode === "regression";
+
+  const variants = useMemo(() => {
+    if (!show) return [];
+    return ["none", compared].map((kind) => {
+      const options = optionsFor(kind);
+      const model = isRegression
+        ? createKnnRegressor(options).fit(points)
+        : createKnn(options).fit(points);
+      return {
+        kind,
+        options,
+        neighbors: queryPoint ? model.kneighbors(queryPoint) : [],
+      };
+    });
+  }, [show, compared, optionsFor, isRegression, points, queryPoint]);
+
+  const classNames = useMemo(() => classes.map((c) => c.name), [classes]);
+  const paint = useMemo(
+    () => ({
+      colors: classes.map((c) => c.color),
+      valueRange,
+      opacity: isRegression ? 0.45 : 0.22,
+    }),
+    [classes, valueRange, isRegression]
+  );
+
+  let shared = 0;
+  if (variants.length === 2) {
+    const raw = new Set(variants[0].neighbors.map((n) => n.index));
+    shared = variants[1].neighbors.filter((n) => raw.has(n.index)).length;
+  }
+
+  return (
+    <div className="knn-card">
+      <div className="knn-card-title">Scaling preview</div>
+      <label>
+        <input
+          type="checkbox"
+          className="knn-checkbox"
+          checked={show}
+          onChange={(e) => setShow(e.target.checked)}
+        />
+        Compare raw units with a scaling side by side
+      </label>
+
+      {show && (
+        <>
+          <label>
+            Scaling:
+            <select
+              className="knn-select"
+              value={compared}
+              onChange={(e) => setCompared(e.target.value)}
+            >
+              {Object.entries(SCALINGS)
+                .filter(([value]) => value !== "none")
+                .map(([value, name]) => (
+                  <option key={value} value={value}>
+                    {name}
+                  </option>
+                ))}
+            </select>
+          </label>
+
+          <div className="knn-preview-grid">
+            {variants.map((v) => (
+              <PreviewPlot
+                key={v.kind}
+                title={SCALINGS[v.kind]}
+                mode={mode}
+                points={points}
+                classNames={classNames}
+                options={v.options}
+                neighbors={v.neighbors}
+                queryPoint={queryPoint}
+                paint={paint}
+                pointColor={pointColor}
+              />
+            ))}
+          </div>
+
+          <p className="knn-hint">
+            {queryPoint && variants.length === 2
+              ? `${shared} of ${variants[1].neighbors.length} nearest neighbors are the same in both views.`
+              : "Place a query point to compare its neighbors."}{" "}
+            Both plots use the current metric, k and weights; only the scaling
+            differs.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import { useState } from "react";
+
+/**
+ * Train/test split card: a seeded random split or a reset to all-training.
+ * Calls `onSplit(fraction, seed)` and `onClear()`.
+ */
+export default function SplitPanel({
+  trainCount,
+  testCount,
+  onSplit,
+  onClear,
+}) {
+  const [fraction, setFraction] = useState(0.3);
+  const [seed, setSeed] = useState(1);
+
+  return (
+    <div className="knn-card">
+      <div className="knn-card-title">Train/test split</div>
+
+      <p className="knn-hint" style={{ marginTop: 0 }}>
+        {trainCount} training · {testCount} test points. Test points are drawn
+        as squares and never vote.
+      </p>
+
+      <label>
+        Test share: {Math.round(fraction * 100)}%
+        <input
+          type="range"
+          className="knn-slider"
+          min="0.1"
+          max="0.5"
+          step="0.05"
+          value={fraction}
+          onChange={(e) => setFraction(Number(e.target.value))}
+        />
+      </label>
+
+      <label>
+        Random seed:
+        <input
+          type="number"
+          className="knn-select"
+          value={seed}
+          onChange={(e) => setSeed(Number(e.target.value) || 0)}
+        />
+      </label>
+
+      <div className="knn-button-row">
+        <button
+          className="knn-btn"
+          disabled={trainCount + testCount < 2}
+          onClick={() => onSplit(fraction, seed)}
+        >
+          Random split
+        </button>
+        <button
+          className="knn-btn"
+          disabled={testCount === 0}
+          onClick={onClear}
+        >
+          All training
+        </button>
+      </div>
+      <p className="knn-hint" style={{ marginTop: 6 }}>
+        To pick test points by hand, click them with the Test tool or select
+        several and use “Mark as test”.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,359 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { computeBoundary } from "./boundary";
+import { downloadText, downloadUrl } from "./download";
+import { encodeGif } from "./gif";
+import PlayerControls from "./PlayerControls";
+import PreviewPlot from "./PreviewPlot";
+import {
+  contactSheet,
+  frameRaster,
+  sweepErrors,
+  sweepFrames,
+  SWEEPS,
+} from "./sweep";
+import { pixelsImageUrl } from "./useBoundary";
+import usePlayer, { FRAME_MS } from "./usePlayer";
+
+const EXPORT_SIZE = 240;
+const EXPORT_RESOLUTION = 60;
+
+const CHART = {
+  width: 300,
+  height: 130,
+  left: 34,
+  right: 8,
+  top: 8,
+  bottom: 24,
+};
+
+function frameLabel(frame) {
+  if (frame.k !== undefined) return `k = ${frame.k}`;
+  return frame.p === Infinity ? "p = ∞ (Chebyshev)" : `p = ${frame.p}`;
+}
+
+/**
+ * Bias–variance sweep: animates k from 1 to the number of training points
+ * (or Minkowski p from 1 to ∞ at the current k), redrawing the decision
+ * boundary each frame next to a chart of the training and test error. The
+ * sweep can be exported as an animated GIF or as a single PNG sheet of
+ * every frame, in reading order.
+ */
+export default function SweepPanel({
+  mode,
+  points,
+  testPoints,
+  classes,
+  valueRange,
+  pointColor,
+  baseOptions,
+}) {
+  const [show, setShow] = useState(false);
+  const [kind, setKind] = useState("k");
+  const [exporting, setExporting] = useState(null);
+  const exportRef = useRef(null);
+  const isRegression = mode === "regression";
+
+  const frames = useMemo(
+    () => (show ? sweepFrames(kind, points.length) : []),
+    [show, kind, points.length]
+  );
+  const player = usePlayer(frames.length);
+  const frame = frames[player.frame];
+
+  const options = useMemo(
+    () => frame && { ...baseOptions, ...frame },
+    [frame, baseOptions]
+  );
+
+  const errors = useMemo(
+    () =>
+      frames.length > 0
+        ? sweepErrors(points, testPoints, frames, baseOptions, mode)
+        : [],
+    [frames, points, testPoints, baseOptions, mode]
+  );
+
+  const classNames = useMemo(() => classes.map((c) => c.name), [classes]);
+  const paint = useMemo(
+    () => ({
+      colors: classes.map((c) => c.color),
+      valueRange,
+      opacity: isRegression ? 0.45 : 0.22,
+    }),
+    [classes, valueRange, isRegression]
+  );
+
+  // Stop a running export when the card goes away.
+  useEffect(
+    () => () => {
+      exportRef.current = null;
+    },
+    []
+  );
+
+  function startExport(format) {
+    const job = { rasters: [], index: 0 };
+    exportRef.current = job;
+    setExporting({ format, done: 0 });
+
+    // One frame per tick, so the page stays responsive.
+    const tick = () => {
+      if (exportRef.current !== job) return;
+      const i = job.index;
+      const result = computeBoundary({
+        mode,
+        points,
+        classNames,
+        options: { ...baseOptions, ...frames[i] },
+        resolution: EXPORT_RESOLUTION,
+        contours: false,
+        levels: [],
+      });
+      const pixels = frameRaster(
+        result,
+        paint,
+        points,
+        pointColor,
+        EXPORT_SIZE,
+        frames.length > 1 ? i / (frames.length - 1) : 1
+      );
+      job.rasters.push(pixels);
+      job.index++;
+
+      if (job.index < frames.length) {
+        setExporting({ format, done: job.index });
+        setTimeout(tick, 0);
+        return;
+      }
+      if (format === "gif") {
+        const gif = encodeGif(job.rasters, EXPORT_SIZE, EXPORT_SIZE, {
+          delay: FRAME_MS / player.speed,
+        });
+        downloadText(`knn-sweep-${kind}.gif`, gif, "image/gif");
+      } else {
+        // One file for every frame: browsers block a burst of downloads.
+        const sheet = contactSheet(job.rasters, EXPORT_SIZE);
+        const url = pixelsImageUrl(sheet.pixels, sheet.width, sheet.height);
+        if (url) downloadUrl(`knn-sweep-${kind}-frames.png`, url);
+      }
+      exportRef.current = null;
+      setExporting(null);
+    };
+    tick();
+  }
+
+  function cancelExport() {
+    exportRef.current = null;
+    setExporting(null);
+  }
+
+  // Chart scales: frames are evenly spaced along x.
+  const values = errors
+    .flatMap((e) => [e.train, e.test])
+    .filter(Number.isFinite);
+  const top = Math.max(0, ...values);
+  const yMax = isRegression
+    ? top * 1.1 || 1
+    : Math.min(1, Math.ceil(top * 10) / 10) || 0.1;
+  const plotW = CHART.width - CHART.left - CHART.right;
+  const plotH = CHART.height - CHART.top - CHART.bottom;
+  const sx = (i) =>
+    CHART.left + (frames.length > 1 ? (i / (frames.length - 1)) * plotW : 0);
+  const sy = (v) => CHART.top + (1 - v / yMax) * plotH;
+  const curve = (key) =>
+    errors
+      .map((e, i) => [i, e[key]])
+      .filter(([, v]) => Number.isFinite(v))
+      .map(
+        ([i, v], j) =>
+          `${j === 0 ? "M" : "L"}${sx(i).toFixed(1)} ${sy(v).toFixed(1)}`
+      )
+      .join("");
+  const formatTick = (v) =>
+    isRegression ? v.toFixed(v >= 10 ? 0 : 1) : `${Math.round(v * 100)}%`;
+  const hasTest = errors.some((e) => e.test !== null);
+  const current = errors[player.frame];
+
+  return (
+    <div className="knn-card">
+      <div className="knn-card-title">Bias–variance sweep</div>
+      <label>
+        <input
+          type="checkbox"
+          className="knn-checkbox"
+          checked={show}
+          onChange={(e) => setShow(e.target.checked)}
+        />
+        Animate the boundary over a range of settings
+      </label>
+
+      {show && points.length === 0 && (
+        <p className="knn-hint">Add training points to run a sweep.</p>
+      )}
+
+      {show && frame && (
+        <>
+          <label>
+            Sweep:
+            <select
+              className="knn-select"
+              value={kind}
+              onChange={(e) => {
+                setKind(e.target.value);
+                player.seek(0);
+              }}
+            >
+              {Object.entries(SWEEPS).map(([value, name]) => (
+                <option key={value} value={value}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {baseOptions.neighborMode !== "k" && (
+            <p className="knn-hint">
+              Sweeps search a fixed k nearest neighbors; the Neighbors setting
+              applies to the main plot only.
+            </p>
+          )}
+
+          <PlayerControls player={player} frameCount={frames.length} />
+          <input
+            type="range"
+            className="knn-slider"
+            min="0"
+            max={frames.length - 1}
+            value={player.frame}
+            onChange={(e) => player.seek(Number(e.target.value))}
+          />
+
+          <div className="knn-preview-grid">
+            <PreviewPlot
+              title={
+                kind === "p"
+                  ? `${frameLabel(frame)}, k = ${Math.min(baseOptions.k, points.length)}`
+                  : frameLabel(frame)
+              }
+              mode={mode}
+              points={points}
+              classNames={classNames}
+              options={options}
+              neighbors={[]}
+              queryPoint={null}
+              paint={paint}
+              pointColor={pointColor}
+            />
+            <div>
+              <div className="knn-preview-title">
+                {isRegression ? "RMSE" : "Error rate"}
+              </div>
+              <svg
+                className="knn-cv-chart"
+                viewBox={`0 0 ${CHART.width} ${CHART.height}`}
+              >
+                {[0, 0.5, 1].map((t) => (
+                  <g key={t}>
+                    <line
+                      x1={CHART.left}
+                      x2={CHART.width - CHART.right}
+                      y1={sy(t * yMax)}
+                      y2={sy(t * yMax)}
+                      stroke="#e5e7eb"
+                      strokeWidth="1"
+                    />
+                    <text
+                      x={CHART.left - 4}
+                      y={sy(t * yMax) + 3}
+                      textAnchor="end"
+                      className="knn-cv-tick"
+                    >
+                      {formatTick(t * yMax)}
+                    </text>
+                  </g>
+                ))}
+                {[0, frames.length - 1].map((i) => (
+                  <text
+                    key={i}
+                    x={sx(i)}
+                    y={CHART.height - CHART.bottom + 12}
+                    textAnchor="middle"
+                    className="knn-cv-tick"
+                  >
+                    {frameLabel(frames[i])}
+                  </text>
+                ))}
+                <line
+                  x1={sx(player.frame)}
+                  x2={sx(player.frame)}
+                  y1={CHART.top}
+                  y2={CHART.top + plotH}
+                  stroke="#111827"
+                  strokeDasharray="3 3"
+                  strokeWidth="1"
+                />
+                <path
+                  d={curve("train")}
+                  fill="none"
+                  stroke="#2563eb"
+                  strokeWidth="2"
+                />
+                {hasTest && (
+                  <path
+                    d={curve("test")}
+                    fill="none"
+                    stroke="#f97316"
+                    strokeWidth="2"
+                    strokeDasharray="4 2"
+                  />
+                )}
+              </svg>
+              <ul className="knn-legend-list">
+                <li>
+                  <span
+                    className="knn-label-dot"
+                    style={{ background: "#2563eb" }}
+                  />
+                  Training: {current ? formatTick(current.train ?? 0) : "–"}
+                </li>
+                {hasTest && (
+                  <li>
+                    <span
+                      className="knn-label-dot"
+                      style={{ background: "#f97316" }}
+                    />
+                    Test: {current ? formatTick(current.test ?? 0) : "–"}
+                  </li>
+                )}
+              </ul>
+            </div>
+          </div>
+
+          <p className="knn-hint">
+            Training error is measured on the training points themselves, so it
+            is 0 at k = 1: a jagged boundary that fits every point (high
+            variance). As k grows the boundary smooths out until it predicts the
+            same everywhere (high bias).
+          </p>
+
+          <div className="knn-button-row">
+            {exporting ? (
+              <button className="knn-btn" onClick={cancelExport}>
+                Cancel export ({exporting.done} of {frames.length})
+              </button>
+            ) : (
+              <>
+                <button className="knn-btn" onClick={() => startExport("gif")}>
+                  Export GIF
+                </button>
+                <button className="knn-btn" onClick={() => startExport("png")}>
+                  Export frame sheet (PNG)
+                </button>
+              </>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
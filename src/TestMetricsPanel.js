@@ -0,0 +1,167 @@
+import { useMemo } from "react";
+import { classificationReport, regressionReport } from "./evaluation";
+
+const percent = (v) => `${(v * 100).toFixed(1)}%`;
+
+/**
+ * Scores on the test points: accuracy, a confusion matrix and per-class
+ * precision/recall/F1 (classification) or RMSE/MAE/R² (regression).
+ * `results` holds `{ index, predicted }` for every test point.
+ */
+export default function TestMetricsPanel({
+  mode,
+  points,
+  results,
+  classes,
+  labelColors,
+  formatValue,
+}) {
+  const isRegression = mode === "regression";
+
+  const report = useMemo(() => {
+    if (!results || results.length === 0) return null;
+    const actual = results.map(({ index }) =>
+      isRegression ? points[index].value : points[index].label
+    );
+    const predicted = results.map((r) => r.predicted);
+    return isRegression
+      ? regressionReport(actual, predicted)
+      : classificationReport(
+          actual,
+          predicted,
+          classes.map((c) => c.name)
+        );
+  }, [results, points, classes, isRegression]);
+
+  return (
+    <div className="knn-card">
+      <div className="knn-card-title">Test set metrics</div>
+
+      {!report && (
+        <p className="knn-hint">
+          Mark some points as test points to see how the model does on data it
+          has not seen.
+        </p>
+      )}
+
+      {report && isRegression && (
+        <ul className="knn-legend-list">
+          <li>
+            Test points with a target: <strong>{report.count}</strong>
+          </li>
+          <li>
+            RMSE:{" "}
+            <strong>
+              {report.rmse === null ? "–" : formatValue(report.rmse)}
+            </strong>
+          </li>
+          <li>
+            MAE:{" "}
+            <strong>
+              {report.mae === null ? "–" : formatValue(report.mae)}
+            </strong>
+          </li>
+          <li>
+            R²:{" "}
+            <strong>{report.r2 === null ? "–" : report.r2.toFixed(3)}</strong>
+          </li>
+        </ul>
+      )}
+
+      {report && !isRegression && (
+        <>
+          <p style={{ fontSize: 13, margin: "0 0 8px" }}>
+            Accuracy:{" "}
+            <strong>
+              {percent(report.accuracy)} (
+              {Math.round(report.accuracy * report.count)} of {report.count}{" "}
+              correct)
+            </strong>
+          </p>
+
+          <div className="knn-metrics-caption">
+            Confusion matrix (rows: actual, columns: predicted)
+          </div>
+          <table className="knn-table knn-confusion">
+            <thead>
+              <tr>
+                <th />
+                {classes.map((c) => (
+                  <th key={c.name}>
+                    <span
+                      className="knn-label-dot"
+                      style={{ background: labelColors[c.name] }}
+                    />
+                    {c.name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {classes.map((c, i) => (
+                <tr key={c.name}>
+                  <th>
+                    <span
+                      className="knn-label-dot"
+                      style={{ background: labelColors[c.name] }}
+                    />
+                    {c.name}
+                  </th>
+                  {report.matrix[i].map((count, j) => (
+                    <td
+                      key={j}
+                      className={
+                        count === 0
+                          ? "knn-confusion-zero"
+                          : i === j
+                            ? "knn-confusion-hit"
+                            : "knn-confusion-miss"
+                      }
+                    >
+                      {count}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <table className="knn-table">
+            <thead>
+              <tr>
+                <th>Class</th>
+                <th>Precision</th>
+                <th>Recall</th>
+                <th>F1</th>
+                <th>Support</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.perClass.map((c) => (
+                <tr key={c.label}>
+                  <td>{c.label}</td>
+                  <td>{c.precision.toFixed(2)}</td>
+                  <td>{c.support ? c.recall.toFixed(2) : "–"}</td>
+                  <td>{c.support ? c.f1.toFixed(2) : "–"}</td>
+                  <td>{c.support}</td>
+                </tr>
+              ))}
+              <tr>
+                <td>
+                  <em>Macro average</em>
+                </td>
+                <td>{report.macro.precision.toFixed(2)}</td>
+                <td>{report.macro.recall.toFixed(2)}</td>
+                <td>{report.macro.f1.toFixed(2)}</td>
+                <td>{report.count}</td>
+              </tr>
+            </tbody>
+          </table>
+          <p className="knn-hint" style={{ marginTop: 6 }}>
+            Misclassified test points have a red outline on the plot.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import { metricBallPath } from "./metrics";
+import { isSorted, MAX_STAGE_FRAMES } from "./walkthrough";
+
+// With more points than this, only the newest distance lines are labelled.
+const LABEL_LIMIT = 30;
+
+function DistanceLabel({ query, point, text }) {
+  return (
+    <text
+      x={(query.x + point.x) / 2}
+      y={100 - (query.y + point.y) / 2}
+      fontSize="2.4"
+      textAnchor="middle"
+      dominantBaseline="central"
+      fill="#111827"
+      stroke="#ffffff"
+      strokeWidth="0.6"
+      paintOrder="stroke"
+    >
+      {text}
+    </text>
+  );
+}
+
+/**
+ * The walkthrough drawn on the plot (see `walkthroughFrames` for `frame`):
+ * distance lines with their values, the ranking, a ball growing to the
+ * k-th neighbor under the current metric and the tallied neighbors.
+ */
+export default function WalkthroughOverlay({
+  walkthrough,
+  frame,
+  metric,
+  p,
+  metricParams,
+  formatDistance,
+}) {
+  const { query, ranked, order, k, radius } = walkthrough;
+  const { stage, shown } = frame;
+  const neighbors = ranked.slice(0, k);
+  const reach = stage === "radius" ? radius * shown : radius;
+
+  let lines;
+  let labelled;
+  if (stage === "distances") {
+    lines = order.slice(0, shown);
+    const batch = Math.ceil(order.length / MAX_STAGE_FRAMES);
+    labelled =
+      order.length <= LABEL_LIMIT
+        ? lines
+        : lines.slice(Math.max(0, shown - batch));
+  } else if (stage === "sorting") {
+    lines = ranked;
+    labelled = ranked.length <= LABEL_LIMIT ? ranked : neighbors;
+  } else {
+    lines = neighbors.filter((n) => n.dist <= reach);
+    labelled = lines;
+  }
+  // Once sorted, the k nearest lines turn green.
+  const sorted = isSorted(frame);
+  const rankOf = new Map(ranked.map((n, rank) => [n.index, rank]));
+  const isNeighbor = (n) => sorted && rankOf.get(n.index) < k;
+
+  return (
+    <g pointerEvents="none">
+      {stage !== "distances" && stage !== "sorting" && (
+        <path
+          d={metricBallPath(query, reach, metric, p, metricParams)}
+          fill="#22c55e"
+          fillOpacity="0.08"
+          stroke="#16a34a"
+          strokeWidth="0.6"
+          strokeDasharray="2 1"
+        />
+      )}
+      {lines.map((n) => (
+        <line
+          key={n.index}
+          x1={query.x}
+          y1={100 - query.y}
+          x2={n.x}
+          y2={100 - n.y}
+          stroke={isNeighbor(n) ? "#16a34a" : "#6b7280"}
+          strokeOpacity={isNeighbor(n) ? 0.9 : 0.45}
+          strokeWidth={isNeighbor(n) ? 0.6 : 0.3}
+        />
+      ))}
+      {labelled.map((n) => (
+        <DistanceLabel
+          key={n.index}
+          query={query}
+          point={n}
+          text={formatDistance(n.dist)}
+        />
+      ))}
+      {stage === "vote" &&
+        neighbors.slice(0, shown).map((n, rank) => (
+          <g key={n.index}>
+            <circle cx={n.x + 3.4} cy={100 - n.y - 3.4} r="2" fill="#16a34a" />
+            <text
+              x={n.x + 3.4}
+              y={100 - n.y - 3.4}
+              fontSize="2.4"
+              textAnchor="middle"
+              dominantBaseline="central"
+              fill="#ffffff"
+            >
+              {rank + 1}
+            </text>
+          </g>
+        ))}
+    </g>
+  );
+}
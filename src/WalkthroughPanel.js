@@ -0,0 +1,201 @@
+import { useEffect, useMemo } from "react";
+import { majorityLabel, meanValue } from "./knn";
+import PlayerControls from "./PlayerControls";
+import { FRAME_MS } from "./usePlayer";
+import { isSorted, listRows, WALKTHROUGH_STAGES } from "./walkthrough";
+
+const ROW_HEIGHT = 20;
+
+const stageNames = {
+  distances: "1. Distances",
+  sorting: "2. Sorting",
+  radius: "3. Neighbors",
+  vote: "4. Vote",
+};
+
+/**
+ * Player for the prediction walkthrough: play/pause/step controls, a speed
+ * setting, the distance list (animated into rank order) and the running
+ * vote tally or weighted mean. `player` comes from `usePlayer` over
+ * `frames`; the plot draws the same frame with `WalkthroughOverlay`.
+ *
+ * Keys while it is open: Space plays/pauses, ←/→ step, Home restarts.
+ */
+export default function WalkthroughPanel({
+  walkthrough,
+  frames,
+  player,
+  isRegression,
+  voteOptions,
+  labelColors,
+  colorForValue,
+  metricName,
+  formatValue,
+  formatDistance,
+}) {
+  const frame = frames[player.frame];
+  const { toggle, step, seek } = player;
+
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      // Controls keep their own keys (sliders use the arrows, buttons Space).
+      const within = (selector) =>
+        e.target instanceof Element && e.target.closest(selector);
+      if (within("input, select, textarea")) return;
+      if (e.key === " " && !within("button")) {
+        e.preventDefault();
+        toggle();
+      } else if (e.key === "ArrowRight") {
+        e.preventDefault();
+        step(1);
+      } else if (e.key === "ArrowLeft") {
+        e.preventDefault();
+        step(-1);
+      } else if (e.key === "Home") {
+        e.preventDefault();
+        seek(0);
+      }
+    }
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [toggle, step, seek]);
+
+  const rows = useMemo(
+    () => listRows(walkthrough, frame),
+    [walkthrough, frame]
+  );
+
+  const tallied = frame.stage === "vote" ? frame.shown : 0;
+  const tally = useMemo(() => {
+    const counted = walkthrough.ranked.slice(0, tallied);
+    if (counted.length === 0) return null;
+    return isRegression
+      ? meanValue(counted, voteOptions)
+      : majorityLabel(counted, voteOptions);
+  }, [walkthrough, tallied, isRegression, voteOptions]);
+
+  const { ranked, k, radius } = walkthrough;
+  const sorted = isSorted(frame);
+  const computed = frame.stage === "distances" ? frame.shown : ranked.length;
+  const isLast = player.frame === frames.length - 1;
+
+  let caption;
+  if (frame.stage === "distances") {
+    caption = `Computed ${frame.shown} of ${ranked.length} distances with ${metricName}.`;
+  } else if (frame.stage === "sorting") {
+    caption =
+      frame.shown === 0
+        ? "Every distance is known; the list is still in training order."
+        : k === 0
+          ? "Sorted from closest to farthest: none is close enough to be a neighbor."
+          : `Sorted from closest to farthest: the first ${k} are the neighbors.`;
+  } else if (frame.stage === "radius") {
+    const reach = radius * frame.shown;
+    const inside = ranked.filter((n) => n.dist <= reach).length;
+    caption = `Radius ${formatDistance(reach)} of ${formatDistance(radius)}: ${inside} ${inside === 1 ? "point" : "points"} inside.`;
+  } else if (isRegression) {
+    caption = tally
+      ? `Weighted mean of ${tallied} of ${k} neighbors: ${formatValue(tally.value)}.`
+      : "No neighbor has a target value.";
+  } else {
+    caption = `Counted ${tallied} of ${k} neighbors${
+      isLast ? `: the prediction is ${tally.label}.` : "."
+    }`;
+  }
+
+  const maxScore =
+    tally && !isRegression ? Math.max(...Object.values(tally.scores)) : 0;
+
+  return (
+    <div className="knn-walk">
+      <div className="knn-walk-stages">
+        {WALKTHROUGH_STAGES.map((stage) => (
+          <button
+            key={stage}
+            className={
+              frame.stage === stage
+                ? "knn-walk-stage knn-walk-stage-active"
+                : "knn-walk-stage"
+            }
+            onClick={() => seek(frames.findIndex((f) => f.stage === stage))}
+          >
+            {stageNames[stage]}
+          </button>
+        ))}
+      </div>
+
+      <PlayerControls player={player} frameCount={frames.length} />
+
+      <p className="knn-walk-caption">{caption}</p>
+
+      <div className="knn-walk-list">
+        <div style={{ position: "relative", height: rows.size * ROW_HEIGHT }}>
+          {sorted && (
+            <div
+              className="knn-walk-cutoff"
+              style={{ top: k * ROW_HEIGHT - 1 }}
+            />
+          )}
+          {ranked.map((n, rank) => {
+            const row = rows.get(n.index);
+            const known = frame.stage !== "distances" || row < computed;
+            const isNeighbor = sorted && rank < k;
+            return (
+              <div
+                key={n.index}
+                className={
+                  isNeighbor
+                    ? "knn-walk-row knn-walk-row-neighbor"
+                    : "knn-walk-row"
+                }
+                style={{
+                  top: row * ROW_HEIGHT,
+                  height: ROW_HEIGHT,
+                  transitionDuration: `${FRAME_MS / player.speed}ms`,
+                }}
+              >
+                <span className="knn-walk-rank">
+                  {sorted ? `#${rank + 1}` : `p${n.index + 1}`}
+                </span>
+                <span
+                  className="knn-walk-swatch"
+                  style={{
+                    background: isRegression
+                      ? colorForValue(n.value)
+                      : labelColors[n.label] || "#7f8c8d",
+                  }}
+                />
+                <span>{isRegression ? formatValue(n.value) : n.label}</span>
+                <span className="knn-walk-dist">
+                  {known ? formatDistance(n.dist) : "…"}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {tally && !isRegression && (
+        <div className="knn-walk-tally">
+          {Object.keys(tally.scores).map((label) => (
+            <div key={label} className="knn-bar-row">
+              <span className="knn-bar-label">{label}</span>
+              <div className="knn-bar">
+                <div
+                  style={{
+                    width: `${maxScore > 0 ? (tally.scores[label] / maxScore) * 100 : 0}%`,
+                    background: labelColors[label] || "#7f8c8d",
+                  }}
+                />
+              </div>
+              <span className="knn-bar-value">
+                {tally.counts[label]} · {formatDistance(tally.scores[label])}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
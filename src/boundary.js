@@ -0,0 +1,325 @@
+// Decision boundary rasterization. The plot is sampled on a `resolution` ×
+// `resolution` grid (one sample per cell center) and painted as an image,
+// optionally with contour lines traced between the samples. Everything here
+// is plain data in, typed arrays out, so it can run inside a Web Worker.
+
+import { hexToRgb, valueToColor } from "./colorScale";
+import { createKnn, createKnnRegressor, normalizeScores } from "./knn";
+
+export const BOUNDARY_RESOLUTIONS = {
+  30: "Coarse (30 × 30)",
+  60: "Medium (60 × 60)",
+  120: "Fine (120 × 120)",
+  240: "Very fine (240 × 240)",
+  pixel: "Pixel (screen resolution)",
+};
+
+export const MAX_RESOLUTION = 600;
+
+// How classification cells are tinted (see `boundaryPixels`).
+export const BOUNDARY_SHADINGS = {
+  flat: "Flat (predicted class)",
+  confidence: "Confidence",
+  uncertainty: "Ties and low margins",
+};
+
+// Tints of the "uncertainty" shading.
+export const UNCERTAINTY_COLORS = { tie: "#dc2626", lowMargin: "#f59e0b" };
+
+// Sample rows computed per step, so a worker can yield between steps.
+const ROWS_PER_STEP = 8;
+
+/**
+ * Start a boundary computation. `request` is
+ * `{ mode, points, classNames, options, resolution, contours, levels }`
+ * where `options` are the model options (`k`, `metric`, `p`, `weights`, …)
+ * and `levels` are the iso-values traced in regression mode.
+ *
+ * Returns `{ step(), result }`: every `step()` fills a few more rows and
+ * returns true once the grid (and its contours) are complete.
+ *
+ * Classification results also hold, per cell, the winning class's
+ * probability (`confidence`) and its lead over the runner-up (`margin`, 0
+ * for a tie). Probabilities are the normalized weighted scores, i.e. vote
+ * fractions with uniform weights.
+ */
+export function createBoundaryJob(request) {
+  const { mode, points, classNames = [], options, contours } = request;
+  const resolution = Math.max(
+    2,
+    Math.min(MAX_RESOLUTION, Math.floor(request.resolution) || 30)
+  );
+  const isRegression = mode === "regression";
+  const cellCount = resolution * resolution;
+  const classIndex = new Map(classNames.map((name, i) => [name, i]));
+
+  const model = isRegression
+    ? createKnnRegressor(options).fit(points)
+    : createKnn(options).fit(points);
+
+  // One margin field per class except the last: P(class) minus the best
+  // other class, so each class region is where its field is above zero.
+  const marginCount = contours && !isRegression ? classNames.length - 1 : 0;
+  const margins = Array.from(
+    { length: marginCount },
+    () => new Float32Array(cellCount)
+  );
+
+  const result = {
+    mode,
+    resolution,
+    labels: isRegression ? null : new Int16Array(cellCount).fill(-1),
+    confidence: isRegression ? null : new Float32Array(cellCount).fill(NaN),
+    margin: isRegression ? null : new Float32Array(cellCount).fill(NaN),
+    values: isRegression ? new Float32Array(cellCount).fill(NaN) : null,
+    segments: null,
+  };
+
+  let row = 0;
+
+  function sampleRow(gy) {
+    const y = ((gy + 0.5) * 100) / resolution;
+    for (let gx = 0; gx < resolution; gx++) {
+      const query = { x: ((gx + 0.5) * 100) / resolution, y };
+      const cell = gy * resolution + gx;
+
+      if (isRegression) {
+        const value = model.predict(query);
+        if (value !== null) result.values[cell] = value;
+        continue;
+      }
+
+      const vote = model.vote(query);
+      if (!vote) continue;
+      result.labels[cell] = classIndex.has(vote.label)
+        ? classIndex.get(vote.label)
+        : -1;
+
+      const proba = normalizeScores(vote);
+      const top = proba[vote.label] || 0;
+      const runnerUp = Math.max(
+        0,
+        ...Object.keys(proba)
+          .filter((label) => label !== vote.label)
+          .map((label) => proba[label])
+      );
+      result.confidence[cell] = top;
+      result.margin[cell] = vote.tied.length > 1 ? 0 : top - runnerUp;
+      if (marginCount === 0) continue;
+
+      const scores = classNames.map((name) => proba[name] || 0);
+      margins.forEach((field, c) => {
+        const other = Math.max(...scores.filter((_, i) => i !== c));
+        field[cell] = scores[c] - other;
+      });
+    }
+  }
+
+  function step() {
+    if (row >= resolution) return true;
+    const end = Math.min(resolution, row + ROWS_PER_STEP);
+    for (; row < end; row++) sampleRow(row);
+    if (row < resolution) return false;
+
+    if (contours) {
+      const fields = isRegression
+        ? (request.levels || []).map((level) => [result.values, level])
+        : margins.map((field) => [field, 0]);
+      result.segments = concatSegments(
+        fields.map(([field, level]) =>
+          marchingSquares(field, resolution, level)
+        )
+      );
+    }
+    return true;
+  }
+
+  return { step, result };
+}
+
+/** Run a whole boundary computation synchronously. */
+export function computeBoundary(request) {
+  const job = createBoundaryJob(request);
+  while (!job.step());
+  return job.result;
+}
+
+function concatSegments(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const segments = new Float32Array(total);
+  let offset = 0;
+  parts.forEach((part) => {
+    segments.set(part, offset);
+    offset += part.length;
+  });
+  return segments;
+}
+
+/**
+ * Iso-lines of `field` (a `resolution` × `resolution` grid sampled at cell
+ * centers, row 0 at the bottom) at `level`, as a flat array of segments
+ * `[x1, y1, x2, y2, …]` in plot coordinates. Crossings are placed by linear
+ * interpolation, so lines follow the field smoothly rather than the cells.
+ * NaN samples never produce lines.
+ */
+export function marchingSquares(field, resolution, level) {
+  const out = [];
+  const cell = 100 / resolution;
+  const at = (gx, gy) => field[gy * resolution + gx];
+
+  // Point on the edge between two samples where the field crosses `level`.
+  const cross = (x1, y1, v1, x2, y2, v2) => {
+    const t = v1 === v2 ? 0.5 : (level - v1) / (v2 - v1);
+    return [
+      (x1 + (x2 - x1) * t + 0.5) * cell,
+      (y1 + (y2 - y1) * t + 0.5) * cell,
+    ];
+  };
+
+  for (let gy = 0; gy < resolution - 1; gy++) {
+    for (let gx = 0; gx < resolution - 1; gx++) {
+      const bl = at(gx, gy);
+      const br = at(gx + 1, gy);
+      const tr = at(gx + 1, gy + 1);
+      const tl = at(gx, gy + 1);
+      if ([bl, br, tr, tl].some(Number.isNaN)) continue;
+
+      const code =
+        (bl > level ? 1 : 0) |
+        (br > level ? 2 : 0) |
+        (tr > level ? 4 : 0) |
+        (tl > level ? 8 : 0);
+      if (code === 0 || code === 15) continue;
+
+      const bottom = () => cross(gx, gy, bl, gx + 1, gy, br);
+      const right = () => cross(gx + 1, gy, br, gx + 1, gy + 1, tr);
+      const top = () => cross(gx, gy + 1, tl, gx + 1, gy + 1, tr);
+      const left = () => cross(gx, gy, bl, gx, gy + 1, tl);
+      const push = (a, b) => out.push(a[0], a[1], b[0], b[1]);
+
+      switch (code) {
+        case 1:
+        case 14:
+          push(left(), bottom());
+          break;
+        case 2:
+        case 13:
+          push(bottom(), right());
+          break;
+        case 3:
+        case 12:
+          push(left(), right());
+          break;
+        case 4:
+        case 11:
+          push(top(), right());
+          break;
+        case 6:
+        case 9:
+          push(bottom(), top());
+          break;
+        case 7:
+        case 8:
+          push(left(), top());
+          break;
+        case 5:
+        case 10: {
+          // Saddle: the average of the corners decides which way it joins.
+          const centerAbove = (bl + br + tr + tl) / 4 > level;
+          if ((code === 5) === centerAbove) {
+            push(left(), top());
+            push(bottom(), right());
+          } else {
+            push(left(), bottom());
+            push(top(), right());
+          }
+          break;
+        }
+        default:
+      }
+    }
+  }
+  return new Float32Array(out);
+}
+
+const TIE_ALPHA = 150;
+const LOW_MARGIN_ALPHA = 140;
+
+/**
+ * RGBA pixels (row 0 at the top) for a finished boundary `result`.
+ * Classification uses `colors[classIndex]`, regression the value color
+ * scale over `valueRange`. `opacity` is baked into the alpha channel.
+ *
+ * `shading` changes how classification cells are tinted:
+ * - "flat": every cell at `opacity`.
+ * - "confidence": `opacity` scaled by how far the winning probability is
+ *   above chance (1 / number of classes), so contested cells fade out.
+ * - "uncertainty": ties in `UNCERTAINTY_COLORS.tie`, cells whose margin is
+ *   below `marginThreshold` in `UNCERTAINTY_COLORS.lowMargin` (stronger the
+ *   smaller the margin) and the rest in their class color at `opacity`.
+ */
+export function boundaryPixels(
+  result,
+  { colors = [], valueRange, opacity, shading = "flat", marginThreshold = 0.2 }
+) {
+  const { resolution, labels, values, confidence, margin } = result;
+  const pixels = new Uint8ClampedArray(resolution * resolution * 4);
+  const alpha = Math.round(opacity * 255);
+  const chance = colors.length > 1 ? 1 / colors.length : 0;
+  const shaded = labels && confidence && shading !== "flat";
+  const rgbCache = new Map();
+  const rgb = (hex) => {
+    if (!rgbCache.has(hex)) rgbCache.set(hex, hexToRgb(hex));
+    return rgbCache.get(hex);
+  };
+
+  for (let gy = 0; gy < resolution; gy++) {
+    const rowStart = (resolution - 1 - gy) * resolution;
+    for (let gx = 0; gx < resolution; gx++) {
+      const cell = gy * resolution + gx;
+      let color = null;
+      let cellAlpha = alpha;
+      if (labels && labels[cell] >= 0) {
+        color = colors[labels[cell]] || "#bdc3c7";
+      } else if (values && !Number.isNaN(values[cell])) {
+        color = valueToColor(values[cell], valueRange.min, valueRange.max);
+      }
+      if (!color) continue;
+
+      if (shaded && shading === "confidence") {
+        const t = (confidence[cell] - chance) / (1 - chance);
+        cellAlpha = Math.round(alpha * Math.max(0, Math.min(1, t)));
+      } else if (shaded && shading === "uncertainty") {
+        if (margin[cell] <= 0) {
+          color = UNCERTAINTY_COLORS.tie;
+          cellAlpha = TIE_ALPHA;
+        } else if (margin[cell] < marginThreshold) {
+          color = UNCERTAINTY_COLORS.lowMargin;
+          cellAlpha = Math.round(
+            LOW_MARGIN_ALPHA * (1 - margin[cell] / marginThreshold / 2)
+          );
+        }
+      }
+
+      const [r, g, b] = rgb(color);
+      const offset = (rowStart + gx) * 4;
+      pixels[offset] = r;
+      pixels[offset + 1] = g;
+      pixels[offset + 2] = b;
+      pixels[offset + 3] = cellAlpha;
+    }
+  }
+  return pixels;
+}
+
+/** SVG path data for a flat segment array (y flipped to SVG coordinates). */
+export function segmentsToPath(segments) {
+  const parts = [];
+  for (let i = 0; i < segments.length; i += 4) {
+    parts.push(
+      `M${segments[i].toFixed(2)} ${(100 - segments[i + 1]).toFixed(2)}` +
+        `L${segments[i + 2].toFixed(2)} ${(100 - segments[i + 3]).toFixed(2)}`
+    );
+  }
+  return parts.join("");
+}
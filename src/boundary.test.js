@@ -0,0 +1,169 @@
+import {
+  boundaryPixels,
+  computeBoundary,
+  createBoundaryJob,
+  marchingSquares,
+  segmentsToPath,
+  UNCERTAINTY_COLORS,
+} from "./boundary";
+import { createKnn, createKnnRegressor } from "./knn";
+
+const points = [
+  { x: 20, y: 20, label: "A", value: 0 },
+  { x: 25, y: 70, label: "A", value: 10 },
+  { x: 80, y: 30, label: "B", value: 90 },
+  { x: 75, y: 85, label: "B", value: 100 },
+];
+
+const request = {
+  mode: "classification",
+  points,
+  classNames: ["A", "B"],
+  options: { k: 3, metric: "manhattan" },
+  resolution: 10,
+  contours: true,
+};
+
+test("classification labels match the model at every cell center", () => {
+  const result = computeBoundary(request);
+  const model = createKnn(request.options).fit(points);
+  for (let gy = 0; gy < 10; gy++) {
+    for (let gx = 0; gx < 10; gx++) {
+      const label = model.predict({ x: gx * 10 + 5, y: gy * 10 + 5 });
+      expect(result.labels[gy * 10 + gx]).toBe(label === "A" ? 0 : 1);
+    }
+  }
+});
+
+test("regression values match the regressor", () => {
+  const result = computeBoundary({
+    ...request,
+    mode: "regression",
+    levels: [50],
+  });
+  const model = createKnnRegressor(request.options).fit(points);
+  expect(result.labels).toBeNull();
+  expect(result.values[0]).toBeCloseTo(model.predict({ x: 5, y: 5 }));
+  expect(result.values[99]).toBeCloseTo(model.predict({ x: 95, y: 95 }));
+  expect(result.segments.length).toBeGreaterThan(0);
+});
+
+test("jobs fill rows step by step", () => {
+  const job = createBoundaryJob({ ...request, resolution: 40 });
+  expect(job.step()).toBe(false);
+  expect(job.result.segments).toBeNull();
+  while (!job.step());
+  expect(job.result.labels.includes(-1)).toBe(false);
+  expect(job.result.segments.length).toBeGreaterThan(0);
+});
+
+test("contours separate the two class regions", () => {
+  const { segments } = computeBoundary({
+    ...request,
+    points: [
+      { x: 10, y: 50, label: "A" },
+      { x: 90, y: 50, label: "B" },
+    ],
+    options: { k: 1 },
+  });
+  // The boundary is the vertical line x = 50.
+  expect(segments.length).toBeGreaterThan(0);
+  for (let i = 0; i < segments.length; i += 2) {
+    expect(segments[i]).toBeCloseTo(50);
+  }
+});
+
+test("marchingSquares interpolates the crossing", () => {
+  // field = x index, so level 0.25 crosses a quarter of the way along.
+  const field = new Float32Array([0, 1, 0, 1]);
+  const segments = Array.from(marchingSquares(field, 2, 0.25));
+  expect(segments).toEqual([37.5, 25, 37.5, 75]);
+  expect(marchingSquares(new Float32Array(4).fill(NaN), 2, 0)).toHaveLength(0);
+});
+
+test("boundaryPixels flips rows and bakes in the opacity", () => {
+  const result = {
+    resolution: 2,
+    labels: new Int16Array([0, -1, 1, 1]),
+    values: null,
+  };
+  const pixels = boundaryPixels(result, {
+    colors: ["#ff0000", "#0000ff"],
+    opacity: 0.5,
+  });
+  // Top row (image row 0) holds grid row 1: two blue cells.
+  expect(Array.from(pixels.slice(0, 8))).toEqual([
+    0, 0, 255, 128, 0, 0, 255, 128,
+  ]);
+  // Bottom row: red, then transparent for the unlabeled cell.
+  expect(Array.from(pixels.slice(8))).toEqual([255, 0, 0, 128, 0, 0, 0, 0]);
+});
+
+test("classification cells carry the winning probability and margin", () => {
+  const result = computeBoundary(request);
+  const model = createKnn(request.options).fit(points);
+  const proba = model.predictProba({ x: 5, y: 5 });
+  const [top, second] = Object.values(proba).sort((a, b) => b - a);
+  expect(result.confidence[0]).toBeCloseTo(top);
+  expect(result.margin[0]).toBeCloseTo(top - second);
+  expect(computeBoundary({ ...request, mode: "regression" }).margin).toBeNull();
+
+  // Two equidistant neighbors of different classes tie everywhere.
+  const tied = computeBoundary({
+    ...request,
+    points: [
+      { x: 50, y: 0, label: "A" },
+      { x: 50, y: 0, label: "B" },
+    ],
+    options: { k: 2 },
+  });
+  expect(tied.margin.every((m) => m === 0)).toBe(true);
+  expect(tied.confidence[0]).toBeCloseTo(0.5);
+});
+
+test("confidence shading fades cells toward chance", () => {
+  const result = {
+    resolution: 2,
+    labels: new Int16Array([0, 0, 1, 1]),
+    confidence: new Float32Array([1, 0.75, 0.5, 0.25]),
+    margin: new Float32Array([1, 0.5, 0, 0]),
+    values: null,
+  };
+  const pixels = boundaryPixels(result, {
+    colors: ["#ff0000", "#0000ff"],
+    opacity: 1,
+    shading: "confidence",
+  });
+  // Bottom row: certain (opaque), then halfway between chance and certain.
+  expect(pixels[8 + 3]).toBe(255);
+  expect(pixels[12 + 3]).toBe(128);
+  // Top row: at and below chance both vanish.
+  expect(pixels[3]).toBe(0);
+  expect(pixels[7]).toBe(0);
+});
+
+test("uncertainty shading marks ties and low margins", () => {
+  const result = {
+    resolution: 2,
+    labels: new Int16Array([0, 0, 1, 1]),
+    confidence: new Float32Array([1, 0.55, 0.5, 0.5]),
+    margin: new Float32Array([1, 0.1, 0, 0]),
+    values: null,
+  };
+  const pixels = boundaryPixels(result, {
+    colors: ["#ff0000", "#0000ff"],
+    opacity: 0.5,
+    shading: "uncertainty",
+    marginThreshold: 0.2,
+  });
+  const colorAt = (offset) => Array.from(pixels.slice(offset, offset + 3));
+  expect(colorAt(8)).toEqual([255, 0, 0]);
+  expect(pixels[8 + 3]).toBe(128);
+  expect(colorAt(12)).toEqual([245, 158, 11]);
+  expect(colorAt(0)).toEqual([220, 38, 38]);
+  expect(UNCERTAINTY_COLORS.tie).toBe("#dc2626");
+});
+
+test("segmentsToPath flips y into SVG coordinates", () => {
+  expect(segmentsToPath([10, 20, 30, 40])).toBe("M10.00 80.00L30.00 60.00");
+});
@@ -0,0 +1,54 @@
+/* eslint-disable no-restricted-globals */
+// Web Worker that computes decision boundaries off the main thread.
+//
+// Messages in: `{ id, request }` (see `createBoundaryJob`). Messages out:
+// `{ id, result, final }`. Large grids first get a quick coarse preview.
+// Work is done a few rows at a time; when a newer request arrives the
+// current one is dropped at the next step, so a fast-moving k slider never
+// queues up stale grids.
+
+import { createBoundaryJob } from "./boundary";
+
+const PREVIEW_RESOLUTION = 60;
+
+let latestId = 0;
+
+function post(id, result, final) {
+  const buffers = [
+    result.labels,
+    result.confidence,
+    result.margin,
+    result.values,
+    result.segments,
+  ]
+    .filter(Boolean)
+    .map((array) => array.buffer);
+  self.postMessage({ id, result, final }, buffers);
+}
+
+function run(id, jobs) {
+  const [job, ...rest] = jobs;
+  if (id !== latestId) return;
+  if (!job.step()) {
+    setTimeout(() => run(id, jobs), 0);
+    return;
+  }
+  post(id, job.result, rest.length === 0);
+  if (rest.length > 0) setTimeout(() => run(id, rest), 0);
+}
+
+self.onmessage = (event) => {
+  const { id, request } = event.data;
+  latestId = id;
+  const jobs = [createBoundaryJob(request)];
+  if (request.resolution > PREVIEW_RESOLUTION) {
+    jobs.unshift(
+      createBoundaryJob({
+        ...request,
+        resolution: PREVIEW_RESOLUTION,
+        contours: false,
+      })
+    );
+  }
+  run(id, jobs);
+};
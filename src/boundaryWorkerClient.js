@@ -0,0 +1,8 @@
+// Kept in its own module because `import.meta` only works in the webpack
+// build.
+
+/** A new boundary worker, or null where Web Workers are unavailable. */
+export function createBoundaryWorker() {
+  if (typeof Worker === "undefined") return null;
+  return new Worker(new URL("./boundary.worker.js", import.meta.url));
+}
@@ -0,0 +1,124 @@
+// Class (label) set helpers. A class is `{ name, color }`; training points
+// refer to their class by `label === name`. All helpers are pure and return
+// new arrays.
+
+export const MAX_CLASSES = 10;
+
+export const CLASS_PALETTE = [
+  "#e74c3c",
+  "#3498db",
+  "#2ecc71",
+  "#f39c12",
+  "#9b59b6",
+  "#1abc9c",
+  "#e67e22",
+  "#34495e",
+  "#e84393",
+  "#7f8c8d",
+];
+
+export const defaultClasses = [
+  { name: "A", color: "#e74c3c" },
+  { name: "B", color: "#3498db" },
+  { name: "C", color: "#2ecc71" },
+];
+
+/** `{ [name]: color }` lookup, the shape the plot and cards read. */
+export function classColorMap(classes) {
+  const map = {};
+  classes.forEach((c) => {
+    map[c.name] = c.color;
+  });
+  return map;
+}
+
+/**
+ * Why `name` can't be used as a class name, or null if it can.
+ * `except` is the current name when renaming.
+ */
+export function validateClassName(classes, name, except = null) {
+  const trimmed = String(name ?? "").trim();
+  if (!trimmed) return "Class name cannot be empty.";
+  if (trimmed.length > 24) return "Class name must be 24 characters or less.";
+  if (classes.some((c) => c.name === trimmed && c.name !== except)) {
+    return `There is already a class named "${trimmed}".`;
+  }
+  return null;
+}
+
+/** A fresh class with an unused name and the first unused palette color. */
+export function nextClass(classes) {
+  const used = new Set(classes.map((c) => c.name));
+  let name = null;
+  for (let i = 0; !name; i++) {
+    // A, B, ..., Z, then AA, AB, ...
+    const candidate =
+      i < 26
+        ? String.fromCharCode(65 + i)
+        : String.fromCharCode(65 + Math.floor(i / 26) - 1) +
+          String.fromCharCode(65 + (i % 26));
+    if (!used.has(candidate)) name = candidate;
+  }
+  const usedColors = new Set(classes.map((c) => c.color.toLowerCase()));
+  const color =
+    CLASS_PALETTE.find((c) => !usedColors.has(c)) ||
+    CLASS_PALETTE[classes.length % CLASS_PALETTE.length];
+  return { name, color };
+}
+
+/** Rename a class and relabel its points. Assumes the name was validated. */
+export function renameClass(classes, points, oldName, newName) {
+  const name = newName.trim();
+  return {
+    classes: classes.map((c) => (c.name === oldName ? { ...c, name } : c)),
+    points: points.map((p) =>
+      p.label === oldName ? { ...p, label: name } : p
+    ),
+  };
+}
+
+export function recolorClass(classes, name, color) {
+  return classes.map((c) => (c.name === name ? { ...c, color } : c));
+}
+
+/**
+ * Remove a class. Its points move to `reassignTo`, or are dropped when
+ * `reassignTo` is null.
+ */
+export function deleteClass(classes, points, name, reassignTo = null) {
+  const nextPoints =
+    reassignTo === null
+      ? points.filter((p) => p.label !== name)
+      : points.map((p) => (p.label === name ? { ...p, label: reassignTo } : p));
+  return {
+    classes: classes.filter((c) => c.name !== name),
+    points: nextPoints,
+  };
+}
+
+/**
+ * Add a class for every label not already in `classes`, taking colors from
+ * `preferred` (e.g. an imported class list) when it has them. Labels that
+ * would exceed MAX_CLASSES are returned in `dropped` instead.
+ */
+export function ensureClasses(classes, labels, preferred = []) {
+  const result = classes.slice();
+  const dropped = [];
+  labels.forEach((label) => {
+    if (result.some((c) => c.name === label) || dropped.includes(label)) {
+      return;
+    }
+    if (result.length >= MAX_CLASSES) {
+      dropped.push(label);
+      return;
+    }
+    const match = preferred.find(
+      (c) => c && c.name === label && typeof c.color === "string"
+    );
+    result.push({
+      name: label,
+      color: match ? match.color : nextClass(result).color,
+    });
+  });
+  return { classes: result, dropped };
+}
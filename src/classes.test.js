@@ -0,0 +1,94 @@
+import {
+  classColorMap,
+  defaultClasses,
+  deleteClass,
+  ensureClasses,
+  MAX_CLASSES,
+  nextClass,
+  recolorClass,
+  renameClass,
+  validateClassName,
+} from "./classes";
+
+const points = [
+  { x: 1, y: 1, label: "A" },
+  { x: 2, y: 2, label: "B" },
+  { x: 3, y: 3, label: "A" },
+];
+
+test("classColorMap builds a name -> color lookup", () => {
+  expect(classColorMap(defaultClasses)).toEqual({
+    A: "#e74c3c",
+    B: "#3498db",
+    C: "#2ecc71",
+  });
+});
+
+describe("validateClassName", () => {
+  test("rejects empty and duplicate names", () => {
+    expect(validateClassName(defaultClasses, "  ")).toMatch(/empty/);
+    expect(validateClassName(defaultClasses, "B")).toMatch(/already/);
+  });
+
+  test("allows keeping the current name when renaming", () => {
+    expect(validateClassName(defaultClasses, "B", "B")).toBeNull();
+    expect(validateClassName(defaultClasses, "Setosa")).toBeNull();
+  });
+});
+
+test("nextClass picks an unused name and color", () => {
+  const next = nextClass(defaultClasses);
+  expect(next.name).toBe("D");
+  expect(defaultClasses.map((c) => c.color)).not.toContain(next.color);
+});
+
+test("renameClass relabels the class's points", () => {
+  const result = renameClass(defaultClasses, points, "A", " Cat ");
+  expect(result.classes[0]).toEqual({ name: "Cat", color: "#e74c3c" });
+  expect(result.points.map((p) => p.label)).toEqual(["Cat", "B", "Cat"]);
+});
+
+test("recolorClass only touches the named class", () => {
+  const result = recolorClass(defaultClasses, "B", "#000000");
+  expect(result[1].color).toBe("#000000");
+  expect(result[0]).toBe(defaultClasses[0]);
+});
+
+describe("deleteClass", () => {
+  test("drops the class's points by default", () => {
+    const result = deleteClass(defaultClasses, points, "A");
+    expect(result.classes.map((c) => c.name)).toEqual(["B", "C"]);
+    expect(result.points).toEqual([{ x: 2, y: 2, label: "B" }]);
+  });
+
+  test("can reassign the points to another class", () => {
+    const result = deleteClass(defaultClasses, points, "A", "C");
+    expect(result.points.map((p) => p.label)).toEqual(["C", "B", "C"]);
+  });
+});
+
+describe("ensureClasses", () => {
+  test("adds missing labels, preferring the given colors", () => {
+    const { classes, dropped } = ensureClasses(
+      defaultClasses,
+      ["B", "setosa", "virginica"],
+      [{ name: "setosa", color: "#123456" }]
+    );
+    expect(classes.map((c) => c.name)).toEqual([
+      "A",
+      "B",
+      "C",
+      "setosa",
+      "virginica",
+    ]);
+    expect(classes[3].color).toBe("#123456");
+    expect(dropped).toEqual([]);
+  });
+
+  test("reports labels beyond the class limit", () => {
+    const labels = Array.from({ length: MAX_CLASSES + 2 }, (_, i) => `c${i}`);
+    const { classes, dropped } = ensureClasses([], labels);
+    expect(classes).toHaveLength(MAX_CLASSES);
+    expect(dropped).toEqual(labels.slice(MAX_CLASSES));
+  });
+});
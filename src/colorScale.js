@@ -0,0 +1,41 @@
+// Continuous color scale used for regression targets (a viridis-like ramp).
+
+export const VALUE_COLOR_STOPS = [
+  "#440154",
+  "#3b528b",
+  "#21918c",
+  "#5ec962",
+  "#fde725",
+];
+
+export function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function toHex(c) {
+  return Math.round(c).toString(16).padStart(2, "0");
+}
+
+/** Color for `t` in [0, 1] (clamped), interpolated between the stops. */
+export function interpolateColor(t, stops = VALUE_COLOR_STOPS) {
+  const clamped = Math.min(1, Math.max(0, Number.isFinite(t) ? t : 0));
+  const scaled = clamped * (stops.length - 1);
+  const i = Math.min(Math.floor(scaled), stops.length - 2);
+  const f = scaled - i;
+  const a = hexToRgb(stops[i]);
+  const b = hexToRgb(stops[i + 1]);
+  return `#${[0, 1, 2].map((c) => toHex(a[c] + (b[c] - a[c]) * f)).join("")}`;
+}
+
+/** Color for `value` on a scale from `min` to `max`. */
+export function valueToColor(value, min, max) {
+  if (!Number.isFinite(value)) return "#9ca3af";
+  const span = max - min;
+  return interpolateColor(span > 0 ? (value - min) / span : 0.5);
+}
+
+/** CSS `linear-gradient` for drawing a legend bar. */
+export function gradientCss(stops = VALUE_COLOR_STOPS) {
+  return `linear-gradient(to right, ${stops.join(", ")})`;
+}
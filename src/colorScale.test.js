@@ -0,0 +1,28 @@
+import {
+  interpolateColor,
+  valueToColor,
+  VALUE_COLOR_STOPS,
+} from "./colorScale";
+
+test("interpolateColor hits the stops at the ends", () => {
+  expect(interpolateColor(0)).toBe(VALUE_COLOR_STOPS[0]);
+  expect(interpolateColor(1)).toBe(
+    VALUE_COLOR_STOPS[VALUE_COLOR_STOPS.length - 1]
+  );
+});
+
+test("interpolateColor clamps out-of-range input", () => {
+  expect(interpolateColor(-3)).toBe(interpolateColor(0));
+  expect(interpolateColor(7)).toBe(interpolateColor(1));
+});
+
+test("interpolateColor blends between two stops", () => {
+  expect(interpolateColor(0.5, ["#000000", "#ffffff"])).toBe("#808080");
+});
+
+test("valueToColor maps a value onto the domain", () => {
+  expect(valueToColor(10, 10, 20)).toBe(interpolateColor(0));
+  expect(valueToColor(20, 10, 20)).toBe(interpolateColor(1));
+  expect(valueToColor(5, 5, 5)).toBe(interpolateColor(0.5));
+  expect(valueToColor(undefined, 0, 1)).toBe("#9ca3af");
+});
@@ -0,0 +1,88 @@
+// Comparing several model configurations on the same training points:
+// where on the plot do their predictions disagree?
+
+export const MIN_CONFIGS = 2;
+export const MAX_CONFIGS = 4;
+
+const DISAGREE_COLOR = [220, 38, 38];
+
+/**
+ * Predict with every fitted model at the cell centers of a `resolution` ×
+ * `resolution` grid and compare. A cell disagrees when the models predict
+ * different labels (classification) or their predictions span more than
+ * `tolerance` (regression).
+ *
+ * Returns `{ resolution, disagree, fraction, pairwise }`: `disagree` flags
+ * every cell (row 0 at the bottom), `fraction` is the share of disagreeing
+ * cells and `pairwise[i][j]` the share of cells where models i and j alone
+ * would disagree.
+ */
+export function compareModels(
+  models,
+  { mode = "classification", resolution = 40, tolerance = 0 } = {}
+) {
+  const queries = [];
+  for (let gy = 0; gy < resolution; gy++) {
+    for (let gx = 0; gx < resolution; gx++) {
+      queries.push({
+        x: ((gx + 0.5) * 100) / resolution,
+        y: ((gy + 0.5) * 100) / resolution,
+      });
+    }
+  }
+  const predictions = models.map((model) => model.predict(queries));
+  const differ =
+    mode === "regression"
+      ? (a, b) =>
+          a === null || b === null ? a !== b : Math.abs(a - b) > tolerance
+      : (a, b) => a !== b;
+
+  const cellCount = queries.length;
+  const disagree = new Uint8Array(cellCount);
+  let count = 0;
+  for (let cell = 0; cell < cellCount; cell++) {
+    const values = predictions.map((list) => list[cell]);
+    const split = values.some((a, i) =>
+      values.slice(i + 1).some((b) => differ(a, b))
+    );
+    if (split) {
+      disagree[cell] = 1;
+      count++;
+    }
+  }
+
+  const pairwise = predictions.map((a) =>
+    predictions.map((b) => {
+      let differing = 0;
+      for (let cell = 0; cell < cellCount; cell++) {
+        if (differ(a[cell], b[cell])) differing++;
+      }
+      return cellCount > 0 ? differing / cellCount : 0;
+    })
+  );
+
+  return {
+    resolution,
+    disagree,
+    fraction: cellCount > 0 ? count / cellCount : 0,
+    pairwise,
+  };
+}
+
+/** RGBA pixels (row 0 at the top) marking the disagreeing cells. */
+export function disagreementPixels({ resolution, disagree }, opacity = 0.55) {
+  const pixels = new Uint8ClampedArray(resolution * resolution * 4);
+  const alpha = Math.round(opacity * 255);
+  for (let gy = 0; gy < resolution; gy++) {
+    const rowStart = (resolution - 1 - gy) * resolution;
+    for (let gx = 0; gx < resolution; gx++) {
+      if (!disagree[gy * resolution + gx]) continue;
+      const offset = (rowStart + gx) * 4;
+      pixels[offset] = DISAGREE_COLOR[0];
+      pixels[offset + 1] = DISAGREE_COLOR[1];
+      pixels[offset + 2] = DISAGREE_COLOR[2];
+      pixels[offset + 3] = alpha;
+    }
+  }
+  return pixels;
+}
@@ -0,0 +1,63 @@
+import { compareModels, disagreementPixels } from "./comparison";
+import { createKnn, createKnnRegressor } from "./knn";
+
+const points = [
+  { x: 10, y: 50, label: "A", value: 0 },
+  { x: 30, y: 50, label: "B", value: 100 },
+  { x: 90, y: 50, label: "B", value: 100 },
+];
+
+test("identical models never disagree", () => {
+  const models = [1, 2].map(() => createKnn({ k: 1 }).fit(points));
+  const result = compareModels(models, { resolution: 10 });
+  expect(result.fraction).toBe(0);
+  expect(result.disagree.every((d) => d === 0)).toBe(true);
+  expect(result.pairwise).toEqual([
+    [0, 0],
+    [0, 0],
+  ]);
+});
+
+test("flags the cells where the predictions differ", () => {
+  // k = 1 splits the plot at x = 20; k = 3 predicts B everywhere.
+  const models = [
+    createKnn({ k: 1 }).fit(points),
+    createKnn({ k: 3 }).fit(points),
+  ];
+  const result = compareModels(models, { resolution: 10 });
+  expect(result.disagree[0]).toBe(1); // x = 5
+  expect(result.disagree[1]).toBe(1); // x = 15
+  expect(result.disagree[2]).toBe(0); // x = 25 is closer to B
+  expect(result.fraction).toBeCloseTo(0.2);
+  expect(result.pairwise[0][1]).toBeCloseTo(0.2);
+  expect(result.pairwise[1][0]).toBeCloseTo(0.2);
+});
+
+test("regression predictions disagree beyond the tolerance", () => {
+  const models = [
+    createKnnRegressor({ k: 1 }).fit(points),
+    createKnnRegressor({ k: 2 }).fit(points),
+  ];
+  const strict = compareModels(models, {
+    mode: "regression",
+    resolution: 10,
+  });
+  const loose = compareModels(models, {
+    mode: "regression",
+    resolution: 10,
+    tolerance: 100,
+  });
+  expect(strict.fraction).toBeGreaterThan(0);
+  expect(loose.fraction).toBe(0);
+});
+
+test("disagreementPixels flips rows and marks only disagreeing cells", () => {
+  const pixels = disagreementPixels(
+    { resolution: 2, disagree: new Uint8Array([1, 0, 0, 0]) },
+    1
+  );
+  // Grid row 0 is the bottom image row.
+  expect(Array.from(pixels.slice(0, 8)).every((v) => v === 0)).toBe(true);
+  expect(Array.from(pixels.slice(8, 12))).toEqual([220, 38, 38, 255]);
+  expect(pixels[15]).toBe(0);
+});
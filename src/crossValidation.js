@@ -0,0 +1,218 @@
+// Cross-validation of k-NN over a range of k for several metrics. Every
+// held-out point is scored once per k from a single neighbor search: the
+// k nearest neighbors are a prefix of the (maxK) nearest, so one sorted
+// list serves the whole k range. The search is always a fixed-k one,
+// whatever `neighborMode` the options hold.
+
+import { createKnn, majorityLabel, meanValue } from "./knn";
+import { createRng } from "./random";
+
+export const CV_METHODS = {
+  loo: "Leave-one-out",
+  kfold: "k-fold",
+};
+
+// Held-out points scored per `step()` call.
+const POINTS_PER_STEP = 100;
+
+/**
+ * Fold index (0 … folds - 1) for each of `n` points: a seeded shuffle dealt
+ * round-robin, so fold sizes differ by at most one.
+ */
+export function foldAssignments(n, folds, seed = 1) {
+  const rng = createRng(seed);
+  const order = Array.from({ length: n }, (_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  const assignment = new Array(n);
+  order.forEach((pointIndex, position) => {
+    assignment[pointIndex] = position % folds;
+  });
+  return assignment;
+}
+
+/**
+ * Best entry of a score list: highest accuracy in classification, lowest
+ * RMSE in regression. Ties go to the smallest k. Null when nothing was
+ * scored.
+ */
+export function bestScore(scores, mode = "classification") {
+  let best = null;
+  scores.forEach((s) => {
+    if (s.count === 0) return;
+    const better =
+      !best ||
+      (mode === "regression" ? s.rmse < best.rmse : s.accuracy > best.accuracy);
+    if (better) best = s;
+  });
+  return best;
+}
+
+/**
+ * Start a cross-validation run. `request` is
+ * `{ points, mode, method, folds, seed, maxK, metrics, options }` where
+ * `metrics` is a list of `{ metric, p }` to compare and `options` holds the
+ * other model options (`weights`, `bandwidth`, `tieBreak`, `algorithm`,
+ * `metricParams`, …).
+ *
+ * Returns `{ step(), progress(), result }`. `step()` scores a batch of
+ * held-out points and returns true when done; `result` is then
+ * `{ kValues, curves: [{ metric, p, scores, best }] }` with one score
+ * `{ k, count, accuracy, error }` (classification) or `{ k, count, rmse }`
+ * (regression) per k.
+ */
+export function createCrossValidationJob(request) {
+  const { mode = "classification", method = "loo", seed = 1 } = request;
+  const isRegression = mode === "regression";
+  const { weights, bandwidth, tieBreak, seed: tieSeed } = request.options || {};
+  const voteOptions = { weights, bandwidth, tieBreak, seed: tieSeed };
+
+  // Regression can only learn from and be scored on points with a value.
+  const points = isRegression
+    ? request.points.filter((p) => Number.isFinite(p.value))
+    : request.points;
+  const n = points.length;
+
+  const folds =
+    method === "loo" ? n : Math.max(2, Math.min(n, request.folds || 5));
+  const assignment =
+    method === "loo"
+      ? points.map((_, i) => i)
+      : foldAssignments(n, folds, seed);
+  const foldSizes = new Array(folds).fill(0);
+  assignment.forEach((f) => foldSizes[f]++);
+  const smallestTraining = n - Math.max(0, ...foldSizes);
+
+  const maxK = Math.max(0, Math.min(request.maxK || 1, smallestTraining));
+  const kValues = Array.from({ length: maxK }, (_, i) => i + 1);
+
+  const totals = request.metrics.map(() =>
+    kValues.map(() => ({ count: 0, correct: 0, squaredError: 0 }))
+  );
+
+  // One task per (metric, fold); LOO fits once per metric on every point
+  // and drops the held-out point from its own neighbor list instead.
+  const tasks = [];
+  request.metrics.forEach((metricOptions, m) => {
+    if (method === "loo") {
+      tasks.push({ m, metricOptions, fold: null });
+    } else {
+      for (let f = 0; f < folds; f++) {
+        tasks.push({ m, metricOptions, fold: f });
+      }
+    }
+  });
+
+  let taskIndex = 0;
+  let current = null;
+
+  function startTask(task) {
+    const { metric, p } = task.metricOptions;
+    const trainIndexes = [];
+    const testIndexes = [];
+    points.forEach((_, i) => {
+      if (task.fold === null || assignment[i] !== task.fold) {
+        trainIndexes.push(i);
+      }
+      if (task.fold === null || assignment[i] === task.fold) {
+        testIndexes.push(i);
+      }
+    });
+    const extra = task.fold === null ? 1 : 0;
+    const model = createKnn({
+      k: maxK + extra,
+      metric,
+      p,
+      metricParams: request.options && request.options.metricParams,
+      algorithm: request.options && request.options.algorithm,
+      neighborMode: "k",
+    }).fit(trainIndexes.map((i) => points[i]));
+    return { task, model, trainIndexes, testIndexes, next: 0 };
+  }
+
+  function score(state, testIndex) {
+    const { task, model, trainIndexes } = state;
+    const point = points[testIndex];
+    const neighbors = model
+      .kneighbors(point)
+      .map((nb) => ({ ...nb, index: trainIndexes[nb.index] }))
+      .filter((nb) => nb.index !== testIndex)
+      .slice(0, maxK);
+
+    const rows = totals[task.m];
+    kValues.forEach((k, i) => {
+      const prefix = neighbors.slice(0, k);
+      if (isRegression) {
+        const result = meanValue(prefix, voteOptions);
+        if (!result) return;
+        rows[i].count += 1;
+        rows[i].squaredError += (result.value - point.value) ** 2;
+      } else {
+        const vote = majorityLabel(prefix, voteOptions);
+        if (!vote) return;
+        rows[i].count += 1;
+        if (vote.label === point.label) rows[i].correct += 1;
+      }
+    });
+  }
+
+  const result = { kValues, curves: null };
+
+  function finish() {
+    result.curves = request.metrics.map(({ metric, p }, m) => {
+      const scores = kValues.map((k, i) => {
+        const { count, correct, squaredError } = totals[m][i];
+        if (isRegression) {
+          return {
+            k,
+            count,
+            rmse: count ? Math.sqrt(squaredError / count) : NaN,
+          };
+        }
+        const accuracy = count ? correct / count : NaN;
+        return { k, count, accuracy, error: 1 - accuracy };
+      });
+      return { metric, p, scores, best: bestScore(scores, mode) };
+    });
+  }
+
+  function step() {
+    if (result.curves) return true;
+    let budget = POINTS_PER_STEP;
+    while (budget > 0 && taskIndex < tasks.length && maxK > 0) {
+      if (!current) current = startTask(tasks[taskIndex]);
+      while (budget > 0 && current.next < current.testIndexes.length) {
+        score(current, current.testIndexes[current.next++]);
+        budget--;
+      }
+      if (current.next >= current.testIndexes.length) {
+        current = null;
+        taskIndex++;
+      }
+    }
+    if (taskIndex < tasks.length && maxK > 0) return false;
+    finish();
+    return true;
+  }
+
+  // Rough fraction of the run completed, in [0, 1].
+  function progress() {
+    if (result.curves) return 1;
+    const perTask = tasks.length ? 1 / tasks.length : 0;
+    const within = current
+      ? current.next / Math.max(1, current.testIndexes.length)
+      : 0;
+    return (taskIndex + within) * perTask;
+  }
+
+  return { step, progress, result };
+}
+
+/** Run a whole cross-validation synchronously. */
+export function runCrossValidation(request) {
+  const job = createCrossValidationJob(request);
+  while (!job.step());
+  return job.result;
+}
@@ -0,0 +1,140 @@
+import {
+  bestScore,
+  createCrossValidationJob,
+  foldAssignments,
+  runCrossValidation,
+} from "./crossValidation";
+import { generateDataset } from "./generators";
+import { createKnn, createKnnRegressor } from "./knn";
+
+const points = generateDataset("moons", {
+  perClass: 25,
+  noise: 0.5,
+  seed: 3,
+});
+
+const base = {
+  points,
+  mode: "classification",
+  method: "loo",
+  maxK: 9,
+  metrics: [
+    { metric: "euclidean", p: 3 },
+    { metric: "manhattan", p: 3 },
+  ],
+  options: { weights: "uniform", tieBreak: "nearest" },
+};
+
+// Accuracy of a model trained without each point in turn, the slow way.
+function naiveLooAccuracy(k, metric) {
+  let correct = 0;
+  points.forEach((point, i) => {
+    const model = createKnn({ k, metric }).fit(
+      points.filter((_, j) => j !== i)
+    );
+    if (model.predict(point) === point.label) correct++;
+  });
+  return correct / points.length;
+}
+
+test("leave-one-out matches refitting without each point", () => {
+  const { kValues, curves } = runCrossValidation(base);
+  expect(kValues).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  [1, 4, 9].forEach((k) => {
+    expect(curves[0].scores[k - 1].accuracy).toBeCloseTo(
+      naiveLooAccuracy(k, "euclidean")
+    );
+    expect(curves[1].scores[k - 1].accuracy).toBeCloseTo(
+      naiveLooAccuracy(k, "manhattan")
+    );
+  });
+  curves.forEach((curve) => {
+    expect(curve.scores.every((s) => s.count === points.length)).toBe(true);
+    expect(curve.best.accuracy).toBe(
+      Math.max(...curve.scores.map((s) => s.accuracy))
+    );
+  });
+});
+
+test("tree search gives the same results as brute force", () => {
+  const brute = runCrossValidation(base);
+  const tree = runCrossValidation({
+    ...base,
+    options: { ...base.options, algorithm: "kd" },
+  });
+  expect(tree).toEqual(brute);
+});
+
+test("radius and adaptive modes still score a fixed k", () => {
+  const fixed = runCrossValidation(base);
+  ["radius", "adaptive"].forEach((neighborMode) => {
+    const run = runCrossValidation({
+      ...base,
+      options: { ...base.options, neighborMode, radius: 5 },
+    });
+    expect(run).toEqual(fixed);
+  });
+});
+
+test("k-fold scores every point once and caps k at the training size", () => {
+  const { kValues, curves } = runCrossValidation({
+    ...base,
+    points: points.slice(0, 10),
+    method: "kfold",
+    folds: 5,
+    maxK: 50,
+  });
+  expect(kValues).toHaveLength(8);
+  expect(curves[0].scores[0].count).toBe(10);
+});
+
+test("regression reports RMSE and picks the lowest", () => {
+  const line = Array.from({ length: 12 }, (_, i) => ({
+    x: i * 8,
+    y: 50,
+    value: i * 10,
+  }));
+  const { curves } = runCrossValidation({
+    ...base,
+    points: line,
+    mode: "regression",
+    maxK: 4,
+  });
+  const [curve] = curves;
+  // Refit without the first point: its two nearest are x=8 and x=16.
+  const model = createKnnRegressor({ k: 2 }).fit(line.slice(1));
+  expect(model.predict(line[0])).toBe(15);
+  expect(curve.best.rmse).toBe(Math.min(...curve.scores.map((s) => s.rmse)));
+  expect(curve.scores[0].accuracy).toBeUndefined();
+});
+
+test("jobs report progress and can be stepped", () => {
+  const job = createCrossValidationJob({
+    ...base,
+    points: [...points, ...points],
+  });
+  expect(job.progress()).toBe(0);
+  expect(job.step()).toBe(false);
+  expect(job.progress()).toBeGreaterThan(0);
+  while (!job.step());
+  expect(job.progress()).toBe(1);
+  expect(job.result.curves).toHaveLength(2);
+});
+
+test("foldAssignments is balanced and seeded", () => {
+  const folds = foldAssignments(23, 5, 9);
+  const sizes = [0, 1, 2, 3, 4].map((f) => folds.filter((x) => x === f).length);
+  expect(Math.max(...sizes) - Math.min(...sizes)).toBeLessThanOrEqual(1);
+  expect(foldAssignments(23, 5, 9)).toEqual(folds);
+  expect(foldAssignments(23, 5, 10)).not.toEqual(folds);
+});
+
+test("bestScore prefers the smallest k on ties and skips empty scores", () => {
+  const scores = [
+    { k: 1, count: 0, accuracy: NaN },
+    { k: 2, count: 5, accuracy: 0.8 },
+    { k: 3, count: 5, accuracy: 0.8 },
+  ];
+  expect(bestScore(scores).k).toBe(2);
+  expect(bestScore([])).toBeNull();
+});
@@ -0,0 +1,423 @@
+// Dataset import/export (CSV and JSON). Pure string <-> data helpers; the
+// file picking and downloading lives in DatasetPanel.
+
+export const FORMAT_VERSION = 1;
+
+// Keep imported points off the very edge of the plot.
+const RESCALE_MARGIN = 5;
+
+function detectDelimiter(line) {
+  const candidates = [",", ";", "\t"];
+  let best = ",";
+  let bestCount = 0;
+  candidates.forEach((d) => {
+    const count = line.split(d).length - 1;
+    if (count > bestCount) {
+      best = d;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/** Split one CSV line, honouring double-quoted fields ("" is an escaped quote). */
+export function splitCsvLine(line, delimiter = ",") {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function parseSettingValue(raw) {
+  const s = raw.trim();
+  if (s !== "" && Number.isFinite(Number(s))) return Number(s);
+  if (s === "true" || s === "false") return s === "true";
+  return s;
+}
+
+/**
+ * Parse CSV text with a header row. Blank lines are skipped, and so are lines
+ * starting with "#" except that `# key=value` lines (as written by
+ * `exportCsv`) are collected into `settings`. Rows keep their 1-based line
+ * number for error reporting.
+ *
+ * Returns `{ columns, rows: [{ line, values: { [column]: string } }], errors,
+ * settings }`.
+ */
+export function parseCsv(text) {
+  const lines = String(text).split(/\r?\n/);
+  const errors = [];
+  let columns = null;
+  let delimiter = ",";
+  const rows = [];
+  const settings = {};
+
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line) return;
+    if (line.startsWith("#")) {
+      const match = /^#\s*([\w-]+)\s*=(.*)$/.exec(line);
+      if (match) settings[match[1]] = parseSettingValue(match[2]);
+      return;
+    }
+    if (!columns) {
+      delimiter = detectDelimiter(line);
+      columns = splitCsvLine(line, delimiter);
+      return;
+    }
+    const fields = splitCsvLine(line, delimiter);
+    if (fields.length !== columns.length) {
+      errors.push({
+        line: i + 1,
+        message: `expected ${columns.length} fields but found ${fields.length}`,
+      });
+      return;
+    }
+    const values = {};
+    columns.forEach((c, j) => {
+      values[c] = fields[j];
+    });
+    rows.push({ line: i + 1, values });
+  });
+
+  return { columns: columns || [], rows, errors, settings };
+}
+
+/**
+ * Parse JSON text. Accepts either an array of row objects or an object with
+ * a `points` array (the format `exportJson` writes, whose `settings` and
+ * `classes` are passed through).
+ *
+ * Returns the same shape as `parseCsv`, plus `settings` and `classes` when
+ * present. Row "line" numbers are 1-based array positions.
+ */
+export function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return {
+      columns: [],
+      rows: [],
+      errors: [{ line: null, message: `invalid JSON: ${err.message}` }],
+    };
+  }
+
+  const list = Array.isArray(data) ? data : data && data.points;
+  if (!Array.isArray(list)) {
+    return {
+      columns: [],
+      rows: [],
+      errors: [
+        {
+          line: null,
+          message: 'expected an array of points or an object with "points"',
+        },
+      ],
+    };
+  }
+
+  const columns = [];
+  const rows = [];
+  const errors = [];
+  list.forEach((item, i) => {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      errors.push({ line: i + 1, message: "entry is not an object" });
+      return;
+    }
+    Object.keys(item).forEach((key) => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+    const values = {};
+    Object.entries(item).forEach(([key, v]) => {
+      values[key] = v === null || v === undefined ? "" : String(v);
+    });
+    rows.push({ line: i + 1, values });
+  });
+
+  const result = { columns, rows, errors };
+  if (!Array.isArray(data)) {
+    if (data.settings) result.settings = data.settings;
+    if (Array.isArray(data.classes)) result.classes = data.classes;
+  }
+  return result;
+}
+
+/** Parse by file extension, falling back to sniffing the first character. */
+export function parseDataset(text, filename = "") {
+  const lower = filename.toLowerCase();
+  if (lower.endsWith(".json")) return parseJson(text);
+  if (lower.endsWith(".csv") || lower.endsWith(".tsv")) return parseCsv(text);
+  const first = String(text).trimStart()[0];
+  return first === "[" || first === "{" ? parseJson(text) : parseCsv(text);
+}
+
+/** Best guess at which columns hold x, y, label and value. */
+export function guessMapping(columns) {
+  const find = (...names) =>
+    columns.find((c) => names.includes(c.trim().toLowerCase())) || "";
+  const mapping = {
+    x: find("x", "x1", "feature1", "feature_1"),
+    y: find("y", "x2", "feature2", "feature_2"),
+    label: find("label", "class", "target", "category", "species"),
+    value: find("value", "target_value", "output"),
+    split: find("split", "set", "subset"),
+  };
+  // Fall back to the first two unused columns for the axes.
+  const unused = columns.filter((c) => !Object.values(mapping).includes(c));
+  if (!mapping.x && unused.length) mapping.x = unused.shift();
+  if (!mapping.y && unused.length) mapping.y = unused.shift();
+  return mapping;
+}
+
+/**
+ * The feature columns of a high-dimensional import: the x and y columns
+ * first, then the mapping's other `features`. Empty (plain 2-D points)
+ * unless that adds up to more than two columns.
+ */
+export function featureColumns(mapping) {
+  const columns = [
+    ...new Set([mapping.x, mapping.y, ...(mapping.features || [])]),
+  ].filter(Boolean);
+  return columns.length > 2 ? columns : [];
+}
+
+function toNumber(raw) {
+  if (raw === undefined || raw === null) return NaN;
+  const s = String(raw).trim();
+  return s === "" ? NaN : Number(s);
+}
+
+/**
+ * Turn parsed rows into points using a column mapping
+ * (`{ x, y, label, value, split, features }`, empty string = not mapped).
+ * Rows without a label use `defaultLabel`. Rows whose split column says
+ * "test" become test points; any other split value means training. With
+ * more feature columns than x and y (see `featureColumns`), every point
+ * also gets their values as `features`. Every rejected row is reported.
+ *
+ * Returns `{ points, errors }`; points keep raw (unscaled) coordinates.
+ */
+export function rowsToPoints(rows, mapping, { defaultLabel = null } = {}) {
+  const points = [];
+  const errors = [];
+  const extra = featureColumns(mapping).slice(2);
+
+  rows.forEach(({ line, values }) => {
+    const problems = [];
+    const x = toNumber(values[mapping.x]);
+    const y = toNumber(values[mapping.y]);
+    if (!Number.isFinite(x)) {
+      problems.push(
+        `x (${mapping.x}) is not a number: "${values[mapping.x] ?? ""}"`
+      );
+    }
+    if (!Number.isFinite(y)) {
+      problems.push(
+        `y (${mapping.y}) is not a number: "${values[mapping.y] ?? ""}"`
+      );
+    }
+
+    const extraValues = extra.map((column) => {
+      const v = toNumber(values[column]);
+      if (!Number.isFinite(v)) {
+        problems.push(
+          `feature ${column} is not a number: "${values[column] ?? ""}"`
+        );
+      }
+      return v;
+    });
+
+    let label = defaultLabel;
+    if (mapping.label) {
+      label = String(values[mapping.label] ?? "").trim();
+      if (!label) problems.push(`label (${mapping.label}) is empty`);
+    }
+
+    let value;
+    if (mapping.value) {
+      value = toNumber(values[mapping.value]);
+      if (!Number.isFinite(value)) {
+        problems.push(
+          `value (${mapping.value}) is not a number: "${values[mapping.value] ?? ""}"`
+        );
+      }
+    }
+
+    if (problems.length) {
+      errors.push({ line, message: problems.join("; ") });
+      return;
+    }
+
+    const point = { x, y, label };
+    if (extra.length > 0) point.features = [x, y, ...extraValues];
+    if (mapping.value) point.value = value;
+    if (
+      mapping.split &&
+      String(values[mapping.split] ?? "")
+        .trim()
+        .toLowerCase() === "test"
+    ) {
+      point.test = true;
+    }
+    points.push(point);
+  });
+
+  return { points, errors };
+}
+
+/**
+ * Min-max rescale both axes, and every feature of high-dimensional points,
+ * into the plot's 0–100 viewBox (with a small margin). A constant axis is
+ * centered.
+ */
+export function rescalePoints(points, margin = RESCALE_MARGIN) {
+  if (points.length === 0) return [];
+  const span = 100 - 2 * margin;
+  const scaleValues = (vals) => {
+    const min = Math.min(...vals);
+    const max = Math.max(...vals);
+    return (v) => (max > min ? margin + ((v - min) / (max - min)) * span : 50);
+  };
+  const sx = scaleValues(points.map((p) => p.x));
+  const sy = scaleValues(points.map((p) => p.y));
+  const withFeatures = points.every((p) => p.features);
+  const sf = withFeatures
+    ? points[0].features.map((_, i) =>
+        scaleValues(points.map((p) => p.features[i]))
+      )
+    : [];
+  return points.map((p) => {
+    const out = { ...p, x: sx(p.x), y: sy(p.y) };
+    if (withFeatures) out.features = p.features.map((v, i) => sf[i](v));
+    return out;
+  });
+}
+
+/**
+ * The inverse of `rescalePoints` for the same points: axes (see
+ * `scaling.js`) that take plot coordinates back to the column values.
+ */
+export function rescaleAxes(points, margin = RESCALE_MARGIN) {
+  const span = 100 - 2 * margin;
+  const axis = (key) => {
+    const vals = points.map((p) => p[key]);
+    const min = vals.length ? Math.min(...vals) : 50;
+    const max = vals.length ? Math.max(...vals) : 50;
+    if (!(max > min)) return { name: key, offset: min - 50, scale: 1 };
+    const scale = (max - min) / span;
+    return { name: key, offset: min - margin * scale, scale };
+  };
+  return { x: axis("x"), y: axis("y") };
+}
+
+/** Split points into those inside the 0–100 plot area and errors for the rest. */
+export function checkInPlotArea(points, lines = []) {
+  const inside = [];
+  const errors = [];
+  points.forEach((p, i) => {
+    if (p.x < 0 || p.x > 100 || p.y < 0 || p.y > 100) {
+      errors.push({
+        line: lines[i] ?? null,
+        message: `(${p.x}, ${p.y}) is outside the 0–100 plot area; enable rescaling`,
+      });
+    } else {
+      inside.push(p);
+    }
+  });
+  return { points: inside, errors };
+}
+
+function csvField(v) {
+  const s = v === undefined || v === null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const round = (v) => Math.round(v * 1000) / 1000;
+
+const RESERVED_COLUMNS = ["x", "y", "label", "value", "split"];
+
+// Feature columns written by export, renamed where they would clash with
+// the standard columns.
+function featureHeader(featureNames) {
+  return featureNames.map((name) =>
+    RESERVED_COLUMNS.includes(name) ? `feature:${name}` : name
+  );
+}
+
+/**
+ * CSV with an `x,y,label,value` header. Settings are written as leading
+ * `# key=value` comment lines, which `parseCsv` skips. High-dimensional
+ * points add one column per name in `featureNames`.
+ */
+export function exportCsv(points, settings = {}, featureNames = []) {
+  const lines = Object.entries(settings).map(([key, v]) => `# ${key}=${v}`);
+  // The split column is only written when there are test points.
+  const withSplit = points.some((p) => p.test);
+  const header = ["x", "y", "label", "value"];
+  if (withSplit) header.push("split");
+  lines.push([...header, ...featureHeader(featureNames)].join(","));
+  points.forEach((p) => {
+    const fields = [
+      round(p.x),
+      round(p.y),
+      p.label,
+      Number.isFinite(p.value) ? p.value : "",
+    ];
+    if (withSplit) fields.push(p.test ? "test" : "train");
+    featureNames.forEach((_, i) =>
+      fields.push(p.features ? round(p.features[i]) : "")
+    );
+    lines.push(fields.map(csvField).join(","));
+  });
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * JSON document with points, settings and (optionally) the class list.
+ * High-dimensional points get one key per name in `featureNames`.
+ */
+export function exportJson(
+  points,
+  settings = {},
+  classes = null,
+  featureNames = []
+) {
+  const header = featureHeader(featureNames);
+  const doc = {
+    version: FORMAT_VERSION,
+    settings,
+    points: points.map((p) => {
+      const out = { x: round(p.x), y: round(p.y), label: p.label };
+      if (Number.isFinite(p.value)) out.value = p.value;
+      if (p.test) out.split = "test";
+      if (p.features) {
+        header.forEach((name, i) => (out[name] = round(p.features[i])));
+      }
+      return out;
+    }),
+  };
+  if (classes) doc.classes = classes;
+  return JSON.stringify(doc, null, 2);
+}
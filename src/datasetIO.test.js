@@ -0,0 +1,274 @@
+import {
+  checkInPlotArea,
+  exportCsv,
+  exportJson,
+  featureColumns,
+  guessMapping,
+  parseCsv,
+  parseDataset,
+  parseJson,
+  rescaleAxes,
+  rescalePoints,
+  rowsToPoints,
+  splitCsvLine,
+} from "./datasetIO";
+
+describe("parseCsv", () => {
+  test("reads a header and rows", () => {
+    const parsed = parseCsv("x,y,label\n1,2,A\n3,4,B\n");
+    expect(parsed.columns).toEqual(["x", "y", "label"]);
+    expect(parsed.rows).toEqual([
+      { line: 2, values: { x: "1", y: "2", label: "A" } },
+      { line: 3, values: { x: "3", y: "4", label: "B" } },
+    ]);
+    expect(parsed.errors).toEqual([]);
+  });
+
+  test("detects semicolon and tab delimiters", () => {
+    expect(parseCsv("a;b\n1;2").rows[0].values).toEqual({ a: "1", b: "2" });
+    expect(parseCsv("a\tb\n1\t2").rows[0].values).toEqual({ a: "1", b: "2" });
+  });
+
+  test("handles quoted fields", () => {
+    expect(splitCsvLine('1,"a, ""b""",3')).toEqual(["1", 'a, "b"', "3"]);
+  });
+
+  test("reports rows with the wrong number of fields", () => {
+    const parsed = parseCsv("x,y,label\n1,2\n3,4,B");
+    expect(parsed.rows).toHaveLength(1);
+    expect(parsed.errors).toEqual([
+      { line: 2, message: "expected 3 fields but found 2" },
+    ]);
+  });
+
+  test("collects # key=value settings lines", () => {
+    const parsed = parseCsv("# k=5\n# metric=manhattan\nx,y\n1,2");
+    expect(parsed.settings).toEqual({ k: 5, metric: "manhattan" });
+    expect(parsed.rows).toHaveLength(1);
+  });
+});
+
+describe("parseJson", () => {
+  test("accepts an array of objects", () => {
+    const parsed = parseJson('[{"x":1,"y":2,"label":"A"}]');
+    expect(parsed.columns).toEqual(["x", "y", "label"]);
+    expect(parsed.rows[0].values).toEqual({ x: "1", y: "2", label: "A" });
+  });
+
+  test("accepts the exported document shape", () => {
+    const parsed = parseJson(
+      JSON.stringify({ settings: { k: 4 }, points: [{ x: 1, y: 2 }] })
+    );
+    expect(parsed.settings).toEqual({ k: 4 });
+    expect(parsed.rows).toHaveLength(1);
+  });
+
+  test("reports invalid JSON and non-object entries", () => {
+    expect(parseJson("{oops").errors[0].message).toMatch(/invalid JSON/);
+    expect(parseJson('{"a":1}').errors[0].message).toMatch(/points/);
+    expect(parseJson('[1, {"x": 1}]').errors).toEqual([
+      { line: 1, message: "entry is not an object" },
+    ]);
+  });
+});
+
+test("parseDataset picks the format from the file name or content", () => {
+  expect(parseDataset('[{"x":1}]', "data.json").columns).toEqual(["x"]);
+  expect(parseDataset("x,y\n1,2", "data.csv").columns).toEqual(["x", "y"]);
+  expect(parseDataset('  [{"x":1}]').columns).toEqual(["x"]);
+});
+
+test("guessMapping finds common column names", () => {
+  expect(guessMapping(["Species", "X", "Y"])).toEqual({
+    x: "X",
+    y: "Y",
+    label: "Species",
+    value: "",
+    split: "",
+  });
+  expect(guessMapping(["sepal_len", "sepal_wid", "class"])).toEqual({
+    x: "sepal_len",
+    y: "sepal_wid",
+    label: "class",
+    value: "",
+    split: "",
+  });
+  expect(guessMapping(["x", "y", "Split"]).split).toBe("Split");
+});
+
+describe("rowsToPoints", () => {
+  const mapping = { x: "x", y: "y", label: "label", value: "" };
+
+  test("converts valid rows", () => {
+    const { points, errors } = rowsToPoints(
+      parseCsv("x,y,label\n1,2,A").rows,
+      mapping
+    );
+    expect(points).toEqual([{ x: 1, y: 2, label: "A" }]);
+    expect(errors).toEqual([]);
+  });
+
+  test("reports every malformed row with its line", () => {
+    const { points, errors } = rowsToPoints(
+      parseCsv("x,y,label\nabc,2,A\n1,,B\n3,4,\n5,6,C").rows,
+      mapping
+    );
+    expect(points).toEqual([{ x: 5, y: 6, label: "C" }]);
+    expect(errors.map((e) => e.line)).toEqual([2, 3, 4]);
+    expect(errors[0].message).toMatch(/x \(x\) is not a number: "abc"/);
+    expect(errors[1].message).toMatch(/y \(y\) is not a number/);
+    expect(errors[2].message).toMatch(/label \(label\) is empty/);
+  });
+
+  test("uses the default label and reads values when mapped", () => {
+    const { points } = rowsToPoints(
+      parseCsv("a,b,t\n1,2,9.5").rows,
+      { x: "a", y: "b", label: "", value: "t" },
+      { defaultLabel: "A" }
+    );
+    expect(points).toEqual([{ x: 1, y: 2, label: "A", value: 9.5 }]);
+  });
+
+  test("reads extra feature columns into high-dimensional points", () => {
+    const rows = parseCsv("a,b,c,d,label\n1,2,3,4,A\n5,6,x,8,B").rows;
+    const features = { x: "b", y: "d", label: "label", features: ["a", "c"] };
+    expect(featureColumns(features)).toEqual(["b", "d", "a", "c"]);
+    expect(featureColumns({ x: "a", y: "b", features: ["a"] })).toEqual([]);
+    const { points, errors } = rowsToPoints(rows, features);
+    expect(points).toEqual([
+      { x: 2, y: 4, label: "A", features: [2, 4, 1, 3] },
+    ]);
+    expect(errors[0].message).toMatch(/feature c is not a number: "x"/);
+  });
+});
+
+test("rescalePoints rescales every feature like the axes", () => {
+  const scaled = rescalePoints([
+    { x: 0, y: 10, features: [0, 10, 100] },
+    { x: 10, y: 30, features: [10, 30, 300] },
+  ]);
+  expect(scaled.map((p) => p.features)).toEqual([
+    [5, 5, 5],
+    [95, 95, 95],
+  ]);
+  expect(scaled[1]).toMatchObject({ x: 95, y: 95 });
+});
+
+test("rescalePoints maps both axes into the plot area", () => {
+  const scaled = rescalePoints([
+    { x: -10, y: 1000, label: "A" },
+    { x: 10, y: 3000, label: "B" },
+  ]);
+  expect(scaled[0]).toEqual({ x: 5, y: 5, label: "A" });
+  expect(scaled[1]).toEqual({ x: 95, y: 95, label: "B" });
+  expect(rescalePoints([{ x: 3, y: 3 }])).toEqual([{ x: 50, y: 50 }]);
+});
+
+test("rescaleAxes maps rescaled points back to the raw values", () => {
+  const raw = [
+    { x: -10, y: 1000 },
+    { x: 4, y: 2500 },
+    { x: 10, y: 3000 },
+  ];
+  const axes = rescaleAxes(raw);
+  rescalePoints(raw).forEach((p, i) => {
+    expect(axes.x.offset + axes.x.scale * p.x).toBeCloseTo(raw[i].x);
+    expect(axes.y.offset + axes.y.scale * p.y).toBeCloseTo(raw[i].y);
+  });
+  expect(rescaleAxes([{ x: 3, y: 3 }]).x).toEqual({
+    name: "x",
+    offset: -47,
+    scale: 1,
+  });
+});
+
+test("checkInPlotArea rejects points outside 0–100", () => {
+  const { points, errors } = checkInPlotArea(
+    [
+      { x: 50, y: 50 },
+      { x: 150, y: 50 },
+    ],
+    [2, 3]
+  );
+  expect(points).toEqual([{ x: 50, y: 50 }]);
+  expect(errors[0].line).toBe(3);
+});
+
+test("the split column marks test points", () => {
+  const parsed = parseCsv(
+    "x,y,label,split\n1,2,A,test\n3,4,B,train\n5,6,A, TEST"
+  );
+  const { points } = rowsToPoints(parsed.rows, guessMapping(parsed.columns));
+  expect(points.map((p) => Boolean(p.test))).toEqual([true, false, true]);
+  expect("test" in points[1]).toBe(false);
+});
+
+describe("export", () => {
+  const points = [
+    { x: 1.23456, y: 2, label: "A", value: 7 },
+    { x: 3, y: 4, label: 'say "hi", B' },
+  ];
+  const settings = { k: 3, metric: "minkowski", minkowskiP: 2.5 };
+
+  test("CSV round-trips through parseCsv", () => {
+    const csv = exportCsv(points, settings);
+    const parsed = parseCsv(csv);
+    expect(parsed.settings).toEqual(settings);
+    const back = rowsToPoints(parsed.rows, {
+      x: "x",
+      y: "y",
+      label: "label",
+      value: "",
+    });
+    expect(back.points.map((p) => p.label)).toEqual(["A", 'say "hi", B']);
+    expect(back.points[0].x).toBeCloseTo(1.235);
+    expect(csv.split("\n")[3]).toBe("x,y,label,value");
+  });
+
+  test("CSV and JSON keep test points", () => {
+    const withTest = [points[0], { ...points[1], test: true }];
+    const csv = exportCsv(withTest);
+    expect(csv.split("\n")[0]).toBe("x,y,label,value,split");
+    const back = rowsToPoints(parseCsv(csv).rows, {
+      x: "x",
+      y: "y",
+      label: "label",
+      value: "",
+      split: "split",
+    });
+    expect(back.points.map((p) => Boolean(p.test))).toEqual([false, true]);
+    const json = parseJson(exportJson(withTest));
+    expect(json.rows.map((r) => r.values.split)).toEqual([undefined, "test"]);
+  });
+
+  test("high-dimensional points export one column per feature", () => {
+    const nd = [{ x: 1, y: 2, label: "A", features: [1, 2, 3.33333] }];
+    const names = ["x", "width", "depth"];
+    const csv = exportCsv(nd, {}, names);
+    expect(csv).toBe(
+      "x,y,label,value,feature:x,width,depth\n1,2,A,,1,2,3.333\n"
+    );
+    const back = rowsToPoints(parseCsv(csv).rows, {
+      x: "x",
+      y: "y",
+      label: "label",
+      features: ["feature:x", "width", "depth"],
+    });
+    expect(back.points[0].features).toEqual([1, 2, 1, 2, 3.333]);
+    const json = parseJson(exportJson(nd, {}, null, names));
+    expect(json.rows[0].values).toMatchObject({ width: "2", depth: "3.333" });
+  });
+
+  test("JSON round-trips through parseJson", () => {
+    const json = exportJson(points, settings, [{ name: "A", color: "#fff" }]);
+    const parsed = parseJson(json);
+    expect(parsed.settings).toEqual(settings);
+    expect(parsed.classes).toEqual([{ name: "A", color: "#fff" }]);
+    expect(parsed.rows[0].values).toEqual({
+      x: "1.235",
+      y: "2",
+      label: "A",
+      value: "7",
+    });
+  });
+});
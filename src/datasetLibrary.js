@@ -0,0 +1,175 @@
+// A small offline library of classic teaching datasets. Each entry carries
+// the text for its description card, its feature columns (with the pair
+// plotted by default) and its classes; `loadLibraryDataset` turns one into
+// points the same way a CSV import does, rescaled into the 0–100 viewBox.
+// Every dataset is the original measurements (see datasetLibraryData.js).
+
+import { CLASS_PALETTE } from "./classes";
+import {
+  featureColumns,
+  parseCsv,
+  rescaleAxes,
+  rescalePoints,
+  rowsToPoints,
+} from "./datasetIO";
+import {
+  AUTO_MPG_CSV,
+  BREAST_CANCER_CSV,
+  FAITHFUL_CSV,
+  IRIS_CSV,
+  PENGUINS_CSV,
+  WINE_CSV,
+} from "./datasetLibraryData";
+import { composeAxes } from "./scaling";
+
+const paletteClasses = (names) =>
+  names.map((name, i) => ({ name, color: CLASS_PALETTE[i] }));
+
+export const DATASET_LIBRARY = {
+  iris: {
+    name: "Iris",
+    description:
+      "Sepal and petal measurements (cm) of 50 flowers from each of three iris species. Setosa stands apart; versicolor and virginica overlap a little, which is where k matters.",
+    source: "R. A. Fisher (1936), via the UCI Machine Learning Repository.",
+    features: ["sepal_length", "sepal_width", "petal_length", "petal_width"],
+    x: "petal_length",
+    y: "petal_width",
+    label: "species",
+    classes: paletteClasses(["setosa", "versicolor", "virginica"]),
+    rows: () => parseCsv(IRIS_CSV).rows,
+  },
+  wine: {
+    name: "Wine",
+    description:
+      "Chemical analysis of 178 wines from three cultivars in the same region of Italy. Proline is in the hundreds while hue is around 1, so unscaled distances would hear only proline; here every feature is rescaled to the plot.",
+    source: "M. Forina et al. (1988), via the UCI Machine Learning Repository.",
+    features: [
+      "alcohol",
+      "malic_acid",
+      "ash",
+      "ash_alcalinity",
+      "magnesium",
+      "total_phenols",
+      "flavanoids",
+      "nonflavanoid_phenols",
+      "proanthocyanins",
+      "color_intensity",
+      "hue",
+      "od280_od315",
+      "proline",
+    ],
+    x: "proline",
+    y: "flavanoids",
+    label: "cultivar",
+    classes: paletteClasses(["cultivar 1", "cultivar 2", "cultivar 3"]),
+    rows: () => parseCsv(WINE_CSV).rows,
+  },
+  breastCancer: {
+    name: "Breast cancer (Wisconsin)",
+    description:
+      "Cell nuclei measured in images of 569 breast mass biopsies, labelled malignant or benign. This subset keeps the ten per-image means of the original 30 features.",
+    source:
+      "W. N. Street, W. H. Wolberg and O. L. Mangasarian (1993), via the UCI Machine Learning Repository.",
+    features: [
+      "radius",
+      "texture",
+      "perimeter",
+      "area",
+      "smoothness",
+      "compactness",
+      "concavity",
+      "concave_points",
+      "symmetry",
+      "fractal_dimension",
+    ],
+    x: "radius",
+    y: "concave_points",
+    label: "diagnosis",
+    classes: paletteClasses(["malignant", "benign"]),
+    rows: () => parseCsv(BREAST_CANCER_CSV).rows,
+  },
+  faithful: {
+    name: "Old Faithful",
+    description:
+      "Eruption length (min) and waiting time to the next eruption (min) of 272 eruptions of the Old Faithful geyser, labelled short when the eruption lasted under 3 minutes and long otherwise. The two clusters are so clear that almost any k works, and waiting time alone nearly predicts the label.",
+    source:
+      "A. Azzalini and A. W. Bowman (1990), from W. Härdle (1991), as R's faithful data frame.",
+    features: ["eruptions", "waiting"],
+    x: "eruptions",
+    y: "waiting",
+    label: "eruption",
+    classes: paletteClasses(["short", "long"]),
+    rows: () =>
+      parseCsv(FAITHFUL_CSV).rows.map((row) => ({
+        ...row,
+        values: {
+          ...row.values,
+          eruption: Number(row.values.eruptions) < 3 ? "short" : "long",
+        },
+      })),
+  },
+  penguins: {
+    name: "Palmer penguins",
+    description:
+      "Bill length and depth (mm), flipper length (mm) and body mass (g) of 342 penguins from three species. Adelie and chinstrap share flipper lengths but not bills, so the view you pick decides how separable they look.",
+    source:
+      "K. B. Gorman, T. D. Williams and W. R. Fraser (2014), the palmerpenguins R package (CC0), without the two penguins missing every measurement.",
+    features: ["bill_length", "bill_depth", "flipper_length", "body_mass"],
+    x: "bill_length",
+    y: "bill_depth",
+    label: "species",
+    classes: paletteClasses(["Adelie", "Chinstrap", "Gentoo"]),
+    rows: () => parseCsv(PENGUINS_CSV).rows,
+  },
+  autoMpg: {
+    name: "Auto MPG",
+    description:
+      "Fuel economy (miles per gallon), engine and body figures and model year (1970–82) of 392 cars, labelled by where they were built. American cars are heavier and thirstier, but European and Japanese cars overlap almost everywhere, so expect errors whatever k is.",
+    source:
+      "StatLib (Carnegie Mellon University), as used by R. Quinlan (1993), via the vega-datasets package; the 14 cars missing a figure are left out.",
+    features: [
+      "mpg",
+      "cylinders",
+      "displacement",
+      "horsepower",
+      "weight",
+      "acceleration",
+      "year",
+    ],
+    x: "weight",
+    y: "mpg",
+    label: "origin",
+    classes: paletteClasses(["USA", "Europe", "Japan"]),
+    rows: () => parseCsv(AUTO_MPG_CSV).rows,
+  },
+};
+
+/**
+ * Points for library dataset `id` with features `x` and `y` plotted,
+ * rescaled into the plot. With `allFeatures`, every point also carries all
+ * of the dataset's features (x and y first) for high-dimensional k-NN.
+ *
+ * Returns `{ points, classes, axes, features }` in the shape `DatasetPanel`
+ * imports: `axes` map the plot back to the features' units and `features`
+ * is empty for plain 2-D points.
+ */
+export function loadLibraryDataset(id, { x, y, allFeatures = false } = {}) {
+  const dataset = DATASET_LIBRARY[id];
+  const mapping = {
+    x: x || dataset.x,
+    y: y || dataset.y,
+    label: dataset.label,
+    features: allFeatures ? dataset.features : [],
+  };
+  const raw = rowsToPoints(dataset.rows(), mapping).points;
+  const columnAxes = {
+    x: { name: mapping.x, offset: 0, scale: 1 },
+    y: { name: mapping.y, offset: 0, scale: 1 },
+  };
+  return {
+    points: rescalePoints(raw),
+    classes: dataset.classes,
+    axes: composeAxes(columnAxes, rescaleAxes(raw)),
+    features: featureColumns(mapping),
+  };
+}
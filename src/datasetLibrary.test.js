@@ -0,0 +1,81 @@
+import { DATASET_LIBRARY, loadLibraryDataset } from "./datasetLibrary";
+import { toRaw } from "./scaling";
+
+const ids = Object.keys(DATASET_LIBRARY);
+
+describe.each(ids)("%s", (id) => {
+  const dataset = DATASET_LIBRARY[id];
+
+  test("loads every row with a known class inside the plot", () => {
+    const { points, classes } = loadLibraryDataset(id);
+    expect(points).toHaveLength(dataset.rows().length);
+    const names = classes.map((c) => c.name);
+    points.forEach((p) => {
+      expect(names).toContain(p.label);
+      expect(p.x).toBeGreaterThanOrEqual(0);
+      expect(p.x).toBeLessThanOrEqual(100);
+      expect(p.y).toBeGreaterThanOrEqual(0);
+      expect(p.y).toBeLessThanOrEqual(100);
+    });
+    expect(new Set(points.map((p) => p.label)).size).toBe(classes.length);
+  });
+
+  test("is the same on every load", () => {
+    expect(loadLibraryDataset(id)).toEqual(loadLibraryDataset(id));
+  });
+});
+
+test("the original datasets keep their sizes", () => {
+  expect(loadLibraryDataset("iris").points).toHaveLength(150);
+  expect(loadLibraryDataset("wine").points).toHaveLength(178);
+  expect(loadLibraryDataset("breastCancer").points).toHaveLength(569);
+  expect(loadLibraryDataset("faithful").points).toHaveLength(272);
+  expect(loadLibraryDataset("penguins").points).toHaveLength(342);
+  expect(loadLibraryDataset("autoMpg").points).toHaveLength(392);
+});
+
+test("Old Faithful eruptions under 3 minutes are short", () => {
+  const { points, axes } = loadLibraryDataset("faithful");
+  const labels = points.map((p) => p.label);
+  expect(labels.filter((l) => l === "short")).toHaveLength(97);
+  // First row: 3.6,79
+  expect(labels[0]).toBe("long");
+  expect(toRaw(points[0], axes).x).toBeCloseTo(3.6);
+  points.forEach((p) => {
+    expect(toRaw(p, axes).x < 3).toBe(p.label === "short");
+  });
+});
+
+test("axes map the plot back to the chosen features", () => {
+  const { points, axes } = loadLibraryDataset("iris", {
+    x: "sepal_length",
+    y: "petal_width",
+  });
+  // First row: 5.1,3.5,1.4,0.2,setosa
+  const raw = toRaw(points[0], axes);
+  expect(raw.x).toBeCloseTo(5.1);
+  expect(raw.y).toBeCloseTo(0.2);
+  expect(axes.x.name).toBe("sepal_length");
+  expect(axes.y.name).toBe("petal_width");
+});
+
+test("all features put the plotted pair first", () => {
+  const plain = loadLibraryDataset("iris");
+  expect(plain.features).toEqual([]);
+  expect(plain.points[0].features).toBeUndefined();
+
+  const { points, features } = loadLibraryDataset("iris", {
+    x: "petal_width",
+    y: "sepal_length",
+    allFeatures: true,
+  });
+  expect(features).toEqual([
+    "petal_width",
+    "sepal_length",
+    "sepal_width",
+    "petal_length",
+  ]);
+  expect(points[0].features).toHaveLength(4);
+  expect(points[0].features[0]).toBeCloseTo(points[0].x);
+  expect(points[0].features[1]).toBeCloseTo(points[0].y);
+});
@@ -0,0 +1,1930 @@
+// Classic teaching datasets as CSV text, parsed with `parseCsv` by
+// datasetLibrary.js. Iris, Wine and Breast cancer are copied from the copies
+// that ship with scikit-learn (sklearn/datasets/data, BSD-3-Clause; the data
+// sets themselves come from the UCI Machine Learning Repository). Old
+// Faithful is R's `faithful` data frame (datasets package), as bundled with
+// the webR build of R. Palmer penguins (CC0) and Auto MPG (StatLib) are
+// copied from the vega-datasets package (penguins.json, cars.json), dropping
+// the rows with a missing measurement; Auto MPG keeps the two-digit model
+// year and leaves out the car names.
+
+export const IRIS_CSV = `sepal_length,sepal_width,petal_length,petal_width,species
+5.1,3.5,1.4,0.2,setosa
+4.9,3.0,1.4,0.2,setosa
+4.7,3.2,1.3,0.2,setosa
+4.6,3.1,1.5,0.2,setosa
+5.0,3.6,1.4,0.2,setosa
+5.4,3.9,1.7,0.4,setosa
+4.6,3.4,1.4,0.3,setosa
+5.0,3.4,1.5,0.2,setosa
+4.4,2.9,1.4,0.2,setosa
+4.9,3.1,1.5,0.1,setosa
+5.4,3.7,1.5,0.2,setosa
+4.8,3.4,1.6,0.2,setosa
+4.8,3.0,1.4,0.1,setosa
+4.3,3.0,1.1,0.1,setosa
+5.8,4.0,1.2,0.2,setosa
+5.7,4.4,1.5,0.4,setosa
+5.4,3.9,1.3,0.4,setosa
+5.1,3.5,1.4,0.3,setosa
+5.7,3.8,1.7,0.3,setosa
+5.1,3.8,1.5,0.3,setosa
+5.4,3.4,1.7,0.2,setosa
+5.1,3.7,1.5,0.4,setosa
+4.6,3.6,1.0,0.2,setosa
+5.1,3.3,1.7,0.5,setosa
+4.8,3.4,1.9,0.2,setosa
+5.0,3.0,1.6,0.2,setosa
+5.0,3.4,1.6,0.4,setosa
+5.2,3.5,1.5,0.2,setosa
+5.2,3.4,1.4,0.2,setosa
+4.7,3.2,1.6,0.2,setosa
+4.8,3.1,1.6,0.2,setosa
+5.4,3.4,1.5,0.4,setosa
+5.2,4.1,1.5,0.1,setosa
+5.5,4.2,1.4,0.2,setosa
+4.9,3.1,1.5,0.2,setosa
+5.0,3.2,1.2,0.2,setosa
+5.5,3.5,1.3,0.2,setosa
+4.9,3.6,1.4,0.1,setosa
+4.4,3.0,1.3,0.2,setosa
+5.1,3.4,1.5,0.2,setosa
+5.0,3.5,1.3,0.3,setosa
+4.5,2.3,1.3,0.3,setosa
+4.4,3.2,1.3,0.2,setosa
+5.0,3.5,1.6,0.6,setosa
+5.1,3.8,1.9,0.4,setosa
+4.8,3.0,1.4,0.3,setosa
+5.1,3.8,1.6,0.2,setosa
+4.6,3.2,1.4,0.2,setosa
+5.3,3.7,1.5,0.2,setosa
+5.0,3.3,1.4,0.2,setosa
+7.0,3.2,4.7,1.4,versicolor
+6.4,3.2,4.5,1.5,versicolor
+6.9,3.1,4.9,1.5,versicolor
+5.5,2.3,4.0,1.3,versicolor
+6.5,2.8,4.6,1.5,versicolor
+5.7,2.8,4.5,1.3,versicolor
+6.3,3.3,4.7,1.6,versicolor
+4.9,2.4,3.3,1.0,versicolor
+6.6,2.9,4.6,1.3,versicolor
+5.2,2.7,3.9,1.4,versicolor
+5.0,2.0,3.5,1.0,versicolor
+5.9,3.0,4.2,1.5,versicolor
+6.0,2.2,4.0,1.0,versicolor
+6.1,2.9,4.7,1.4,versicolor
+5.6,2.9,3.6,1.3,versicolor
+6.7,3.1,4.4,1.4,versicolor
+5.6,3.0,4.5,1.5,versicolor
+5.8,2.7,4.1,1.0,versicolor
+6.2,2.2,4.5,1.5,versicolor
+5.6,2.5,3.9,1.1,versicolor
+5.9,3.2,4.8,1.8,versicolor
+6.1,2.8,4.0,1.3,versicolor
+6.3,2.5,4.9,1.5,versicolor
+6.1,2.8,4.7,1.2,versicolor
+6.4,2.9,4.3,1.3,versicolor
+6.6,3.0,4.4,1.4,versicolor
+6.8,2.8,4.8,1.4,versicolor
+6.7,3.0,5.0,1.7,versicolor
+6.0,2.9,4.5,1.5,versicolor
+5.7,2.6,3.5,1.0,versicolor
+5.5,2.4,3.8,1.1,versicolor
+5.5,2.4,3.7,1.0,versicolor
+5.8,2.7,3.9,1.2,versicolor
+6.0,2.7,5.1,1.6,versicolor
+5.4,3.0,4.5,1.5,versicolor
+6.0,3.4,4.5,1.6,versicolor
+6.7,3.1,4.7,1.5,versicolor
+6.3,2.3,4.4,1.3,versicolor
+5.6,3.0,4.1,1.3,versicolor
+5.5,2.5,4.0,1.3,versicolor
+5.5,2.6,4.4,1.2,versicolor
+6.1,3.0,4.6,1.4,versicolor
+5.8,2.6,4.0,1.2,versicolor
+5.0,2.3,3.3,1.0,versicolor
+5.6,2.7,4.2,1.3,versicolor
+5.7,3.0,4.2,1.2,versicolor
+5.7,2.9,4.2,1.3,versicolor
+6.2,2.9,4.3,1.3,versicolor
+5.1,2.5,3.0,1.1,versicolor
+5.7,2.8,4.1,1.3,versicolor
+6.3,3.3,6.0,2.5,virginica
+5.8,2.7,5.1,1.9,virginica
+7.1,3.0,5.9,2.1,virginica
+6.3,2.9,5.6,1.8,virginica
+6.5,3.0,5.8,2.2,virginica
+7.6,3.0,6.6,2.1,virginica
+4.9,2.5,4.5,1.7,virginica
+7.3,2.9,6.3,1.8,virginica
+6.7,2.5,5.8,1.8,virginica
+7.2,3.6,6.1,2.5,virginica
+6.5,3.2,5.1,2.0,virginica
+6.4,2.7,5.3,1.9,virginica
+6.8,3.0,5.5,2.1,virginica
+5.7,2.5,5.0,2.0,virginica
+5.8,2.8,5.1,2.4,virginica
+6.4,3.2,5.3,2.3,virginica
+6.5,3.0,5.5,1.8,virginica
+7.7,3.8,6.7,2.2,virginica
+7.7,2.6,6.9,2.3,virginica
+6.0,2.2,5.0,1.5,virginica
+6.9,3.2,5.7,2.3,virginica
+5.6,2.8,4.9,2.0,virginica
+7.7,2.8,6.7,2.0,virginica
+6.3,2.7,4.9,1.8,virginica
+6.7,3.3,5.7,2.1,virginica
+7.2,3.2,6.0,1.8,virginica
+6.2,2.8,4.8,1.8,virginica
+6.1,3.0,4.9,1.8,virginica
+6.4,2.8,5.6,2.1,virginica
+7.2,3.0,5.8,1.6,virginica
+7.4,2.8,6.1,1.9,virginica
+7.9,3.8,6.4,2.0,virginica
+6.4,2.8,5.6,2.2,virginica
+6.3,2.8,5.1,1.5,virginica
+6.1,2.6,5.6,1.4,virginica
+7.7,3.0,6.1,2.3,virginica
+6.3,3.4,5.6,2.4,virginica
+6.4,3.1,5.5,1.8,virginica
+6.0,3.0,4.8,1.8,virginica
+6.9,3.1,5.4,2.1,virginica
+6.7,3.1,5.6,2.4,virginica
+6.9,3.1,5.1,2.3,virginica
+5.8,2.7,5.1,1.9,virginica
+6.8,3.2,5.9,2.3,virginica
+6.7,3.3,5.7,2.5,virginica
+6.7,3.0,5.2,2.3,virginica
+6.3,2.5,5.0,1.9,virginica
+6.5,3.0,5.2,2.0,virginica
+6.2,3.4,5.4,2.3,virginica
+5.9,3.0,5.1,1.8,virginica
+`;
+
+export const WINE_CSV = `alcohol,malic_acid,ash,ash_alcalinity,magnesium,total_phenols,flavanoids,nonflavanoid_phenols,proanthocyanins,color_intensity,hue,od280_od315,proline,cultivar
+14.23,1.71,2.43,15.6,127,2.8,3.06,0.28,2.29,5.64,1.04,3.92,1065,cultivar 1
+13.2,1.78,2.14,11.2,100,2.65,2.76,0.26,1.28,4.38,1.05,3.4,1050,cultivar 1
+13.16,2.36,2.67,18.6,101,2.8,3.24,0.3,2.81,5.68,1.03,3.17,1185,cultivar 1
+14.37,1.95,2.5,16.8,113,3.85,3.49,0.24,2.18,7.8,0.86,3.45,1480,cultivar 1
+13.24,2.59,2.87,21,118,2.8,2.69,0.39,1.82,4.32,1.04,2.93,735,cultivar 1
+14.2,1.76,2.45,15.2,112,3.27,3.39,0.34,1.97,6.75,1.05,2.85,1450,cultivar 1
+14.39,1.87,2.45,14.6,96,2.5,2.52,0.3,1.98,5.25,1.02,3.58,1290,cultivar 1
+14.06,2.15,2.61,17.6,121,2.6,2.51,0.31,1.25,5.05,1.06,3.58,1295,cultivar 1
+14.83,1.64,2.17,14,97,2.8,2.98,0.29,1.98,5.2,1.08,2.85,1045,cultivar 1
+13.86,1.35,2.27,16,98,2.98,3.15,0.22,1.85,7.22,1.01,3.55,1045,cultivar 1
+14.1,2.16,2.3,18,105,2.95,3.32,0.22,2.38,5.75,1.25,3.17,1510,cultivar 1
+14.12,1.48,2.32,16.8,95,2.2,2.43,0.26,1.57,5,1.17,2.82,1280,cultivar 1
+13.75,1.73,2.41,16,89,2.6,2.76,0.29,1.81,5.6,1.15,2.9,1320,cultivar 1
+14.75,1.73,2.39,11.4,91,3.1,3.69,0.43,2.81,5.4,1.25,2.73,1150,cultivar 1
+14.38,1.87,2.38,12,102,3.3,3.64,0.29,2.96,7.5,1.2,3,1547,cultivar 1
+13.63,1.81,2.7,17.2,112,2.85,2.91,0.3,1.46,7.3,1.28,2.88,1310,cultivar 1
+14.3,1.92,2.72,20,120,2.8,3.14,0.33,1.97,6.2,1.07,2.65,1280,cultivar 1
+13.83,1.57,2.62,20,115,2.95,3.4,0.4,1.72,6.6,1.13,2.57,1130,cultivar 1
+14.19,1.59,2.48,16.5,108,3.3,3.93,0.32,1.86,8.7,1.23,2.82,1680,cultivar 1
+13.64,3.1,2.56,15.2,116,2.7,3.03,0.17,1.66,5.1,0.96,3.36,845,cultivar 1
+14.06,1.63,2.28,16,126,3,3.17,0.24,2.1,5.65,1.09,3.71,780,cultivar 1
+12.93,3.8,2.65,18.6,102,2.41,2.41,0.25,1.98,4.5,1.03,3.52,770,cultivar 1
+13.71,1.86,2.36,16.6,101,2.61,2.88,0.27,1.69,3.8,1.11,4,1035,cultivar 1
+12.85,1.6,2.52,17.8,95,2.48,2.37,0.26,1.46,3.93,1.09,3.63,1015,cultivar 1
+13.5,1.81,2.61,20,96,2.53,2.61,0.28,1.66,3.52,1.12,3.82,845,cultivar 1
+13.05,2.05,3.22,25,124,2.63,2.68,0.47,1.92,3.58,1.13,3.2,830,cultivar 1
+13.39,1.77,2.62,16.1,93,2.85,2.94,0.34,1.45,4.8,0.92,3.22,1195,cultivar 1
+13.3,1.72,2.14,17,94,2.4,2.19,0.27,1.35,3.95,1.02,2.77,1285,cultivar 1
+13.87,1.9,2.8,19.4,107,2.95,2.97,0.37,1.76,4.5,1.25,3.4,915,cultivar 1
+14.02,1.68,2.21,16,96,2.65,2.33,0.26,1.98,4.7,1.04,3.59,1035,cultivar 1
+13.73,1.5,2.7,22.5,101,3,3.25,0.29,2.38,5.7,1.19,2.71,1285,cultivar 1
+13.58,1.66,2.36,19.1,106,2.86,3.19,0.22,1.95,6.9,1.09,2.88,1515,cultivar 1
+13.68,1.83,2.36,17.2,104,2.42,2.69,0.42,1.97,3.84,1.23,2.87,990,cultivar 1
+13.76,1.53,2.7,19.5,132,2.95,2.74,0.5,1.35,5.4,1.25,3,1235,cultivar 1
+13.51,1.8,2.65,19,110,2.35,2.53,0.29,1.54,4.2,1.1,2.87,1095,cultivar 1
+13.48,1.81,2.41,20.5,100,2.7,2.98,0.26,1.86,5.1,1.04,3.47,920,cultivar 1
+13.28,1.64,2.84,15.5,110,2.6,2.68,0.34,1.36,4.6,1.09,2.78,880,cultivar 1
+13.05,1.65,2.55,18,98,2.45,2.43,0.29,1.44,4.25,1.12,2.51,1105,cultivar 1
+13.07,1.5,2.1,15.5,98,2.4,2.64,0.28,1.37,3.7,1.18,2.69,1020,cultivar 1
+14.22,3.99,2.51,13.2,128,3,3.04,0.2,2.08,5.1,0.89,3.53,760,cultivar 1
+13.56,1.71,2.31,16.2,117,3.15,3.29,0.34,2.34,6.13,0.95,3.38,795,cultivar 1
+13.41,3.84,2.12,18.8,90,2.45,2.68,0.27,1.48,4.28,0.91,3,1035,cultivar 1
+13.88,1.89,2.59,15,101,3.25,3.56,0.17,1.7,5.43,0.88,3.56,1095,cultivar 1
+13.24,3.98,2.29,17.5,103,2.64,2.63,0.32,1.66,4.36,0.82,3,680,cultivar 1
+13.05,1.77,2.1,17,107,3,3,0.28,2.03,5.04,0.88,3.35,885,cultivar 1
+14.21,4.04,2.44,18.9,111,2.85,2.65,0.3,1.25,5.24,0.87,3.33,1080,cultivar 1
+14.38,3.59,2.28,16,102,3.25,3.17,0.27,2.19,4.9,1.04,3.44,1065,cultivar 1
+13.9,1.68,2.12,16,101,3.1,3.39,0.21,2.14,6.1,0.91,3.33,985,cultivar 1
+14.1,2.02,2.4,18.8,103,2.75,2.92,0.32,2.38,6.2,1.07,2.75,1060,cultivar 1
+13.94,1.73,2.27,17.4,108,2.88,3.54,0.32,2.08,8.9,1.12,3.1,1260,cultivar 1
+13.05,1.73,2.04,12.4,92,2.72,3.27,0.17,2.91,7.2,1.12,2.91,1150,cultivar 1
+13.83,1.65,2.6,17.2,94,2.45,2.99,0.22,2.29,5.6,1.24,3.37,1265,cultivar 1
+13.82,1.75,2.42,14,111,3.88,3.74,0.32,1.87,7.05,1.01,3.26,1190,cultivar 1
+13.77,1.9,2.68,17.1,115,3,2.79,0.39,1.68,6.3,1.13,2.93,1375,cultivar 1
+13.74,1.67,2.25,16.4,118,2.6,2.9,0.21,1.62,5.85,0.92,3.2,1060,cultivar 1
+13.56,1.73,2.46,20.5,116,2.96,2.78,0.2,2.45,6.25,0.98,3.03,1120,cultivar 1
+14.22,1.7,2.3,16.3,118,3.2,3,0.26,2.03,6.38,0.94,3.31,970,cultivar 1
+13.29,1.97,2.68,16.8,102,3,3.23,0.31,1.66,6,1.07,2.84,1270,cultivar 1
+13.72,1.43,2.5,16.7,108,3.4,3.67,0.19,2.04,6.8,0.89,2.87,1285,cultivar 1
+12.37,0.94,1.36,10.6,88,1.98,0.57,0.28,0.42,1.95,1.05,1.82,520,cultivar 2
+12.33,1.1,2.28,16,101,2.05,1.09,0.63,0.41,3.27,1.25,1.67,680,cultivar 2
+12.64,1.36,2.02,16.8,100,2.02,1.41,0.53,0.62,5.75,0.98,1.59,450,cultivar 2
+13.67,1.25,1.92,18,94,2.1,1.79,0.32,0.73,3.8,1.23,2.46,630,cultivar 2
+12.37,1.13,2.16,19,87,3.5,3.1,0.19,1.87,4.45,1.22,2.87,420,cultivar 2
+12.17,1.45,2.53,19,104,1.89,1.75,0.45,1.03,2.95,1.45,2.23,355,cultivar 2
+12.37,1.21,2.56,18.1,98,2.42,2.65,0.37,2.08,4.6,1.19,2.3,678,cultivar 2
+13.11,1.01,1.7,15,78,2.98,3.18,0.26,2.28,5.3,1.12,3.18,502,cultivar 2
+12.37,1.17,1.92,19.6,78,2.11,2,0.27,1.04,4.68,1.12,3.48,510,cultivar 2
+13.34,0.94,2.36,17,110,2.53,1.3,0.55,0.42,3.17,1.02,1.93,750,cultivar 2
+12.21,1.19,1.75,16.8,151,1.85,1.28,0.14,2.5,2.85,1.28,3.07,718,cultivar 2
+12.29,1.61,2.21,20.4,103,1.1,1.02,0.37,1.46,3.05,0.906,1.82,870,cultivar 2
+13.86,1.51,2.67,25,86,2.95,2.86,0.21,1.87,3.38,1.36,3.16,410,cultivar 2
+13.49,1.66,2.24,24,87,1.88,1.84,0.27,1.03,3.74,0.98,2.78,472,cultivar 2
+12.99,1.67,2.6,30,139,3.3,2.89,0.21,1.96,3.35,1.31,3.5,985,cultivar 2
+11.96,1.09,2.3,21,101,3.38,2.14,0.13,1.65,3.21,0.99,3.13,886,cultivar 2
+11.66,1.88,1.92,16,97,1.61,1.57,0.34,1.15,3.8,1.23,2.14,428,cultivar 2
+13.03,0.9,1.71,16,86,1.95,2.03,0.24,1.46,4.6,1.19,2.48,392,cultivar 2
+11.84,2.89,2.23,18,112,1.72,1.32,0.43,0.95,2.65,0.96,2.52,500,cultivar 2
+12.33,0.99,1.95,14.8,136,1.9,1.85,0.35,2.76,3.4,1.06,2.31,750,cultivar 2
+12.7,3.87,2.4,23,101,2.83,2.55,0.43,1.95,2.57,1.19,3.13,463,cultivar 2
+12,0.92,2,19,86,2.42,2.26,0.3,1.43,2.5,1.38,3.12,278,cultivar 2
+12.72,1.81,2.2,18.8,86,2.2,2.53,0.26,1.77,3.9,1.16,3.14,714,cultivar 2
+12.08,1.13,2.51,24,78,2,1.58,0.4,1.4,2.2,1.31,2.72,630,cultivar 2
+13.05,3.86,2.32,22.5,85,1.65,1.59,0.61,1.62,4.8,0.84,2.01,515,cultivar 2
+11.84,0.89,2.58,18,94,2.2,2.21,0.22,2.35,3.05,0.79,3.08,520,cultivar 2
+12.67,0.98,2.24,18,99,2.2,1.94,0.3,1.46,2.62,1.23,3.16,450,cultivar 2
+12.16,1.61,2.31,22.8,90,1.78,1.69,0.43,1.56,2.45,1.33,2.26,495,cultivar 2
+11.65,1.67,2.62,26,88,1.92,1.61,0.4,1.34,2.6,1.36,3.21,562,cultivar 2
+11.64,2.06,2.46,21.6,84,1.95,1.69,0.48,1.35,2.8,1,2.75,680,cultivar 2
+12.08,1.33,2.3,23.6,70,2.2,1.59,0.42,1.38,1.74,1.07,3.21,625,cultivar 2
+12.08,1.83,2.32,18.5,81,1.6,1.5,0.52,1.64,2.4,1.08,2.27,480,cultivar 2
+12,1.51,2.42,22,86,1.45,1.25,0.5,1.63,3.6,1.05,2.65,450,cultivar 2
+12.69,1.53,2.26,20.7,80,1.38,1.46,0.58,1.62,3.05,0.96,2.06,495,cultivar 2
+12.29,2.83,2.22,18,88,2.45,2.25,0.25,1.99,2.15,1.15,3.3,290,cultivar 2
+11.62,1.99,2.28,18,98,3.02,2.26,0.17,1.35,3.25,1.16,2.96,345,cultivar 2
+12.47,1.52,2.2,19,162,2.5,2.27,0.32,3.28,2.6,1.16,2.63,937,cultivar 2
+11.81,2.12,2.74,21.5,134,1.6,0.99,0.14,1.56,2.5,0.95,2.26,625,cultivar 2
+12.29,1.41,1.98,16,85,2.55,2.5,0.29,1.77,2.9,1.23,2.74,428,cultivar 2
+12.37,1.07,2.1,18.5,88,3.52,3.75,0.24,1.95,4.5,1.04,2.77,660,cultivar 2
+12.29,3.17,2.21,18,88,2.85,2.99,0.45,2.81,2.3,1.42,2.83,406,cultivar 2
+12.08,2.08,1.7,17.5,97,2.23,2.17,0.26,1.4,3.3,1.27,2.96,710,cultivar 2
+12.6,1.34,1.9,18.5,88,1.45,1.36,0.29,1.35,2.45,1.04,2.77,562,cultivar 2
+12.34,2.45,2.46,21,98,2.56,2.11,0.34,1.31,2.8,0.8,3.38,438,cultivar 2
+11.82,1.72,1.88,19.5,86,2.5,1.64,0.37,1.42,2.06,0.94,2.44,415,cultivar 2
+12.51,1.73,1.98,20.5,85,2.2,1.92,0.32,1.48,2.94,1.04,3.57,672,cultivar 2
+12.42,2.55,2.27,22,90,1.68,1.84,0.66,1.42,2.7,0.86,3.3,315,cultivar 2
+12.25,1.73,2.12,19,80,1.65,2.03,0.37,1.63,3.4,1,3.17,510,cultivar 2
+12.72,1.75,2.28,22.5,84,1.38,1.76,0.48,1.63,3.3,0.88,2.42,488,cultivar 2
+12.22,1.29,1.94,19,92,2.36,2.04,0.39,2.08,2.7,0.86,3.02,312,cultivar 2
+11.61,1.35,2.7,20,94,2.74,2.92,0.29,2.49,2.65,0.96,3.26,680,cultivar 2
+11.46,3.74,1.82,19.5,107,3.18,2.58,0.24,3.58,2.9,0.75,2.81,562,cultivar 2
+12.52,2.43,2.17,21,88,2.55,2.27,0.26,1.22,2,0.9,2.78,325,cultivar 2
+11.76,2.68,2.92,20,103,1.75,2.03,0.6,1.05,3.8,1.23,2.5,607,cultivar 2
+11.41,0.74,2.5,21,88,2.48,2.01,0.42,1.44,3.08,1.1,2.31,434,cultivar 2
+12.08,1.39,2.5,22.5,84,2.56,2.29,0.43,1.04,2.9,0.93,3.19,385,cultivar 2
+11.03,1.51,2.2,21.5,85,2.46,2.17,0.52,2.01,1.9,1.71,2.87,407,cultivar 2
+11.82,1.47,1.99,20.8,86,1.98,1.6,0.3,1.53,1.95,0.95,3.33,495,cultivar 2
+12.42,1.61,2.19,22.5,108,2,2.09,0.34,1.61,2.06,1.06,2.96,345,cultivar 2
+12.77,3.43,1.98,16,80,1.63,1.25,0.43,0.83,3.4,0.7,2.12,372,cultivar 2
+12,3.43,2,19,87,2,1.64,0.37,1.87,1.28,0.93,3.05,564,cultivar 2
+11.45,2.4,2.42,20,96,2.9,2.79,0.32,1.83,3.25,0.8,3.39,625,cultivar 2
+11.56,2.05,3.23,28.5,119,3.18,5.08,0.47,1.87,6,0.93,3.69,465,cultivar 2
+12.42,4.43,2.73,26.5,102,2.2,2.13,0.43,1.71,2.08,0.92,3.12,365,cultivar 2
+13.05,5.8,2.13,21.5,86,2.62,2.65,0.3,2.01,2.6,0.73,3.1,380,cultivar 2
+11.87,4.31,2.39,21,82,2.86,3.03,0.21,2.91,2.8,0.75,3.64,380,cultivar 2
+12.07,2.16,2.17,21,85,2.6,2.65,0.37,1.35,2.76,0.86,3.28,378,cultivar 2
+12.43,1.53,2.29,21.5,86,2.74,3.15,0.39,1.77,3.94,0.69,2.84,352,cultivar 2
+11.79,2.13,2.78,28.5,92,2.13,2.24,0.58,1.76,3,0.97,2.44,466,cultivar 2
+12.37,1.63,2.3,24.5,88,2.22,2.45,0.4,1.9,2.12,0.89,2.78,342,cultivar 2
+12.04,4.3,2.38,22,80,2.1,1.75,0.42,1.35,2.6,0.79,2.57,580,cultivar 2
+12.86,1.35,2.32,18,122,1.51,1.25,0.21,0.94,4.1,0.76,1.29,630,cultivar 3
+12.88,2.99,2.4,20,104,1.3,1.22,0.24,0.83,5.4,0.74,1.42,530,cultivar 3
+12.81,2.31,2.4,24,98,1.15,1.09,0.27,0.83,5.7,0.66,1.36,560,cultivar 3
+12.7,3.55,2.36,21.5,106,1.7,1.2,0.17,0.84,5,0.78,1.29,600,cultivar 3
+12.51,1.24,2.25,17.5,85,2,0.58,0.6,1.25,5.45,0.75,1.51,650,cultivar 3
+12.6,2.46,2.2,18.5,94,1.62,0.66,0.63,0.94,7.1,0.73,1.58,695,cultivar 3
+12.25,4.72,2.54,21,89,1.38,0.47,0.53,0.8,3.85,0.75,1.27,720,cultivar 3
+12.53,5.51,2.64,25,96,1.79,0.6,0.63,1.1,5,0.82,1.69,515,cultivar 3
+13.49,3.59,2.19,19.5,88,1.62,0.48,0.58,0.88,5.7,0.81,1.82,580,cultivar 3
+12.84,2.96,2.61,24,101,2.32,0.6,0.53,0.81,4.92,0.89,2.15,590,cultivar 3
+12.93,2.81,2.7,21,96,1.54,0.5,0.53,0.75,4.6,0.77,2.31,600,cultivar 3
+13.36,2.56,2.35,20,89,1.4,0.5,0.37,0.64,5.6,0.7,2.47,780,cultivar 3
+13.52,3.17,2.72,23.5,97,1.55,0.52,0.5,0.55,4.35,0.89,2.06,520,cultivar 3
+13.62,4.95,2.35,20,92,2,0.8,0.47,1.02,4.4,0.91,2.05,550,cultivar 3
+12.25,3.88,2.2,18.5,112,1.38,0.78,0.29,1.14,8.21,0.65,2,855,cultivar 3
+13.16,3.57,2.15,21,102,1.5,0.55,0.43,1.3,4,0.6,1.68,830,cultivar 3
+13.88,5.04,2.23,20,80,0.98,0.34,0.4,0.68,4.9,0.58,1.33,415,cultivar 3
+12.87,4.61,2.48,21.5,86,1.7,0.65,0.47,0.86,7.65,0.54,1.86,625,cultivar 3
+13.32,3.24,2.38,21.5,92,1.93,0.76,0.45,1.25,8.42,0.55,1.62,650,cultivar 3
+13.08,3.9,2.36,21.5,113,1.41,1.39,0.34,1.14,9.4,0.57,1.33,550,cultivar 3
+13.5,3.12,2.62,24,123,1.4,1.57,0.22,1.25,8.6,0.59,1.3,500,cultivar 3
+12.79,2.67,2.48,22,112,1.48,1.36,0.24,1.26,10.8,0.48,1.47,480,cultivar 3
+13.11,1.9,2.75,25.5,116,2.2,1.28,0.26,1.56,7.1,0.61,1.33,425,cultivar 3
+13.23,3.3,2.28,18.5,98,1.8,0.83,0.61,1.87,10.52,0.56,1.51,675,cultivar 3
+12.58,1.29,2.1,20,103,1.48,0.58,0.53,1.4,7.6,0.58,1.55,640,cultivar 3
+13.17,5.19,2.32,22,93,1.74,0.63,0.61,1.55,7.9,0.6,1.48,725,cultivar 3
+13.84,4.12,2.38,19.5,89,1.8,0.83,0.48,1.56,9.01,0.57,1.64,480,cultivar 3
+12.45,3.03,2.64,27,97,1.9,0.58,0.63,1.14,7.5,0.67,1.73,880,cultivar 3
+14.34,1.68,2.7,25,98,2.8,1.31,0.53,2.7,13,0.57,1.96,660,cultivar 3
+13.48,1.67,2.64,22.5,89,2.6,1.1,0.52,2.29,11.75,0.57,1.78,620,cultivar 3
+12.36,3.83,2.38,21,88,2.3,0.92,0.5,1.04,7.65,0.56,1.58,520,cultivar 3
+13.69,3.26,2.54,20,107,1.83,0.56,0.5,0.8,5.88,0.96,1.82,680,cultivar 3
+12.85,3.27,2.58,22,106,1.65,0.6,0.6,0.96,5.58,0.87,2.11,570,cultivar 3
+12.96,3.45,2.35,18.5,106,1.39,0.7,0.4,0.94,5.28,0.68,1.75,675,cultivar 3
+13.78,2.76,2.3,22,90,1.35,0.68,0.41,1.03,9.58,0.7,1.68,615,cultivar 3
+13.73,4.36,2.26,22.5,88,1.28,0.47,0.52,1.15,6.62,0.78,1.75,520,cultivar 3
+13.45,3.7,2.6,23,111,1.7,0.92,0.43,1.46,10.68,0.85,1.56,695,cultivar 3
+12.82,3.37,2.3,19.5,88,1.48,0.66,0.4,0.97,10.26,0.72,1.75,685,cultivar 3
+13.58,2.58,2.69,24.5,105,1.55,0.84,0.39,1.54,8.66,0.74,1.8,750,cultivar 3
+13.4,4.6,2.86,25,112,1.98,0.96,0.27,1.11,8.5,0.67,1.92,630,cultivar 3
+12.2,3.03,2.32,19,96,1.25,0.49,0.4,0.73,5.5,0.66,1.83,510,cultivar 3
+12.77,2.39,2.28,19.5,86,1.39,0.51,0.48,0.64,9.899999,0.57,1.63,470,cultivar 3
+14.16,2.51,2.48,20,91,1.68,0.7,0.44,1.24,9.7,0.62,1.71,660,cultivar 3
+13.71,5.65,2.45,20.5,95,1.68,0.61,0.52,1.06,7.7,0.64,1.74,740,cultivar 3
+13.4,3.91,2.48,23,102,1.8,0.75,0.43,1.41,7.3,0.7,1.56,750,cultivar 3
+13.27,4.28,2.26,20,120,1.59,0.69,0.43,1.35,10.2,0.59,1.56,835,cultivar 3
+13.17,2.59,2.37,20,120,1.65,0.68,0.53,1.46,9.3,0.6,1.62,840,cultivar 3
+14.13,4.1,2.74,24.5,96,2.05,0.76,0.56,1.35,9.2,0.61,1.6,560,cultivar 3
+`;
+
+export const BREAST_CANCER_CSV = `radius,texture,perimeter,area,smoothness,compactness,concavity,concave_points,symmetry,fractal_dimension,diagnosis
+17.99,10.38,122.8,1001,0.1184,0.2776,0.3001,0.1471,0.2419,0.07871,malignant
+20.57,17.77,132.9,1326,0.08474,0.07864,0.0869,0.07017,0.1812,0.05667,malignant
+19.69,21.25,130,1203,0.1096,0.1599,0.1974,0.1279,0.2069,0.05999,malignant
+11.42,20.38,77.58,386.1,0.1425,0.2839,0.2414,0.1052,0.2597,0.09744,malignant
+20.29,14.34,135.1,1297,0.1003,0.1328,0.198,0.1043,0.1809,0.05883,malignant
+12.45,15.7,82.57,477.1,0.1278,0.17,0.1578,0.08089,0.2087,0.07613,malignant
+18.25,19.98,119.6,1040,0.09463,0.109,0.1127,0.074,0.1794,0.05742,malignant
+13.71,20.83,90.2,577.9,0.1189,0.1645,0.09366,0.05985,0.2196,0.07451,malignant
+13,21.82,87.5,519.8,0.1273,0.1932,0.1859,0.09353,0.235,0.07389,malignant
+12.46,24.04,83.97,475.9,0.1186,0.2396,0.2273,0.08543,0.203,0.08243,malignant
+16.02,23.24,102.7,797.8,0.08206,0.06669,0.03299,0.03323,0.1528,0.05697,malignant
+15.78,17.89,103.6,781,0.0971,0.1292,0.09954,0.06606,0.1842,0.06082,malignant
+19.17,24.8,132.4,1123,0.0974,0.2458,0.2065,0.1118,0.2397,0.078,malignant
+15.85,23.95,103.7,782.7,0.08401,0.1002,0.09938,0.05364,0.1847,0.05338,malignant
+13.73,22.61,93.6,578.3,0.1131,0.2293,0.2128,0.08025,0.2069,0.07682,malignant
+14.54,27.54,96.73,658.8,0.1139,0.1595,0.1639,0.07364,0.2303,0.07077,malignant
+14.68,20.13,94.74,684.5,0.09867,0.072,0.07395,0.05259,0.1586,0.05922,malignant
+16.13,20.68,108.1,798.8,0.117,0.2022,0.1722,0.1028,0.2164,0.07356,malignant
+19.81,22.15,130,1260,0.09831,0.1027,0.1479,0.09498,0.1582,0.05395,malignant
+13.54,14.36,87.46,566.3,0.09779,0.08129,0.06664,0.04781,0.1885,0.05766,benign
+13.08,15.71,85.63,520,0.1075,0.127,0.04568,0.0311,0.1967,0.06811,benign
+9.504,12.44,60.34,273.9,0.1024,0.06492,0.02956,0.02076,0.1815,0.06905,benign
+15.34,14.26,102.5,704.4,0.1073,0.2135,0.2077,0.09756,0.2521,0.07032,malignant
+21.16,23.04,137.2,1404,0.09428,0.1022,0.1097,0.08632,0.1769,0.05278,malignant
+16.65,21.38,110,904.6,0.1121,0.1457,0.1525,0.0917,0.1995,0.0633,malignant
+17.14,16.4,116,912.7,0.1186,0.2276,0.2229,0.1401,0.304,0.07413,malignant
+14.58,21.53,97.41,644.8,0.1054,0.1868,0.1425,0.08783,0.2252,0.06924,malignant
+18.61,20.25,122.1,1094,0.0944,0.1066,0.149,0.07731,0.1697,0.05699,malignant
+15.3,25.27,102.4,732.4,0.1082,0.1697,0.1683,0.08751,0.1926,0.0654,malignant
+17.57,15.05,115,955.1,0.09847,0.1157,0.09875,0.07953,0.1739,0.06149,malignant
+18.63,25.11,124.8,1088,0.1064,0.1887,0.2319,0.1244,0.2183,0.06197,malignant
+11.84,18.7,77.93,440.6,0.1109,0.1516,0.1218,0.05182,0.2301,0.07799,malignant
+17.02,23.98,112.8,899.3,0.1197,0.1496,0.2417,0.1203,0.2248,0.06382,malignant
+19.27,26.47,127.9,1162,0.09401,0.1719,0.1657,0.07593,0.1853,0.06261,malignant
+16.13,17.88,107,807.2,0.104,0.1559,0.1354,0.07752,0.1998,0.06515,malignant
+16.74,21.59,110.1,869.5,0.0961,0.1336,0.1348,0.06018,0.1896,0.05656,malignant
+14.25,21.72,93.63,633,0.09823,0.1098,0.1319,0.05598,0.1885,0.06125,malignant
+13.03,18.42,82.61,523.8,0.08983,0.03766,0.02562,0.02923,0.1467,0.05863,benign
+14.99,25.2,95.54,698.8,0.09387,0.05131,0.02398,0.02899,0.1565,0.05504,malignant
+13.48,20.82,88.4,559.2,0.1016,0.1255,0.1063,0.05439,0.172,0.06419,malignant
+13.44,21.58,86.18,563,0.08162,0.06031,0.0311,0.02031,0.1784,0.05587,malignant
+10.95,21.35,71.9,371.1,0.1227,0.1218,0.1044,0.05669,0.1895,0.0687,malignant
+19.07,24.81,128.3,1104,0.09081,0.219,0.2107,0.09961,0.231,0.06343,malignant
+13.28,20.28,87.32,545.2,0.1041,0.1436,0.09847,0.06158,0.1974,0.06782,malignant
+13.17,21.81,85.42,531.5,0.09714,0.1047,0.08259,0.05252,0.1746,0.06177,malignant
+18.65,17.6,123.7,1076,0.1099,0.1686,0.1974,0.1009,0.1907,0.06049,malignant
+8.196,16.84,51.71,201.9,0.086,0.05943,0.01588,0.005917,0.1769,0.06503,benign
+13.17,18.66,85.98,534.6,0.1158,0.1231,0.1226,0.0734,0.2128,0.06777,malignant
+12.05,14.63,78.04,449.3,0.1031,0.09092,0.06592,0.02749,0.1675,0.06043,benign
+13.49,22.3,86.91,561,0.08752,0.07698,0.04751,0.03384,0.1809,0.05718,benign
+11.76,21.6,74.72,427.9,0.08637,0.04966,0.01657,0.01115,0.1495,0.05888,benign
+13.64,16.34,87.21,571.8,0.07685,0.06059,0.01857,0.01723,0.1353,0.05953,benign
+11.94,18.24,75.71,437.6,0.08261,0.04751,0.01972,0.01349,0.1868,0.0611,benign
+18.22,18.7,120.3,1033,0.1148,0.1485,0.1772,0.106,0.2092,0.0631,malignant
+15.1,22.02,97.26,712.8,0.09056,0.07081,0.05253,0.03334,0.1616,0.05684,malignant
+11.52,18.75,73.34,409,0.09524,0.05473,0.03036,0.02278,0.192,0.05907,benign
+19.21,18.57,125.5,1152,0.1053,0.1267,0.1323,0.08994,0.1917,0.05961,malignant
+14.71,21.59,95.55,656.9,0.1137,0.1365,0.1293,0.08123,0.2027,0.06758,malignant
+13.05,19.31,82.61,527.2,0.0806,0.03789,0.000692,0.004167,0.1819,0.05501,benign
+8.618,11.79,54.34,224.5,0.09752,0.05272,0.02061,0.007799,0.1683,0.07187,benign
+10.17,14.88,64.55,311.9,0.1134,0.08061,0.01084,0.0129,0.2743,0.0696,benign
+8.598,20.98,54.66,221.8,0.1243,0.08963,0.03,0.009259,0.1828,0.06757,benign
+14.25,22.15,96.42,645.7,0.1049,0.2008,0.2135,0.08653,0.1949,0.07292,malignant
+9.173,13.86,59.2,260.9,0.07721,0.08751,0.05988,0.0218,0.2341,0.06963,benign
+12.68,23.84,82.69,499,0.1122,0.1262,0.1128,0.06873,0.1905,0.0659,malignant
+14.78,23.94,97.4,668.3,0.1172,0.1479,0.1267,0.09029,0.1953,0.06654,malignant
+9.465,21.01,60.11,269.4,0.1044,0.07773,0.02172,0.01504,0.1717,0.06899,benign
+11.31,19.04,71.8,394.1,0.08139,0.04701,0.03709,0.0223,0.1516,0.05667,benign
+9.029,17.33,58.79,250.5,0.1066,0.1413,0.313,0.04375,0.2111,0.08046,benign
+12.78,16.49,81.37,502.5,0.09831,0.05234,0.03653,0.02864,0.159,0.05653,benign
+18.94,21.31,123.6,1130,0.09009,0.1029,0.108,0.07951,0.1582,0.05461,malignant
+8.888,14.64,58.79,244,0.09783,0.1531,0.08606,0.02872,0.1902,0.0898,benign
+17.2,24.52,114.2,929.4,0.1071,0.183,0.1692,0.07944,0.1927,0.06487,malignant
+13.8,15.79,90.43,584.1,0.1007,0.128,0.07789,0.05069,0.1662,0.06566,malignant
+12.31,16.52,79.19,470.9,0.09172,0.06829,0.03372,0.02272,0.172,0.05914,benign
+16.07,19.65,104.1,817.7,0.09168,0.08424,0.09769,0.06638,0.1798,0.05391,malignant
+13.53,10.94,87.91,559.2,0.1291,0.1047,0.06877,0.06556,0.2403,0.06641,benign
+18.05,16.15,120.2,1006,0.1065,0.2146,0.1684,0.108,0.2152,0.06673,malignant
+20.18,23.97,143.7,1245,0.1286,0.3454,0.3754,0.1604,0.2906,0.08142,malignant
+12.86,18,83.19,506.3,0.09934,0.09546,0.03889,0.02315,0.1718,0.05997,benign
+11.45,20.97,73.81,401.5,0.1102,0.09362,0.04591,0.02233,0.1842,0.07005,benign
+13.34,15.86,86.49,520,0.1078,0.1535,0.1169,0.06987,0.1942,0.06902,benign
+25.22,24.91,171.5,1878,0.1063,0.2665,0.3339,0.1845,0.1829,0.06782,malignant
+19.1,26.29,129.1,1132,0.1215,0.1791,0.1937,0.1469,0.1634,0.07224,malignant
+12,15.65,76.95,443.3,0.09723,0.07165,0.04151,0.01863,0.2079,0.05968,benign
+18.46,18.52,121.1,1075,0.09874,0.1053,0.1335,0.08795,0.2132,0.06022,malignant
+14.48,21.46,94.25,648.2,0.09444,0.09947,0.1204,0.04938,0.2075,0.05636,malignant
+19.02,24.59,122,1076,0.09029,0.1206,0.1468,0.08271,0.1953,0.05629,malignant
+12.36,21.8,79.78,466.1,0.08772,0.09445,0.06015,0.03745,0.193,0.06404,benign
+14.64,15.24,95.77,651.9,0.1132,0.1339,0.09966,0.07064,0.2116,0.06346,benign
+14.62,24.02,94.57,662.7,0.08974,0.08606,0.03102,0.02957,0.1685,0.05866,benign
+15.37,22.76,100.2,728.2,0.092,0.1036,0.1122,0.07483,0.1717,0.06097,malignant
+13.27,14.76,84.74,551.7,0.07355,0.05055,0.03261,0.02648,0.1386,0.05318,benign
+13.45,18.3,86.6,555.1,0.1022,0.08165,0.03974,0.0278,0.1638,0.0571,benign
+15.06,19.83,100.3,705.6,0.1039,0.1553,0.17,0.08815,0.1855,0.06284,malignant
+20.26,23.03,132.4,1264,0.09078,0.1313,0.1465,0.08683,0.2095,0.05649,malignant
+12.18,17.84,77.79,451.1,0.1045,0.07057,0.0249,0.02941,0.19,0.06635,benign
+9.787,19.94,62.11,294.5,0.1024,0.05301,0.006829,0.007937,0.135,0.0689,benign
+11.6,12.84,74.34,412.6,0.08983,0.07525,0.04196,0.0335,0.162,0.06582,benign
+14.42,19.77,94.48,642.5,0.09752,0.1141,0.09388,0.05839,0.1879,0.0639,malignant
+13.61,24.98,88.05,582.7,0.09488,0.08511,0.08625,0.04489,0.1609,0.05871,malignant
+6.981,13.43,43.79,143.5,0.117,0.07568,0,0,0.193,0.07818,benign
+12.18,20.52,77.22,458.7,0.08013,0.04038,0.02383,0.0177,0.1739,0.05677,benign
+9.876,19.4,63.95,298.3,0.1005,0.09697,0.06154,0.03029,0.1945,0.06322,benign
+10.49,19.29,67.41,336.1,0.09989,0.08578,0.02995,0.01201,0.2217,0.06481,benign
+13.11,15.56,87.21,530.2,0.1398,0.1765,0.2071,0.09601,0.1925,0.07692,malignant
+11.64,18.33,75.17,412.5,0.1142,0.1017,0.0707,0.03485,0.1801,0.0652,benign
+12.36,18.54,79.01,466.7,0.08477,0.06815,0.02643,0.01921,0.1602,0.06066,benign
+22.27,19.67,152.8,1509,0.1326,0.2768,0.4264,0.1823,0.2556,0.07039,malignant
+11.34,21.26,72.48,396.5,0.08759,0.06575,0.05133,0.01899,0.1487,0.06529,benign
+9.777,16.99,62.5,290.2,0.1037,0.08404,0.04334,0.01778,0.1584,0.07065,benign
+12.63,20.76,82.15,480.4,0.09933,0.1209,0.1065,0.06021,0.1735,0.0707,benign
+14.26,19.65,97.83,629.9,0.07837,0.2233,0.3003,0.07798,0.1704,0.07769,benign
+10.51,20.19,68.64,334.2,0.1122,0.1303,0.06476,0.03068,0.1922,0.07782,benign
+8.726,15.83,55.84,230.9,0.115,0.08201,0.04132,0.01924,0.1649,0.07633,benign
+11.93,21.53,76.53,438.6,0.09768,0.07849,0.03328,0.02008,0.1688,0.06194,benign
+8.95,15.76,58.74,245.2,0.09462,0.1243,0.09263,0.02308,0.1305,0.07163,benign
+14.87,16.67,98.64,682.5,0.1162,0.1649,0.169,0.08923,0.2157,0.06768,malignant
+15.78,22.91,105.7,782.6,0.1155,0.1752,0.2133,0.09479,0.2096,0.07331,malignant
+17.95,20.01,114.2,982,0.08402,0.06722,0.07293,0.05596,0.2129,0.05025,malignant
+11.41,10.82,73.34,403.3,0.09373,0.06685,0.03512,0.02623,0.1667,0.06113,benign
+18.66,17.12,121.4,1077,0.1054,0.11,0.1457,0.08665,0.1966,0.06213,malignant
+24.25,20.2,166.2,1761,0.1447,0.2867,0.4268,0.2012,0.2655,0.06877,malignant
+14.5,10.89,94.28,640.7,0.1101,0.1099,0.08842,0.05778,0.1856,0.06402,benign
+13.37,16.39,86.1,553.5,0.07115,0.07325,0.08092,0.028,0.1422,0.05823,benign
+13.85,17.21,88.44,588.7,0.08785,0.06136,0.0142,0.01141,0.1614,0.0589,benign
+13.61,24.69,87.76,572.6,0.09258,0.07862,0.05285,0.03085,0.1761,0.0613,malignant
+19,18.91,123.4,1138,0.08217,0.08028,0.09271,0.05627,0.1946,0.05044,malignant
+15.1,16.39,99.58,674.5,0.115,0.1807,0.1138,0.08534,0.2001,0.06467,benign
+19.79,25.12,130.4,1192,0.1015,0.1589,0.2545,0.1149,0.2202,0.06113,malignant
+12.19,13.29,79.08,455.8,0.1066,0.09509,0.02855,0.02882,0.188,0.06471,benign
+15.46,19.48,101.7,748.9,0.1092,0.1223,0.1466,0.08087,0.1931,0.05796,malignant
+16.16,21.54,106.2,809.8,0.1008,0.1284,0.1043,0.05613,0.216,0.05891,malignant
+15.71,13.93,102,761.7,0.09462,0.09462,0.07135,0.05933,0.1816,0.05723,benign
+18.45,21.91,120.2,1075,0.0943,0.09709,0.1153,0.06847,0.1692,0.05727,malignant
+12.77,22.47,81.72,506.3,0.09055,0.05761,0.04711,0.02704,0.1585,0.06065,malignant
+11.71,16.67,74.72,423.6,0.1051,0.06095,0.03592,0.026,0.1339,0.05945,benign
+11.43,15.39,73.06,399.8,0.09639,0.06889,0.03503,0.02875,0.1734,0.05865,benign
+14.95,17.57,96.85,678.1,0.1167,0.1305,0.1539,0.08624,0.1957,0.06216,malignant
+11.28,13.39,73,384.8,0.1164,0.1136,0.04635,0.04796,0.1771,0.06072,benign
+9.738,11.97,61.24,288.5,0.0925,0.04102,0,0,0.1903,0.06422,benign
+16.11,18.05,105.1,813,0.09721,0.1137,0.09447,0.05943,0.1861,0.06248,malignant
+11.43,17.31,73.66,398,0.1092,0.09486,0.02031,0.01861,0.1645,0.06562,benign
+12.9,15.92,83.74,512.2,0.08677,0.09509,0.04894,0.03088,0.1778,0.06235,benign
+10.75,14.97,68.26,355.3,0.07793,0.05139,0.02251,0.007875,0.1399,0.05688,benign
+11.9,14.65,78.11,432.8,0.1152,0.1296,0.0371,0.03003,0.1995,0.07839,benign
+11.8,16.58,78.99,432,0.1091,0.17,0.1659,0.07415,0.2678,0.07371,malignant
+14.95,18.77,97.84,689.5,0.08138,0.1167,0.0905,0.03562,0.1744,0.06493,benign
+14.44,15.18,93.97,640.1,0.0997,0.1021,0.08487,0.05532,0.1724,0.06081,benign
+13.74,17.91,88.12,585,0.07944,0.06376,0.02881,0.01329,0.1473,0.0558,benign
+13,20.78,83.51,519.4,0.1135,0.07589,0.03136,0.02645,0.254,0.06087,benign
+8.219,20.7,53.27,203.9,0.09405,0.1305,0.1321,0.02168,0.2222,0.08261,benign
+9.731,15.34,63.78,300.2,0.1072,0.1599,0.4108,0.07857,0.2548,0.09296,benign
+11.15,13.08,70.87,381.9,0.09754,0.05113,0.01982,0.01786,0.183,0.06105,benign
+13.15,15.34,85.31,538.9,0.09384,0.08498,0.09293,0.03483,0.1822,0.06207,benign
+12.25,17.94,78.27,460.3,0.08654,0.06679,0.03885,0.02331,0.197,0.06228,benign
+17.68,20.74,117.4,963.7,0.1115,0.1665,0.1855,0.1054,0.1971,0.06166,malignant
+16.84,19.46,108.4,880.2,0.07445,0.07223,0.0515,0.02771,0.1844,0.05268,benign
+12.06,12.74,76.84,448.6,0.09311,0.05241,0.01972,0.01963,0.159,0.05907,benign
+10.9,12.96,68.69,366.8,0.07515,0.03718,0.00309,0.006588,0.1442,0.05743,benign
+11.75,20.18,76.1,419.8,0.1089,0.1141,0.06843,0.03738,0.1993,0.06453,benign
+19.19,15.94,126.3,1157,0.08694,0.1185,0.1193,0.09667,0.1741,0.05176,malignant
+19.59,18.15,130.7,1214,0.112,0.1666,0.2508,0.1286,0.2027,0.06082,malignant
+12.34,22.22,79.85,464.5,0.1012,0.1015,0.0537,0.02822,0.1551,0.06761,benign
+23.27,22.04,152.1,1686,0.08439,0.1145,0.1324,0.09702,0.1801,0.05553,malignant
+14.97,19.76,95.5,690.2,0.08421,0.05352,0.01947,0.01939,0.1515,0.05266,benign
+10.8,9.71,68.77,357.6,0.09594,0.05736,0.02531,0.01698,0.1381,0.064,benign
+16.78,18.8,109.3,886.3,0.08865,0.09182,0.08422,0.06576,0.1893,0.05534,malignant
+17.47,24.68,116.1,984.6,0.1049,0.1603,0.2159,0.1043,0.1538,0.06365,malignant
+14.97,16.95,96.22,685.9,0.09855,0.07885,0.02602,0.03781,0.178,0.0565,benign
+12.32,12.39,78.85,464.1,0.1028,0.06981,0.03987,0.037,0.1959,0.05955,benign
+13.43,19.63,85.84,565.4,0.09048,0.06288,0.05858,0.03438,0.1598,0.05671,malignant
+15.46,11.89,102.5,736.9,0.1257,0.1555,0.2032,0.1097,0.1966,0.07069,malignant
+11.08,14.71,70.21,372.7,0.1006,0.05743,0.02363,0.02583,0.1566,0.06669,benign
+10.66,15.15,67.49,349.6,0.08792,0.04302,0,0,0.1928,0.05975,benign
+8.671,14.45,54.42,227.2,0.09138,0.04276,0,0,0.1722,0.06724,benign
+9.904,18.06,64.6,302.4,0.09699,0.1294,0.1307,0.03716,0.1669,0.08116,benign
+16.46,20.11,109.3,832.9,0.09831,0.1556,0.1793,0.08866,0.1794,0.06323,malignant
+13.01,22.22,82.01,526.4,0.06251,0.01938,0.001595,0.001852,0.1395,0.05234,benign
+12.81,13.06,81.29,508.8,0.08739,0.03774,0.009193,0.0133,0.1466,0.06133,benign
+27.22,21.87,182.1,2250,0.1094,0.1914,0.2871,0.1878,0.18,0.0577,malignant
+21.09,26.57,142.7,1311,0.1141,0.2832,0.2487,0.1496,0.2395,0.07398,malignant
+15.7,20.31,101.2,766.6,0.09597,0.08799,0.06593,0.05189,0.1618,0.05549,malignant
+11.41,14.92,73.53,402,0.09059,0.08155,0.06181,0.02361,0.1167,0.06217,benign
+15.28,22.41,98.92,710.6,0.09057,0.1052,0.05375,0.03263,0.1727,0.06317,malignant
+10.08,15.11,63.76,317.5,0.09267,0.04695,0.001597,0.002404,0.1703,0.06048,benign
+18.31,18.58,118.6,1041,0.08588,0.08468,0.08169,0.05814,0.1621,0.05425,malignant
+11.71,17.19,74.68,420.3,0.09774,0.06141,0.03809,0.03239,0.1516,0.06095,benign
+11.81,17.39,75.27,428.9,0.1007,0.05562,0.02353,0.01553,0.1718,0.0578,benign
+12.3,15.9,78.83,463.7,0.0808,0.07253,0.03844,0.01654,0.1667,0.05474,benign
+14.22,23.12,94.37,609.9,0.1075,0.2413,0.1981,0.06618,0.2384,0.07542,malignant
+12.77,21.41,82.02,507.4,0.08749,0.06601,0.03112,0.02864,0.1694,0.06287,benign
+9.72,18.22,60.73,288.1,0.0695,0.02344,0,0,0.1653,0.06447,benign
+12.34,26.86,81.15,477.4,0.1034,0.1353,0.1085,0.04562,0.1943,0.06937,malignant
+14.86,23.21,100.4,671.4,0.1044,0.198,0.1697,0.08878,0.1737,0.06672,malignant
+12.91,16.33,82.53,516.4,0.07941,0.05366,0.03873,0.02377,0.1829,0.05667,benign
+13.77,22.29,90.63,588.9,0.12,0.1267,0.1385,0.06526,0.1834,0.06877,malignant
+18.08,21.84,117.4,1024,0.07371,0.08642,0.1103,0.05778,0.177,0.0534,malignant
+19.18,22.49,127.5,1148,0.08523,0.1428,0.1114,0.06772,0.1767,0.05529,malignant
+14.45,20.22,94.49,642.7,0.09872,0.1206,0.118,0.0598,0.195,0.06466,malignant
+12.23,19.56,78.54,461,0.09586,0.08087,0.04187,0.04107,0.1979,0.06013,benign
+17.54,19.32,115.1,951.6,0.08968,0.1198,0.1036,0.07488,0.1506,0.05491,malignant
+23.29,26.67,158.9,1685,0.1141,0.2084,0.3523,0.162,0.22,0.06229,malignant
+13.81,23.75,91.56,597.8,0.1323,0.1768,0.1558,0.09176,0.2251,0.07421,malignant
+12.47,18.6,81.09,481.9,0.09965,0.1058,0.08005,0.03821,0.1925,0.06373,benign
+15.12,16.68,98.78,716.6,0.08876,0.09588,0.0755,0.04079,0.1594,0.05986,malignant
+9.876,17.27,62.92,295.4,0.1089,0.07232,0.01756,0.01952,0.1934,0.06285,benign
+17.01,20.26,109.7,904.3,0.08772,0.07304,0.0695,0.0539,0.2026,0.05223,malignant
+13.11,22.54,87.02,529.4,0.1002,0.1483,0.08705,0.05102,0.185,0.0731,benign
+15.27,12.91,98.17,725.5,0.08182,0.0623,0.05892,0.03157,0.1359,0.05526,benign
+20.58,22.14,134.7,1290,0.0909,0.1348,0.164,0.09561,0.1765,0.05024,malignant
+11.84,18.94,75.51,428,0.08871,0.069,0.02669,0.01393,0.1533,0.06057,benign
+28.11,18.47,188.5,2499,0.1142,0.1516,0.3201,0.1595,0.1648,0.05525,malignant
+17.42,25.56,114.5,948,0.1006,0.1146,0.1682,0.06597,0.1308,0.05866,malignant
+14.19,23.81,92.87,610.7,0.09463,0.1306,0.1115,0.06462,0.2235,0.06433,malignant
+13.86,16.93,90.96,578.9,0.1026,0.1517,0.09901,0.05602,0.2106,0.06916,malignant
+11.89,18.35,77.32,432.2,0.09363,0.1154,0.06636,0.03142,0.1967,0.06314,benign
+10.2,17.48,65.05,321.2,0.08054,0.05907,0.05774,0.01071,0.1964,0.06315,benign
+19.8,21.56,129.7,1230,0.09383,0.1306,0.1272,0.08691,0.2094,0.05581,malignant
+19.53,32.47,128,1223,0.0842,0.113,0.1145,0.06637,0.1428,0.05313,malignant
+13.65,13.16,87.88,568.9,0.09646,0.08711,0.03888,0.02563,0.136,0.06344,benign
+13.56,13.9,88.59,561.3,0.1051,0.1192,0.0786,0.04451,0.1962,0.06303,benign
+10.18,17.53,65.12,313.1,0.1061,0.08502,0.01768,0.01915,0.191,0.06908,benign
+15.75,20.25,102.6,761.3,0.1025,0.1204,0.1147,0.06462,0.1935,0.06303,malignant
+13.27,17.02,84.55,546.4,0.08445,0.04994,0.03554,0.02456,0.1496,0.05674,benign
+14.34,13.47,92.51,641.2,0.09906,0.07624,0.05724,0.04603,0.2075,0.05448,benign
+10.44,15.46,66.62,329.6,0.1053,0.07722,0.006643,0.01216,0.1788,0.0645,benign
+15,15.51,97.45,684.5,0.08371,0.1096,0.06505,0.0378,0.1881,0.05907,benign
+12.62,23.97,81.35,496.4,0.07903,0.07529,0.05438,0.02036,0.1514,0.06019,benign
+12.83,22.33,85.26,503.2,0.1088,0.1799,0.1695,0.06861,0.2123,0.07254,malignant
+17.05,19.08,113.4,895,0.1141,0.1572,0.191,0.109,0.2131,0.06325,malignant
+11.32,27.08,71.76,395.7,0.06883,0.03813,0.01633,0.003125,0.1869,0.05628,benign
+11.22,33.81,70.79,386.8,0.0778,0.03574,0.004967,0.006434,0.1845,0.05828,benign
+20.51,27.81,134.4,1319,0.09159,0.1074,0.1554,0.0834,0.1448,0.05592,malignant
+9.567,15.91,60.21,279.6,0.08464,0.04087,0.01652,0.01667,0.1551,0.06403,benign
+14.03,21.25,89.79,603.4,0.0907,0.06945,0.01462,0.01896,0.1517,0.05835,benign
+23.21,26.97,153.5,1670,0.09509,0.1682,0.195,0.1237,0.1909,0.06309,malignant
+20.48,21.46,132.5,1306,0.08355,0.08348,0.09042,0.06022,0.1467,0.05177,malignant
+14.22,27.85,92.55,623.9,0.08223,0.1039,0.1103,0.04408,0.1342,0.06129,benign
+17.46,39.28,113.4,920.6,0.09812,0.1298,0.1417,0.08811,0.1809,0.05966,malignant
+13.64,15.6,87.38,575.3,0.09423,0.0663,0.04705,0.03731,0.1717,0.0566,benign
+12.42,15.04,78.61,476.5,0.07926,0.03393,0.01053,0.01108,0.1546,0.05754,benign
+11.3,18.19,73.93,389.4,0.09592,0.1325,0.1548,0.02854,0.2054,0.07669,benign
+13.75,23.77,88.54,590,0.08043,0.06807,0.04697,0.02344,0.1773,0.05429,benign
+19.4,23.5,129.1,1155,0.1027,0.1558,0.2049,0.08886,0.1978,0.06,malignant
+10.48,19.86,66.72,337.7,0.107,0.05971,0.04831,0.0307,0.1737,0.0644,benign
+13.2,17.43,84.13,541.6,0.07215,0.04524,0.04336,0.01105,0.1487,0.05635,benign
+12.89,14.11,84.95,512.2,0.0876,0.1346,0.1374,0.0398,0.1596,0.06409,benign
+10.65,25.22,68.01,347,0.09657,0.07234,0.02379,0.01615,0.1897,0.06329,benign
+11.52,14.93,73.87,406.3,0.1013,0.07808,0.04328,0.02929,0.1883,0.06168,benign
+20.94,23.56,138.9,1364,0.1007,0.1606,0.2712,0.131,0.2205,0.05898,malignant
+11.5,18.45,73.28,407.4,0.09345,0.05991,0.02638,0.02069,0.1834,0.05934,benign
+19.73,19.82,130.7,1206,0.1062,0.1849,0.2417,0.0974,0.1733,0.06697,malignant
+17.3,17.08,113,928.2,0.1008,0.1041,0.1266,0.08353,0.1813,0.05613,malignant
+19.45,19.33,126.5,1169,0.1035,0.1188,0.1379,0.08591,0.1776,0.05647,malignant
+13.96,17.05,91.43,602.4,0.1096,0.1279,0.09789,0.05246,0.1908,0.0613,malignant
+19.55,28.77,133.6,1207,0.0926,0.2063,0.1784,0.1144,0.1893,0.06232,malignant
+15.32,17.27,103.2,713.3,0.1335,0.2284,0.2448,0.1242,0.2398,0.07596,malignant
+15.66,23.2,110.2,773.5,0.1109,0.3114,0.3176,0.1377,0.2495,0.08104,malignant
+15.53,33.56,103.7,744.9,0.1063,0.1639,0.1751,0.08399,0.2091,0.0665,malignant
+20.31,27.06,132.9,1288,0.1,0.1088,0.1519,0.09333,0.1814,0.05572,malignant
+17.35,23.06,111,933.1,0.08662,0.0629,0.02891,0.02837,0.1564,0.05307,malignant
+17.29,22.13,114.4,947.8,0.08999,0.1273,0.09697,0.07507,0.2108,0.05464,malignant
+15.61,19.38,100,758.6,0.0784,0.05616,0.04209,0.02847,0.1547,0.05443,malignant
+17.19,22.07,111.6,928.3,0.09726,0.08995,0.09061,0.06527,0.1867,0.0558,malignant
+20.73,31.12,135.7,1419,0.09469,0.1143,0.1367,0.08646,0.1769,0.05674,malignant
+10.6,18.95,69.28,346.4,0.09688,0.1147,0.06387,0.02642,0.1922,0.06491,benign
+13.59,21.84,87.16,561,0.07956,0.08259,0.04072,0.02142,0.1635,0.05859,benign
+12.87,16.21,82.38,512.2,0.09425,0.06219,0.039,0.01615,0.201,0.05769,benign
+10.71,20.39,69.5,344.9,0.1082,0.1289,0.08448,0.02867,0.1668,0.06862,benign
+14.29,16.82,90.3,632.6,0.06429,0.02675,0.00725,0.00625,0.1508,0.05376,benign
+11.29,13.04,72.23,388,0.09834,0.07608,0.03265,0.02755,0.1769,0.0627,benign
+21.75,20.99,147.3,1491,0.09401,0.1961,0.2195,0.1088,0.1721,0.06194,malignant
+9.742,15.67,61.5,289.9,0.09037,0.04689,0.01103,0.01407,0.2081,0.06312,benign
+17.93,24.48,115.2,998.9,0.08855,0.07027,0.05699,0.04744,0.1538,0.0551,malignant
+11.89,17.36,76.2,435.6,0.1225,0.0721,0.05929,0.07404,0.2015,0.05875,benign
+11.33,14.16,71.79,396.6,0.09379,0.03872,0.001487,0.003333,0.1954,0.05821,benign
+18.81,19.98,120.9,1102,0.08923,0.05884,0.0802,0.05843,0.155,0.04996,malignant
+13.59,17.84,86.24,572.3,0.07948,0.04052,0.01997,0.01238,0.1573,0.0552,benign
+13.85,15.18,88.99,587.4,0.09516,0.07688,0.04479,0.03711,0.211,0.05853,benign
+19.16,26.6,126.2,1138,0.102,0.1453,0.1921,0.09664,0.1902,0.0622,malignant
+11.74,14.02,74.24,427.3,0.07813,0.0434,0.02245,0.02763,0.2101,0.06113,benign
+19.4,18.18,127.2,1145,0.1037,0.1442,0.1626,0.09464,0.1893,0.05892,malignant
+16.24,18.77,108.8,805.1,0.1066,0.1802,0.1948,0.09052,0.1876,0.06684,malignant
+12.89,15.7,84.08,516.6,0.07818,0.0958,0.1115,0.0339,0.1432,0.05935,benign
+12.58,18.4,79.83,489,0.08393,0.04216,0.00186,0.002924,0.1697,0.05855,benign
+11.94,20.76,77.87,441,0.08605,0.1011,0.06574,0.03791,0.1588,0.06766,benign
+12.89,13.12,81.89,515.9,0.06955,0.03729,0.0226,0.01171,0.1337,0.05581,benign
+11.26,19.96,73.72,394.1,0.0802,0.1181,0.09274,0.05588,0.2595,0.06233,benign
+11.37,18.89,72.17,396,0.08713,0.05008,0.02399,0.02173,0.2013,0.05955,benign
+14.41,19.73,96.03,651,0.08757,0.1676,0.1362,0.06602,0.1714,0.07192,benign
+14.96,19.1,97.03,687.3,0.08992,0.09823,0.0594,0.04819,0.1879,0.05852,benign
+12.95,16.02,83.14,513.7,0.1005,0.07943,0.06155,0.0337,0.173,0.0647,benign
+11.85,17.46,75.54,432.7,0.08372,0.05642,0.02688,0.0228,0.1875,0.05715,benign
+12.72,13.78,81.78,492.1,0.09667,0.08393,0.01288,0.01924,0.1638,0.061,benign
+13.77,13.27,88.06,582.7,0.09198,0.06221,0.01063,0.01917,0.1592,0.05912,benign
+10.91,12.35,69.14,363.7,0.08518,0.04721,0.01236,0.01369,0.1449,0.06031,benign
+11.76,18.14,75,431.1,0.09968,0.05914,0.02685,0.03515,0.1619,0.06287,malignant
+14.26,18.17,91.22,633.1,0.06576,0.0522,0.02475,0.01374,0.1635,0.05586,benign
+10.51,23.09,66.85,334.2,0.1015,0.06797,0.02495,0.01875,0.1695,0.06556,benign
+19.53,18.9,129.5,1217,0.115,0.1642,0.2197,0.1062,0.1792,0.06552,malignant
+12.46,19.89,80.43,471.3,0.08451,0.1014,0.0683,0.03099,0.1781,0.06249,benign
+20.09,23.86,134.7,1247,0.108,0.1838,0.2283,0.128,0.2249,0.07469,malignant
+10.49,18.61,66.86,334.3,0.1068,0.06678,0.02297,0.0178,0.1482,0.066,benign
+11.46,18.16,73.59,403.1,0.08853,0.07694,0.03344,0.01502,0.1411,0.06243,benign
+11.6,24.49,74.23,417.2,0.07474,0.05688,0.01974,0.01313,0.1935,0.05878,benign
+13.2,15.82,84.07,537.3,0.08511,0.05251,0.001461,0.003261,0.1632,0.05894,benign
+9,14.4,56.36,246.3,0.07005,0.03116,0.003681,0.003472,0.1788,0.06833,benign
+13.5,12.71,85.69,566.2,0.07376,0.03614,0.002758,0.004419,0.1365,0.05335,benign
+13.05,13.84,82.71,530.6,0.08352,0.03735,0.004559,0.008829,0.1453,0.05518,benign
+11.7,19.11,74.33,418.7,0.08814,0.05253,0.01583,0.01148,0.1936,0.06128,benign
+14.61,15.69,92.68,664.9,0.07618,0.03515,0.01447,0.01877,0.1632,0.05255,benign
+12.76,13.37,82.29,504.1,0.08794,0.07948,0.04052,0.02548,0.1601,0.0614,benign
+11.54,10.72,73.73,409.1,0.08597,0.05969,0.01367,0.008907,0.1833,0.061,benign
+8.597,18.6,54.09,221.2,0.1074,0.05847,0,0,0.2163,0.07359,benign
+12.49,16.85,79.19,481.6,0.08511,0.03834,0.004473,0.006423,0.1215,0.05673,benign
+12.18,14.08,77.25,461.4,0.07734,0.03212,0.01123,0.005051,0.1673,0.05649,benign
+18.22,18.87,118.7,1027,0.09746,0.1117,0.113,0.0795,0.1807,0.05664,malignant
+9.042,18.9,60.07,244.5,0.09968,0.1972,0.1975,0.04908,0.233,0.08743,benign
+12.43,17,78.6,477.3,0.07557,0.03454,0.01342,0.01699,0.1472,0.05561,benign
+10.25,16.18,66.52,324.2,0.1061,0.1111,0.06726,0.03965,0.1743,0.07279,benign
+20.16,19.66,131.1,1274,0.0802,0.08564,0.1155,0.07726,0.1928,0.05096,malignant
+12.86,13.32,82.82,504.8,0.1134,0.08834,0.038,0.034,0.1543,0.06476,benign
+20.34,21.51,135.9,1264,0.117,0.1875,0.2565,0.1504,0.2569,0.0667,malignant
+12.2,15.21,78.01,457.9,0.08673,0.06545,0.01994,0.01692,0.1638,0.06129,benign
+12.67,17.3,81.25,489.9,0.1028,0.07664,0.03193,0.02107,0.1707,0.05984,benign
+14.11,12.88,90.03,616.5,0.09309,0.05306,0.01765,0.02733,0.1373,0.057,benign
+12.03,17.93,76.09,446,0.07683,0.03892,0.001546,0.005592,0.1382,0.0607,benign
+16.27,20.71,106.9,813.7,0.1169,0.1319,0.1478,0.08488,0.1948,0.06277,malignant
+16.26,21.88,107.5,826.8,0.1165,0.1283,0.1799,0.07981,0.1869,0.06532,malignant
+16.03,15.51,105.8,793.2,0.09491,0.1371,0.1204,0.07041,0.1782,0.05976,malignant
+12.98,19.35,84.52,514,0.09579,0.1125,0.07107,0.0295,0.1761,0.0654,benign
+11.22,19.86,71.94,387.3,0.1054,0.06779,0.005006,0.007583,0.194,0.06028,benign
+11.25,14.78,71.38,390,0.08306,0.04458,0.0009737,0.002941,0.1773,0.06081,benign
+12.3,19.02,77.88,464.4,0.08313,0.04202,0.007756,0.008535,0.1539,0.05945,benign
+17.06,21,111.8,918.6,0.1119,0.1056,0.1508,0.09934,0.1727,0.06071,malignant
+12.99,14.23,84.08,514.3,0.09462,0.09965,0.03738,0.02098,0.1652,0.07238,benign
+18.77,21.43,122.9,1092,0.09116,0.1402,0.106,0.0609,0.1953,0.06083,malignant
+10.05,17.53,64.41,310.8,0.1007,0.07326,0.02511,0.01775,0.189,0.06331,benign
+23.51,24.27,155.1,1747,0.1069,0.1283,0.2308,0.141,0.1797,0.05506,malignant
+14.42,16.54,94.15,641.2,0.09751,0.1139,0.08007,0.04223,0.1912,0.06412,benign
+9.606,16.84,61.64,280.5,0.08481,0.09228,0.08422,0.02292,0.2036,0.07125,benign
+11.06,14.96,71.49,373.9,0.1033,0.09097,0.05397,0.03341,0.1776,0.06907,benign
+19.68,21.68,129.9,1194,0.09797,0.1339,0.1863,0.1103,0.2082,0.05715,malignant
+11.71,15.45,75.03,420.3,0.115,0.07281,0.04006,0.0325,0.2009,0.06506,benign
+10.26,14.71,66.2,321.6,0.09882,0.09159,0.03581,0.02037,0.1633,0.07005,benign
+12.06,18.9,76.66,445.3,0.08386,0.05794,0.00751,0.008488,0.1555,0.06048,benign
+14.76,14.74,94.87,668.7,0.08875,0.0778,0.04608,0.03528,0.1521,0.05912,benign
+11.47,16.03,73.02,402.7,0.09076,0.05886,0.02587,0.02322,0.1634,0.06372,benign
+11.95,14.96,77.23,426.7,0.1158,0.1206,0.01171,0.01787,0.2459,0.06581,benign
+11.66,17.07,73.7,421,0.07561,0.0363,0.008306,0.01162,0.1671,0.05731,benign
+15.75,19.22,107.1,758.6,0.1243,0.2364,0.2914,0.1242,0.2375,0.07603,malignant
+25.73,17.46,174.2,2010,0.1149,0.2363,0.3368,0.1913,0.1956,0.06121,malignant
+15.08,25.74,98,716.6,0.1024,0.09769,0.1235,0.06553,0.1647,0.06464,malignant
+11.14,14.07,71.24,384.6,0.07274,0.06064,0.04505,0.01471,0.169,0.06083,benign
+12.56,19.07,81.92,485.8,0.0876,0.1038,0.103,0.04391,0.1533,0.06184,benign
+13.05,18.59,85.09,512,0.1082,0.1304,0.09603,0.05603,0.2035,0.06501,benign
+13.87,16.21,88.52,593.7,0.08743,0.05492,0.01502,0.02088,0.1424,0.05883,benign
+8.878,15.49,56.74,241,0.08293,0.07698,0.04721,0.02381,0.193,0.06621,benign
+9.436,18.32,59.82,278.6,0.1009,0.05956,0.0271,0.01406,0.1506,0.06959,benign
+12.54,18.07,79.42,491.9,0.07436,0.0265,0.001194,0.005449,0.1528,0.05185,benign
+13.3,21.57,85.24,546.1,0.08582,0.06373,0.03344,0.02424,0.1815,0.05696,benign
+12.76,18.84,81.87,496.6,0.09676,0.07952,0.02688,0.01781,0.1759,0.06183,benign
+16.5,18.29,106.6,838.1,0.09686,0.08468,0.05862,0.04835,0.1495,0.05593,benign
+13.4,16.95,85.48,552.4,0.07937,0.05696,0.02181,0.01473,0.165,0.05701,benign
+20.44,21.78,133.8,1293,0.0915,0.1131,0.09799,0.07785,0.1618,0.05557,malignant
+20.2,26.83,133.7,1234,0.09905,0.1669,0.1641,0.1265,0.1875,0.0602,malignant
+12.21,18.02,78.31,458.4,0.09231,0.07175,0.04392,0.02027,0.1695,0.05916,benign
+21.71,17.25,140.9,1546,0.09384,0.08562,0.1168,0.08465,0.1717,0.05054,malignant
+22.01,21.9,147.2,1482,0.1063,0.1954,0.2448,0.1501,0.1824,0.0614,malignant
+16.35,23.29,109,840.4,0.09742,0.1497,0.1811,0.08773,0.2175,0.06218,malignant
+15.19,13.21,97.65,711.8,0.07963,0.06934,0.03393,0.02657,0.1721,0.05544,benign
+21.37,15.1,141.3,1386,0.1001,0.1515,0.1932,0.1255,0.1973,0.06183,malignant
+20.64,17.35,134.8,1335,0.09446,0.1076,0.1527,0.08941,0.1571,0.05478,malignant
+13.69,16.07,87.84,579.1,0.08302,0.06374,0.02556,0.02031,0.1872,0.05669,benign
+16.17,16.07,106.3,788.5,0.0988,0.1438,0.06651,0.05397,0.199,0.06572,benign
+10.57,20.22,70.15,338.3,0.09073,0.166,0.228,0.05941,0.2188,0.0845,benign
+13.46,28.21,85.89,562.1,0.07517,0.04726,0.01271,0.01117,0.1421,0.05763,benign
+13.66,15.15,88.27,580.6,0.08268,0.07548,0.04249,0.02471,0.1792,0.05897,benign
+11.08,18.83,73.3,361.6,0.1216,0.2154,0.1689,0.06367,0.2196,0.0795,malignant
+11.27,12.96,73.16,386.3,0.1237,0.1111,0.079,0.0555,0.2018,0.06914,benign
+11.04,14.93,70.67,372.7,0.07987,0.07079,0.03546,0.02074,0.2003,0.06246,benign
+12.05,22.72,78.75,447.8,0.06935,0.1073,0.07943,0.02978,0.1203,0.06659,benign
+12.39,17.48,80.64,462.9,0.1042,0.1297,0.05892,0.0288,0.1779,0.06588,benign
+13.28,13.72,85.79,541.8,0.08363,0.08575,0.05077,0.02864,0.1617,0.05594,benign
+14.6,23.29,93.97,664.7,0.08682,0.06636,0.0839,0.05271,0.1627,0.05416,malignant
+12.21,14.09,78.78,462,0.08108,0.07823,0.06839,0.02534,0.1646,0.06154,benign
+13.88,16.16,88.37,596.6,0.07026,0.04831,0.02045,0.008507,0.1607,0.05474,benign
+11.27,15.5,73.38,392,0.08365,0.1114,0.1007,0.02757,0.181,0.07252,benign
+19.55,23.21,128.9,1174,0.101,0.1318,0.1856,0.1021,0.1989,0.05884,malignant
+10.26,12.22,65.75,321.6,0.09996,0.07542,0.01923,0.01968,0.18,0.06569,benign
+8.734,16.84,55.27,234.3,0.1039,0.07428,0,0,0.1985,0.07098,benign
+15.49,19.97,102.4,744.7,0.116,0.1562,0.1891,0.09113,0.1929,0.06744,malignant
+21.61,22.28,144.4,1407,0.1167,0.2087,0.281,0.1562,0.2162,0.06606,malignant
+12.1,17.72,78.07,446.2,0.1029,0.09758,0.04783,0.03326,0.1937,0.06161,benign
+14.06,17.18,89.75,609.1,0.08045,0.05361,0.02681,0.03251,0.1641,0.05764,benign
+13.51,18.89,88.1,558.1,0.1059,0.1147,0.0858,0.05381,0.1806,0.06079,benign
+12.8,17.46,83.05,508.3,0.08044,0.08895,0.0739,0.04083,0.1574,0.0575,benign
+11.06,14.83,70.31,378.2,0.07741,0.04768,0.02712,0.007246,0.1535,0.06214,benign
+11.8,17.26,75.26,431.9,0.09087,0.06232,0.02853,0.01638,0.1847,0.06019,benign
+17.91,21.02,124.4,994,0.123,0.2576,0.3189,0.1198,0.2113,0.07115,malignant
+11.93,10.91,76.14,442.7,0.08872,0.05242,0.02606,0.01796,0.1601,0.05541,benign
+12.96,18.29,84.18,525.2,0.07351,0.07899,0.04057,0.01883,0.1874,0.05899,benign
+12.94,16.17,83.18,507.6,0.09879,0.08836,0.03296,0.0239,0.1735,0.062,benign
+12.34,14.95,78.29,469.1,0.08682,0.04571,0.02109,0.02054,0.1571,0.05708,benign
+10.94,18.59,70.39,370,0.1004,0.0746,0.04944,0.02932,0.1486,0.06615,benign
+16.14,14.86,104.3,800,0.09495,0.08501,0.055,0.04528,0.1735,0.05875,benign
+12.85,21.37,82.63,514.5,0.07551,0.08316,0.06126,0.01867,0.158,0.06114,benign
+17.99,20.66,117.8,991.7,0.1036,0.1304,0.1201,0.08824,0.1992,0.06069,malignant
+12.27,17.92,78.41,466.1,0.08685,0.06526,0.03211,0.02653,0.1966,0.05597,benign
+11.36,17.57,72.49,399.8,0.08858,0.05313,0.02783,0.021,0.1601,0.05913,benign
+11.04,16.83,70.92,373.2,0.1077,0.07804,0.03046,0.0248,0.1714,0.0634,benign
+9.397,21.68,59.75,268.8,0.07969,0.06053,0.03735,0.005128,0.1274,0.06724,benign
+14.99,22.11,97.53,693.7,0.08515,0.1025,0.06859,0.03876,0.1944,0.05913,benign
+15.13,29.81,96.71,719.5,0.0832,0.04605,0.04686,0.02739,0.1852,0.05294,malignant
+11.89,21.17,76.39,433.8,0.09773,0.0812,0.02555,0.02179,0.2019,0.0629,benign
+9.405,21.7,59.6,271.2,0.1044,0.06159,0.02047,0.01257,0.2025,0.06601,benign
+15.5,21.08,102.9,803.1,0.112,0.1571,0.1522,0.08481,0.2085,0.06864,malignant
+12.7,12.17,80.88,495,0.08785,0.05794,0.0236,0.02402,0.1583,0.06275,benign
+11.16,21.41,70.95,380.3,0.1018,0.05978,0.008955,0.01076,0.1615,0.06144,benign
+11.57,19.04,74.2,409.7,0.08546,0.07722,0.05485,0.01428,0.2031,0.06267,benign
+14.69,13.98,98.22,656.1,0.1031,0.1836,0.145,0.063,0.2086,0.07406,benign
+11.61,16.02,75.46,408.2,0.1088,0.1168,0.07097,0.04497,0.1886,0.0632,benign
+13.66,19.13,89.46,575.3,0.09057,0.1147,0.09657,0.04812,0.1848,0.06181,benign
+9.742,19.12,61.93,289.7,0.1075,0.08333,0.008934,0.01967,0.2538,0.07029,benign
+10.03,21.28,63.19,307.3,0.08117,0.03912,0.00247,0.005159,0.163,0.06439,benign
+10.48,14.98,67.49,333.6,0.09816,0.1013,0.06335,0.02218,0.1925,0.06915,benign
+10.8,21.98,68.79,359.9,0.08801,0.05743,0.03614,0.01404,0.2016,0.05977,benign
+11.13,16.62,70.47,381.1,0.08151,0.03834,0.01369,0.0137,0.1511,0.06148,benign
+12.72,17.67,80.98,501.3,0.07896,0.04522,0.01402,0.01835,0.1459,0.05544,benign
+14.9,22.53,102.1,685,0.09947,0.2225,0.2733,0.09711,0.2041,0.06898,malignant
+12.4,17.68,81.47,467.8,0.1054,0.1316,0.07741,0.02799,0.1811,0.07102,benign
+20.18,19.54,133.8,1250,0.1133,0.1489,0.2133,0.1259,0.1724,0.06053,malignant
+18.82,21.97,123.7,1110,0.1018,0.1389,0.1594,0.08744,0.1943,0.06132,malignant
+14.86,16.94,94.89,673.7,0.08924,0.07074,0.03346,0.02877,0.1573,0.05703,benign
+13.98,19.62,91.12,599.5,0.106,0.1133,0.1126,0.06463,0.1669,0.06544,malignant
+12.87,19.54,82.67,509.2,0.09136,0.07883,0.01797,0.0209,0.1861,0.06347,benign
+14.04,15.98,89.78,611.2,0.08458,0.05895,0.03534,0.02944,0.1714,0.05898,benign
+13.85,19.6,88.68,592.6,0.08684,0.0633,0.01342,0.02293,0.1555,0.05673,benign
+14.02,15.66,89.59,606.5,0.07966,0.05581,0.02087,0.02652,0.1589,0.05586,benign
+10.97,17.2,71.73,371.5,0.08915,0.1113,0.09457,0.03613,0.1489,0.0664,benign
+17.27,25.42,112.4,928.8,0.08331,0.1109,0.1204,0.05736,0.1467,0.05407,malignant
+13.78,15.79,88.37,585.9,0.08817,0.06718,0.01055,0.009937,0.1405,0.05848,benign
+10.57,18.32,66.82,340.9,0.08142,0.04462,0.01993,0.01111,0.2372,0.05768,benign
+18.03,16.85,117.5,990,0.08947,0.1232,0.109,0.06254,0.172,0.0578,malignant
+11.99,24.89,77.61,441.3,0.103,0.09218,0.05441,0.04274,0.182,0.0685,benign
+17.75,28.03,117.3,981.6,0.09997,0.1314,0.1698,0.08293,0.1713,0.05916,malignant
+14.8,17.66,95.88,674.8,0.09179,0.0889,0.04069,0.0226,0.1893,0.05886,benign
+14.53,19.34,94.25,659.7,0.08388,0.078,0.08817,0.02925,0.1473,0.05746,benign
+21.1,20.52,138.1,1384,0.09684,0.1175,0.1572,0.1155,0.1554,0.05661,malignant
+11.87,21.54,76.83,432,0.06613,0.1064,0.08777,0.02386,0.1349,0.06612,benign
+19.59,25,127.7,1191,0.1032,0.09871,0.1655,0.09063,0.1663,0.05391,malignant
+12,28.23,76.77,442.5,0.08437,0.0645,0.04055,0.01945,0.1615,0.06104,benign
+14.53,13.98,93.86,644.2,0.1099,0.09242,0.06895,0.06495,0.165,0.06121,benign
+12.62,17.15,80.62,492.9,0.08583,0.0543,0.02966,0.02272,0.1799,0.05826,benign
+13.38,30.72,86.34,557.2,0.09245,0.07426,0.02819,0.03264,0.1375,0.06016,benign
+11.63,29.29,74.87,415.1,0.09357,0.08574,0.0716,0.02017,0.1799,0.06166,benign
+13.21,25.25,84.1,537.9,0.08791,0.05205,0.02772,0.02068,0.1619,0.05584,benign
+13,25.13,82.61,520.2,0.08369,0.05073,0.01206,0.01762,0.1667,0.05449,benign
+9.755,28.2,61.68,290.9,0.07984,0.04626,0.01541,0.01043,0.1621,0.05952,benign
+17.08,27.15,111.2,930.9,0.09898,0.111,0.1007,0.06431,0.1793,0.06281,malignant
+27.42,26.27,186.9,2501,0.1084,0.1988,0.3635,0.1689,0.2061,0.05623,malignant
+14.4,26.99,92.25,646.1,0.06995,0.05223,0.03476,0.01737,0.1707,0.05433,benign
+11.6,18.36,73.88,412.7,0.08508,0.05855,0.03367,0.01777,0.1516,0.05859,benign
+13.17,18.22,84.28,537.3,0.07466,0.05994,0.04859,0.0287,0.1454,0.05549,benign
+13.24,20.13,86.87,542.9,0.08284,0.1223,0.101,0.02833,0.1601,0.06432,benign
+13.14,20.74,85.98,536.9,0.08675,0.1089,0.1085,0.0351,0.1562,0.0602,benign
+9.668,18.1,61.06,286.3,0.08311,0.05428,0.01479,0.005769,0.168,0.06412,benign
+17.6,23.33,119,980.5,0.09289,0.2004,0.2136,0.1002,0.1696,0.07369,malignant
+11.62,18.18,76.38,408.8,0.1175,0.1483,0.102,0.05564,0.1957,0.07255,benign
+9.667,18.49,61.49,289.1,0.08946,0.06258,0.02948,0.01514,0.2238,0.06413,benign
+12.04,28.14,76.85,449.9,0.08752,0.06,0.02367,0.02377,0.1854,0.05698,benign
+14.92,14.93,96.45,686.9,0.08098,0.08549,0.05539,0.03221,0.1687,0.05669,benign
+12.27,29.97,77.42,465.4,0.07699,0.03398,0,0,0.1701,0.0596,benign
+10.88,15.62,70.41,358.9,0.1007,0.1069,0.05115,0.01571,0.1861,0.06837,benign
+12.83,15.73,82.89,506.9,0.0904,0.08269,0.05835,0.03078,0.1705,0.05913,benign
+14.2,20.53,92.41,618.4,0.08931,0.1108,0.05063,0.03058,0.1506,0.06009,benign
+13.9,16.62,88.97,599.4,0.06828,0.05319,0.02224,0.01339,0.1813,0.05536,benign
+11.49,14.59,73.99,404.9,0.1046,0.08228,0.05308,0.01969,0.1779,0.06574,benign
+16.25,19.51,109.8,815.8,0.1026,0.1893,0.2236,0.09194,0.2151,0.06578,malignant
+12.16,18.03,78.29,455.3,0.09087,0.07838,0.02916,0.01527,0.1464,0.06284,benign
+13.9,19.24,88.73,602.9,0.07991,0.05326,0.02995,0.0207,0.1579,0.05594,benign
+13.47,14.06,87.32,546.3,0.1071,0.1155,0.05786,0.05266,0.1779,0.06639,benign
+13.7,17.64,87.76,571.1,0.0995,0.07957,0.04548,0.0316,0.1732,0.06088,benign
+15.73,11.28,102.8,747.2,0.1043,0.1299,0.1191,0.06211,0.1784,0.06259,benign
+12.45,16.41,82.85,476.7,0.09514,0.1511,0.1544,0.04846,0.2082,0.07325,benign
+14.64,16.85,94.21,666,0.08641,0.06698,0.05192,0.02791,0.1409,0.05355,benign
+19.44,18.82,128.1,1167,0.1089,0.1448,0.2256,0.1194,0.1823,0.06115,malignant
+11.68,16.17,75.49,420.5,0.1128,0.09263,0.04279,0.03132,0.1853,0.06401,benign
+16.69,20.2,107.1,857.6,0.07497,0.07112,0.03649,0.02307,0.1846,0.05325,malignant
+12.25,22.44,78.18,466.5,0.08192,0.052,0.01714,0.01261,0.1544,0.05976,benign
+17.85,13.23,114.6,992.1,0.07838,0.06217,0.04445,0.04178,0.122,0.05243,benign
+18.01,20.56,118.4,1007,0.1001,0.1289,0.117,0.07762,0.2116,0.06077,malignant
+12.46,12.83,78.83,477.3,0.07372,0.04043,0.007173,0.01149,0.1613,0.06013,benign
+13.16,20.54,84.06,538.7,0.07335,0.05275,0.018,0.01256,0.1713,0.05888,benign
+14.87,20.21,96.12,680.9,0.09587,0.08345,0.06824,0.04951,0.1487,0.05748,benign
+12.65,18.17,82.69,485.6,0.1076,0.1334,0.08017,0.05074,0.1641,0.06854,benign
+12.47,17.31,80.45,480.1,0.08928,0.0763,0.03609,0.02369,0.1526,0.06046,benign
+18.49,17.52,121.3,1068,0.1012,0.1317,0.1491,0.09183,0.1832,0.06697,malignant
+20.59,21.24,137.8,1320,0.1085,0.1644,0.2188,0.1121,0.1848,0.06222,malignant
+15.04,16.74,98.73,689.4,0.09883,0.1364,0.07721,0.06142,0.1668,0.06869,benign
+13.82,24.49,92.33,595.9,0.1162,0.1681,0.1357,0.06759,0.2275,0.07237,malignant
+12.54,16.32,81.25,476.3,0.1158,0.1085,0.05928,0.03279,0.1943,0.06612,benign
+23.09,19.83,152.1,1682,0.09342,0.1275,0.1676,0.1003,0.1505,0.05484,malignant
+9.268,12.87,61.49,248.7,0.1634,0.2239,0.0973,0.05252,0.2378,0.09502,benign
+9.676,13.14,64.12,272.5,0.1255,0.2204,0.1188,0.07038,0.2057,0.09575,benign
+12.22,20.04,79.47,453.1,0.1096,0.1152,0.08175,0.02166,0.2124,0.06894,benign
+11.06,17.12,71.25,366.5,0.1194,0.1071,0.04063,0.04268,0.1954,0.07976,benign
+16.3,15.7,104.7,819.8,0.09427,0.06712,0.05526,0.04563,0.1711,0.05657,benign
+15.46,23.95,103.8,731.3,0.1183,0.187,0.203,0.0852,0.1807,0.07083,malignant
+11.74,14.69,76.31,426,0.08099,0.09661,0.06726,0.02639,0.1499,0.06758,benign
+14.81,14.7,94.66,680.7,0.08472,0.05016,0.03416,0.02541,0.1659,0.05348,benign
+13.4,20.52,88.64,556.7,0.1106,0.1469,0.1445,0.08172,0.2116,0.07325,malignant
+14.58,13.66,94.29,658.8,0.09832,0.08918,0.08222,0.04349,0.1739,0.0564,benign
+15.05,19.07,97.26,701.9,0.09215,0.08597,0.07486,0.04335,0.1561,0.05915,malignant
+11.34,18.61,72.76,391.2,0.1049,0.08499,0.04302,0.02594,0.1927,0.06211,benign
+18.31,20.58,120.8,1052,0.1068,0.1248,0.1569,0.09451,0.186,0.05941,malignant
+19.89,20.26,130.5,1214,0.1037,0.131,0.1411,0.09431,0.1802,0.06188,malignant
+12.88,18.22,84.45,493.1,0.1218,0.1661,0.04825,0.05303,0.1709,0.07253,benign
+12.75,16.7,82.51,493.8,0.1125,0.1117,0.0388,0.02995,0.212,0.06623,benign
+9.295,13.9,59.96,257.8,0.1371,0.1225,0.03332,0.02421,0.2197,0.07696,benign
+24.63,21.6,165.5,1841,0.103,0.2106,0.231,0.1471,0.1991,0.06739,malignant
+11.26,19.83,71.3,388.1,0.08511,0.04413,0.005067,0.005664,0.1637,0.06343,benign
+13.71,18.68,88.73,571,0.09916,0.107,0.05385,0.03783,0.1714,0.06843,benign
+9.847,15.68,63,293.2,0.09492,0.08419,0.0233,0.02416,0.1387,0.06891,benign
+8.571,13.1,54.53,221.3,0.1036,0.07632,0.02565,0.0151,0.1678,0.07126,benign
+13.46,18.75,87.44,551.1,0.1075,0.1138,0.04201,0.03152,0.1723,0.06317,benign
+12.34,12.27,78.94,468.5,0.09003,0.06307,0.02958,0.02647,0.1689,0.05808,benign
+13.94,13.17,90.31,594.2,0.1248,0.09755,0.101,0.06615,0.1976,0.06457,benign
+12.07,13.44,77.83,445.2,0.11,0.09009,0.03781,0.02798,0.1657,0.06608,benign
+11.75,17.56,75.89,422.9,0.1073,0.09713,0.05282,0.0444,0.1598,0.06677,benign
+11.67,20.02,75.21,416.2,0.1016,0.09453,0.042,0.02157,0.1859,0.06461,benign
+13.68,16.33,87.76,575.5,0.09277,0.07255,0.01752,0.0188,0.1631,0.06155,benign
+20.47,20.67,134.7,1299,0.09156,0.1313,0.1523,0.1015,0.2166,0.05419,malignant
+10.96,17.62,70.79,365.6,0.09687,0.09752,0.05263,0.02788,0.1619,0.06408,benign
+20.55,20.86,137.8,1308,0.1046,0.1739,0.2085,0.1322,0.2127,0.06251,malignant
+14.27,22.55,93.77,629.8,0.1038,0.1154,0.1463,0.06139,0.1926,0.05982,malignant
+11.69,24.44,76.37,406.4,0.1236,0.1552,0.04515,0.04531,0.2131,0.07405,benign
+7.729,25.49,47.98,178.8,0.08098,0.04878,0,0,0.187,0.07285,benign
+7.691,25.44,48.34,170.4,0.08668,0.1199,0.09252,0.01364,0.2037,0.07751,benign
+11.54,14.44,74.65,402.9,0.09984,0.112,0.06737,0.02594,0.1818,0.06782,benign
+14.47,24.99,95.81,656.4,0.08837,0.123,0.1009,0.0389,0.1872,0.06341,benign
+14.74,25.42,94.7,668.6,0.08275,0.07214,0.04105,0.03027,0.184,0.0568,benign
+13.21,28.06,84.88,538.4,0.08671,0.06877,0.02987,0.03275,0.1628,0.05781,benign
+13.87,20.7,89.77,584.8,0.09578,0.1018,0.03688,0.02369,0.162,0.06688,benign
+13.62,23.23,87.19,573.2,0.09246,0.06747,0.02974,0.02443,0.1664,0.05801,benign
+10.32,16.35,65.31,324.9,0.09434,0.04994,0.01012,0.005495,0.1885,0.06201,benign
+10.26,16.58,65.85,320.8,0.08877,0.08066,0.04358,0.02438,0.1669,0.06714,benign
+9.683,19.34,61.05,285.7,0.08491,0.0503,0.02337,0.009615,0.158,0.06235,benign
+10.82,24.21,68.89,361.6,0.08192,0.06602,0.01548,0.00816,0.1976,0.06328,benign
+10.86,21.48,68.51,360.5,0.07431,0.04227,0,0,0.1661,0.05948,benign
+11.13,22.44,71.49,378.4,0.09566,0.08194,0.04824,0.02257,0.203,0.06552,benign
+12.77,29.43,81.35,507.9,0.08276,0.04234,0.01997,0.01499,0.1539,0.05637,benign
+9.333,21.94,59.01,264,0.0924,0.05605,0.03996,0.01282,0.1692,0.06576,benign
+12.88,28.92,82.5,514.3,0.08123,0.05824,0.06195,0.02343,0.1566,0.05708,benign
+10.29,27.61,65.67,321.4,0.0903,0.07658,0.05999,0.02738,0.1593,0.06127,benign
+10.16,19.59,64.73,311.7,0.1003,0.07504,0.005025,0.01116,0.1791,0.06331,benign
+9.423,27.88,59.26,271.3,0.08123,0.04971,0,0,0.1742,0.06059,benign
+14.59,22.68,96.39,657.1,0.08473,0.133,0.1029,0.03736,0.1454,0.06147,benign
+11.51,23.93,74.52,403.5,0.09261,0.1021,0.1112,0.04105,0.1388,0.0657,benign
+14.05,27.15,91.38,600.4,0.09929,0.1126,0.04462,0.04304,0.1537,0.06171,benign
+11.2,29.37,70.67,386,0.07449,0.03558,0,0,0.106,0.05502,benign
+15.22,30.62,103.4,716.9,0.1048,0.2087,0.255,0.09429,0.2128,0.07152,malignant
+20.92,25.09,143,1347,0.1099,0.2236,0.3174,0.1474,0.2149,0.06879,malignant
+21.56,22.39,142,1479,0.111,0.1159,0.2439,0.1389,0.1726,0.05623,malignant
+20.13,28.25,131.2,1261,0.0978,0.1034,0.144,0.09791,0.1752,0.05533,malignant
+16.6,28.08,108.3,858.1,0.08455,0.1023,0.09251,0.05302,0.159,0.05648,malignant
+20.6,29.33,140.1,1265,0.1178,0.277,0.3514,0.152,0.2397,0.07016,malignant
+7.76,24.54,47.92,181,0.05263,0.04362,0,0,0.1587,0.05884,benign
+`;
+
+export const FAITHFUL_CSV = `eruptions,waiting
+3.6,79
+1.8,54
+3.333,74
+2.283,62
+4.533,85
+2.883,55
+4.7,88
+3.6,85
+1.95,51
+4.35,85
+1.833,54
+3.917,84
+4.2,78
+1.75,47
+4.7,83
+2.167,52
+1.75,62
+4.8,84
+1.6,52
+4.25,79
+1.8,51
+1.75,47
+3.45,78
+3.067,69
+4.533,74
+3.6,83
+1.967,55
+4.083,76
+3.85,78
+4.433,79
+4.3,73
+4.467,77
+3.367,66
+4.033,80
+3.833,74
+2.017,52
+1.867,48
+4.833,80
+1.833,59
+4.783,90
+4.35,80
+1.883,58
+4.567,84
+1.75,58
+4.533,73
+3.317,83
+3.833,64
+2.1,53
+4.633,82
+2,59
+4.8,75
+4.716,90
+1.833,54
+4.833,80
+1.733,54
+4.883,83
+3.717,71
+1.667,64
+4.567,77
+4.317,81
+2.233,59
+4.5,84
+1.75,48
+4.8,82
+1.817,60
+4.4,92
+4.167,78
+4.7,78
+2.067,65
+4.7,73
+4.033,82
+1.967,56
+4.5,79
+4,71
+1.983,62
+5.067,76
+2.017,60
+4.567,78
+3.883,76
+3.6,83
+4.133,75
+4.333,82
+4.1,70
+2.633,65
+4.067,73
+4.933,88
+3.95,76
+4.517,80
+2.167,48
+4,86
+2.2,60
+4.333,90
+1.867,50
+4.817,78
+1.833,63
+4.3,72
+4.667,84
+3.75,75
+1.867,51
+4.9,82
+2.483,62
+4.367,88
+2.1,49
+4.5,83
+4.05,81
+1.867,47
+4.7,84
+1.783,52
+4.85,86
+3.683,81
+4.733,75
+2.3,59
+4.9,89
+4.417,79
+1.7,59
+4.633,81
+2.317,50
+4.6,85
+1.817,59
+4.417,87
+2.617,53
+4.067,69
+4.25,77
+1.967,56
+4.6,88
+3.767,81
+1.917,45
+4.5,82
+2.267,55
+4.65,90
+1.867,45
+4.167,83
+2.8,56
+4.333,89
+1.833,46
+4.383,82
+1.883,51
+4.933,86
+2.033,53
+3.733,79
+4.233,81
+2.233,60
+4.533,82
+4.817,77
+4.333,76
+1.983,59
+4.633,80
+2.017,49
+5.1,96
+1.8,53
+5.033,77
+4,77
+2.4,65
+4.6,81
+3.567,71
+4,70
+4.5,81
+4.083,93
+1.8,53
+3.967,89
+2.2,45
+4.15,86
+2,58
+3.833,78
+3.5,66
+4.583,76
+2.367,63
+5,88
+1.933,52
+4.617,93
+1.917,49
+2.083,57
+4.583,77
+3.333,68
+4.167,81
+4.333,81
+4.5,73
+2.417,50
+4,85
+4.167,74
+1.883,55
+4.583,77
+4.25,83
+3.767,83
+2.033,51
+4.433,78
+4.083,84
+1.833,46
+4.417,83
+2.183,55
+4.8,81
+1.833,57
+4.8,76
+4.1,84
+3.966,77
+4.233,81
+3.5,87
+4.366,77
+2.25,51
+4.667,78
+2.1,60
+4.35,82
+4.133,91
+1.867,53
+4.6,78
+1.783,46
+4.367,77
+3.85,84
+1.933,49
+4.5,83
+2.383,71
+4.7,80
+1.867,49
+3.833,75
+3.417,64
+4.233,76
+2.4,53
+4.8,94
+2,55
+4.15,76
+1.867,50
+4.267,82
+1.75,54
+4.483,75
+4,78
+4.117,79
+4.083,78
+4.267,78
+3.917,70
+4.55,79
+4.083,70
+2.417,54
+4.183,86
+2.217,50
+4.45,90
+1.883,54
+1.85,54
+4.283,77
+3.95,79
+2.333,64
+4.15,75
+2.35,47
+4.933,86
+2.9,63
+4.583,85
+3.833,82
+2.083,57
+4.367,82
+2.133,67
+4.35,74
+2.2,54
+4.45,83
+3.567,73
+4.5,73
+4.15,88
+3.817,80
+3.917,71
+4.45,83
+2,56
+4.283,79
+4.767,78
+4.533,84
+1.85,58
+4.25,83
+1.983,43
+2.25,60
+4.75,75
+4.117,81
+2.15,46
+4.417,90
+1.817,46
+4.467,74
+`;
+
+export const PENGUINS_CSV = `bill_length,bill_depth,flipper_length,body_mass,species
+39.1,18.7,181,3750,Adelie
+39.5,17.4,186,3800,Adelie
+40.3,18,195,3250,Adelie
+36.7,19.3,193,3450,Adelie
+39.3,20.6,190,3650,Adelie
+38.9,17.8,181,3625,Adelie
+39.2,19.6,195,4675,Adelie
+34.1,18.1,193,3475,Adelie
+42,20.2,190,4250,Adelie
+37.8,17.1,186,3300,Adelie
+37.8,17.3,180,3700,Adelie
+41.1,17.6,182,3200,Adelie
+38.6,21.2,191,3800,Adelie
+34.6,21.1,198,4400,Adelie
+36.6,17.8,185,3700,Adelie
+38.7,19,195,3450,Adelie
+42.5,20.7,197,4500,Adelie
+34.4,18.4,184,3325,Adelie
+46,21.5,194,4200,Adelie
+37.8,18.3,174,3400,Adelie
+37.7,18.7,180,3600,Adelie
+35.9,19.2,189,3800,Adelie
+38.2,18.1,185,3950,Adelie
+38.8,17.2,180,3800,Adelie
+35.3,18.9,187,3800,Adelie
+40.6,18.6,183,3550,Adelie
+40.5,17.9,187,3200,Adelie
+37.9,18.6,172,3150,Adelie
+40.5,18.9,180,3950,Adelie
+39.5,16.7,178,3250,Adelie
+37.2,18.1,178,3900,Adelie
+39.5,17.8,188,3300,Adelie
+40.9,18.9,184,3900,Adelie
+36.4,17,195,3325,Adelie
+39.2,21.1,196,4150,Adelie
+38.8,20,190,3950,Adelie
+42.2,18.5,180,3550,Adelie
+37.6,19.3,181,3300,Adelie
+39.8,19.1,184,4650,Adelie
+36.5,18,182,3150,Adelie
+40.8,18.4,195,3900,Adelie
+36,18.5,186,3100,Adelie
+44.1,19.7,196,4400,Adelie
+37,16.9,185,3000,Adelie
+39.6,18.8,190,4600,Adelie
+41.1,19,182,3425,Adelie
+37.5,18.9,179,2975,Adelie
+36,17.9,190,3450,Adelie
+42.3,21.2,191,4150,Adelie
+39.6,17.7,186,3500,Adelie
+40.1,18.9,188,4300,Adelie
+35,17.9,190,3450,Adelie
+42,19.5,200,4050,Adelie
+34.5,18.1,187,2900,Adelie
+41.4,18.6,191,3700,Adelie
+39,17.5,186,3550,Adelie
+40.6,18.8,193,3800,Adelie
+36.5,16.6,181,2850,Adelie
+37.6,19.1,194,3750,Adelie
+35.7,16.9,185,3150,Adelie
+41.3,21.1,195,4400,Adelie
+37.6,17,185,3600,Adelie
+41.1,18.2,192,4050,Adelie
+36.4,17.1,184,2850,Adelie
+41.6,18,192,3950,Adelie
+35.5,16.2,195,3350,Adelie
+41.1,19.1,188,4100,Adelie
+35.9,16.6,190,3050,Adelie
+41.8,19.4,198,4450,Adelie
+33.5,19,190,3600,Adelie
+39.7,18.4,190,3900,Adelie
+39.6,17.2,196,3550,Adelie
+45.8,18.9,197,4150,Adelie
+35.5,17.5,190,3700,Adelie
+42.8,18.5,195,4250,Adelie
+40.9,16.8,191,3700,Adelie
+37.2,19.4,184,3900,Adelie
+36.2,16.1,187,3550,Adelie
+42.1,19.1,195,4000,Adelie
+34.6,17.2,189,3200,Adelie
+42.9,17.6,196,4700,Adelie
+36.7,18.8,187,3800,Adelie
+35.1,19.4,193,4200,Adelie
+37.3,17.8,191,3350,Adelie
+41.3,20.3,194,3550,Adelie
+36.3,19.5,190,3800,Adelie
+36.9,18.6,189,3500,Adelie
+38.3,19.2,189,3950,Adelie
+38.9,18.8,190,3600,Adelie
+35.7,18,202,3550,Adelie
+41.1,18.1,205,4300,Adelie
+34,17.1,185,3400,Adelie
+39.6,18.1,186,4450,Adelie
+36.2,17.3,187,3300,Adelie
+40.8,18.9,208,4300,Adelie
+38.1,18.6,190,3700,Adelie
+40.3,18.5,196,4350,Adelie
+33.1,16.1,178,2900,Adelie
+43.2,18.5,192,4100,Adelie
+35,17.9,192,3725,Adelie
+41,20,203,4725,Adelie
+37.7,16,183,3075,Adelie
+37.8,20,190,4250,Adelie
+37.9,18.6,193,2925,Adelie
+39.7,18.9,184,3550,Adelie
+38.6,17.2,199,3750,Adelie
+38.2,20,190,3900,Adelie
+38.1,17,181,3175,Adelie
+43.2,19,197,4775,Adelie
+38.1,16.5,198,3825,Adelie
+45.6,20.3,191,4600,Adelie
+39.7,17.7,193,3200,Adelie
+42.2,19.5,197,4275,Adelie
+39.6,20.7,191,3900,Adelie
+42.7,18.3,196,4075,Adelie
+38.6,17,188,2900,Adelie
+37.3,20.5,199,3775,Adelie
+35.7,17,189,3350,Adelie
+41.1,18.6,189,3325,Adelie
+36.2,17.2,187,3150,Adelie
+37.7,19.8,198,3500,Adelie
+40.2,17,176,3450,Adelie
+41.4,18.5,202,3875,Adelie
+35.2,15.9,186,3050,Adelie
+40.6,19,199,4000,Adelie
+38.8,17.6,191,3275,Adelie
+41.5,18.3,195,4300,Adelie
+39,17.1,191,3050,Adelie
+44.1,18,210,4000,Adelie
+38.5,17.9,190,3325,Adelie
+43.1,19.2,197,3500,Adelie
+36.8,18.5,193,3500,Adelie
+37.5,18.5,199,4475,Adelie
+38.1,17.6,187,3425,Adelie
+41.1,17.5,190,3900,Adelie
+35.6,17.5,191,3175,Adelie
+40.2,20.1,200,3975,Adelie
+37,16.5,185,3400,Adelie
+39.7,17.9,193,4250,Adelie
+40.2,17.1,193,3400,Adelie
+40.6,17.2,187,3475,Adelie
+32.1,15.5,188,3050,Adelie
+40.7,17,190,3725,Adelie
+37.3,16.8,192,3000,Adelie
+39,18.7,185,3650,Adelie
+39.2,18.6,190,4250,Adelie
+36.6,18.4,184,3475,Adelie
+36,17.8,195,3450,Adelie
+37.8,18.1,193,3750,Adelie
+36,17.1,187,3700,Adelie
+41.5,18.5,201,4000,Adelie
+46.5,17.9,192,3500,Chinstrap
+50,19.5,196,3900,Chinstrap
+51.3,19.2,193,3650,Chinstrap
+45.4,18.7,188,3525,Chinstrap
+52.7,19.8,197,3725,Chinstrap
+45.2,17.8,198,3950,Chinstrap
+46.1,18.2,178,3250,Chinstrap
+51.3,18.2,197,3750,Chinstrap
+46,18.9,195,4150,Chinstrap
+51.3,19.9,198,3700,Chinstrap
+46.6,17.8,193,3800,Chinstrap
+51.7,20.3,194,3775,Chinstrap
+47,17.3,185,3700,Chinstrap
+52,18.1,201,4050,Chinstrap
+45.9,17.1,190,3575,Chinstrap
+50.5,19.6,201,4050,Chinstrap
+50.3,20,197,3300,Chinstrap
+58,17.8,181,3700,Chinstrap
+46.4,18.6,190,3450,Chinstrap
+49.2,18.2,195,4400,Chinstrap
+42.4,17.3,181,3600,Chinstrap
+48.5,17.5,191,3400,Chinstrap
+43.2,16.6,187,2900,Chinstrap
+50.6,19.4,193,3800,Chinstrap
+46.7,17.9,195,3300,Chinstrap
+52,19,197,4150,Chinstrap
+50.5,18.4,200,3400,Chinstrap
+49.5,19,200,3800,Chinstrap
+46.4,17.8,191,3700,Chinstrap
+52.8,20,205,4550,Chinstrap
+40.9,16.6,187,3200,Chinstrap
+54.2,20.8,201,4300,Chinstrap
+42.5,16.7,187,3350,Chinstrap
+51,18.8,203,4100,Chinstrap
+49.7,18.6,195,3600,Chinstrap
+47.5,16.8,199,3900,Chinstrap
+47.6,18.3,195,3850,Chinstrap
+52,20.7,210,4800,Chinstrap
+46.9,16.6,192,2700,Chinstrap
+53.5,19.9,205,4500,Chinstrap
+49,19.5,210,3950,Chinstrap
+46.2,17.5,187,3650,Chinstrap
+50.9,19.1,196,3550,Chinstrap
+45.5,17,196,3500,Chinstrap
+50.9,17.9,196,3675,Chinstrap
+50.8,18.5,201,4450,Chinstrap
+50.1,17.9,190,3400,Chinstrap
+49,19.6,212,4300,Chinstrap
+51.5,18.7,187,3250,Chinstrap
+49.8,17.3,198,3675,Chinstrap
+48.1,16.4,199,3325,Chinstrap
+51.4,19,201,3950,Chinstrap
+45.7,17.3,193,3600,Chinstrap
+50.7,19.7,203,4050,Chinstrap
+42.5,17.3,187,3350,Chinstrap
+52.2,18.8,197,3450,Chinstrap
+45.2,16.6,191,3250,Chinstrap
+49.3,19.9,203,4050,Chinstrap
+50.2,18.8,202,3800,Chinstrap
+45.6,19.4,194,3525,Chinstrap
+51.9,19.5,206,3950,Chinstrap
+46.8,16.5,189,3650,Chinstrap
+45.7,17,195,3650,Chinstrap
+55.8,19.8,207,4000,Chinstrap
+43.5,18.1,202,3400,Chinstrap
+49.6,18.2,193,3775,Chinstrap
+50.8,19,210,4100,Chinstrap
+50.2,18.7,198,3775,Chinstrap
+46.1,13.2,211,4500,Gentoo
+50,16.3,230,5700,Gentoo
+48.7,14.1,210,4450,Gentoo
+50,15.2,218,5700,Gentoo
+47.6,14.5,215,5400,Gentoo
+46.5,13.5,210,4550,Gentoo
+45.4,14.6,211,4800,Gentoo
+46.7,15.3,219,5200,Gentoo
+43.3,13.4,209,4400,Gentoo
+46.8,15.4,215,5150,Gentoo
+40.9,13.7,214,4650,Gentoo
+49,16.1,216,5550,Gentoo
+45.5,13.7,214,4650,Gentoo
+48.4,14.6,213,5850,Gentoo
+45.8,14.6,210,4200,Gentoo
+49.3,15.7,217,5850,Gentoo
+42,13.5,210,4150,Gentoo
+49.2,15.2,221,6300,Gentoo
+46.2,14.5,209,4800,Gentoo
+48.7,15.1,222,5350,Gentoo
+50.2,14.3,218,5700,Gentoo
+45.1,14.5,215,5000,Gentoo
+46.5,14.5,213,4400,Gentoo
+46.3,15.8,215,5050,Gentoo
+42.9,13.1,215,5000,Gentoo
+46.1,15.1,215,5100,Gentoo
+44.5,14.3,216,4100,Gentoo
+47.8,15,215,5650,Gentoo
+48.2,14.3,210,4600,Gentoo
+50,15.3,220,5550,Gentoo
+47.3,15.3,222,5250,Gentoo
+42.8,14.2,209,4700,Gentoo
+45.1,14.5,207,5050,Gentoo
+59.6,17,230,6050,Gentoo
+49.1,14.8,220,5150,Gentoo
+48.4,16.3,220,5400,Gentoo
+42.6,13.7,213,4950,Gentoo
+44.4,17.3,219,5250,Gentoo
+44,13.6,208,4350,Gentoo
+48.7,15.7,208,5350,Gentoo
+42.7,13.7,208,3950,Gentoo
+49.6,16,225,5700,Gentoo
+45.3,13.7,210,4300,Gentoo
+49.6,15,216,4750,Gentoo
+50.5,15.9,222,5550,Gentoo
+43.6,13.9,217,4900,Gentoo
+45.5,13.9,210,4200,Gentoo
+50.5,15.9,225,5400,Gentoo
+44.9,13.3,213,5100,Gentoo
+45.2,15.8,215,5300,Gentoo
+46.6,14.2,210,4850,Gentoo
+48.5,14.1,220,5300,Gentoo
+45.1,14.4,210,4400,Gentoo
+50.1,15,225,5000,Gentoo
+46.5,14.4,217,4900,Gentoo
+45,15.4,220,5050,Gentoo
+43.8,13.9,208,4300,Gentoo
+45.5,15,220,5000,Gentoo
+43.2,14.5,208,4450,Gentoo
+50.4,15.3,224,5550,Gentoo
+45.3,13.8,208,4200,Gentoo
+46.2,14.9,221,5300,Gentoo
+45.7,13.9,214,4400,Gentoo
+54.3,15.7,231,5650,Gentoo
+45.8,14.2,219,4700,Gentoo
+49.8,16.8,230,5700,Gentoo
+46.2,14.4,214,4650,Gentoo
+49.5,16.2,229,5800,Gentoo
+43.5,14.2,220,4700,Gentoo
+50.7,15,223,5550,Gentoo
+47.7,15,216,4750,Gentoo
+46.4,15.6,221,5000,Gentoo
+48.2,15.6,221,5100,Gentoo
+46.5,14.8,217,5200,Gentoo
+46.4,15,216,4700,Gentoo
+48.6,16,230,5800,Gentoo
+47.5,14.2,209,4600,Gentoo
+51.1,16.3,220,6000,Gentoo
+45.2,13.8,215,4750,Gentoo
+45.2,16.4,223,5950,Gentoo
+49.1,14.5,212,4625,Gentoo
+52.5,15.6,221,5450,Gentoo
+47.4,14.6,212,4725,Gentoo
+50,15.9,224,5350,Gentoo
+44.9,13.8,212,4750,Gentoo
+50.8,17.3,228,5600,Gentoo
+43.4,14.4,218,4600,Gentoo
+51.3,14.2,218,5300,Gentoo
+47.5,14,212,4875,Gentoo
+52.1,17,230,5550,Gentoo
+47.5,15,218,4950,Gentoo
+52.2,17.1,228,5400,Gentoo
+45.5,14.5,212,4750,Gentoo
+49.5,16.1,224,5650,Gentoo
+44.5,14.7,214,4850,Gentoo
+50.8,15.7,226,5200,Gentoo
+49.4,15.8,216,4925,Gentoo
+46.9,14.6,222,4875,Gentoo
+48.4,14.4,203,4625,Gentoo
+51.1,16.5,225,5250,Gentoo
+48.5,15,219,4850,Gentoo
+55.9,17,228,5600,Gentoo
+47.2,15.5,215,4975,Gentoo
+49.1,15,228,5500,Gentoo
+47.3,13.8,216,4725,Gentoo
+46.8,16.1,215,5500,Gentoo
+41.7,14.7,210,4700,Gentoo
+53.4,15.8,219,5500,Gentoo
+43.3,14,208,4575,Gentoo
+48.1,15.1,209,5500,Gentoo
+50.5,15.2,216,5000,Gentoo
+49.8,15.9,229,5950,Gentoo
+43.5,15.2,213,4650,Gentoo
+51.5,16.3,230,5500,Gentoo
+46.2,14.1,217,4375,Gentoo
+55.1,16,230,5850,Gentoo
+44.5,15.7,217,4875,Gentoo
+48.8,16.2,222,6000,Gentoo
+47.2,13.7,214,4925,Gentoo
+46.8,14.3,215,4850,Gentoo
+50.4,15.7,222,5750,Gentoo
+45.2,14.8,212,5200,Gentoo
+49.9,16.1,213,5400,Gentoo
+`;
+
+export const AUTO_MPG_CSV = `mpg,cylinders,displacement,horsepower,weight,acceleration,year,origin
+18,8,307,130,3504,12,70,USA
+15,8,350,165,3693,11.5,70,USA
+18,8,318,150,3436,11,70,USA
+16,8,304,150,3433,12,70,USA
+17,8,302,140,3449,10.5,70,USA
+15,8,429,198,4341,10,70,USA
+14,8,454,220,4354,9,70,USA
+14,8,440,215,4312,8.5,70,USA
+14,8,455,225,4425,10,70,USA
+15,8,390,190,3850,8.5,70,USA
+15,8,383,170,3563,10,70,USA
+14,8,340,160,3609,8,70,USA
+15,8,400,150,3761,9.5,70,USA
+14,8,455,225,3086,10,70,USA
+24,4,113,95,2372,15,70,Japan
+22,6,198,95,2833,15.5,70,USA
+18,6,199,97,2774,15.5,70,USA
+21,6,200,85,2587,16,70,USA
+27,4,97,88,2130,14.5,70,Japan
+26,4,97,46,1835,20.5,70,Europe
+25,4,110,87,2672,17.5,70,Europe
+24,4,107,90,2430,14.5,70,Europe
+25,4,104,95,2375,17.5,70,Europe
+26,4,121,113,2234,12.5,70,Europe
+21,6,199,90,2648,15,70,USA
+10,8,360,215,4615,14,70,USA
+10,8,307,200,4376,15,70,USA
+11,8,318,210,4382,13.5,70,USA
+9,8,304,193,4732,18.5,70,USA
+27,4,97,88,2130,14.5,71,Japan
+28,4,140,90,2264,15.5,71,USA
+25,4,113,95,2228,14,71,Japan
+19,6,232,100,2634,13,71,USA
+16,6,225,105,3439,15.5,71,USA
+17,6,250,100,3329,15.5,71,USA
+19,6,250,88,3302,15.5,71,USA
+18,6,232,100,3288,15.5,71,USA
+14,8,350,165,4209,12,71,USA
+14,8,400,175,4464,11.5,71,USA
+14,8,351,153,4154,13.5,71,USA
+14,8,318,150,4096,13,71,USA
+12,8,383,180,4955,11.5,71,USA
+13,8,400,170,4746,12,71,USA
+13,8,400,175,5140,12,71,USA
+18,6,258,110,2962,13.5,71,USA
+22,4,140,72,2408,19,71,USA
+19,6,250,100,3282,15,71,USA
+18,6,250,88,3139,14.5,71,USA
+23,4,122,86,2220,14,71,USA
+28,4,116,90,2123,14,71,Europe
+30,4,79,70,2074,19.5,71,Europe
+30,4,88,76,2065,14.5,71,Europe
+31,4,71,65,1773,19,71,Japan
+35,4,72,69,1613,18,71,Japan
+27,4,97,60,1834,19,71,Europe
+26,4,91,70,1955,20.5,71,USA
+24,4,113,95,2278,15.5,72,Japan
+25,4,97.5,80,2126,17,72,USA
+23,4,97,54,2254,23.5,72,Europe
+20,4,140,90,2408,19.5,72,USA
+21,4,122,86,2226,16.5,72,USA
+13,8,350,165,4274,12,72,USA
+14,8,400,175,4385,12,72,USA
+15,8,318,150,4135,13.5,72,USA
+14,8,351,153,4129,13,72,USA
+17,8,304,150,3672,11.5,72,USA
+11,8,429,208,4633,11,72,USA
+13,8,350,155,4502,13.5,72,USA
+12,8,350,160,4456,13.5,72,USA
+13,8,400,190,4422,12.5,72,USA
+19,3,70,97,2330,13.5,72,Japan
+15,8,304,150,3892,12.5,72,USA
+13,8,307,130,4098,14,72,USA
+13,8,302,140,4294,16,72,USA
+14,8,318,150,4077,14,72,USA
+18,4,121,112,2933,14.5,72,Europe
+22,4,121,76,2511,18,72,Europe
+21,4,120,87,2979,19.5,72,Europe
+26,4,96,69,2189,18,72,Europe
+22,4,122,86,2395,16,72,USA
+28,4,97,92,2288,17,72,Japan
+23,4,120,97,2506,14.5,72,Japan
+28,4,98,80,2164,15,72,USA
+27,4,97,88,2100,16.5,72,Japan
+13,8,350,175,4100,13,73,USA
+14,8,304,150,3672,11.5,73,USA
+13,8,350,145,3988,13,73,USA
+14,8,302,137,4042,14.5,73,USA
+15,8,318,150,3777,12.5,73,USA
+12,8,429,198,4952,11.5,73,USA
+13,8,400,150,4464,12,73,USA
+13,8,351,158,4363,13,73,USA
+14,8,318,150,4237,14.5,73,USA
+13,8,440,215,4735,11,73,USA
+12,8,455,225,4951,11,73,USA
+13,8,360,175,3821,11,73,USA
+18,6,225,105,3121,16.5,73,USA
+16,6,250,100,3278,18,73,USA
+18,6,232,100,2945,16,73,USA
+18,6,250,88,3021,16.5,73,USA
+23,6,198,95,2904,16,73,USA
+26,4,97,46,1950,21,73,Europe
+11,8,400,150,4997,14,73,USA
+12,8,400,167,4906,12.5,73,USA
+13,8,360,170,4654,13,73,USA
+12,8,350,180,4499,12.5,73,USA
+18,6,232,100,2789,15,73,USA
+20,4,97,88,2279,19,73,Japan
+21,4,140,72,2401,19.5,73,USA
+22,4,108,94,2379,16.5,73,Japan
+18,3,70,90,2124,13.5,73,Japan
+19,4,122,85,2310,18.5,73,USA
+21,6,155,107,2472,14,73,USA
+26,4,98,90,2265,15.5,73,Europe
+15,8,350,145,4082,13,73,USA
+16,8,400,230,4278,9.5,73,USA
+29,4,68,49,1867,19.5,73,Europe
+24,4,116,75,2158,15.5,73,Europe
+20,4,114,91,2582,14,73,Europe
+19,4,121,112,2868,15.5,73,Europe
+15,8,318,150,3399,11,73,USA
+24,4,121,110,2660,14,73,Europe
+20,6,156,122,2807,13.5,73,Japan
+11,8,350,180,3664,11,73,USA
+20,6,198,95,3102,16.5,74,USA
+19,6,232,100,2901,16,74,USA
+15,6,250,100,3336,17,74,USA
+31,4,79,67,1950,19,74,Japan
+26,4,122,80,2451,16.5,74,USA
+32,4,71,65,1836,21,74,Japan
+25,4,140,75,2542,17,74,USA
+16,6,250,100,3781,17,74,USA
+16,6,258,110,3632,18,74,USA
+18,6,225,105,3613,16.5,74,USA
+16,8,302,140,4141,14,74,USA
+13,8,350,150,4699,14.5,74,USA
+14,8,318,150,4457,13.5,74,USA
+14,8,302,140,4638,16,74,USA
+14,8,304,150,4257,15.5,74,USA
+29,4,98,83,2219,16.5,74,Europe
+26,4,79,67,1963,15.5,74,Europe
+26,4,97,78,2300,14.5,74,Europe
+31,4,76,52,1649,16.5,74,Japan
+32,4,83,61,2003,19,74,Japan
+28,4,90,75,2125,14.5,74,USA
+24,4,90,75,2108,15.5,74,Europe
+26,4,116,75,2246,14,74,Europe
+24,4,120,97,2489,15,74,Japan
+26,4,108,93,2391,15.5,74,Japan
+31,4,79,67,2000,16,74,Europe
+19,6,225,95,3264,16,75,USA
+18,6,250,105,3459,16,75,USA
+15,6,250,72,3432,21,75,USA
+15,6,250,72,3158,19.5,75,USA
+16,8,400,170,4668,11.5,75,USA
+15,8,350,145,4440,14,75,USA
+16,8,318,150,4498,14.5,75,USA
+14,8,351,148,4657,13.5,75,USA
+17,6,231,110,3907,21,75,USA
+16,6,250,105,3897,18.5,75,USA
+15,6,258,110,3730,19,75,USA
+18,6,225,95,3785,19,75,USA
+21,6,231,110,3039,15,75,USA
+20,8,262,110,3221,13.5,75,USA
+13,8,302,129,3169,12,75,USA
+29,4,97,75,2171,16,75,Japan
+23,4,140,83,2639,17,75,USA
+20,6,232,100,2914,16,75,USA
+23,4,140,78,2592,18.5,75,USA
+24,4,134,96,2702,13.5,75,Japan
+25,4,90,71,2223,16.5,75,Europe
+24,4,119,97,2545,17,75,Japan
+18,6,171,97,2984,14.5,75,USA
+29,4,90,70,1937,14,75,Europe
+19,6,232,90,3211,17,75,USA
+23,4,115,95,2694,15,75,Europe
+23,4,120,88,2957,17,75,Europe
+22,4,121,98,2945,14.5,75,Europe
+25,4,121,115,2671,13.5,75,Europe
+33,4,91,53,1795,17.5,75,Japan
+28,4,107,86,2464,15.5,76,Europe
+25,4,116,81,2220,16.9,76,Europe
+25,4,140,92,2572,14.9,76,USA
+26,4,98,79,2255,17.7,76,USA
+27,4,101,83,2202,15.3,76,Europe
+17.5,8,305,140,4215,13,76,USA
+16,8,318,150,4190,13,76,USA
+15.5,8,304,120,3962,13.9,76,USA
+14.5,8,351,152,4215,12.8,76,USA
+22,6,225,100,3233,15.4,76,USA
+22,6,250,105,3353,14.5,76,USA
+24,6,200,81,3012,17.6,76,USA
+22.5,6,232,90,3085,17.6,76,USA
+29,4,85,52,2035,22.2,76,USA
+24.5,4,98,60,2164,22.1,76,USA
+29,4,90,70,1937,14.2,76,Europe
+33,4,91,53,1795,17.4,76,Japan
+20,6,225,100,3651,17.7,76,USA
+18,6,250,78,3574,21,76,USA
+18.5,6,250,110,3645,16.2,76,USA
+17.5,6,258,95,3193,17.8,76,USA
+29.5,4,97,71,1825,12.2,76,Europe
+32,4,85,70,1990,17,76,Japan
+28,4,97,75,2155,16.4,76,Japan
+26.5,4,140,72,2565,13.6,76,USA
+20,4,130,102,3150,15.7,76,Europe
+13,8,318,150,3940,13.2,76,USA
+19,4,120,88,3270,21.9,76,Europe
+19,6,156,108,2930,15.5,76,Japan
+16.5,6,168,120,3820,16.7,76,Europe
+16.5,8,350,180,4380,12.1,76,USA
+13,8,350,145,4055,12,76,USA
+13,8,302,130,3870,15,76,USA
+13,8,318,150,3755,14,76,USA
+31.5,4,98,68,2045,18.5,77,Japan
+30,4,111,80,2155,14.8,77,USA
+36,4,79,58,1825,18.6,77,Europe
+25.5,4,122,96,2300,15.5,77,USA
+33.5,4,85,70,1945,16.8,77,Japan
+17.5,8,305,145,3880,12.5,77,USA
+17,8,260,110,4060,19,77,USA
+15.5,8,318,145,4140,13.7,77,USA
+15,8,302,130,4295,14.9,77,USA
+17.5,6,250,110,3520,16.4,77,USA
+20.5,6,231,105,3425,16.9,77,USA
+19,6,225,100,3630,17.7,77,USA
+18.5,6,250,98,3525,19,77,USA
+16,8,400,180,4220,11.1,77,USA
+15.5,8,350,170,4165,11.4,77,USA
+15.5,8,400,190,4325,12.2,77,USA
+16,8,351,149,4335,14.5,77,USA
+29,4,97,78,1940,14.5,77,Europe
+24.5,4,151,88,2740,16,77,USA
+26,4,97,75,2265,18.2,77,Japan
+25.5,4,140,89,2755,15.8,77,USA
+30.5,4,98,63,2051,17,77,USA
+33.5,4,98,83,2075,15.9,77,USA
+30,4,97,67,1985,16.4,77,Japan
+30.5,4,97,78,2190,14.1,77,Europe
+22,6,146,97,2815,14.5,77,Japan
+21.5,4,121,110,2600,12.8,77,Europe
+21.5,3,80,110,2720,13.5,77,Japan
+43.1,4,90,48,1985,21.5,78,Europe
+36.1,4,98,66,1800,14.4,78,USA
+32.8,4,78,52,1985,19.4,78,Japan
+39.4,4,85,70,2070,18.6,78,Japan
+36.1,4,91,60,1800,16.4,78,Japan
+19.9,8,260,110,3365,15.5,78,USA
+19.4,8,318,140,3735,13.2,78,USA
+20.2,8,302,139,3570,12.8,78,USA
+19.2,6,231,105,3535,19.2,78,USA
+20.5,6,200,95,3155,18.2,78,USA
+20.2,6,200,85,2965,15.8,78,USA
+25.1,4,140,88,2720,15.4,78,USA
+20.5,6,225,100,3430,17.2,78,USA
+19.4,6,232,90,3210,17.2,78,USA
+20.6,6,231,105,3380,15.8,78,USA
+20.8,6,200,85,3070,16.7,78,USA
+18.6,6,225,110,3620,18.7,78,USA
+18.1,6,258,120,3410,15.1,78,USA
+19.2,8,305,145,3425,13.2,78,USA
+17.7,6,231,165,3445,13.4,78,USA
+18.1,8,302,139,3205,11.2,78,USA
+17.5,8,318,140,4080,13.7,78,USA
+30,4,98,68,2155,16.5,78,USA
+27.5,4,134,95,2560,14.2,78,Japan
+27.2,4,119,97,2300,14.7,78,Japan
+30.9,4,105,75,2230,14.5,78,USA
+21.1,4,134,95,2515,14.8,78,Japan
+23.2,4,156,105,2745,16.7,78,USA
+23.8,4,151,85,2855,17.6,78,USA
+23.9,4,119,97,2405,14.9,78,Japan
+20.3,5,131,103,2830,15.9,78,Europe
+17,6,163,125,3140,13.6,78,Europe
+21.6,4,121,115,2795,15.7,78,Europe
+16.2,6,163,133,3410,15.8,78,Europe
+31.5,4,89,71,1990,14.9,78,Europe
+29.5,4,98,68,2135,16.6,78,Japan
+21.5,6,231,115,3245,15.4,79,USA
+19.8,6,200,85,2990,18.2,79,USA
+22.3,4,140,88,2890,17.3,79,USA
+20.2,6,232,90,3265,18.2,79,USA
+20.6,6,225,110,3360,16.6,79,USA
+17,8,305,130,3840,15.4,79,USA
+17.6,8,302,129,3725,13.4,79,USA
+16.5,8,351,138,3955,13.2,79,USA
+18.2,8,318,135,3830,15.2,79,USA
+16.9,8,350,155,4360,14.9,79,USA
+15.5,8,351,142,4054,14.3,79,USA
+19.2,8,267,125,3605,15,79,USA
+18.5,8,360,150,3940,13,79,USA
+31.9,4,89,71,1925,14,79,Europe
+34.1,4,86,65,1975,15.2,79,Japan
+35.7,4,98,80,1915,14.4,79,USA
+27.4,4,121,80,2670,15,79,USA
+25.4,5,183,77,3530,20.1,79,Europe
+23,8,350,125,3900,17.4,79,USA
+27.2,4,141,71,3190,24.8,79,Europe
+23.9,8,260,90,3420,22.2,79,USA
+34.2,4,105,70,2200,13.2,79,USA
+34.5,4,105,70,2150,14.9,79,USA
+31.8,4,85,65,2020,19.2,79,Japan
+37.3,4,91,69,2130,14.7,79,Europe
+28.4,4,151,90,2670,16,79,USA
+28.8,6,173,115,2595,11.3,79,USA
+26.8,6,173,115,2700,12.9,79,USA
+33.5,4,151,90,2556,13.2,79,USA
+41.5,4,98,76,2144,14.7,80,Europe
+38.1,4,89,60,1968,18.8,80,Japan
+32.1,4,98,70,2120,15.5,80,USA
+37.2,4,86,65,2019,16.4,80,Japan
+28,4,151,90,2678,16.5,80,USA
+26.4,4,140,88,2870,18.1,80,USA
+24.3,4,151,90,3003,20.1,80,USA
+19.1,6,225,90,3381,18.7,80,USA
+34.3,4,97,78,2188,15.8,80,Europe
+29.8,4,134,90,2711,15.5,80,Japan
+31.3,4,120,75,2542,17.5,80,Japan
+37,4,119,92,2434,15,80,Japan
+32.2,4,108,75,2265,15.2,80,Japan
+46.6,4,86,65,2110,17.9,80,Japan
+27.9,4,156,105,2800,14.4,80,USA
+40.8,4,85,65,2110,19.2,80,Japan
+44.3,4,90,48,2085,21.7,80,Europe
+43.4,4,90,48,2335,23.7,80,Europe
+36.4,5,121,67,2950,19.9,80,Europe
+30,4,146,67,3250,21.8,80,Europe
+44.6,4,91,67,1850,13.8,80,Japan
+33.8,4,97,67,2145,18,80,Japan
+29.8,4,89,62,1845,15.3,80,Europe
+32.7,6,168,132,2910,11.4,80,Japan
+23.7,3,70,100,2420,12.5,80,Japan
+35,4,122,88,2500,15.1,80,Europe
+32.4,4,107,72,2290,17,80,Japan
+27.2,4,135,84,2490,15.7,82,USA
+26.6,4,151,84,2635,16.4,82,USA
+25.8,4,156,92,2620,14.4,82,USA
+23.5,6,173,110,2725,12.6,82,USA
+30,4,135,84,2385,12.9,82,USA
+39.1,4,79,58,1755,16.9,82,Japan
+39,4,86,64,1875,16.4,82,USA
+35.1,4,81,60,1760,16.1,82,Japan
+32.3,4,97,67,2065,17.8,82,Japan
+37,4,85,65,1975,19.4,82,Japan
+37.7,4,89,62,2050,17.3,82,Japan
+34.1,4,91,68,1985,16,82,Japan
+34.7,4,105,63,2215,14.9,82,USA
+34.4,4,98,65,2045,16.2,82,USA
+29.9,4,98,65,2380,20.7,82,USA
+33,4,105,74,2190,14.2,82,Europe
+33.7,4,107,75,2210,14.4,82,Japan
+32.4,4,108,75,2350,16.8,82,Japan
+32.9,4,119,100,2615,14.8,82,Japan
+31.6,4,120,74,2635,18.3,82,Japan
+28.1,4,141,80,3230,20.4,82,Europe
+30.7,6,145,76,3160,19.6,82,Europe
+25.4,6,168,116,2900,12.6,82,Japan
+24.2,6,146,120,2930,13.8,82,Japan
+22.4,6,231,110,3415,15.8,82,USA
+26.6,8,350,105,3725,19,82,USA
+20.2,6,200,88,3060,17.1,82,USA
+17.6,6,225,85,3465,16.6,82,USA
+28,4,112,88,2605,19.6,82,USA
+27,4,112,88,2640,18.6,82,USA
+34,4,112,88,2395,18,82,USA
+31,4,112,85,2575,16.2,82,USA
+29,4,135,84,2525,16,82,USA
+27,4,151,90,2735,18,82,USA
+24,4,140,92,2865,16.4,82,USA
+36,4,105,74,1980,15.3,82,Europe
+37,4,91,68,2025,18.2,82,Japan
+31,4,91,68,1970,17.6,82,Japan
+38,4,105,63,2125,14.7,82,USA
+36,4,98,70,2125,17.3,82,USA
+36,4,120,88,2160,14.5,82,Japan
+36,4,107,75,2205,14.5,82,Japan
+34,4,108,70,2245,16.9,82,Japan
+38,4,91,67,1965,15,82,Japan
+32,4,91,67,1965,15.7,82,Japan
+38,4,91,67,1995,16.2,82,Japan
+25,6,181,110,2945,16.4,82,USA
+38,6,262,85,3015,17,82,USA
+26,4,156,92,2585,14.5,82,USA
+22,6,232,112,2835,14.7,82,USA
+32,4,144,96,2665,13.9,82,Japan
+36,4,135,84,2370,13,82,USA
+27,4,151,90,2950,17.3,82,USA
+27,4,140,86,2790,15.6,82,USA
+44,4,97,52,2130,24.6,82,Europe
+32,4,135,84,2295,11.6,82,USA
+28,4,120,79,2625,18.6,82,USA
+31,4,119,82,2720,19.4,82,USA
+`;
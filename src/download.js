@@ -0,0 +1,20 @@
+// Saving generated files from the browser: dataset exports, plot images,
+// reports and sweep animations all go through these.
+
+/** Save `url` (a data or object URL) as a file. */
+export function downloadUrl(filename, url) {
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+/** Save `content` (text or bytes) as a file of type `mime`. */
+export function downloadText(filename, content, mime) {
+  const blob = new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  downloadUrl(filename, url);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,69 @@
+// Pure helpers for the multi-point editing tools (rubber-band selection,
+// bulk relabel/delete and the spray brush), plus the pointer-to-plot
+// conversion every plot uses. Coordinates are plot (math) coordinates:
+// 0–100 with y pointing up.
+
+export const clampToPlot = (v) => Math.min(100, Math.max(0, v));
+
+/**
+ * Pointer position of `evt` in the viewBox coordinates (0–100, y down) of
+ * the SVG element handling it.
+ */
+export function svgCoords(evt) {
+  const svg = evt.currentTarget;
+  const pt = svg.createSVGPoint();
+  pt.x = evt.clientX;
+  pt.y = evt.clientY;
+  const { x, y } = pt.matrixTransform(svg.getScreenCTM().inverse());
+  return { x, y };
+}
+
+/** Pointer position in plot coordinates (y up), clamped to the plot. */
+export function plotCoords(evt) {
+  const { x, y } = svgCoords(evt);
+  return { x: clampToPlot(x), y: clampToPlot(100 - y) };
+}
+
+/** Indexes of the points inside the box spanned by two corners. */
+export function pointsInBox(points, a, b) {
+  const minX = Math.min(a.x, b.x);
+  const maxX = Math.max(a.x, b.x);
+  const minY = Math.min(a.y, b.y);
+  const maxY = Math.max(a.y, b.y);
+  const inside = [];
+  points.forEach((p, i) => {
+    if (p.x >= minX && p.x <= maxX && p.y >= minY && p.y <= maxY) {
+      inside.push(i);
+    }
+  });
+  return inside;
+}
+
+/** Apply `update(point)` to the points at the given indexes. */
+export function updatePoints(points, indexes, update) {
+  const set = new Set(indexes);
+  return points.map((p, i) => (set.has(i) ? update(p) : p));
+}
+
+export function removePoints(points, indexes) {
+  const set = new Set(indexes);
+  return points.filter((_, i) => !set.has(i));
+}
+
+/**
+ * `count` points drawn uniformly from the disk of `radius` around `center`,
+ * clamped to the plot. `rng` returns floats in [0, 1).
+ */
+export function sprayPoints(center, count, radius, rng = Math.random) {
+  const sprayed = [];
+  for (let i = 0; i < count; i++) {
+    // sqrt keeps the density uniform over the disk.
+    const r = radius * Math.sqrt(rng());
+    const angle = rng() * 2 * Math.PI;
+    sprayed.push({
+      x: clampToPlot(center.x + r * Math.cos(angle)),
+      y: clampToPlot(center.y + r * Math.sin(angle)),
+    });
+  }
+  return sprayed;
+}
@@ -0,0 +1,41 @@
+import {
+  pointsInBox,
+  removePoints,
+  sprayPoints,
+  updatePoints,
+} from "./editing";
+import { createRng } from "./random";
+
+const points = [
+  { x: 10, y: 10, label: "A" },
+  { x: 50, y: 50, label: "B" },
+  { x: 90, y: 20, label: "A" },
+];
+
+test("pointsInBox works for corners in any order", () => {
+  expect(pointsInBox(points, { x: 0, y: 0 }, { x: 60, y: 60 })).toEqual([0, 1]);
+  expect(pointsInBox(points, { x: 100, y: 0 }, { x: 40, y: 55 })).toEqual([
+    1, 2,
+  ]);
+  expect(pointsInBox(points, { x: 20, y: 20 }, { x: 20, y: 20 })).toEqual([]);
+});
+
+test("updatePoints and removePoints touch only the given indexes", () => {
+  const relabelled = updatePoints(points, [0, 2], (p) => ({
+    ...p,
+    label: "C",
+  }));
+  expect(relabelled.map((p) => p.label)).toEqual(["C", "B", "C"]);
+  expect(relabelled[1]).toBe(points[1]);
+  expect(removePoints(points, [1])).toEqual([points[0], points[2]]);
+});
+
+test("sprayPoints stays within the radius and the plot", () => {
+  const rng = createRng(5);
+  const sprayed = sprayPoints({ x: 98, y: 50 }, 50, 6, rng);
+  expect(sprayed).toHaveLength(50);
+  sprayed.forEach((p) => {
+    expect(Math.hypot(p.x - 98, p.y - 50)).toBeLessThanOrEqual(6 + 1e-9);
+    expect(p.x).toBeLessThanOrEqual(100);
+  });
+});
@@ -0,0 +1,134 @@
+// Train/test evaluation: splitting the points and scoring predictions on
+// the held-out test points. Test points carry `test: true`; everything else
+// is training data.
+
+import { createRng } from "./random";
+
+/**
+ * Separate training and test points. The index arrays map positions in
+ * `train`/`test` back to positions in `points`.
+ */
+export function splitPoints(points) {
+  const train = [];
+  const trainIndexes = [];
+  const test = [];
+  const testIndexes = [];
+  points.forEach((p, i) => {
+    if (p.test) {
+      test.push(p);
+      testIndexes.push(i);
+    } else {
+      train.push(p);
+      trainIndexes.push(i);
+    }
+  });
+  return { train, trainIndexes, test, testIndexes };
+}
+
+/** Mark or unmark a point as a test point. */
+export function setTestFlag(point, test) {
+  if (test) return point.test ? point : { ...point, test: true };
+  if (!point.test) return point;
+  const { test: _ignored, ...rest } = point;
+  return rest;
+}
+
+/**
+ * A seeded random split: `round(fraction · n)` points become test points
+ * (at least one training point is always kept), the rest training points.
+ */
+export function randomSplit(points, fraction, seed = 1) {
+  const n = points.length;
+  const testCount = Math.max(0, Math.min(n - 1, Math.round(fraction * n)));
+  const rng = createRng(seed);
+  const order = points.map((_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  const testSet = new Set(order.slice(0, testCount));
+  return points.map((p, i) => setTestFlag(p, testSet.has(i)));
+}
+
+const ratio = (a, b) => (b > 0 ? a / b : 0);
+
+/**
+ * Accuracy, confusion matrix and per-class precision/recall/F1.
+ *
+ * `matrix[i][j]` counts test points of class `labels[i]` predicted as
+ * `labels[j]`. Predictions outside `labels` (or null) count as wrong and
+ * appear in no column. Precision and recall are 0 when undefined (no
+ * predictions of / no points in the class). `macro` averages the classes
+ * that have test points.
+ */
+export function classificationReport(actual, predicted, labels) {
+  const position = new Map(labels.map((label, i) => [label, i]));
+  const matrix = labels.map(() => labels.map(() => 0));
+  let correct = 0;
+
+  actual.forEach((label, i) => {
+    if (predicted[i] === label) correct++;
+    const row = position.get(label);
+    const col = position.get(predicted[i]);
+    if (row !== undefined && col !== undefined) matrix[row][col]++;
+  });
+
+  const perClass = labels.map((label, i) => {
+    const tp = matrix[i][i];
+    const support = actual.filter((a) => a === label).length;
+    const predictedCount = predicted.filter((p) => p === label).length;
+    const precision = ratio(tp, predictedCount);
+    const recall = ratio(tp, support);
+    const f1 = ratio(2 * precision * recall, precision + recall);
+    return { label, precision, recall, f1, support };
+  });
+
+  const present = perClass.filter((c) => c.support > 0);
+  const mean = (key) =>
+    ratio(
+      present.reduce((sum, c) => sum + c[key], 0),
+      present.length
+    );
+
+  return {
+    count: actual.length,
+    accuracy: ratio(correct, actual.length),
+    matrix,
+    perClass,
+    macro: {
+      precision: mean("precision"),
+      recall: mean("recall"),
+      f1: mean("f1"),
+    },
+  };
+}
+
+/**
+ * RMSE, MAE and R² of numeric predictions. Pairs where either side is not
+ * a finite number are skipped. R² is null when the actual values are
+ * constant.
+ */
+export function regressionReport(actual, predicted) {
+  const pairs = actual
+    .map((a, i) => [a, predicted[i]])
+    .filter(([a, p]) => Number.isFinite(a) && Number.isFinite(p));
+  const count = pairs.length;
+  if (count === 0) return { count, rmse: null, mae: null, r2: null };
+
+  const mean = pairs.reduce((sum, [a]) => sum + a, 0) / count;
+  let squared = 0;
+  let absolute = 0;
+  let total = 0;
+  pairs.forEach(([a, p]) => {
+    squared += (a - p) ** 2;
+    absolute += Math.abs(a - p);
+    total += (a - mean) ** 2;
+  });
+
+  return {
+    count,
+    rmse: Math.sqrt(squared / count),
+    mae: absolute / count,
+    r2: total > 0 ? 1 - squared / total : null,
+  };
+}
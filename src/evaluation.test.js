@@ -0,0 +1,91 @@
+import {
+  classificationReport,
+  randomSplit,
+  regressionReport,
+  setTestFlag,
+  splitPoints,
+} from "./evaluation";
+
+const points = Array.from({ length: 20 }, (_, i) => ({
+  x: i,
+  y: i,
+  label: i % 2 ? "A" : "B",
+}));
+
+test("randomSplit is seeded and marks the requested share", () => {
+  const split = randomSplit(points, 0.25, 3);
+  expect(split.filter((p) => p.test)).toHaveLength(5);
+  expect(randomSplit(points, 0.25, 3)).toEqual(split);
+  expect(randomSplit(points, 0.25, 4)).not.toEqual(split);
+  // Unchanged points keep their identity.
+  const kept = split.findIndex((p) => !p.test);
+  expect(split[kept]).toBe(points[kept]);
+});
+
+test("randomSplit always keeps a training point", () => {
+  expect(randomSplit(points, 1, 1).filter((p) => !p.test)).toHaveLength(1);
+  expect(randomSplit(points, 0, 1)).toEqual(points);
+});
+
+test("splitPoints maps both parts back to the original indexes", () => {
+  const marked = points.map((p, i) => setTestFlag(p, i < 3));
+  const { train, trainIndexes, test, testIndexes } = splitPoints(marked);
+  expect(testIndexes).toEqual([0, 1, 2]);
+  expect(trainIndexes[0]).toBe(3);
+  expect(test[1]).toBe(marked[1]);
+  expect(train).toHaveLength(17);
+});
+
+test("setTestFlag removes the flag entirely", () => {
+  const marked = setTestFlag(points[0], true);
+  expect(marked.test).toBe(true);
+  expect(setTestFlag(marked, true)).toBe(marked);
+  expect(setTestFlag(marked, false)).toEqual(points[0]);
+  expect("test" in setTestFlag(marked, false)).toBe(false);
+});
+
+test("classificationReport builds the confusion matrix and per-class scores", () => {
+  const actual = ["A", "A", "A", "B", "B", "C"];
+  const predicted = ["A", "A", "B", "B", "A", null];
+  const report = classificationReport(actual, predicted, ["A", "B", "C"]);
+  expect(report.accuracy).toBeCloseTo(3 / 6);
+  expect(report.matrix).toEqual([
+    [2, 1, 0],
+    [1, 1, 0],
+    [0, 0, 0],
+  ]);
+  const [a, b, c] = report.perClass;
+  expect(a).toEqual({
+    label: "A",
+    precision: 2 / 3,
+    recall: 2 / 3,
+    f1: 2 / 3,
+    support: 3,
+  });
+  expect(b.precision).toBeCloseTo(0.5);
+  expect(b.recall).toBeCloseTo(0.5);
+  expect(c).toEqual({
+    label: "C",
+    precision: 0,
+    recall: 0,
+    f1: 0,
+    support: 1,
+  });
+  expect(report.macro.recall).toBeCloseTo((2 / 3 + 0.5 + 0) / 3);
+});
+
+test("classificationReport handles an empty test set", () => {
+  const report = classificationReport([], [], ["A"]);
+  expect(report.accuracy).toBe(0);
+  expect(report.count).toBe(0);
+});
+
+test("regressionReport computes RMSE, MAE and R²", () => {
+  const report = regressionReport([1, 2, 3, NaN], [1, 2, 5, 4]);
+  expect(report.count).toBe(3);
+  expect(report.rmse).toBeCloseTo(Math.sqrt(4 / 3));
+  expect(report.mae).toBeCloseTo(2 / 3);
+  expect(report.r2).toBeCloseTo(1 - 4 / 2);
+  expect(regressionReport([5, 5], [5, 6]).r2).toBeNull();
+  expect(regressionReport([], []).rmse).toBeNull();
+});
@@ -0,0 +1,192 @@
+// Seeded synthetic dataset generators for teaching. Every generator returns
+// points in the 0–100 viewBox with `label` set to the class index
+// (0 … classCount - 1); the caller maps indexes to class names.
+// The same options (including `seed`) always produce the same dataset.
+
+import { createRng, gaussian } from "./random";
+
+export const GENERATORS = {
+  blobs: "Gaussian blobs",
+  moons: "Two moons",
+  circles: "Concentric circles",
+  xor: "XOR",
+  checkerboard: "Checkerboard",
+  spirals: "Spirals",
+  uniform: "Uniform noise",
+};
+
+const PLOT_MARGIN = 5;
+
+/**
+ * Scale points (in arbitrary units) uniformly into the plot area, keeping
+ * the aspect ratio so circles stay circles.
+ */
+export function fitToPlot(points, margin = PLOT_MARGIN) {
+  if (points.length === 0) return [];
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const span = Math.max(maxX - minX, maxY - minY) || 1;
+  const scale = (100 - 2 * margin) / span;
+  const offsetX = 50 - ((minX + maxX) / 2) * scale;
+  const offsetY = 50 - ((minY + maxY) / 2) * scale;
+  return points.map((p) => ({
+    ...p,
+    x: p.x * scale + offsetX,
+    y: p.y * scale + offsetY,
+  }));
+}
+
+// Generators below work in unit-ish coordinates; `noise` is in [0, 1].
+
+function blobs({ classCount, perClass, noise }, rng) {
+  const points = [];
+  const spread = 0.08 + noise * 0.4;
+  for (let c = 0; c < classCount; c++) {
+    const angle = (2 * Math.PI * c) / classCount + rng() * 0.5;
+    const radius = classCount === 1 ? 0 : 0.6 + rng() * 0.3;
+    const cx = Math.cos(angle) * radius;
+    const cy = Math.sin(angle) * radius;
+    for (let i = 0; i < perClass; i++) {
+      points.push({
+        x: cx + gaussian(rng) * spread,
+        y: cy + gaussian(rng) * spread,
+        label: c,
+      });
+    }
+  }
+  return points;
+}
+
+// A chain of interleaved half circles; two classes give the classic moons.
+function moons({ classCount, perClass, noise }, rng) {
+  const points = [];
+  const jitter = noise * 0.3;
+  for (let c = 0; c < classCount; c++) {
+    const flipped = c % 2 === 1;
+    for (let i = 0; i < perClass; i++) {
+      const t = Math.PI * (perClass === 1 ? 0.5 : i / (perClass - 1));
+      const x = c + (flipped ? -Math.cos(t) : Math.cos(t));
+      const y = flipped ? 0.5 - Math.sin(t) : Math.sin(t);
+      points.push({
+        x: x + gaussian(rng) * jitter,
+        y: y + gaussian(rng) * jitter,
+        label: c,
+      });
+    }
+  }
+  return points;
+}
+
+function circles({ classCount, perClass, noise }, rng) {
+  const points = [];
+  const jitter = (noise * 0.5) / classCount;
+  for (let c = 0; c < classCount; c++) {
+    const radius = (c + 1) / classCount;
+    for (let i = 0; i < perClass; i++) {
+      const angle = rng() * 2 * Math.PI;
+      const r = radius + gaussian(rng) * jitter;
+      points.push({ x: Math.cos(angle) * r, y: Math.sin(angle) * r, label: c });
+    }
+  }
+  return points;
+}
+
+// Tiles of a `tiles` × `tiles` board are assigned round-robin to the
+// classes; each point is drawn uniformly inside a random tile of its class.
+function board(tiles) {
+  return ({ classCount, perClass, noise }, rng) => {
+    const byClass = Array.from({ length: classCount }, () => []);
+    for (let gx = 0; gx < tiles; gx++) {
+      for (let gy = 0; gy < tiles; gy++) {
+        byClass[(gx + gy) % classCount].push([gx, gy]);
+      }
+    }
+    const jitter = noise * 0.3;
+    const points = [];
+    byClass.forEach((cells, c) => {
+      if (cells.length === 0) return;
+      for (let i = 0; i < perClass; i++) {
+        const [gx, gy] = cells[Math.floor(rng() * cells.length)];
+        points.push({
+          x: gx + rng() + gaussian(rng) * jitter,
+          y: gy + rng() + gaussian(rng) * jitter,
+          label: c,
+        });
+      }
+    });
+    return points;
+  };
+}
+
+function spirals({ classCount, perClass, noise }, rng) {
+  const points = [];
+  const turns = 1.5;
+  const jitter = noise * 0.12;
+  for (let c = 0; c < classCount; c++) {
+    const phase = (2 * Math.PI * c) / classCount;
+    for (let i = 0; i < perClass; i++) {
+      const t = 0.05 + 0.95 * (perClass === 1 ? 1 : i / (perClass - 1));
+      const angle = phase + t * turns * 2 * Math.PI;
+      points.push({
+        x: Math.cos(angle) * t + gaussian(rng) * jitter,
+        y: Math.sin(angle) * t + gaussian(rng) * jitter,
+        label: c,
+      });
+    }
+  }
+  return points;
+}
+
+function uniform({ classCount, perClass }, rng) {
+  const points = [];
+  for (let c = 0; c < classCount; c++) {
+    for (let i = 0; i < perClass; i++) {
+      points.push({ x: rng(), y: rng(), label: c });
+    }
+  }
+  return points;
+}
+
+const generatorFns = {
+  blobs,
+  moons,
+  circles,
+  xor: board(2),
+  checkerboard: board(4),
+  spirals,
+  uniform,
+};
+
+/**
+ * Generate a dataset.
+ *
+ * Options: `classCount` (1–10), `perClass` points per class, `noise` in
+ * [0, 1] and `seed`. Points also get a numeric `value` (the class index
+ * spread over 0–100) so they can be used in regression mode.
+ */
+export function generateDataset(
+  kind,
+  { classCount = 2, perClass = 30, noise = 0.2, seed = 1 } = {}
+) {
+  const fn = generatorFns[kind];
+  if (!fn) throw new Error(`Unknown dataset generator "${kind}"`);
+
+  const options = {
+    classCount: Math.max(1, Math.min(10, Math.floor(classCount))),
+    perClass: Math.max(1, Math.floor(perClass)),
+    noise: Math.max(0, Math.min(1, noise)),
+  };
+  const rng = createRng(seed);
+  const points = fitToPlot(fn(options, rng));
+  const valueStep = options.classCount > 1 ? 100 / (options.classCount - 1) : 0;
+  return points.map((p) => ({
+    x: Math.min(100, Math.max(0, p.x)),
+    y: Math.min(100, Math.max(0, p.y)),
+    label: p.label,
+    value: Math.round(p.label * valueStep),
+  }));
+}
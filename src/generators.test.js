@@ -0,0 +1,54 @@
+import { fitToPlot, generateDataset, GENERATORS } from "./generators";
+
+const kinds = Object.keys(GENERATORS);
+
+describe.each(kinds)("%s", (kind) => {
+  const options = { classCount: 3, perClass: 20, noise: 0.3, seed: 42 };
+
+  test("is deterministic for a seed", () => {
+    expect(generateDataset(kind, options)).toEqual(
+      generateDataset(kind, options)
+    );
+  });
+
+  test("gives each class the requested number of points", () => {
+    const points = generateDataset(kind, options);
+    expect(points).toHaveLength(60);
+    [0, 1, 2].forEach((c) => {
+      expect(points.filter((p) => p.label === c)).toHaveLength(20);
+    });
+  });
+
+  test("stays inside the plot area", () => {
+    generateDataset(kind, options).forEach((p) => {
+      expect(p.x).toBeGreaterThanOrEqual(0);
+      expect(p.x).toBeLessThanOrEqual(100);
+      expect(p.y).toBeGreaterThanOrEqual(0);
+      expect(p.y).toBeLessThanOrEqual(100);
+    });
+  });
+});
+
+test("different seeds give different datasets", () => {
+  expect(generateDataset("blobs", { seed: 1 })).not.toEqual(
+    generateDataset("blobs", { seed: 2 })
+  );
+});
+
+test("values spread the class index over 0–100", () => {
+  const points = generateDataset("blobs", { classCount: 3, perClass: 1 });
+  expect(points.map((p) => p.value)).toEqual([0, 50, 100]);
+});
+
+test("unknown generators throw", () => {
+  expect(() => generateDataset("nope")).toThrow(/Unknown/);
+});
+
+test("fitToPlot keeps the aspect ratio", () => {
+  const fitted = fitToPlot([
+    { x: 0, y: 0 },
+    { x: 2, y: 1 },
+  ]);
+  expect(fitted[0]).toEqual({ x: 5, y: 27.5 });
+  expect(fitted[1]).toEqual({ x: 95, y: 72.5 });
+});
@@ -0,0 +1,163 @@
+// Minimal animated GIF (GIF89a) encoder for exporting animations. Plain
+// typed arrays in and out, no DOM.
+
+// When the frames use more than 256 colors, each channel is reduced to
+// this many levels (6 × 7 × 6 = 252 colors).
+const CUBE_LEVELS = [6, 7, 6];
+
+function cubeIndex(r, g, b) {
+  const [lr, lg, lb] = CUBE_LEVELS;
+  const level = (v, n) => Math.round((v / 255) * (n - 1));
+  return (level(r, lr) * lg + level(g, lg)) * lb + level(b, lb);
+}
+
+function cubePalette() {
+  const [lr, lg, lb] = CUBE_LEVELS;
+  const palette = [];
+  for (let r = 0; r < lr; r++) {
+    for (let g = 0; g < lg; g++) {
+      for (let b = 0; b < lb; b++) {
+        palette.push([
+          Math.round((r * 255) / (lr - 1)),
+          Math.round((g * 255) / (lg - 1)),
+          Math.round((b * 255) / (lb - 1)),
+        ]);
+      }
+    }
+  }
+  return palette;
+}
+
+// One palette shared by every frame, and each frame as palette indexes.
+function quantize(frames) {
+  const exact = new Map();
+  for (const frame of frames) {
+    for (let i = 0; i < frame.length && exact.size <= 256; i += 4) {
+      const key = (frame[i] << 16) | (frame[i + 1] << 8) | frame[i + 2];
+      if (!exact.has(key)) exact.set(key, exact.size);
+    }
+  }
+  const useExact = exact.size <= 256;
+  const palette = useExact
+    ? [...exact.keys()].map((key) => [
+        (key >> 16) & 255,
+        (key >> 8) & 255,
+        key & 255,
+      ])
+    : cubePalette();
+  const indexes = frames.map((frame) => {
+    const out = new Uint8Array(frame.length / 4);
+    for (let i = 0; i < out.length; i++) {
+      const r = frame[i * 4];
+      const g = frame[i * 4 + 1];
+      const b = frame[i * 4 + 2];
+      out[i] = useExact
+        ? exact.get((r << 16) | (g << 8) | b)
+        : cubeIndex(r, g, b);
+    }
+    return out;
+  });
+  return { palette, indexes };
+}
+
+// Variable-width LZW as GIF uses it, as packed little-endian bytes.
+function lzw(indexes, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const out = [];
+  let buffer = 0;
+  let bits = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  const emit = (code) => {
+    buffer |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      out.push(buffer & 255);
+      buffer >>>= 8;
+      bits -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indexes[0];
+  for (let i = 1; i < indexes.length; i++) {
+    const symbol = indexes[i];
+    const key = (prefix << 8) | symbol;
+    const known = table.get(key);
+    if (known !== undefined) {
+      prefix = known;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = symbol;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bits > 0) out.push(buffer & 255);
+  return out;
+}
+
+/**
+ * Encode RGBA `frames` (each `width` × `height`, row 0 at the top) as a
+ * looping animated GIF shown `delay` milliseconds per frame. Alpha is
+ * ignored. Colors are exact when all frames together use at most 256 of
+ * them, otherwise they are rounded to a fixed 252-color cube.
+ */
+export function encodeGif(frames, width, height, { delay = 500 } = {}) {
+  const { palette, indexes } = quantize(frames);
+  const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+  const minCodeSize = Math.max(2, tableBits);
+  const bytes = [];
+  const u16 = (v) => bytes.push(v & 255, (v >> 8) & 255);
+  const ascii = (text) =>
+    text.split("").forEach((c) => bytes.push(c.charCodeAt(0)));
+
+  ascii("GIF89a");
+  u16(width);
+  u16(height);
+  bytes.push(0x80 | ((tableBits - 1) << 4) | (tableBits - 1), 0, 0);
+  for (let i = 0; i < 1 << tableBits; i++) {
+    bytes.push(...(palette[i] || [0, 0, 0]));
+  }
+
+  // Loop forever (NETSCAPE2.0 application extension).
+  bytes.push(0x21, 0xff, 0x0b);
+  ascii("NETSCAPE2.0");
+  bytes.push(0x03, 0x01, 0x00, 0x00, 0x00);
+
+  const centiseconds = Math.max(1, Math.round(delay / 10));
+  indexes.forEach((frame) => {
+    bytes.push(0x21, 0xf9, 0x04, 0x00);
+    u16(centiseconds);
+    bytes.push(0x00, 0x00);
+
+    bytes.push(0x2c);
+    u16(0);
+    u16(0);
+    u16(width);
+    u16(height);
+    bytes.push(0x00, minCodeSize);
+
+    const data = lzw(frame, minCodeSize);
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.slice(i, i + 255);
+      bytes.push(block.length, ...block);
+    }
+    bytes.push(0x00);
+  });
+
+  bytes.push(0x3b);
+  return new Uint8Array(bytes);
+}
@@ -0,0 +1,122 @@
+import { encodeGif } from "./gif";
+
+// Just enough of a GIF decoder to read back what `encodeGif` writes.
+function decodeGif(bytes) {
+  const u16 = (at) => bytes[at] | (bytes[at + 1] << 8);
+  const width = u16(6);
+  const height = u16(8);
+  const tableSize = 2 << (bytes[10] & 7);
+  const palette = [];
+  for (let i = 0; i < tableSize; i++) {
+    palette.push(Array.from(bytes.slice(13 + i * 3, 16 + i * 3)));
+  }
+  let at = 13 + tableSize * 3;
+  const frames = [];
+  const delays = [];
+  while (bytes[at] !== 0x3b) {
+    if (bytes[at] === 0x21) {
+      if (bytes[at + 1] === 0xf9) delays.push(u16(at + 4));
+      at += 2;
+      while (bytes[at] !== 0) at += bytes[at] + 1;
+      at++;
+      continue;
+    }
+    // Image descriptor, then LZW data in sub-blocks.
+    const minCodeSize = bytes[at + 10];
+    at += 11;
+    const data = [];
+    while (bytes[at] !== 0) {
+      data.push(...bytes.slice(at + 1, at + 1 + bytes[at]));
+      at += bytes[at] + 1;
+    }
+    at++;
+    frames.push(unlzw(data, minCodeSize).map((index) => palette[index]));
+  }
+  return { width, height, frames, delays };
+}
+
+function unlzw(data, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const out = [];
+  let codeSize = minCodeSize + 1;
+  let table = [];
+  let previous = null;
+  let bit = 0;
+  const read = () => {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bit++) {
+      code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+    }
+    return code;
+  };
+  const reset = () => {
+    table = Array.from({ length: clearCode + 2 }, (_, i) => [i]);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  reset();
+  for (;;) {
+    const code = read();
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === clearCode + 1) break;
+    const entry =
+      code < table.length ? table[code] : [...previous, previous[0]];
+    out.push(...entry);
+    if (previous) table.push([...previous, entry[0]]);
+    previous = entry;
+    if (table.length >= 1 << codeSize && codeSize < 12) codeSize++;
+  }
+  return out;
+}
+
+function rgba(pixels) {
+  return Uint8ClampedArray.from(pixels.flatMap(([r, g, b]) => [r, g, b, 255]));
+}
+
+test("writes a looping GIF89a with one delay per frame", () => {
+  const frame = rgba([[255, 0, 0]]);
+  const bytes = encodeGif([frame, frame], 1, 1, { delay: 250 });
+  expect(String.fromCharCode(...bytes.slice(0, 6))).toBe("GIF89a");
+  expect(String.fromCharCode(...bytes)).toContain("NETSCAPE2.0");
+  expect(bytes[bytes.length - 1]).toBe(0x3b);
+  const gif = decodeGif(bytes);
+  expect(gif.frames).toHaveLength(2);
+  expect(gif.delays).toEqual([25, 25]);
+});
+
+test("round-trips frames with few colors exactly", () => {
+  const colors = [
+    [255, 255, 255],
+    [37, 99, 235],
+    [249, 115, 22],
+  ];
+  const size = 40;
+  const pixels = Array.from(
+    { length: size * size },
+    (_, i) => colors[(i * 7 + Math.floor(i / 13)) % 3]
+  );
+  const gif = decodeGif(encodeGif([rgba(pixels)], size, size));
+  expect(gif.width).toBe(size);
+  expect(gif.height).toBe(size);
+  expect(gif.frames[0]).toEqual(pixels);
+});
+
+test("rounds frames with many colors to a fixed palette", () => {
+  const size = 64;
+  // Every pixel its own color: long enough to fill the LZW table.
+  const pixels = Array.from({ length: size * size }, (_, i) => [
+    i & 255,
+    (i >> 4) & 255,
+    (i * 3) & 255,
+  ]);
+  const gif = decodeGif(encodeGif([rgba(pixels)], size, size));
+  expect(gif.frames[0]).toHaveLength(size * size);
+  gif.frames[0].forEach((color, i) => {
+    color.forEach((channel, c) => {
+      expect(Math.abs(channel - pixels[i][c])).toBeLessThanOrEqual(26);
+    });
+  });
+});
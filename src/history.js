@@ -0,0 +1,216 @@
+// Undo/redo history of whole-session snapshots. Sessions are immutable
+// objects (the same shape `urlState` serializes), so a snapshot is just a
+// reference and restoring one is cheap.
+//
+// A history is `{ entries: [{ session, label, key, at }], index }` where
+// `index` points at the entry matching what is on screen.
+
+export const MAX_HISTORY = 100;
+
+// Consecutive changes of the same slider/field within this window are
+// merged into one entry.
+export const COALESCE_MS = 1000;
+
+/** True when both sessions hold the same values (by reference). */
+export function sameSession(a, b) {
+  if (a === b) return true;
+  if (!a || !b) return false;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const key of keys) {
+    if (a[key] !== b[key]) return false;
+  }
+  return true;
+}
+
+const fieldLabels = {
+  mode: (s) => `Mode: ${s.mode}`,
+  k: (s) => `k = ${s.k}`,
+  neighborMode: (s) => `Neighbors: ${s.neighborMode}`,
+  radius: (s) => `Radius r = ${s.radius}`,
+  emptyRadius: (s) => `Empty radius: ${s.emptyRadius}`,
+  distanceMetric: (s) => `Metric: ${s.distanceMetric}`,
+  minkowskiP: (s) => `Minkowski p = ${s.minkowskiP}`,
+  axisWeights: (s) => `Axis weights = (${s.axisWeights.x}, ${s.axisWeights.y})`,
+  covarianceSource: (s) =>
+    s.covarianceSource === "manual"
+      ? "Covariance: set by hand"
+      : "Covariance: from data",
+  covariance: () => "Edited covariance",
+  binSize: (s) => `Hamming cell size = ${s.binSize}`,
+  featureAxes: () => "Changed feature ranges",
+  scaling: (s) => `Scaling: ${s.scaling}`,
+  projection: ({ projection }) => {
+    if (!projection) return "2-D data";
+    if (projection.view === "pca") return "View: PCA";
+    const [i, j] = projection.pair;
+    return `View: ${projection.names[i]} × ${projection.names[j]}`;
+  },
+  algorithm: (s) => `Search: ${s.algorithm}`,
+  weights: (s) => `Weights: ${s.weights}`,
+  bandwidth: (s) => `Bandwidth = ${s.bandwidth}`,
+  tieBreak: (s) => `Tie-break: ${s.tieBreak}`,
+  tieSeed: (s) => `Tie-break seed = ${s.tieSeed}`,
+  showDecisionBoundary: (s) =>
+    s.showDecisionBoundary ? "Showed boundary" : "Hid boundary",
+  selectedLabelForNewPoint: (s) =>
+    `New point label: ${s.selectedLabelForNewPoint}`,
+  valueForNewPoint: (s) => `New point value = ${s.valueForNewPoint}`,
+  classes: () => "Edited classes",
+};
+
+function samePoint(a, b) {
+  return (
+    a.x === b.x &&
+    a.y === b.y &&
+    a.label === b.label &&
+    a.value === b.value &&
+    Boolean(a.test) === Boolean(b.test)
+  );
+}
+
+function describePoints(prev, next) {
+  const diff = next.length - prev.length;
+  if (diff === 1 && prev.every((p, i) => samePoint(p, next[i]))) {
+    return { label: "Added point", key: null };
+  }
+  if (diff === -1) {
+    const removed = prev.findIndex(
+      (p, i) => !next[i] || !samePoint(p, next[i])
+    );
+    const rest = prev.filter((_, i) => i !== removed);
+    if (rest.every((p, i) => samePoint(p, next[i]))) {
+      return { label: "Deleted point", key: null };
+    }
+  }
+  if (diff === 0) {
+    const changed = next
+      .map((p, i) => (samePoint(p, prev[i]) ? -1 : i))
+      .filter((i) => i >= 0);
+    const onlySplit = changed.every((i) =>
+      samePoint({ ...next[i], test: prev[i].test }, prev[i])
+    );
+    if (changed.length > 0 && onlySplit) {
+      return { label: "Changed train/test split", key: null };
+    }
+    if (changed.length === 1) {
+      const [i] = changed;
+      if (next[i].label !== prev[i].label) {
+        return { label: "Relabelled point", key: null };
+      }
+      return { label: "Moved point", key: `move:${i}` };
+    }
+    return { label: `Edited ${changed.length} points`, key: null };
+  }
+  if (diff > 0 && prev.every((p, i) => samePoint(p, next[i]))) {
+    return { label: `Added ${diff} points`, key: null };
+  }
+  return { label: `Replaced points (${next.length})`, key: null };
+}
+
+/**
+ * Describe what changed between two sessions, e.g. "k = 5" or "Added point".
+ * `key` is set when the change is a continuous adjustment (a slider, a drag)
+ * that may be merged with the previous entry.
+ */
+export function describeChange(prev, next) {
+  const parts = [];
+  let key = null;
+
+  if (prev.points !== next.points) {
+    const change = describePoints(prev.points, next.points);
+    parts.push(change.label);
+    key = change.key;
+  }
+  if (prev.queryPoint !== next.queryPoint) {
+    parts.push(next.queryPoint ? "Placed query point" : "Cleared query point");
+    key = "query";
+  }
+  Object.keys(fieldLabels).forEach((field) => {
+    if (prev[field] !== next[field]) {
+      parts.push(fieldLabels[field](next));
+      key = field;
+    }
+  });
+
+  if (parts.length === 0) return { label: "No change", key: null };
+  if (parts.length > 1) {
+    return {
+      label:
+        parts.length > 3
+          ? `${parts.slice(0, 3).join(", ")}, …`
+          : parts.join(", "),
+      key: null,
+    };
+  }
+  return { label: parts[0], key };
+}
+
+export function createHistory(session, label = "Start") {
+  return {
+    entries: [{ session, label, key: null, at: 0 }],
+    index: 0,
+  };
+}
+
+/**
+ * Record `session` as the new current state. Redo entries are dropped.
+ * Continuous changes with the same key as the current entry within
+ * COALESCE_MS replace it instead of adding a new one.
+ */
+export function pushHistory(history, session, now = Date.now()) {
+  const current = history.entries[history.index];
+  if (sameSession(current.session, session)) return history;
+
+  const { label, key } = describeChange(current.session, session);
+  const entries = history.entries.slice(0, history.index + 1);
+
+  if (
+    key &&
+    history.index > 0 &&
+    current.key === key &&
+    now - current.at < COALESCE_MS
+  ) {
+    // Merge, but describe the change from the state before the merged run.
+    const before = entries[entries.length - 2].session;
+    entries[entries.length - 1] = {
+      ...describeChange(before, session),
+      session,
+      key,
+      at: now,
+    };
+    return { entries, index: entries.length - 1 };
+  }
+
+  entries.push({ session, label, key, at: now });
+  const overflow = Math.max(0, entries.length - MAX_HISTORY);
+  return {
+    entries: entries.slice(overflow),
+    index: entries.length - 1 - overflow,
+  };
+}
+
+export function canUndo(history) {
+  return history.index > 0;
+}
+
+export function canRedo(history) {
+  return history.index < history.entries.length - 1;
+}
+
+/** Move to entry `index` (clamped). Entries are kept so redo still works. */
+export function jumpTo(history, index) {
+  const clamped = Math.max(0, Math.min(history.entries.length - 1, index));
+  return clamped === history.index ? history : { ...history, index: clamped };
+}
+
+export function undo(history) {
+  return jumpTo(history, history.index - 1);
+}
+
+export function redo(history) {
+  return jumpTo(history, history.index + 1);
+}
+
+export function currentSession(history) {
+  return history.entries[history.index].session;
+}
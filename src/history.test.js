@@ -0,0 +1,137 @@
+import {
+  canRedo,
+  canUndo,
+  COALESCE_MS,
+  createHistory,
+  currentSession,
+  describeChange,
+  jumpTo,
+  MAX_HISTORY,
+  pushHistory,
+  redo,
+  sameSession,
+  undo,
+} from "./history";
+
+const base = {
+  points: [
+    { x: 1, y: 1, label: "A" },
+    { x: 2, y: 2, label: "B" },
+  ],
+  queryPoint: null,
+  k: 3,
+  distanceMetric: "euclidean",
+};
+
+test("sameSession compares fields by reference", () => {
+  expect(sameSession(base, { ...base })).toBe(true);
+  expect(sameSession(base, { ...base, k: 4 })).toBe(false);
+});
+
+describe("describeChange", () => {
+  test("labels point edits", () => {
+    const added = {
+      ...base,
+      points: [...base.points, { x: 3, y: 3, label: "A" }],
+    };
+    expect(describeChange(base, added).label).toBe("Added point");
+    const deleted = { ...base, points: [base.points[1]] };
+    expect(describeChange(base, deleted).label).toBe("Deleted point");
+    const moved = {
+      ...base,
+      points: [base.points[0], { x: 5, y: 5, label: "B" }],
+    };
+    expect(describeChange(base, moved)).toEqual({
+      label: "Moved point",
+      key: "move:1",
+    });
+    const split = {
+      ...base,
+      points: base.points.map((p) => ({ ...p, test: true })),
+    };
+    expect(describeChange(base, split).label).toBe("Changed train/test split");
+  });
+
+  test("labels parameter changes with a coalescing key", () => {
+    expect(describeChange(base, { ...base, k: 5 })).toEqual({
+      label: "k = 5",
+      key: "k",
+    });
+    expect(
+      describeChange(base, { ...base, queryPoint: { x: 1, y: 2 } }).label
+    ).toBe("Placed query point");
+  });
+
+  test("combines several changes", () => {
+    const change = describeChange(base, {
+      ...base,
+      k: 1,
+      distanceMetric: "manhattan",
+    });
+    expect(change).toEqual({ label: "k = 1, Metric: manhattan", key: null });
+  });
+});
+
+describe("history", () => {
+  test("undo and redo walk the entries", () => {
+    let h = createHistory(base);
+    h = pushHistory(h, { ...base, k: 1 }, 0);
+    h = pushHistory(h, { ...base, k: 1, distanceMetric: "manhattan" }, 5000);
+    expect(h.entries.map((e) => e.label)).toEqual([
+      "Start",
+      "k = 1",
+      "Metric: manhattan",
+    ]);
+    expect(canRedo(h)).toBe(false);
+
+    h = undo(h);
+    expect(currentSession(h).distanceMetric).toBe("euclidean");
+    expect(canRedo(h)).toBe(true);
+    h = undo(h);
+    expect(currentSession(h)).toBe(base);
+    expect(canUndo(h)).toBe(false);
+    expect(undo(h)).toBe(h);
+
+    h = redo(h);
+    expect(currentSession(h).k).toBe(1);
+  });
+
+  test("a new change after undo drops the redo entries", () => {
+    let h = createHistory(base);
+    h = pushHistory(h, { ...base, k: 1 }, 0);
+    h = undo(h);
+    h = pushHistory(h, { ...base, k: 7 }, 5000);
+    expect(h.entries.map((e) => e.label)).toEqual(["Start", "k = 7"]);
+  });
+
+  test("ignores sessions equal to the current entry", () => {
+    const h = createHistory(base);
+    expect(pushHistory(h, { ...base })).toBe(h);
+  });
+
+  test("merges quick changes of the same slider", () => {
+    let h = createHistory(base);
+    h = pushHistory(h, { ...base, k: 4 }, 10000);
+    h = pushHistory(h, { ...base, k: 5 }, 10000 + COALESCE_MS / 2);
+    expect(h.entries.map((e) => e.label)).toEqual(["Start", "k = 5"]);
+    h = pushHistory(h, { ...base, k: 6 }, 10000 + COALESCE_MS * 3);
+    expect(h.entries).toHaveLength(3);
+  });
+
+  test("jumpTo moves to any entry", () => {
+    let h = createHistory(base);
+    for (let k = 1; k <= 5; k++) h = pushHistory(h, { ...base, k }, k * 5000);
+    h = jumpTo(h, 2);
+    expect(currentSession(h).k).toBe(2);
+    expect(h.entries).toHaveLength(6);
+  });
+
+  test("keeps at most MAX_HISTORY entries", () => {
+    let h = createHistory(base);
+    for (let k = 1; k <= MAX_HISTORY + 10; k++) {
+      h = pushHistory(h, { ...base, k }, k * 5000);
+    }
+    expect(h.entries).toHaveLength(MAX_HISTORY);
+    expect(currentSession(h).k).toBe(MAX_HISTORY + 10);
+  });
+});
@@ -0,0 +1,586 @@
+// Pure k-NN engine: no React, no DOM. Points are plain objects with numeric
+// `x`/`y` coordinates and (for training data) a `label`; high-dimensional
+// points also carry `features` (see `projection.js`).
+
+import { distance } from "./metrics";
+import { createRng, hashString } from "./random";
+import {
+  buildTree,
+  queryTree,
+  SEARCH_ALGORITHMS,
+  treeSupports,
+} from "./spatialIndex";
+
+export { distance, METRICS } from "./metrics";
+export { SEARCH_ALGORITHMS };
+
+/**
+ * The k closest training points to `queryPoint`, nearest first.
+ * Each result is a copy of the training point plus its original `index`
+ * and its `dist` to the query. Equal distances keep their original order.
+ * If k exceeds the number of points, every point is returned.
+ * `metricParams` are the extra metric settings described at `distance`.
+ */
+export function getNeighbors(
+  queryPoint,
+  points,
+  k,
+  metric,
+  minkowskiP,
+  metricParams
+) {
+  if (!queryPoint || !points || points.length === 0) return [];
+
+  const limit = Math.min(points.length, Math.max(1, Math.floor(k) || 1));
+
+  // Keep only the best `limit` candidates (sorted) instead of sorting every
+  // point: the boundary grid runs this thousands of times per render.
+  const best = [];
+  points.forEach((p, index) => {
+    const dist = distance(p, queryPoint, metric, minkowskiP, metricParams);
+    if (best.length === limit && !(dist < best[limit - 1].dist)) return;
+
+    // Insert after any equal distance so ties keep their original order.
+    let lo = 0;
+    let hi = best.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (best[mid].dist <= dist) lo = mid + 1;
+      else hi = mid;
+    }
+    best.splice(lo, 0, { index, dist });
+    if (best.length > limit) best.pop();
+  });
+
+  return best.map(({ index, dist }) => ({ ...points[index], index, dist }));
+}
+
+/**
+ * Every training point within `radius` of `queryPoint` (inclusive), nearest
+ * first, in the same format as `getNeighbors`. Equal distances keep their
+ * original order. Empty when no point is that close.
+ */
+export function getRadiusNeighbors(
+  queryPoint,
+  points,
+  radius,
+  metric,
+  minkowskiP,
+  metricParams
+) {
+  if (!queryPoint || !points || !(radius >= 0)) return [];
+  const inside = [];
+  points.forEach((p, index) => {
+    const dist = distance(p, queryPoint, metric, minkowskiP, metricParams);
+    if (dist <= radius) inside.push({ index, dist });
+  });
+  // Array.prototype.sort is stable, so ties stay in training order.
+  inside.sort((a, b) => a.dist - b.dist);
+  return inside.map(({ index, dist }) => ({ ...points[index], index, dist }));
+}
+
+// `densityRadius` results per training array, then per metric params
+// object and per k and metric: every boundary job, sweep frame and preview
+// refits the same points.
+const densityCache = new WeakMap();
+
+/**
+ * Median distance from a training point to its k-th nearest other point:
+ * the radius that holds about k neighbors in a typical neighborhood of
+ * `points`. 0 with fewer than two points. `tree`, when given, is a
+ * `buildTree` index over `points` that answers the neighbor queries;
+ * otherwise each one compares every pair. Results are cached per `points`
+ * array, so treat it as immutable.
+ */
+export function densityRadius(
+  points,
+  k,
+  metric,
+  minkowskiP,
+  metricParams,
+  tree = null
+) {
+  if (!points || points.length < 2) return 0;
+  const reach = Math.min(points.length - 1, Math.max(1, Math.floor(k) || 1));
+
+  if (!densityCache.has(points)) densityCache.set(points, new Map());
+  const byParams = densityCache.get(points);
+  if (!byParams.has(metricParams)) byParams.set(metricParams, new Map());
+  const cache = byParams.get(metricParams);
+  const key = `${reach}:${metric}:${minkowskiP}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const dists = points
+    .map((point) => {
+      // The point finds itself first, so ask for one more.
+      const neighbors = tree
+        ? queryTree(tree, point, reach + 1)
+        : getNeighbors(
+            point,
+            points,
+            reach + 1,
+            metric,
+            minkowskiP,
+            metricParams
+          );
+      return neighbors[neighbors.length - 1].dist;
+    })
+    .sort((a, b) => a - b);
+  const mid = dists.length >> 1;
+  const median =
+    dists.length % 2 ? dists[mid] : (dists[mid - 1] + dists[mid]) / 2;
+  cache.set(key, median);
+  return median;
+}
+
+// How the neighbors of a query are chosen (see `createSearch`).
+export const NEIGHBOR_MODES = {
+  k: "Fixed k",
+  radius: "Radius r",
+  adaptive: "Adaptive k",
+};
+
+// What radius mode does when no training point lies within r.
+export const EMPTY_RADIUS = {
+  none: "No prediction",
+  nearest: "Use the nearest point",
+};
+
+// Adaptive k takes at most this many times k neighbors.
+export const ADAPTIVE_MAX_FACTOR = 3;
+
+/**
+ * Adaptive k of a query whose k-th nearest training point lies at
+ * `kDistance`, where that distance is `typical` for the training set (see
+ * `densityRadius`): k scaled by `typical / kDistance`, so a query twice as
+ * close to its neighbors as usual takes twice as many. Rounded, and kept
+ * between 1 and ADAPTIVE_MAX_FACTOR·k.
+ */
+export function adaptiveK(k, kDistance, typical) {
+  const most = ADAPTIVE_MAX_FACTOR * k;
+  if (kDistance === 0) return typical === 0 ? k : most;
+  return Math.max(1, Math.min(most, Math.round((k * typical) / kDistance)));
+}
+
+export const WEIGHTINGS = ["uniform", "distance", "gaussian"];
+
+export const TIE_BREAKS = ["nearest", "distance", "random"];
+
+/**
+ * Vote weight of every neighbor in the list.
+ * - "uniform": one vote each.
+ * - "distance": 1 / dist. If any neighbor sits exactly on the query, only
+ *   those neighbors vote (each with weight 1).
+ * - "gaussian": exp(-dist² / (2·bandwidth²)).
+ */
+export function neighborWeights(
+  neighbors,
+  weights = "uniform",
+  bandwidth = 10
+) {
+  switch (weights) {
+    case "distance": {
+      const exact = neighbors.some((n) => n.dist === 0);
+      return neighbors.map((n) => {
+        if (exact) return n.dist === 0 ? 1 : 0;
+        return 1 / n.dist;
+      });
+    }
+    case "gaussian": {
+      const h = bandwidth > 0 ? bandwidth : 1;
+      return neighbors.map((n) => Math.exp(-(n.dist * n.dist) / (2 * h * h)));
+    }
+    case "uniform":
+    default:
+      return neighbors.map(() => 1);
+  }
+}
+
+const SCORE_EPSILON = 1e-9;
+
+function breakTie(tied, neighbors, tieBreak, seed) {
+  switch (tieBreak) {
+    case "distance": {
+      const totals = {};
+      neighbors.forEach((n) => {
+        totals[n.label] = (totals[n.label] || 0) + n.dist;
+      });
+      // `tied` is in nearest-first order, so equal totals fall back to that.
+      return tied.reduce((best, label) =>
+        totals[label] < totals[best] - SCORE_EPSILON ? label : best
+      );
+    }
+    case "random": {
+      // Seeded by the neighborhood itself so that the same query always
+      // resolves the same way (otherwise the decision boundary flickers).
+      const key = [seed, ...neighbors.map((n) => `${n.index}:${n.dist}`)];
+      const rng = createRng(hashString(key.join("|")));
+      return tied[Math.floor(rng() * tied.length)];
+    }
+    case "nearest":
+    default:
+      return tied[0];
+  }
+}
+
+/**
+ * Vote over a neighbor list (as returned by `getNeighbors`).
+ *
+ * Returns `{ label, counts, scores, tied }`, or null for an empty list.
+ * `counts` are raw neighbor counts, `scores` the summed weights (see
+ * `neighborWeights`) and `tied` the labels that shared the best score.
+ *
+ * Options:
+ * - `weights`: "uniform" (default), "distance" or "gaussian"
+ * - `bandwidth`: Gaussian kernel width, in viewBox units
+ * - `tieBreak`: "nearest" (default) picks the label of the closest tied
+ *   neighbor, "distance" the tied label with the smallest total distance,
+ *   "random" a seeded random choice
+ * - `seed`: seed for the "random" tie-break
+ */
+export function majorityLabel(neighbors, options = {}) {
+  if (!neighbors || neighbors.length === 0) return null;
+
+  const {
+    weights = "uniform",
+    bandwidth = 10,
+    tieBreak = "nearest",
+    seed = 1,
+  } = options;
+
+  const counts = {};
+  const scores = {};
+  const order = [];
+  const w = neighborWeights(neighbors, weights, bandwidth);
+  neighbors.forEach((n, i) => {
+    if (!(n.label in counts)) {
+      counts[n.label] = 0;
+      scores[n.label] = 0;
+      order.push(n.label);
+    }
+    counts[n.label] += 1;
+    scores[n.label] += w[i];
+  });
+
+  const best = Math.max(...order.map((label) => scores[label]));
+  const tied = order.filter(
+    (label) => scores[label] >= best - SCORE_EPSILON * Math.max(1, best)
+  );
+  const label =
+    tied.length > 1 ? breakTie(tied, neighbors, tieBreak, seed) : tied[0];
+
+  return { label, counts, scores, tied };
+}
+
+/**
+ * Neighbor search over `training` with the chosen `algorithm`: "brute"
+ * scans every point, "kd" and "ball" query a spatial index and return the
+ * same neighbors in the same order. A tree that cannot serve the metric
+ * falls back to brute force, as does high-dimensional data (the trees
+ * index x and y only).
+ *
+ * `neighborMode` picks which neighbors a query gets:
+ * - "k" (default): the k nearest.
+ * - "radius": every point within `radius`. With none inside, the list is
+ *   empty (no prediction), or holds the single nearest point when
+ *   `emptyRadius` is "nearest".
+ * - "adaptive": the nearest `adaptiveK` points, a k of the query's own
+ *   from its distance to its k-th nearest point against the training
+ *   set's `densityRadius`. Dense regions use more neighbors, sparse ones
+ *   fewer.
+ * "k" and "adaptive" use the tree; "radius" scans every point. `points` is
+ * the caller's training array, which keys the `densityRadius` cache.
+ */
+function createSearch(
+  points,
+  {
+    k,
+    metric,
+    p,
+    metricParams,
+    algorithm,
+    neighborMode = "k",
+    radius = 10,
+    emptyRadius = "none",
+  }
+) {
+  const source = Array.isArray(points) ? points : [];
+  const training = source.slice();
+  const tree =
+    neighborMode !== "radius" &&
+    training.length > 0 &&
+    algorithm !== "brute" &&
+    !(metricParams && metricParams.projection) &&
+    treeSupports(algorithm, metric, p)
+      ? buildTree(training, algorithm, { metric, p, params: metricParams })
+      : null;
+  const typicalDistance =
+    neighborMode === "adaptive"
+      ? densityRadius(source, k, metric, p, metricParams, tree)
+      : null;
+  // How many nearest points a k or adaptive query looks at.
+  const searchK =
+    neighborMode === "adaptive" ? ADAPTIVE_MAX_FACTOR * Math.max(1, k) : k;
+  const nearest = (query, count) =>
+    tree
+      ? queryTree(tree, query, count)
+      : getNeighbors(query, training, count, metric, p, metricParams);
+  const within = (query, r) =>
+    getRadiusNeighbors(query, training, r, metric, p, metricParams);
+
+  const kneighbors = (query) => {
+    switch (neighborMode) {
+      case "radius": {
+        const inside = within(query, radius);
+        return inside.length === 0 && emptyRadius === "nearest"
+          ? nearest(query, 1)
+          : inside;
+      }
+      case "adaptive": {
+        const reach = Math.max(1, k);
+        const sorted = nearest(query, searchK);
+        if (sorted.length === 0) return sorted;
+        const kDistance = sorted[Math.min(reach, sorted.length) - 1].dist;
+        return sorted.slice(0, adaptiveK(reach, kDistance, typicalDistance));
+      }
+      default:
+        return nearest(query, k);
+    }
+  };
+
+  return {
+    tree,
+    typicalDistance,
+    kneighbors,
+    trace: (query) =>
+      tree && query ? queryTree(tree, query, searchK, { trace: true }) : null,
+  };
+}
+
+/**
+ * Create a k-NN classifier.
+ *
+ *   const model = createKnn({ k: 3, metric: "manhattan" }).fit(points);
+ *   model.predict({ x: 10, y: 20 });      // "A"
+ *   model.predictProba({ x: 10, y: 20 }); // { A: 0.667, B: 0.333 }
+ *   model.kneighbors({ x: 10, y: 20 });   // [{ x, y, label, index, dist }, ...]
+ *   model.vote({ x: 10, y: 20 });         // { label, counts, scores, tied }
+ *
+ * `metricParams` are the extra metric settings (axis weights, Mahalanobis
+ * precision, Hamming cell size) described at `distance`.
+ * `weights`, `bandwidth`, `tieBreak` and `seed` are passed to
+ * `majorityLabel`. `predictProba` returns the normalized weighted scores.
+ *
+ * `algorithm` ("brute", "kd" or "ball") picks the neighbor search.
+ * `model.tree` is the fitted search tree (null for brute force) and
+ * `model.traceSearch(query)` reports which tree nodes a query visited and
+ * pruned (see `queryTree`).
+ *
+ * `neighborMode` ("k", "radius" or "adaptive"), `radius` and `emptyRadius`
+ * choose which neighbors every query gets (see `createSearch`); with
+ * "adaptive", `model.typicalDistance` is the training set's median
+ * distance to the k-th neighbor. A query with no neighbors gets no prediction.
+ *
+ * `predict`, `predictProba`, `kneighbors` and `vote` also accept an array of
+ * query points and then return an array of results. With no training data,
+ * `predict` and `vote` return null, `predictProba` {} and `kneighbors` [].
+ */
+export function createKnn({
+  k = 3,
+  metric = "euclidean",
+  p = 3,
+  metricParams,
+  weights = "uniform",
+  bandwidth = 10,
+  tieBreak = "nearest",
+  seed = 1,
+  algorithm = "brute",
+  neighborMode = "k",
+  radius = 10,
+  emptyRadius = "none",
+} = {}) {
+  const searchOptions = {
+    k,
+    metric,
+    p,
+    metricParams,
+    algorithm,
+    neighborMode,
+    radius,
+    emptyRadius,
+  };
+  let search = createSearch([], searchOptions);
+  const voteOptions = { weights, bandwidth, tieBreak, seed };
+
+  const mapQuery = (fn) => (query) =>
+    Array.isArray(query) ? query.map((q) => fn(q)) : fn(query);
+
+  const voteFor = (query) =>
+    majorityLabel(search.kneighbors(query), voteOptions);
+
+  const model = {
+    k,
+    metric,
+    p,
+    metricParams,
+    algorithm,
+    neighborMode,
+    radius,
+    emptyRadius,
+    ...voteOptions,
+    tree: null,
+    typicalDistance: null,
+
+    fit(points) {
+      search = createSearch(points, searchOptions);
+      model.tree = search.tree;
+      model.typicalDistance = search.typicalDistance;
+      return model;
+    },
+
+    kneighbors: mapQuery((query) => search.kneighbors(query)),
+
+    traceSearch: (query) => search.trace(query),
+
+    vote: mapQuery(voteFor),
+
+    predict: mapQuery((query) => {
+      const vote = voteFor(query);
+      return vote ? vote.label : null;
+    }),
+
+    predictProba: mapQuery((query) => {
+      const vote = voteFor(query);
+      if (!vote) return {};
+      return normalizeScores(vote);
+    }),
+  };
+
+  return model;
+}
+
+/**
+ * Turn a vote into class probabilities that sum to 1. Falls back to raw
+ * counts when every weight underflowed to zero.
+ */
+export function normalizeScores(vote) {
+  const source = Object.values(vote.scores).some((s) => s > 0)
+    ? vote.scores
+    : vote.counts;
+  const total = Object.values(source).reduce((sum, s) => sum + s, 0);
+  const proba = {};
+  Object.entries(source).forEach(([label, s]) => {
+    proba[label] = s / total;
+  });
+  return proba;
+}
+
+/**
+ * Regression over a neighbor list: the (optionally weighted) mean of the
+ * neighbors' numeric `value`. Neighbors without a finite value are skipped.
+ *
+ * Returns `{ value, weights, totalWeight }` where `weights[i]` is the
+ * weight used for `neighbors[i]` (0 for skipped ones), or null when no
+ * neighbor has a value. If all weights underflow to zero the plain mean is
+ * used instead.
+ */
+export function meanValue(neighbors, options = {}) {
+  if (!neighbors || neighbors.length === 0) return null;
+
+  const { weights = "uniform", bandwidth = 10 } = options;
+  const valid = neighbors.map((n) => Number.isFinite(n.value));
+  if (!valid.some(Boolean)) return null;
+
+  let w = neighborWeights(neighbors, weights, bandwidth).map((wi, i) =>
+    valid[i] ? wi : 0
+  );
+  if (!w.some((wi) => wi > 0)) w = valid.map((v) => (v ? 1 : 0));
+
+  let totalWeight = 0;
+  let sum = 0;
+  neighbors.forEach((n, i) => {
+    if (!w[i]) return;
+    totalWeight += w[i];
+    sum += w[i] * n.value;
+  });
+
+  return { value: sum / totalWeight, weights: w, totalWeight };
+}
+
+/**
+ * Create a k-NN regressor. Training points carry a numeric `value` instead
+ * of a label.
+ *
+ *   const model = createKnnRegressor({ k: 3, weights: "distance" }).fit(points);
+ *   model.predict({ x: 10, y: 20 }); // 42.5
+ *   model.explain({ x: 10, y: 20 }); // { value, weights, totalWeight }
+ *
+ * Like `createKnn`, it takes an `algorithm` and a `neighborMode` (with
+ * `radius` and `emptyRadius`) for the neighbor search, exposes `tree`,
+ * `typicalDistance` and `traceSearch`, and every method also accepts an
+ * array of queries. With no usable training data `predict` and `explain` return null.
+ */
+export function createKnnRegressor({
+  k = 3,
+  metric = "euclidean",
+  p = 3,
+  metricParams,
+  weights = "uniform",
+  bandwidth = 10,
+  algorithm = "brute",
+  neighborMode = "k",
+  radius = 10,
+  emptyRadius = "none",
+} = {}) {
+  const searchOptions = {
+    k,
+    metric,
+    p,
+    metricParams,
+    algorithm,
+    neighborMode,
+    radius,
+    emptyRadius,
+  };
+  let search = createSearch([], searchOptions);
+  const meanOptions = { weights, bandwidth };
+
+  const mapQuery = (fn) => (query) =>
+    Array.isArray(query) ? query.map((q) => fn(q)) : fn(query);
+
+  const explain = (query) => meanValue(search.kneighbors(query), meanOptions);
+
+  const model = {
+    k,
+    metric,
+    p,
+    metricParams,
+    algorithm,
+    neighborMode,
+    radius,
+    emptyRadius,
+    ...meanOptions,
+    tree: null,
+    typicalDistance: null,
+
+    fit(points) {
+      search = createSearch(points, searchOptions);
+      model.tree = search.tree;
+      model.typicalDistance = search.typicalDistance;
+      return model;
+    },
+
+    kneighbors: mapQuery((query) => search.kneighbors(query)),
+
+    traceSearch: (query) => search.trace(query),
+
+    explain: mapQuery(explain),
+
+    predict: mapQuery((query) => {
+      const result = explain(query);
+      return result ? result.value : null;
+    }),
+  };
+
+  return model;
+}
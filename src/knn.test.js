@@ -0,0 +1,445 @@
+import {
+  adaptiveK,
+  ADAPTIVE_MAX_FACTOR,
+  createKnn,
+  createKnnRegressor,
+  densityRadius,
+  distance,
+  getNeighbors,
+  getRadiusNeighbors,
+  majorityLabel,
+  meanValue,
+  neighborWeights,
+} from "./knn";
+import { generateDataset } from "./generators";
+import { buildTree } from "./spatialIndex";
+
+const points = [
+  { x: 0, y: 0, label: "A" },
+  { x: 1, y: 0, label: "A" },
+  { x: 0, y: 1, label: "A" },
+  { x: 10, y: 10, label: "B" },
+  { x: 11, y: 10, label: "B" },
+];
+
+describe("distance", () => {
+  const a = { x: 1, y: 2 };
+  const b = { x: 4, y: 6 };
+
+  test("euclidean", () => {
+    expect(distance(a, b, "euclidean")).toBeCloseTo(5);
+  });
+
+  test("manhattan", () => {
+    expect(distance(a, b, "manhattan")).toBeCloseTo(7);
+  });
+
+  test("minkowski with p = 1 and p = 2 matches L1 and L2", () => {
+    expect(distance(a, b, "minkowski", 1)).toBeCloseTo(7);
+    expect(distance(a, b, "minkowski", 2)).toBeCloseTo(5);
+  });
+
+  test("minkowski with p = 3", () => {
+    expect(distance(a, b, "minkowski", 3)).toBeCloseTo(Math.cbrt(27 + 64));
+  });
+
+  test("is symmetric and zero for identical points", () => {
+    expect(distance(a, b, "manhattan")).toBe(distance(b, a, "manhattan"));
+    expect(distance(a, a, "euclidean")).toBe(0);
+  });
+
+  test("unknown metric falls back to euclidean", () => {
+    expect(distance(a, b, "nope")).toBeCloseTo(5);
+  });
+});
+
+describe("getNeighbors", () => {
+  test("returns the k closest points, nearest first, with index and dist", () => {
+    const result = getNeighbors({ x: 10, y: 9 }, points, 2, "euclidean");
+    expect(result.map((n) => n.index)).toEqual([3, 4]);
+    expect(result[0].dist).toBeCloseTo(1);
+    expect(result[0].label).toBe("B");
+  });
+
+  test("returns every point when k exceeds the dataset size", () => {
+    const result = getNeighbors({ x: 0, y: 0 }, points, 50, "manhattan");
+    expect(result).toHaveLength(points.length);
+  });
+
+  test("keeps the original order for equal distances", () => {
+    const result = getNeighbors({ x: 0, y: 0 }, points, 3, "euclidean");
+    expect(result.map((n) => n.index)).toEqual([0, 1, 2]);
+  });
+
+  test("matches a full stable sort on grid data with many ties", () => {
+    const grid = [];
+    for (let i = 0; i < 60; i++) grid.push({ x: i % 8, y: (i * 7) % 5 });
+    const query = { x: 3, y: 2 };
+    ["euclidean", "manhattan", "minkowski"].forEach((metric) => {
+      const sorted = grid
+        .map((p, index) => ({ ...p, index, dist: distance(p, query, metric) }))
+        .sort((a, b) => a.dist - b.dist);
+      [1, 5, 17, 60].forEach((k) => {
+        expect(getNeighbors(query, grid, k, metric)).toEqual(
+          sorted.slice(0, k)
+        );
+      });
+    });
+  });
+
+  test("returns [] for empty input or a missing query", () => {
+    expect(getNeighbors({ x: 0, y: 0 }, [], 3, "euclidean")).toEqual([]);
+    expect(getNeighbors(null, points, 3, "euclidean")).toEqual([]);
+  });
+
+  test("does not mutate the training points", () => {
+    const copy = points.map((p) => ({ ...p }));
+    getNeighbors({ x: 5, y: 5 }, points, 3, "euclidean");
+    expect(points).toEqual(copy);
+  });
+});
+
+describe("majorityLabel", () => {
+  test("counts one vote per neighbor", () => {
+    const vote = majorityLabel([
+      { label: "A" },
+      { label: "B" },
+      { label: "B" },
+    ]);
+    expect(vote).toEqual({
+      label: "B",
+      counts: { A: 1, B: 2 },
+      scores: { A: 1, B: 2 },
+      tied: ["B"],
+    });
+  });
+
+  test("breaks ties in favour of the nearest neighbor's label", () => {
+    expect(majorityLabel([{ label: "B" }, { label: "A" }]).label).toBe("B");
+    // Integer-like keys are not reordered by Object.entries.
+    expect(majorityLabel([{ label: "2" }, { label: "1" }]).label).toBe("2");
+  });
+
+  test("returns null for no neighbors", () => {
+    expect(majorityLabel([])).toBeNull();
+    expect(majorityLabel(null)).toBeNull();
+  });
+});
+
+describe("neighborWeights", () => {
+  const neighbors = [{ dist: 1 }, { dist: 2 }, { dist: 4 }];
+
+  test("uniform gives every neighbor one vote", () => {
+    expect(neighborWeights(neighbors, "uniform")).toEqual([1, 1, 1]);
+  });
+
+  test("distance uses 1 / dist", () => {
+    expect(neighborWeights(neighbors, "distance")).toEqual([1, 0.5, 0.25]);
+  });
+
+  test("distance lets exact matches take the whole vote", () => {
+    expect(neighborWeights([{ dist: 0 }, { dist: 1 }], "distance")).toEqual([
+      1, 0,
+    ]);
+  });
+
+  test("gaussian decays with the bandwidth", () => {
+    const [w0, w1] = neighborWeights([{ dist: 0 }, { dist: 2 }], "gaussian", 2);
+    expect(w0).toBe(1);
+    expect(w1).toBeCloseTo(Math.exp(-0.5));
+  });
+});
+
+describe("weighted voting and tie-breaking", () => {
+  // Two far A's against one close B.
+  const neighbors = [
+    { label: "B", dist: 1, index: 0 },
+    { label: "A", dist: 5, index: 1 },
+    { label: "A", dist: 5, index: 2 },
+  ];
+
+  test("inverse-distance weights can overturn the raw count", () => {
+    expect(majorityLabel(neighbors).label).toBe("A");
+    const vote = majorityLabel(neighbors, { weights: "distance" });
+    expect(vote.label).toBe("B");
+    expect(vote.counts).toEqual({ B: 1, A: 2 });
+    expect(vote.scores.B).toBeCloseTo(1);
+    expect(vote.scores.A).toBeCloseTo(0.4);
+  });
+
+  test("gaussian weights follow the bandwidth", () => {
+    expect(
+      majorityLabel(neighbors, { weights: "gaussian", bandwidth: 2 }).label
+    ).toBe("B");
+    expect(
+      majorityLabel(neighbors, { weights: "gaussian", bandwidth: 100 }).label
+    ).toBe("A");
+  });
+
+  // A: one neighbor at 1 + one at 9 (total 10); B: two at 3 (total 6).
+  const tie = [
+    { label: "A", dist: 1, index: 0 },
+    { label: "B", dist: 3, index: 1 },
+    { label: "B", dist: 3, index: 2 },
+    { label: "A", dist: 9, index: 3 },
+  ];
+
+  test("reports the tied labels", () => {
+    expect(majorityLabel(tie).tied).toEqual(["A", "B"]);
+  });
+
+  test("nearest tie-break picks the closest tied neighbor", () => {
+    expect(majorityLabel(tie, { tieBreak: "nearest" }).label).toBe("A");
+  });
+
+  test("distance tie-break picks the smallest total distance", () => {
+    expect(majorityLabel(tie, { tieBreak: "distance" }).label).toBe("B");
+  });
+
+  test("random tie-break is deterministic for a seed", () => {
+    const first = majorityLabel(tie, { tieBreak: "random", seed: 7 }).label;
+    for (let i = 0; i < 5; i++) {
+      expect(majorityLabel(tie, { tieBreak: "random", seed: 7 }).label).toBe(
+        first
+      );
+    }
+    const seen = new Set();
+    for (let seed = 0; seed < 50; seed++) {
+      seen.add(majorityLabel(tie, { tieBreak: "random", seed }).label);
+    }
+    expect(seen).toEqual(new Set(["A", "B"]));
+  });
+});
+
+describe("createKnn", () => {
+  test("predict, predictProba and kneighbors for a single query", () => {
+    const model = createKnn({ k: 3 }).fit(points);
+    const query = { x: 9, y: 9 };
+    expect(model.predict(query)).toBe("B");
+    const proba = model.predictProba(query);
+    expect(proba.B).toBeCloseTo(2 / 3);
+    expect(proba.A).toBeCloseTo(1 / 3);
+    expect(model.kneighbors(query)).toHaveLength(3);
+  });
+
+  test("accepts an array of queries", () => {
+    const model = createKnn({ k: 1, metric: "manhattan" }).fit(points);
+    expect(
+      model.predict([
+        { x: 0, y: 0 },
+        { x: 12, y: 12 },
+      ])
+    ).toEqual(["A", "B"]);
+  });
+
+  test("uses the configured metric", () => {
+    const train = [
+      { x: 3, y: 3, label: "diag" },
+      { x: 0, y: 4.5, label: "axis" },
+    ];
+    const query = { x: 0, y: 0 };
+    expect(
+      createKnn({ k: 1, metric: "euclidean" }).fit(train).predict(query)
+    ).toBe("diag");
+    expect(
+      createKnn({ k: 1, metric: "manhattan" }).fit(train).predict(query)
+    ).toBe("axis");
+    expect(
+      createKnn({ k: 1, metric: "minkowski", p: 6 }).fit(train).predict(query)
+    ).toBe("diag");
+  });
+
+  test("k larger than the dataset uses all points", () => {
+    const model = createKnn({ k: 100 }).fit(points);
+    expect(model.predict({ x: 100, y: 100 })).toBe("A");
+    expect(model.predictProba({ x: 100, y: 100 })).toEqual({ B: 0.4, A: 0.6 });
+  });
+
+  test("predictProba returns normalized weighted scores", () => {
+    const model = createKnn({ k: 3, weights: "distance" }).fit([
+      { x: 1, y: 0, label: "A" },
+      { x: 2, y: 0, label: "B" },
+      { x: 2, y: 0, label: "B" },
+    ]);
+    const proba = model.predictProba({ x: 0, y: 0 });
+    expect(proba.A).toBeCloseTo(0.5);
+    expect(proba.B).toBeCloseTo(0.5);
+    expect(model.vote({ x: 0, y: 0 }).tied).toEqual(["A", "B"]);
+  });
+
+  test("handles an empty training set", () => {
+    const model = createKnn().fit([]);
+    expect(model.predict({ x: 1, y: 1 })).toBeNull();
+    expect(model.predictProba({ x: 1, y: 1 })).toEqual({});
+    expect(model.kneighbors({ x: 1, y: 1 })).toEqual([]);
+    expect(model.vote({ x: 1, y: 1 })).toBeNull();
+  });
+
+  test("fit copies the input array", () => {
+    const train = points.slice();
+    const model = createKnn({ k: 1 }).fit(train);
+    train.length = 0;
+    expect(model.predict({ x: 0, y: 0 })).toBe("A");
+  });
+});
+
+describe("meanValue", () => {
+  const neighbors = [
+    { value: 10, dist: 1 },
+    { value: 20, dist: 2 },
+    { value: 60, dist: 4 },
+  ];
+
+  test("uniform weights give the plain mean", () => {
+    expect(meanValue(neighbors).value).toBeCloseTo(30);
+  });
+
+  test("inverse-distance weights favour close neighbors", () => {
+    const result = meanValue(neighbors, { weights: "distance" });
+    expect(result.weights).toEqual([1, 0.5, 0.25]);
+    expect(result.value).toBeCloseTo((10 + 10 + 15) / 1.75);
+  });
+
+  test("skips neighbors without a numeric value", () => {
+    const result = meanValue([{ value: 4, dist: 1 }, { dist: 1 }]);
+    expect(result.value).toBe(4);
+    expect(result.weights).toEqual([1, 0]);
+  });
+
+  test("returns null without usable neighbors", () => {
+    expect(meanValue([])).toBeNull();
+    expect(meanValue([{ label: "A", dist: 1 }])).toBeNull();
+  });
+});
+
+describe("createKnnRegressor", () => {
+  const train = [
+    { x: 0, y: 0, value: 0 },
+    { x: 10, y: 0, value: 10 },
+    { x: 20, y: 0, value: 20 },
+  ];
+
+  test("predicts the mean of the k nearest values", () => {
+    const model = createKnnRegressor({ k: 2 }).fit(train);
+    expect(model.predict({ x: 1, y: 0 })).toBeCloseTo(5);
+    expect(model.predict([{ x: 19, y: 0 }])).toEqual([15]);
+  });
+
+  test("k larger than the dataset averages everything", () => {
+    const model = createKnnRegressor({ k: 10 }).fit(train);
+    expect(model.predict({ x: 100, y: 100 })).toBeCloseTo(10);
+  });
+
+  test("returns null for an empty training set", () => {
+    const model = createKnnRegressor().fit([]);
+    expect(model.predict({ x: 0, y: 0 })).toBeNull();
+    expect(model.kneighbors({ x: 0, y: 0 })).toEqual([]);
+  });
+});
+
+describe("neighbor modes", () => {
+  test("getRadiusNeighbors returns every point within r, nearest first", () => {
+    const inside = getRadiusNeighbors({ x: 0, y: 0 }, points, 1);
+    expect(inside.map((n) => n.index)).toEqual([0, 1, 2]);
+    expect(inside.map((n) => n.dist)).toEqual([0, 1, 1]);
+    expect(getRadiusNeighbors({ x: 50, y: 50 }, points, 5)).toEqual([]);
+  });
+
+  test("radius mode votes over the ball and can fall back to the nearest point", () => {
+    const model = createKnn({ neighborMode: "radius", radius: 2 }).fit(points);
+    expect(model.vote({ x: 10.5, y: 10 }).counts).toEqual({ B: 2 });
+    expect(model.kneighbors({ x: 50, y: 50 })).toEqual([]);
+    expect(model.predict({ x: 50, y: 50 })).toBeNull();
+    expect(model.predictProba({ x: 50, y: 50 })).toEqual({});
+
+    const fallback = createKnn({
+      neighborMode: "radius",
+      radius: 2,
+      emptyRadius: "nearest",
+    }).fit(points);
+    expect(fallback.kneighbors({ x: 50, y: 50 })).toHaveLength(1);
+    expect(fallback.predict({ x: 50, y: 50 })).toBe("B");
+  });
+
+  test("densityRadius is the median distance to the k-th nearest other point", () => {
+    expect(densityRadius(points, 1)).toBeCloseTo(1);
+    expect(densityRadius(points, 2)).toBeCloseTo(Math.SQRT2);
+    expect(densityRadius(points.slice(0, 1), 1)).toBe(0);
+  });
+
+  test("adaptiveK scales k by how close the k-th neighbor is", () => {
+    expect(adaptiveK(4, 1, 1)).toBe(4);
+    expect(adaptiveK(4, 0.5, 1)).toBe(8);
+    expect(adaptiveK(4, 4, 1)).toBe(1);
+    // Never fewer than 1 nor more than ADAPTIVE_MAX_FACTOR · k neighbors.
+    expect(adaptiveK(4, 100, 1)).toBe(1);
+    expect(adaptiveK(2, 0.01, 1)).toBe(2 * ADAPTIVE_MAX_FACTOR);
+    expect(adaptiveK(2, 0, 1)).toBe(2 * ADAPTIVE_MAX_FACTOR);
+    expect(adaptiveK(2, 0, 0)).toBe(2);
+  });
+
+  test("adaptive k takes more neighbors where the points are dense", () => {
+    const model = createKnn({ k: 1, neighborMode: "adaptive" }).fit(points);
+    expect(model.typicalDistance).toBeCloseTo(1);
+    // Each query's own k-th neighbor decides: closer than usual takes more.
+    expect(model.kneighbors({ x: 0.5, y: 0.2 })).toHaveLength(2);
+    expect(model.kneighbors({ x: 10.5, y: 10 })).toHaveLength(2);
+    expect(model.kneighbors({ x: 10.5, y: 13 })).toHaveLength(1);
+    // Far from everything: the nearest point still answers.
+    expect(model.predict({ x: 50, y: 50 })).toBe("B");
+
+    const wide = createKnn({ k: 2, neighborMode: "adaptive" }).fit(points);
+    expect(wide.typicalDistance).toBeCloseTo(Math.SQRT2);
+    expect(wide.kneighbors({ x: 0.3, y: 0.3 }).map((n) => n.index)).toEqual([
+      0, 1, 2, 3,
+    ]);
+  });
+
+  test("the regressor averages the neighbors of the chosen mode", () => {
+    const values = points.map((p, i) => ({ ...p, value: i }));
+    const model = createKnnRegressor({ neighborMode: "radius", radius: 1 }).fit(
+      values
+    );
+    expect(model.predict({ x: 0, y: 0 })).toBeCloseTo(1);
+    expect(model.predict({ x: 50, y: 50 })).toBeNull();
+  });
+
+  test("fixed and adaptive k use the search tree, radius mode does not", () => {
+    expect(createKnn({ algorithm: "kd" }).fit(points).tree).not.toBeNull();
+    expect(
+      createKnn({ algorithm: "kd", neighborMode: "adaptive" }).fit(points).tree
+    ).not.toBeNull();
+    expect(
+      createKnn({ algorithm: "kd", neighborMode: "radius" }).fit(points).tree
+    ).toBeNull();
+  });
+
+  test("adaptive k gives the same neighbors through a tree", () => {
+    const cloud = generateDataset("moons", { perClass: 40, seed: 5 });
+    const queries = cloud.slice(0, 10).map((q) => ({ x: q.x + 1, y: q.y }));
+    const brute = createKnn({ k: 4, neighborMode: "adaptive" }).fit(cloud);
+    ["kd", "ball"].forEach((algorithm) => {
+      const tree = createKnn({ k: 4, neighborMode: "adaptive", algorithm }).fit(
+        cloud
+      );
+      expect(tree.typicalDistance).toBeCloseTo(brute.typicalDistance);
+      expect(tree.kneighbors(queries)).toEqual(brute.kneighbors(queries));
+    });
+    const tree = buildTree(cloud, "kd", { metric: "euclidean" });
+    expect(
+      densityRadius(cloud.slice(), 4, "euclidean", 3, undefined, tree)
+    ).toBeCloseTo(brute.typicalDistance);
+  });
+
+  test("densityRadius is cached per training array", () => {
+    const cloud = generateDataset("moons", { perClass: 20, seed: 6 });
+    const first = densityRadius(cloud, 3);
+    // A cached result comes back without recomputing from the points.
+    cloud.forEach((p) => {
+      p.x = 0;
+      p.y = 0;
+    });
+    expect(densityRadius(cloud, 3)).toBe(first);
+    expect(densityRadius(cloud.slice(), 3)).toBe(0);
+  });
+});
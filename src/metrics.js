@@ -0,0 +1,356 @@
+// Distance metrics shared by the k-NN engine and the spatial indexes.
+
+import { liftFeatures } from "./projection";
+
+export const METRICS = [
+  "euclidean",
+  "manhattan",
+  "minkowski",
+  "chebyshev",
+  "cosine",
+  "mahalanobis",
+  "hamming",
+];
+
+// Largest Minkowski p offered. Balls are already close to Chebyshev's
+// square there: Lp tends to L∞ as p grows.
+export const MAX_MINKOWSKI_P = 20;
+
+// Cosine distance compares directions seen from this point. The plot
+// center is used instead of (0, 0) so that points can lie in every
+// direction, not just within a quarter turn.
+export const COSINE_ORIGIN = { x: 50, y: 50 };
+
+const NO_PARAMS = {};
+
+// Lifted feature vectors, per point object and projection: a query is
+// compared with every training point, and every point with many queries.
+const lifted = new WeakMap();
+
+function featuresOf(point, projection) {
+  const cached = lifted.get(point);
+  if (cached && cached.projection === projection) return cached.features;
+  const features = liftFeatures(projection, point);
+  lifted.set(point, { projection, features });
+  return features;
+}
+
+// `distance` for feature vectors of any length. Cosine directions are
+// seen from the middle of every feature's range, like COSINE_ORIGIN.
+function featureDistance(a, b, metric, p, binSize) {
+  if (metric === "cosine") {
+    let ab = 0;
+    let aa = 0;
+    let bb = 0;
+    a.forEach((v, i) => {
+      const av = v - COSINE_ORIGIN.x;
+      const bv = b[i] - COSINE_ORIGIN.x;
+      ab += av * bv;
+      aa += av * av;
+      bb += bv * bv;
+    });
+    const norms = Math.sqrt(aa * bb);
+    if (norms === 0) return a.every((v, i) => v === b[i]) ? 0 : 1;
+    return Math.max(0, 1 - ab / norms);
+  }
+  if (metric === "hamming") {
+    const cell = (v) => Math.floor(v / binSize);
+    return a.reduce((sum, v, i) => sum + (cell(v) !== cell(b[i]) ? 1 : 0), 0);
+  }
+
+  let sum = 0;
+  let max = 0;
+  a.forEach((v, i) => {
+    const d = Math.abs(v - b[i]);
+    if (metric === "manhattan") sum += d;
+    else if (metric === "minkowski") sum += Math.pow(d, p);
+    else if (metric === "chebyshev") max = Math.max(max, d);
+    else sum += d * d;
+  });
+  if (metric === "manhattan") return sum;
+  if (metric === "minkowski") return Math.pow(sum, 1 / p);
+  if (metric === "chebyshev") return max;
+  return Math.sqrt(sum);
+}
+
+/**
+ * Distance between two points under the given metric.
+ *
+ * `p` is only used by "minkowski". `params` holds the remaining metric
+ * settings, all optional:
+ * - `axisWeights` `{ x, y }`: multiplies each axis before the metric is
+ *   applied (for "hamming", the cost of a mismatch on that axis).
+ * - `precision` `{ xx, xy, yy }`: the inverse covariance used by
+ *   "mahalanobis" (see `invertCovariance`); without it Mahalanobis is
+ *   Euclidean.
+ * - `binSize`: cell size for "hamming", which counts the axes on which the
+ *   two points fall into different cells.
+ * - `projection`: for high-dimensional data (see `projection.js`), the
+ *   points are compared on their full feature vectors instead of x and y.
+ *   Axis weights and the Mahalanobis precision are 2-D only and are
+ *   ignored there (Mahalanobis is then Euclidean).
+ *
+ * Unknown metrics fall back to euclidean.
+ */
+export function distance(a, b, metric = "euclidean", p = 3, params) {
+  const {
+    axisWeights,
+    precision,
+    binSize = 10,
+    projection,
+  } = params || NO_PARAMS;
+  if (projection) {
+    return featureDistance(
+      featuresOf(a, projection),
+      featuresOf(b, projection),
+      metric,
+      p,
+      binSize
+    );
+  }
+  const wx = axisWeights ? axisWeights.x : 1;
+  const wy = axisWeights ? axisWeights.y : 1;
+
+  if (metric === "cosine") {
+    const ax = wx * (a.x - COSINE_ORIGIN.x);
+    const ay = wy * (a.y - COSINE_ORIGIN.y);
+    const bx = wx * (b.x - COSINE_ORIGIN.x);
+    const by = wy * (b.y - COSINE_ORIGIN.y);
+    const norms = Math.sqrt((ax * ax + ay * ay) * (bx * bx + by * by));
+    // A point at the origin has no direction: it matches only itself.
+    if (norms === 0) return ax === bx && ay === by ? 0 : 1;
+    return Math.max(0, 1 - (ax * bx + ay * by) / norms);
+  }
+  if (metric === "hamming") {
+    const cell = (v) => Math.floor(v / binSize);
+    return (
+      (cell(a.x) !== cell(b.x) ? wx : 0) + (cell(a.y) !== cell(b.y) ? wy : 0)
+    );
+  }
+
+  const ex = wx * (a.x - b.x);
+  const ey = wy * (a.y - b.y);
+  const dx = Math.abs(ex);
+  const dy = Math.abs(ey);
+
+  switch (metric) {
+    case "manhattan":
+      return dx + dy;
+    case "minkowski": {
+      const sum = Math.pow(dx, p) + Math.pow(dy, p);
+      return Math.pow(sum, 1 / p);
+    }
+    case "chebyshev":
+      return Math.max(dx, dy);
+    case "mahalanobis": {
+      if (!precision) return Math.sqrt(dx * dx + dy * dy);
+      const q =
+        precision.xx * ex * ex +
+        2 * precision.xy * ex * ey +
+        precision.yy * ey * ey;
+      return Math.sqrt(Math.max(0, q));
+    }
+    case "euclidean":
+    default:
+      return Math.sqrt(dx * dx + dy * dy);
+  }
+}
+
+/**
+ * Sample covariance `{ xx, xy, yy }` of the points' coordinates, or null
+ * with fewer than two points.
+ */
+export function estimateCovariance(points) {
+  const n = points.length;
+  if (n < 2) return null;
+  const mx = points.reduce((sum, q) => sum + q.x, 0) / n;
+  const my = points.reduce((sum, q) => sum + q.y, 0) / n;
+  let xx = 0;
+  let xy = 0;
+  let yy = 0;
+  points.forEach((q) => {
+    xx += (q.x - mx) ** 2;
+    xy += (q.x - mx) * (q.y - my);
+    yy += (q.y - my) ** 2;
+  });
+  return { xx: xx / (n - 1), xy: xy / (n - 1), yy: yy / (n - 1) };
+}
+
+/** Covariance from standard deviations and a correlation in (-1, 1). */
+export function covarianceFromParts({ sx, sy, rho }) {
+  return { xx: sx * sx, xy: rho * sx * sy, yy: sy * sy };
+}
+
+/** Standard deviations and correlation of a covariance. */
+export function covarianceParts({ xx, xy, yy }) {
+  const sx = Math.sqrt(Math.max(0, xx));
+  const sy = Math.sqrt(Math.max(0, yy));
+  return { sx, sy, rho: sx > 0 && sy > 0 ? xy / (sx * sy) : 0 };
+}
+
+/**
+ * Inverse of a 2×2 covariance, the `precision` Mahalanobis needs. Nearly
+ * singular covariances (collinear or duplicate points) get a small ridge
+ * on the diagonal so the result stays finite; a missing or all-zero
+ * covariance gives the identity (plain Euclidean).
+ */
+export function invertCovariance(covariance) {
+  if (!covariance) return { xx: 1, xy: 0, yy: 1 };
+  let { xx, xy, yy } = covariance;
+  const scale = Math.max(xx, yy, 0);
+  if (!(scale > 0)) return { xx: 1, xy: 0, yy: 1 };
+  if (!(xx * yy - xy * xy > 1e-6 * scale * scale)) {
+    xx += 1e-3 * scale;
+    yy += 1e-3 * scale;
+  }
+  const det = xx * yy - xy * xy;
+  return { xx: yy / det, xy: -xy / det, yy: xx / det };
+}
+
+function polygonPath(vertices) {
+  const parts = vertices.map(
+    ({ x, y }, i) =>
+      `${i === 0 ? "M" : "L"}${x.toFixed(2)} ${(100 - y).toFixed(2)}`
+  );
+  return `${parts.join("")}Z`;
+}
+
+// Far enough to leave the plot whatever the zoom; the plot clips the rest.
+const FAR = 1000;
+const PLANE = [
+  { x: -FAR, y: -FAR },
+  { x: FAR, y: -FAR },
+  { x: FAR, y: FAR },
+  { x: -FAR, y: FAR },
+];
+
+function cosineWedge(center, radius, params) {
+  const { x: wx, y: wy } = (params && params.axisWeights) || { x: 1, y: 1 };
+  const sx = Math.max(wx, 1e-6);
+  const sy = Math.max(wy, 1e-6);
+  if (radius >= 2) {
+    return polygonPath(PLANE);
+  }
+  // The ball is every direction within acos(1 - radius) of the center's,
+  // measured in the weighted space and mapped back to plot coordinates.
+  const half = Math.acos(Math.max(-1, 1 - radius));
+  const heading = Math.atan2(
+    sy * (center.y - COSINE_ORIGIN.y),
+    sx * (center.x - COSINE_ORIGIN.x)
+  );
+  const steps = 48;
+  const vertices = [COSINE_ORIGIN];
+  for (let i = 0; i <= steps; i++) {
+    const t = heading - half + (2 * half * i) / steps;
+    const dirX = Math.cos(t) / sx;
+    const dirY = Math.sin(t) / sy;
+    const length = FAR / Math.max(Math.abs(dirX), Math.abs(dirY), 1e-9);
+    vertices.push({
+      x: COSINE_ORIGIN.x + dirX * length,
+      y: COSINE_ORIGIN.y + dirY * length,
+    });
+  }
+  return polygonPath(vertices);
+}
+
+// The cells within `radius` Hamming cost of the center's cell: the cell
+// itself, its column and/or row, or the whole plane.
+function hammingRegion(center, radius, params) {
+  const { axisWeights, binSize = 10 } = params || NO_PARAMS;
+  const wx = axisWeights ? axisWeights.x : 1;
+  const wy = axisWeights ? axisWeights.y : 1;
+  const x0 = Math.floor(center.x / binSize) * binSize;
+  const y0 = Math.floor(center.y / binSize) * binSize;
+  const x1 = x0 + binSize;
+  const y1 = y0 + binSize;
+  const anyY = wy <= radius; // other rows of the same column
+  const anyX = wx <= radius; // other columns of the same row
+
+  if (wx + wy <= radius) {
+    return polygonPath(PLANE);
+  }
+  const box = (left, right, bottom, top) =>
+    polygonPath([
+      { x: left, y: bottom },
+      { x: right, y: bottom },
+      { x: right, y: top },
+      { x: left, y: top },
+    ]);
+  if (anyX && anyY) {
+    return polygonPath([
+      { x: x0, y: -FAR },
+      { x: x1, y: -FAR },
+      { x: x1, y: y0 },
+      { x: FAR, y: y0 },
+      { x: FAR, y: y1 },
+      { x: x1, y: y1 },
+      { x: x1, y: FAR },
+      { x: x0, y: FAR },
+      { x: x0, y: y1 },
+      { x: -FAR, y: y1 },
+      { x: -FAR, y: y0 },
+      { x: x0, y: y0 },
+    ]);
+  }
+  if (anyY) return box(x0, x1, -FAR, FAR);
+  if (anyX) return box(-FAR, FAR, y0, y1);
+  return box(x0, x1, y0, y1);
+}
+
+/**
+ * SVG path of the ball of `radius` around `center` (plot coordinates) under
+ * the metric and its `params` (see `distance`): a circle for Euclidean, a
+ * diamond for Manhattan, a superellipse for Minkowski, a rectangle for
+ * Chebyshev and an ellipse for Mahalanobis. The cosine ball is a wedge from
+ * `COSINE_ORIGIN` and the Hamming ball a union of grid cells; both may
+ * reach past the plot, which clips them. High-dimensional balls (with a
+ * `projection`) have no outline on the plot: null.
+ */
+export function metricBallPath(
+  center,
+  radius,
+  metric = "euclidean",
+  p = 3,
+  params
+) {
+  if (params && params.projection) return null;
+  if (metric === "cosine") return cosineWedge(center, radius, params);
+  if (metric === "hamming") return hammingRegion(center, radius, params);
+
+  const { x: wx, y: wy } = (params && params.axisWeights) || { x: 1, y: 1 };
+  // A zero weight makes the ball unbounded along that axis.
+  const rx = radius / Math.max(wx, radius / FAR);
+  const ry = radius / Math.max(wy, radius / FAR);
+
+  if (metric === "chebyshev") {
+    return polygonPath([
+      { x: center.x - rx, y: center.y - ry },
+      { x: center.x + rx, y: center.y - ry },
+      { x: center.x + rx, y: center.y + ry },
+      { x: center.x - rx, y: center.y + ry },
+    ]);
+  }
+
+  const steps = 96;
+  const vertices = [];
+  for (let i = 0; i < steps; i++) {
+    const t = (2 * Math.PI * i) / steps;
+    const c = Math.cos(t);
+    const s = Math.sin(t);
+    if (metric === "mahalanobis") {
+      // The ellipse is linear in the radius: scale each direction so its
+      // distance from the center is exactly `radius`.
+      const unit = distance({ x: 0, y: 0 }, { x: c, y: s }, metric, p, params);
+      const r = unit > 0 ? Math.min(FAR, radius / unit) : FAR;
+      vertices.push({ x: center.x + r * c, y: center.y + r * s });
+      continue;
+    }
+    const exponent = { euclidean: 2, manhattan: 1 }[metric] || p;
+    // |x|^p + |y|^p = cos² + sin² = 1 on the unit ball.
+    vertices.push({
+      x: center.x + rx * Math.sign(c) * Math.pow(Math.abs(c), 2 / exponent),
+      y: center.y + ry * Math.sign(s) * Math.pow(Math.abs(s), 2 / exponent),
+    });
+  }
+  return polygonPath(vertices);
+}
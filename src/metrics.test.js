@@ -0,0 +1,179 @@
+import {
+  covarianceFromParts,
+  covarianceParts,
+  distance,
+  estimateCovariance,
+  invertCovariance,
+  metricBallPath,
+} from "./metrics";
+import { pairProjection } from "./projection";
+
+// Vertices of a path like "M1 2L3 4…Z", back in plot coordinates.
+function pathPoints(d) {
+  return d
+    .replace("Z", "")
+    .split(/[ML]/)
+    .filter(Boolean)
+    .map((pair) => {
+      const [x, y] = pair.split(" ").map(Number);
+      return { x, y: 100 - y };
+    });
+}
+
+const a = { x: 1, y: 2 };
+const b = { x: 4, y: 6 };
+
+describe("distance", () => {
+  test("chebyshev takes the largest axis difference", () => {
+    expect(distance(a, b, "chebyshev")).toBe(4);
+  });
+
+  test("axis weights scale each axis", () => {
+    const axisWeights = { x: 2, y: 0.5 };
+    expect(distance(a, b, "euclidean", 3, { axisWeights })).toBeCloseTo(
+      Math.sqrt(36 + 4)
+    );
+    expect(distance(a, b, "manhattan", 3, { axisWeights })).toBeCloseTo(8);
+    expect(distance(a, b, "chebyshev", 3, { axisWeights })).toBeCloseTo(6);
+  });
+
+  test("cosine compares directions from the plot center", () => {
+    const center = { x: 50, y: 50 };
+    const right = { x: 60, y: 50 };
+    expect(distance({ x: 90, y: 50 }, right, "cosine")).toBeCloseTo(0);
+    expect(distance({ x: 50, y: 70 }, right, "cosine")).toBeCloseTo(1);
+    expect(distance({ x: 10, y: 50 }, right, "cosine")).toBeCloseTo(2);
+    expect(distance(center, right, "cosine")).toBe(1);
+    expect(distance(center, center, "cosine")).toBe(0);
+  });
+
+  test("mahalanobis uses the precision matrix", () => {
+    expect(distance(a, b, "mahalanobis")).toBeCloseTo(5);
+    const precision = invertCovariance({ xx: 9, xy: 0, yy: 16 });
+    expect(distance(a, b, "mahalanobis", 3, { precision })).toBeCloseTo(
+      Math.SQRT2
+    );
+    // Moving along the correlation is cheaper than moving against it.
+    const correlated = invertCovariance({ xx: 1, xy: 0.9, yy: 1 });
+    const params = { precision: correlated };
+    const origin = { x: 0, y: 0 };
+    expect(
+      distance(origin, { x: 1, y: 1 }, "mahalanobis", 3, params)
+    ).toBeLessThan(distance(origin, { x: 1, y: -1 }, "mahalanobis", 3, params));
+  });
+
+  test("hamming counts the axes that land in different cells", () => {
+    expect(distance({ x: 1, y: 1 }, { x: 9, y: 9 }, "hamming")).toBe(0);
+    expect(distance({ x: 1, y: 1 }, { x: 11, y: 9 }, "hamming")).toBe(1);
+    expect(distance({ x: 1, y: 1 }, { x: 11, y: 19 }, "hamming")).toBe(2);
+    const params = { binSize: 20, axisWeights: { x: 3, y: 1 } };
+    expect(
+      distance({ x: 1, y: 1 }, { x: 21, y: 19 }, "hamming", 3, params)
+    ).toBe(3);
+  });
+
+  test("a projection compares every feature, not just x and y", () => {
+    const names = ["a", "b", "c", "d"];
+    const projection = pairProjection([[0, 0, 0, 0]], names);
+    const params = { projection };
+    const p = { x: 10, y: 20, features: [10, 20, 30, 40] };
+    const q = { x: 10, y: 20, features: [10, 20, 33, 44] };
+    expect(distance(p, q, "euclidean", 3, params)).toBeCloseTo(5);
+    expect(distance(p, q, "manhattan", 3, params)).toBe(7);
+    expect(distance(p, q, "chebyshev", 3, params)).toBe(4);
+    expect(distance(p, q, "minkowski", 1, params)).toBeCloseTo(7);
+    expect(distance(p, q, "hamming", 3, { ...params, binSize: 2 })).toBe(2);
+    // Without a projection only x and y count.
+    expect(distance(p, q)).toBe(0);
+  });
+
+  test("points without features are lifted at the mean of the others", () => {
+    const projection = pairProjection(
+      [
+        [0, 0, 10],
+        [20, 20, 30],
+      ],
+      ["a", "b", "c"]
+    );
+    const query = { x: 0, y: 0 };
+    const point = { x: 0, y: 0, features: [0, 0, 10] };
+    expect(distance(query, point, "euclidean", 3, { projection })).toBe(10);
+  });
+});
+
+describe("covariance", () => {
+  test("estimateCovariance matches the sample covariance", () => {
+    const points = [
+      { x: 0, y: 0 },
+      { x: 2, y: 1 },
+      { x: 4, y: 5 },
+    ];
+    const cov = estimateCovariance(points);
+    expect(cov.xx).toBeCloseTo(4);
+    expect(cov.xy).toBeCloseTo(5);
+    expect(cov.yy).toBeCloseTo(7);
+    expect(estimateCovariance([{ x: 1, y: 1 }])).toBeNull();
+  });
+
+  test("invertCovariance inverts and survives singular input", () => {
+    const inverse = invertCovariance({ xx: 2, xy: 1, yy: 3 });
+    expect(inverse.xx).toBeCloseTo(0.6);
+    expect(inverse.xy).toBeCloseTo(-0.2);
+    expect(inverse.yy).toBeCloseTo(0.4);
+    const singular = invertCovariance({ xx: 1, xy: 1, yy: 1 });
+    Object.values(singular).forEach((v) =>
+      expect(Number.isFinite(v)).toBe(true)
+    );
+    expect(invertCovariance(null)).toEqual({ xx: 1, xy: 0, yy: 1 });
+  });
+
+  test("covariance parts round-trip", () => {
+    const parts = { sx: 3, sy: 2, rho: -0.5 };
+    const back = covarianceParts(covarianceFromParts(parts));
+    expect(back.sx).toBeCloseTo(3);
+    expect(back.sy).toBeCloseTo(2);
+    expect(back.rho).toBeCloseTo(-0.5);
+  });
+});
+
+const skewed = {
+  axisWeights: { x: 2, y: 1 },
+  precision: invertCovariance({ xx: 4, xy: 1.5, yy: 1 }),
+};
+
+test.each([
+  ["euclidean", 3, undefined],
+  ["manhattan", 3, undefined],
+  ["minkowski", 1.5, undefined],
+  ["minkowski", 5, undefined],
+  ["minkowski", 12, undefined],
+  ["chebyshev", 3, undefined],
+  ["euclidean", 3, skewed],
+  ["chebyshev", 3, skewed],
+  ["mahalanobis", 3, skewed],
+])("metricBallPath traces the %s ball (p=%s)", (metric, p, params) => {
+  const center = { x: 40, y: 60 };
+  const vertices = pathPoints(metricBallPath(center, 10, metric, p, params));
+  expect(vertices.length).toBeGreaterThanOrEqual(4);
+  vertices.forEach((v) => {
+    expect(distance(center, v, metric, p, params)).toBeCloseTo(10, 1);
+  });
+});
+
+test("the cosine ball is a wedge from the plot center", () => {
+  const center = { x: 80, y: 50 };
+  const vertices = pathPoints(metricBallPath(center, 0.1, "cosine"));
+  expect(vertices[0]).toEqual({ x: 50, y: 50 });
+  vertices.slice(1).forEach((v) => {
+    expect(distance(center, v, "cosine")).toBeLessThanOrEqual(0.1 + 1e-6);
+  });
+});
+
+test("the hamming ball grows from a cell to a cross", () => {
+  const center = { x: 25, y: 35 };
+  const cell = pathPoints(metricBallPath(center, 0.5, "hamming"));
+  expect(cell).toHaveLength(4);
+  expect(Math.min(...cell.map((v) => v.x))).toBe(20);
+  expect(Math.max(...cell.map((v) => v.y))).toBe(40);
+  expect(pathPoints(metricBallPath(center, 1, "hamming"))).toHaveLength(12);
+});
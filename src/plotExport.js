@@ -0,0 +1,184 @@
+// Exporting the plot as a standalone SVG or PNG, and a report of the
+// current prediction as HTML or Markdown.
+
+export const EXPORT_SIZES = [400, 800, 1200, 1600, 2400];
+export const PIXEL_RATIOS = [1, 2, 3];
+export const REPORT_FORMATS = {
+  html: "HTML",
+  markdown: "Markdown",
+};
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// What `.knn-svg` and the page provide on screen.
+const PLOT_BACKGROUND = "#f9fafb";
+const PLOT_FONT = "system-ui, -apple-system, 'Segoe UI', sans-serif";
+
+/**
+ * Standalone markup for the plot `svg` element, `size` × `size` px, with
+ * the background and font it gets from the page's stylesheet made explicit.
+ */
+export function plotSvgMarkup(svg, size) {
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("width", size);
+  clone.setAttribute("height", size);
+  clone.setAttribute("font-family", PLOT_FONT);
+  clone.removeAttribute("class");
+
+  const [x, y, w, h] = (clone.getAttribute("viewBox") || "0 0 100 100")
+    .split(/[\s,]+/)
+    .map(Number);
+  const background = document.createElementNS(SVG_NS, "rect");
+  background.setAttribute("x", x);
+  background.setAttribute("y", y);
+  background.setAttribute("width", w);
+  background.setAttribute("height", h);
+  background.setAttribute("fill", PLOT_BACKGROUND);
+  clone.insertBefore(background, clone.firstChild);
+
+  return new XMLSerializer().serializeToString(clone);
+}
+
+/** SVG markup as a data URL, safe inside Markdown link parentheses. */
+export function svgDataUrl(markup) {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)
+    .replace(/\(/g, "%28")
+    .replace(/\)/g, "%29")}`;
+}
+
+/**
+ * Render SVG `markup` (drawn at `size` px) to a PNG blob with
+ * `pixelRatio` device pixels per px. Rejects where canvas is unavailable.
+ */
+export function svgToPng(markup, size, pixelRatio = 1) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(size * pixelRatio);
+      canvas.height = Math.round(size * pixelRatio);
+      const ctx = canvas.getContext && canvas.getContext("2d");
+      if (!ctx) {
+        reject(new Error("This browser cannot draw PNG images."));
+        return;
+      }
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob((blob) =>
+        blob
+          ? resolve(blob)
+          : reject(new Error("This browser cannot draw PNG images."))
+      );
+    };
+    image.onerror = () => reject(new Error("The plot could not be drawn."));
+    image.src = svgDataUrl(markup);
+  });
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function markdownCell(text) {
+  return String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+function htmlReport({ title, plot, settings, prediction, steps, neighbors }) {
+  const list = (items, tag) =>
+    `<${tag}>\n${items.map((item) => `  <li>${escapeHtml(item)}</li>`).join("\n")}\n</${tag}>`;
+  const row = (cells, tag) =>
+    `    <tr>${cells.map((c) => `<${tag}>${escapeHtml(c)}</${tag}>`).join("")}</tr>`;
+  const sections = [`<h1>${escapeHtml(title)}</h1>`];
+  if (plot) sections.push(`<figure>${plot}</figure>`);
+  sections.push(
+    "<h2>Settings</h2>",
+    "<table>",
+    ...settings.map(([name, value]) => row([name, value], "td")),
+    "</table>",
+    "<h2>Prediction</h2>",
+    list(prediction, "ul")
+  );
+  if (steps.length > 0) {
+    sections.push("<h2>How k-NN works here</h2>", list(steps, "ol"));
+  }
+  if (neighbors.rows.length > 0) {
+    sections.push(
+      "<h2>Nearest neighbors</h2>",
+      "<table>",
+      row(neighbors.columns, "th"),
+      ...neighbors.rows.map((cells) => row(cells, "td")),
+      "</table>"
+    );
+  }
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: ${PLOT_FONT}; color: #111827; max-width: 760px; margin: 32px auto; padding: 0 16px; }
+  h1 { font-size: 22px; }
+  h2 { font-size: 16px; margin-top: 24px; }
+  figure { margin: 0; }
+  figure svg { max-width: 100%; height: auto; border: 1px solid #e5e7eb; border-radius: 12px; }
+  table { border-collapse: collapse; font-size: 13px; }
+  td, th { border: 1px solid #e5e7eb; padding: 4px 8px; text-align: left; }
+  li { font-size: 14px; margin-bottom: 4px; }
+</style>
+</head>
+<body>
+${sections.join("\n")}
+</body>
+</html>
+`;
+}
+
+function markdownReport({
+  title,
+  plot,
+  settings,
+  prediction,
+  steps,
+  neighbors,
+}) {
+  const table = (columns, rows) =>
+    [
+      `| ${columns.map(markdownCell).join(" | ")} |`,
+      `| ${columns.map(() => "---").join(" | ")} |`,
+      ...rows.map((cells) => `| ${cells.map(markdownCell).join(" | ")} |`),
+    ].join("\n");
+  const sections = [`# ${title}`];
+  if (plot) sections.push(`![Plot](${svgDataUrl(plot)})`);
+  sections.push(
+    "## Settings",
+    table(["Setting", "Value"], settings),
+    "## Prediction",
+    prediction.map((line) => `- ${line}`).join("\n")
+  );
+  if (steps.length > 0) {
+    sections.push(
+      "## How k-NN works here",
+      steps.map((line, i) => `${i + 1}. ${line}`).join("\n")
+    );
+  }
+  if (neighbors.rows.length > 0) {
+    sections.push(
+      "## Nearest neighbors",
+      table(neighbors.columns, neighbors.rows)
+    );
+  }
+  return `${sections.join("\n\n")}\n`;
+}
+
+/**
+ * A report in `format` ("html" or "markdown"). `report` holds the `title`,
+ * the `plot` as SVG markup (or null), `settings` as `[name, value]` pairs,
+ * the `prediction` and the explanation `steps` as lists of sentences, and
+ * the `neighbors` table as `{ columns, rows }` of strings.
+ */
+export function buildReport(report, format) {
+  return format === "markdown" ? markdownReport(report) : htmlReport(report);
+}
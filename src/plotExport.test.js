@@ -0,0 +1,79 @@
+import { buildReport, plotSvgMarkup, svgDataUrl } from "./plotExport";
+
+const report = {
+  title: "k-NN classification report",
+  plot: '<svg xmlns="http://www.w3.org/2000/svg"><circle r="1" /></svg>',
+  settings: [
+    ["k", "3"],
+    ["Distance", "Euclidean <L2>"],
+  ],
+  prediction: ["Predicted class: A|B"],
+  steps: ["Sort the points.", "Vote."],
+  neighbors: {
+    columns: ["#", "Label"],
+    rows: [["1", "A"]],
+  },
+};
+
+test("standalone SVG markup sets the size, namespace and background", () => {
+  const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+  svg.setAttribute("viewBox", "0 0 100 100");
+  svg.setAttribute("width", "400");
+  svg.setAttribute("class", "knn-svg");
+  svg.appendChild(
+    document.createElementNS("http://www.w3.org/2000/svg", "circle")
+  );
+
+  const markup = plotSvgMarkup(svg, 1200);
+  const parsed = new DOMParser().parseFromString(markup, "image/svg+xml");
+  const root = parsed.documentElement;
+  expect(root.getAttribute("width")).toBe("1200");
+  expect(root.getAttribute("height")).toBe("1200");
+  expect(root.getAttribute("xmlns")).toBe("http://www.w3.org/2000/svg");
+  expect(root.hasAttribute("class")).toBe(false);
+  expect(root.firstElementChild.tagName).toBe("rect");
+  expect(root.firstElementChild.getAttribute("width")).toBe("100");
+  expect(root.lastElementChild.tagName).toBe("circle");
+  // The live element is left alone.
+  expect(svg.getAttribute("width")).toBe("400");
+});
+
+test("SVG data URLs escape parentheses", () => {
+  const url = svgDataUrl('<svg><path d="M0 0" fill="url(#a)" /></svg>');
+  expect(url.startsWith("data:image/svg+xml")).toBe(true);
+  expect(url).not.toMatch(/[()]/);
+  expect(decodeURIComponent(url.split(",")[1])).toContain("url(#a)");
+});
+
+test("HTML reports inline the plot and escape text", () => {
+  const html = buildReport(report, "html");
+  expect(html.startsWith("<!DOCTYPE html>")).toBe(true);
+  expect(html).toContain("<figure><svg");
+  expect(html).toContain("<td>Euclidean &lt;L2&gt;</td>");
+  expect(html).toContain("<ol>\n  <li>Sort the points.</li>");
+  expect(html).toContain("<tr><th>#</th><th>Label</th></tr>");
+});
+
+test("Markdown reports use tables, lists and an image data URL", () => {
+  const md = buildReport(report, "markdown");
+  expect(md.startsWith("# k-NN classification report")).toBe(true);
+  expect(md).toContain("![Plot](data:image/svg+xml;charset=utf-8,");
+  expect(md).toContain("| Setting | Value |\n| --- | --- |\n| k | 3 |");
+  expect(md).toContain("- Predicted class: A|B");
+  expect(md).toContain("1. Sort the points.\n2. Vote.");
+  expect(md).toContain("| 1 | A |");
+});
+
+test("reports leave out empty sections", () => {
+  const bare = {
+    ...report,
+    plot: null,
+    steps: [],
+    neighbors: { columns: ["#"], rows: [] },
+  };
+  const md = buildReport(bare, "markdown");
+  expect(md).not.toContain("![Plot]");
+  expect(md).not.toContain("## How k-NN works here");
+  expect(md).not.toContain("## Nearest neighbors");
+  expect(buildReport(bare, "html")).not.toContain("<figure>");
+});
@@ -0,0 +1,254 @@
+// High-dimensional data. A point may carry `features`, one number per
+// feature in plot-like units (0–100 after import rescaling), and is drawn
+// at a 2-D projection of them. The projection is plain data so it can
+// travel with the metric params to the boundary worker:
+//
+//   { names, view, pair, mean, axes: [u, v], origin: [ox, oy],
+//     scale: [sx, sy], explained }
+//
+// Features f are drawn at x = ox + sx · u·(f − mean), y = oy + sy · v·(f − mean).
+// `view` is "pair" (u and v pick two features) or "pca" (the two main
+// principal components); `u` and `v` are orthonormal either way.
+
+import { createRng } from "./random";
+
+export const PROJECTION_VIEWS = {
+  pair: "Two features",
+  pca: "PCA (principal components)",
+};
+
+// Dimensions shown in the distance-concentration chart.
+export const CONCENTRATION_DIMS = [1, 2, 3, 5, 10, 20, 50, 100];
+
+const PCA_MARGIN = 5;
+const PCA_ITERATIONS = 200;
+
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+function featureMeans(vectors) {
+  const d = vectors[0] ? vectors[0].length : 0;
+  const mean = new Array(d).fill(0);
+  vectors.forEach((f) => f.forEach((v, i) => (mean[i] += v / vectors.length)));
+  return mean;
+}
+
+function unit(d, i) {
+  const e = new Array(d).fill(0);
+  e[i] = 1;
+  return e;
+}
+
+/**
+ * View of features `i` and `j` of `vectors` (named `names`) as the plot's x
+ * and y, drawn in their own units. Features off the axes are held at their
+ * mean when a plot position is lifted back (see `liftFeatures`).
+ */
+export function pairProjection(vectors, names, i = 0, j = 1) {
+  const mean = featureMeans(vectors);
+  return {
+    names,
+    view: "pair",
+    pair: [i, j],
+    mean,
+    axes: [unit(names.length, i), unit(names.length, j)],
+    origin: [mean[i], mean[j]],
+    scale: [1, 1],
+    explained: null,
+  };
+}
+
+// Leading eigenvector of the symmetric matrix `m` by power iteration.
+function leadingEigenvector(m) {
+  const d = m.length;
+  // Start off every axis so no eigenvector is orthogonal to the start.
+  let v = Array.from({ length: d }, (_, i) => 1 + i / d);
+  for (let iter = 0; iter < PCA_ITERATIONS; iter++) {
+    const current = v;
+    const next = m.map((row) => dot(row, current));
+    const norm = Math.sqrt(dot(next, next));
+    if (!(norm > 0)) break;
+    v = next.map((x) => x / norm);
+  }
+  const norm = Math.sqrt(dot(v, v));
+  return v.map((x) => x / norm);
+}
+
+// Orthonormal vector that is not a multiple of `u`.
+function perpendicular(u) {
+  const d = u.length;
+  let best = 0;
+  u.forEach((x, i) => {
+    if (Math.abs(x) < Math.abs(u[best])) best = i;
+  });
+  const e = unit(d, best);
+  const along = dot(e, u);
+  const v = e.map((x, i) => x - along * u[i]);
+  const norm = Math.sqrt(dot(v, v));
+  return v.map((x) => x / norm);
+}
+
+/**
+ * View of `vectors` along their first two principal components, scaled
+ * equally on both axes (so on-screen distances stay proportional) to fit
+ * the plot. `explained` is each component's share of the total variance.
+ */
+export function pcaProjection(vectors, names) {
+  const d = names.length;
+  const mean = featureMeans(vectors);
+  const n = Math.max(1, vectors.length - 1);
+  const cov = Array.from({ length: d }, () => new Array(d).fill(0));
+  vectors.forEach((f) => {
+    const c = f.map((v, i) => v - mean[i]);
+    for (let i = 0; i < d; i++) {
+      for (let j = 0; j < d; j++) cov[i][j] += (c[i] * c[j]) / n;
+    }
+  });
+  const total = cov.reduce((sum, row, i) => sum + row[i], 0);
+
+  const u = leadingEigenvector(cov);
+  const lambda1 = dot(
+    u,
+    cov.map((row) => dot(row, u))
+  );
+  // Deflate: remove the first component and find the next one.
+  const deflated = cov.map((row, i) =>
+    row.map((v, j) => v - lambda1 * u[i] * u[j])
+  );
+  let v = leadingEigenvector(deflated);
+  // Numerical leftovers can leave v along u; force it orthogonal.
+  const along = dot(v, u);
+  v = v.map((x, i) => x - along * u[i]);
+  const vNorm = Math.sqrt(dot(v, v));
+  v = vNorm > 1e-9 ? v.map((x) => x / vNorm) : perpendicular(u);
+  const lambda2 = Math.max(
+    0,
+    dot(
+      v,
+      cov.map((row) => dot(row, v))
+    )
+  );
+
+  // One scale for both axes, centered in the plot.
+  const coords = vectors.map((f) => {
+    const c = f.map((x, i) => x - mean[i]);
+    return [dot(u, c), dot(v, c)];
+  });
+  const range = (k) => {
+    const vals = coords.map((c) => c[k]);
+    return vals.length ? [Math.min(...vals), Math.max(...vals)] : [0, 0];
+  };
+  const [ru, rv] = [range(0), range(1)];
+  const span = Math.max(ru[1] - ru[0], rv[1] - rv[0]);
+  const s = span > 0 ? (100 - 2 * PCA_MARGIN) / span : 1;
+  return {
+    names,
+    view: "pca",
+    pair: null,
+    mean,
+    axes: [u, v],
+    origin: [50 - (s * (ru[0] + ru[1])) / 2, 50 - (s * (rv[0] + rv[1])) / 2],
+    scale: [s, s],
+    explained: total > 0 ? [lambda1 / total, lambda2 / total] : [0, 0],
+  };
+}
+
+/** Plot position of a feature vector. */
+export function projectFeatures(projection, features) {
+  const { mean, axes, origin, scale } = projection;
+  const c = features.map((v, i) => v - mean[i]);
+  return {
+    x: origin[0] + scale[0] * dot(axes[0], c),
+    y: origin[1] + scale[1] * dot(axes[1], c),
+  };
+}
+
+/**
+ * The feature vector k-NN compares for `point`. A point with `features`
+ * that was moved on the plot is shifted by the same amount within the
+ * view; a point without them (placed on the plot, or a query) is lifted
+ * from its position, with every direction off the view at the mean.
+ */
+export function liftFeatures(projection, point) {
+  const { mean, axes, origin, scale } = projection;
+  let base = mean;
+  let du = (point.x - origin[0]) / scale[0];
+  let dv = (point.y - origin[1]) / scale[1];
+  if (point.features && point.features.length === mean.length) {
+    const at = projectFeatures(projection, point.features);
+    base = point.features;
+    du = (point.x - at.x) / scale[0];
+    dv = (point.y - at.y) / scale[1];
+  }
+  if (du === 0 && dv === 0) return base.slice();
+  return base.map((v, i) => v + du * axes[0][i] + dv * axes[1][i]);
+}
+
+/**
+ * Move `points` from the `from` projection to `to`: each keeps its
+ * features (including any moves made on the plot) and gets the position
+ * `to` gives them.
+ */
+export function reproject(points, from, to) {
+  return points.map((p) => {
+    const features = liftFeatures(from, p);
+    return { ...p, features, ...projectFeatures(to, features) };
+  });
+}
+
+/**
+ * How distances concentrate as the dimension grows. For every dimension
+ * in `dims`, `samples` points are drawn uniformly in the unit cube and
+ * `queries` more are compared with them (Euclidean). Returns
+ * `[{ dim, contrast, ratio }]`: the mean relative contrast
+ * (max − min) / min and the mean nearest / farthest ratio, which tends to 1
+ * as every point becomes about equally far away.
+ */
+export function distanceConcentration(
+  dims = CONCENTRATION_DIMS,
+  { samples = 200, queries = 20, seed = 1 } = {}
+) {
+  return dims.map((dim) => {
+    const rng = createRng(seed + dim);
+    const draw = () => Array.from({ length: dim }, () => rng());
+    const data = Array.from({ length: samples }, draw);
+    let contrast = 0;
+    let ratio = 0;
+    for (let q = 0; q < queries; q++) {
+      const query = draw();
+      let min = Infinity;
+      let max = 0;
+      data.forEach((f) => {
+        const d = Math.sqrt(
+          f.reduce((sum, v, i) => sum + (v - query[i]) ** 2, 0)
+        );
+        min = Math.min(min, d);
+        max = Math.max(max, d);
+      });
+      contrast += (max - min) / min / queries;
+      ratio += min / max / queries;
+    }
+    return { dim, contrast, ratio };
+  });
+}
+
+/**
+ * The same nearest / farthest ratio for actual `points` under a distance
+ * function `dist(a, b)`, with each point queried against the others.
+ * Null with fewer than three points.
+ */
+export function pointsConcentration(points, dist) {
+  if (points.length < 3) return null;
+  let ratio = 0;
+  points.forEach((a, i) => {
+    let min = Infinity;
+    let max = 0;
+    points.forEach((b, j) => {
+      if (i === j) return;
+      const d = dist(a, b);
+      min = Math.min(min, d);
+      max = Math.max(max, d);
+    });
+    ratio += max > 0 ? min / max / points.length : 1 / points.length;
+  });
+  return ratio;
+}
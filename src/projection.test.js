@@ -0,0 +1,88 @@
+import {
+  distanceConcentration,
+  liftFeatures,
+  pairProjection,
+  pcaProjection,
+  pointsConcentration,
+  projectFeatures,
+  reproject,
+} from "./projection";
+
+const names = ["a", "b", "c"];
+const vectors = [
+  [10, 20, 30],
+  [30, 40, 50],
+  [20, 60, 10],
+];
+
+const dot = (u, v) => u.reduce((sum, x, i) => sum + x * v[i], 0);
+
+test("a feature pair draws those two features as x and y", () => {
+  const projection = pairProjection(vectors, names, 2, 0);
+  expect(projectFeatures(projection, [10, 20, 30])).toEqual({ x: 30, y: 10 });
+  // Lifting a plot position keeps the third feature at its mean.
+  expect(liftFeatures(projection, { x: 45, y: 5 })).toEqual([5, 40, 45]);
+});
+
+test("moving a point shifts its features within the view only", () => {
+  const projection = pairProjection(vectors, names, 0, 1);
+  const point = { x: 15, y: 20, features: [10, 20, 30] };
+  expect(liftFeatures(projection, point)).toEqual([15, 20, 30]);
+  expect(liftFeatures(projection, { ...point, x: 10 })).toEqual([10, 20, 30]);
+});
+
+test("PCA finds the direction of most variance", () => {
+  // Points along (1, 2, 2) / 3 with a little noise across it.
+  const line = Array.from({ length: 20 }, (_, i) => [
+    i + (i % 2) * 0.1,
+    2 * i,
+    2 * i - (i % 2) * 0.1,
+  ]);
+  const projection = pcaProjection(line, names);
+  const [u, v] = projection.axes;
+  expect(Math.abs(dot(u, [1 / 3, 2 / 3, 2 / 3]))).toBeCloseTo(1, 3);
+  expect(dot(u, u)).toBeCloseTo(1);
+  expect(dot(v, v)).toBeCloseTo(1);
+  expect(dot(u, v)).toBeCloseTo(0);
+  expect(projection.explained[0]).toBeGreaterThan(0.99);
+  line.forEach((f) => {
+    const { x, y } = projectFeatures(projection, f);
+    expect(x).toBeGreaterThanOrEqual(4.99);
+    expect(x).toBeLessThanOrEqual(95.01);
+    expect(y).toBeGreaterThanOrEqual(4.99);
+    expect(y).toBeLessThanOrEqual(95.01);
+  });
+});
+
+test("reprojecting keeps the features and moves the points", () => {
+  const from = pairProjection(vectors, names, 0, 1);
+  const to = pairProjection(vectors, names, 1, 2);
+  const points = vectors.map((features) => ({
+    ...projectFeatures(from, features),
+    features,
+    label: "A",
+  }));
+  const moved = reproject(points, from, to);
+  expect(moved.map((p) => p.features)).toEqual(vectors);
+  expect(moved[0]).toMatchObject({ x: 20, y: 30, label: "A" });
+  expect(reproject(moved, to, from)).toEqual(points);
+});
+
+test("distances concentrate as the dimension grows", () => {
+  const [low, high] = distanceConcentration([2, 100], {
+    samples: 100,
+    queries: 5,
+  });
+  expect(low.dim).toBe(2);
+  expect(high.ratio).toBeGreaterThan(low.ratio);
+  expect(high.ratio).toBeGreaterThan(0.5);
+  expect(high.contrast).toBeLessThan(low.contrast);
+});
+
+test("the nearest / farthest ratio of actual points", () => {
+  const dist = (a, b) => Math.abs(a.x - b.x);
+  expect(pointsConcentration([{ x: 0 }, { x: 1 }], dist)).toBeNull();
+  // Each point's nearest / farthest: 1/3, 1/2 and 2/3.
+  const ratio = pointsConcentration([{ x: 0 }, { x: 1 }, { x: 3 }], dist);
+  expect(ratio).toBeCloseTo(0.5);
+});
@@ -0,0 +1,271 @@
+// Prototype selection: pruning the training set so k-NN has less to store
+// and search. Every method returns one decision per training point,
+// `{ kept, reason, detail }`, where `reason` is a key of PRUNING_REASONS
+// and `detail` a sentence about that point.
+
+import { foldAssignments } from "./crossValidation";
+import {
+  createKnn,
+  createKnnRegressor,
+  getNeighbors,
+  majorityLabel,
+} from "./knn";
+import { createRng } from "./random";
+
+export const PRUNING_METHODS = {
+  cnn: "Condensed NN (Hart)",
+  enn: "Edited NN (Wilson)",
+  random: "Random subsample",
+  stratified: "Stratified subsample",
+};
+
+// Methods that read class labels, so classification only.
+export const LABELLED_METHODS = ["cnn", "enn", "stratified"];
+
+export const PRUNING_REASONS = {
+  start: "Started the kept set",
+  misclassified: "Misclassified by the kept set",
+  absorbed: "Already classified by the kept set",
+  agrees: "Agrees with its neighbors",
+  outvoted: "Outvoted by its neighbors",
+  drawn: "Drawn",
+  notDrawn: "Not drawn",
+};
+
+function shuffled(n, seed) {
+  const rng = createRng(seed);
+  const order = Array.from({ length: n }, (_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+/**
+ * Hart's Condensed Nearest Neighbor: start from one point and keep adding
+ * every point the kept set's 1-NN gets wrong, pass after pass (in a seeded
+ * random order), until a full pass adds nothing. What remains classifies
+ * every training point correctly with 1-NN; it mostly keeps points near
+ * the class borders.
+ */
+function condensed(points, { metric, p, metricParams }, seed) {
+  const order = shuffled(points.length, seed);
+  const decisions = new Array(points.length);
+  const store = [order[0]];
+  decisions[order[0]] = {
+    kept: true,
+    reason: "start",
+    detail: "The first point visited starts the kept set.",
+  };
+  for (let pass = 1, changed = true; changed; pass++) {
+    changed = false;
+    order.forEach((i) => {
+      if (decisions[i] && decisions[i].kept) return;
+      const storePoints = store.map((s) => points[s]);
+      const [nearest] = getNeighbors(
+        points[i],
+        storePoints,
+        1,
+        metric,
+        p,
+        metricParams
+      );
+      const label = storePoints[nearest.index].label;
+      if (label !== points[i].label) {
+        store.push(i);
+        changed = true;
+        decisions[i] = {
+          kept: true,
+          reason: "misclassified",
+          detail: `In pass ${pass}, its nearest kept point was ${label}, not ${points[i].label}.`,
+        };
+      } else {
+        decisions[i] = {
+          kept: false,
+          reason: "absorbed",
+          detail: `Its nearest kept point is also ${label}, so 1-NN gets it right without it.`,
+        };
+      }
+    });
+  }
+  return decisions;
+}
+
+/**
+ * Wilson's Edited Nearest Neighbor: drop every point whose k nearest other
+ * points vote for a different class. It removes noise and overlap, which
+ * smooths the boundary, but keeps the interior of each class.
+ */
+function edited(points, options) {
+  const { metric, p, metricParams, weights, bandwidth, tieBreak, seed } =
+    options;
+  const k = Math.max(1, Math.min(options.k, points.length - 1));
+  return points.map((point, i) => {
+    // One extra neighbor, so the point itself can be dropped from the list.
+    const neighbors = getNeighbors(
+      point,
+      points,
+      k + 1,
+      metric,
+      p,
+      metricParams
+    )
+      .filter((n) => n.index !== i)
+      .slice(0, k)
+      .map((n) => ({ ...points[n.index], index: n.index, dist: n.dist }));
+    const vote = majorityLabel(neighbors, {
+      weights,
+      bandwidth,
+      tieBreak,
+      seed,
+    });
+    if (!vote || vote.label === point.label) {
+      return {
+        kept: true,
+        reason: "agrees",
+        detail: `Its ${k} nearest neighbors vote ${point.label}, its own class.`,
+      };
+    }
+    return {
+      kept: false,
+      reason: "outvoted",
+      detail: `Its ${k} nearest neighbors vote ${vote.label}, but it is ${point.label}.`,
+    };
+  });
+}
+
+/**
+ * Keep `fraction` of the points, drawn at random; `stratified` draws the
+ * same fraction from every class (at least one point each).
+ */
+function subsample(points, fraction, seed, stratified) {
+  const groups = new Map();
+  points.forEach((point, i) => {
+    const key = stratified ? point.label : "";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  });
+  const drawn = new Set();
+  let g = 0;
+  groups.forEach((indexes) => {
+    const count = Math.max(1, Math.round(indexes.length * fraction));
+    shuffled(indexes.length, seed + g++)
+      .slice(0, count)
+      .forEach((j) => drawn.add(indexes[j]));
+  });
+  const share = `${Math.round(fraction * 100)}%`;
+  const from = stratified ? "its class" : "the training set";
+  return points.map((_, i) =>
+    drawn.has(i)
+      ? {
+          kept: true,
+          reason: "drawn",
+          detail: `Drawn in the ${share} sample of ${from}.`,
+        }
+      : {
+          kept: false,
+          reason: "notDrawn",
+          detail: `Not drawn in the ${share} sample of ${from}.`,
+        }
+  );
+}
+
+/**
+ * Decide which of `points` (training points) `method` keeps. `options` are
+ * the model options (the metric settings; `k` and the vote settings for
+ * Edited NN). `fraction` is the share subsampling keeps; `seed` orders
+ * Condensed NN's visits and draws the subsamples.
+ */
+export function prunePoints(
+  method,
+  points,
+  options,
+  { fraction = 0.5, seed = 1 } = {}
+) {
+  if (points.length === 0) return [];
+  switch (method) {
+    case "cnn":
+      return condensed(points, options, seed);
+    case "enn":
+      return points.length < 2
+        ? points.map(() => ({
+            kept: true,
+            reason: "agrees",
+            detail: "A single point has no neighbors to disagree with.",
+          }))
+        : edited(points, options);
+    case "stratified":
+      return subsample(points, fraction, seed, true);
+    default:
+      return subsample(points, fraction, seed, false);
+  }
+}
+
+/**
+ * How pruning changes k-fold cross-validated performance: every fold is
+ * predicted by a model fit on the other folds, once as they are and once
+ * after pruning them with `prunePoints(method, …, pruneOptions)`. Scores
+ * are `{ accuracy }` (classification) or `{ rmse }` (regression) over the
+ * points that got a prediction (NaN when none did, e.g. after pruning
+ * everything), and `trainSize` is the mean number of training points per
+ * fold. Null with fewer than two usable points.
+ */
+export function pruningCrossValidation(
+  points,
+  mode,
+  method,
+  options,
+  pruneOptions,
+  { folds = 5, seed = 1 } = {}
+) {
+  const isRegression = mode === "regression";
+  const usable = isRegression
+    ? points.filter((p) => Number.isFinite(p.value))
+    : points;
+  const n = usable.length;
+  if (n < 2) return null;
+  const foldCount = Math.max(2, Math.min(n, folds));
+  const assignment = foldAssignments(n, foldCount, seed);
+
+  const totals = {
+    full: { error: 0, count: 0, size: 0 },
+    pruned: { error: 0, count: 0, size: 0 },
+  };
+  for (let f = 0; f < foldCount; f++) {
+    const train = usable.filter((_, i) => assignment[i] !== f);
+    const test = usable.filter((_, i) => assignment[i] === f);
+    const decisions = prunePoints(method, train, options, pruneOptions);
+    const kept = train.filter((_, i) => decisions[i].kept);
+    [
+      ["full", train],
+      ["pruned", kept],
+    ].forEach(([key, set]) => {
+      const model = (
+        isRegression ? createKnnRegressor(options) : createKnn(options)
+      ).fit(set);
+      const predicted = model.predict(test);
+      test.forEach((point, i) => {
+        // An empty training set predicts nothing, which is not an error of 0.
+        if (predicted[i] === null) return;
+        totals[key].count += 1;
+        totals[key].error += isRegression
+          ? (predicted[i] - point.value) ** 2
+          : predicted[i] === point.label
+            ? 0
+            : 1;
+      });
+      totals[key].size += set.length / foldCount;
+    });
+  }
+
+  const score = ({ error, count, size }) =>
+    isRegression
+      ? { rmse: count ? Math.sqrt(error / count) : NaN, trainSize: size }
+      : { accuracy: count ? 1 - error / count : NaN, trainSize: size };
+  return {
+    folds: foldCount,
+    full: score(totals.full),
+    pruned: score(totals.pruned),
+  };
+}
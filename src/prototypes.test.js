@@ -0,0 +1,136 @@
+import { getNeighbors, majorityLabel } from "./knn";
+import { prunePoints, pruningCrossValidation } from "./prototypes";
+
+const options = {
+  k: 3,
+  metric: "euclidean",
+  p: 3,
+  weights: "uniform",
+  tieBreak: "nearest",
+};
+
+// Two well-separated 5 × 5 grids plus one mislabelled point inside A.
+function grids() {
+  const points = [];
+  for (let i = 0; i < 5; i++) {
+    for (let j = 0; j < 5; j++) {
+      points.push({ x: 10 + i * 5, y: 10 + j * 5, label: "A" });
+      points.push({ x: 70 + i * 5, y: 10 + j * 5, label: "B" });
+    }
+  }
+  points.push({ x: 21, y: 21, label: "B" });
+  return points;
+}
+
+test("Condensed NN keeps a consistent subset of the points", () => {
+  const points = grids();
+  const decisions = prunePoints("cnn", points, options, { seed: 3 });
+  const kept = points.filter((_, i) => decisions[i].kept);
+  expect(kept.length).toBeLessThan(points.length / 2);
+  expect(decisions.filter((d) => d.reason === "start")).toHaveLength(1);
+  // 1-NN on the kept set classifies every training point correctly.
+  points.forEach((point) => {
+    const [nearest] = getNeighbors(point, kept, 1);
+    expect(kept[nearest.index].label).toBe(point.label);
+  });
+  decisions
+    .filter((d) => !d.kept)
+    .forEach((d) => expect(d.reason).toBe("absorbed"));
+});
+
+test("Edited NN removes the point its neighbors outvote", () => {
+  const points = grids();
+  const decisions = prunePoints("enn", points, options);
+  const removed = points.filter((_, i) => !decisions[i].kept);
+  expect(removed).toEqual([{ x: 21, y: 21, label: "B" }]);
+  expect(decisions[points.length - 1]).toMatchObject({
+    reason: "outvoted",
+    detail: "Its 3 nearest neighbors vote A, but it is B.",
+  });
+});
+
+test("Edited NN breaks ties the way the model does", () => {
+  // Every point sits between one neighbor of each class.
+  const points = Array.from({ length: 12 }, (_, i) => ({
+    x: 10 + i * 5,
+    y: 50,
+    label: i % 2 ? "A" : "B",
+  }));
+  const tied = { ...options, k: 2, tieBreak: "random", seed: 4 };
+  const decisions = prunePoints("enn", points, tied);
+  points.forEach((point, i) => {
+    const neighbors = getNeighbors(point, points, 3)
+      .filter((n) => n.index !== i)
+      .slice(0, 2);
+    const vote = majorityLabel(neighbors, tied);
+    expect(decisions[i].kept).toBe(vote.label === point.label);
+  });
+});
+
+test("subsamples keep the requested share, per class when stratified", () => {
+  const points = grids().slice(0, 50);
+  const random = prunePoints("random", points, options, {
+    fraction: 0.3,
+    seed: 2,
+  });
+  expect(random.filter((d) => d.kept)).toHaveLength(15);
+  expect(
+    prunePoints("random", points, options, { fraction: 0.3, seed: 2 })
+  ).toEqual(random);
+
+  const stratified = prunePoints("stratified", points, options, {
+    fraction: 0.2,
+  });
+  ["A", "B"].forEach((label) => {
+    const kept = points.filter(
+      (p, i) => p.label === label && stratified[i].kept
+    );
+    expect(kept).toHaveLength(5);
+  });
+});
+
+test("cross-validation compares the full and pruned training sets", () => {
+  const points = grids();
+  const result = pruningCrossValidation(points, "classification", "cnn", {
+    ...options,
+    k: 1,
+  });
+  expect(result.folds).toBe(5);
+  expect(result.full.trainSize).toBeCloseTo((points.length * 4) / 5);
+  expect(result.pruned.trainSize).toBeLessThan(result.full.trainSize);
+  expect(result.full.accuracy).toBeGreaterThan(0.9);
+  expect(result.pruned.accuracy).toBeGreaterThan(0.9);
+
+  const values = points.map((p) => ({ ...p, value: p.x }));
+  const regression = pruningCrossValidation(
+    values,
+    "regression",
+    "random",
+    options,
+    { fraction: 0.5 }
+  );
+  expect(regression.full.rmse).toBeGreaterThanOrEqual(0);
+  expect(regression.pruned.trainSize).toBeCloseTo(
+    regression.full.trainSize / 2,
+    0
+  );
+  expect(
+    pruningCrossValidation(points.slice(0, 1), "classification", "enn", options)
+  ).toBeNull();
+});
+
+test("cross-validation leaves out queries that get no prediction", () => {
+  const values = grids().map((p) => ({ ...p, value: p.x }));
+  // No training point lies within the radius, so nothing is predicted.
+  const empty = { ...options, neighborMode: "radius", radius: 0.5 };
+  const result = pruningCrossValidation(values, "regression", "random", empty, {
+    fraction: 0.5,
+  });
+  expect(result.full.rmse).toBeNaN();
+  expect(result.pruned.rmse).toBeNaN();
+  expect(
+    pruningCrossValidation(values, "classification", "random", empty, {
+      fraction: 0.5,
+    }).full.accuracy
+  ).toBeNaN();
+});
@@ -0,0 +1,39 @@
+// Small seeded PRNG helpers so that "random" behavior is reproducible
+// (the same seed gives the same result in every browser).
+
+/** Hash any string into a 32-bit unsigned integer (FNV-1a). */
+export function hashString(str) {
+  let h = 0x811c9dc5;
+  const s = String(str);
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Mulberry32 generator. Returns a function producing floats in [0, 1).
+ * Non-numeric seeds are hashed first.
+ */
+export function createRng(seed = 1) {
+  let a =
+    typeof seed === "number" && Number.isFinite(seed)
+      ? seed >>> 0
+      : hashString(seed);
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Standard normal draw from `rng` (Box–Muller). */
+export function gaussian(rng) {
+  // 1 - rng() keeps the log argument in (0, 1].
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
@@ -0,0 +1,28 @@
+import { createRng, hashString } from "./random";
+
+describe("createRng", () => {
+  test("is deterministic for a seed", () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    for (let i = 0; i < 10; i++) expect(a()).toBe(b());
+  });
+
+  test("returns floats in [0, 1)", () => {
+    const rng = createRng(3);
+    for (let i = 0; i < 1000; i++) {
+      const v = rng();
+      expect(v).toBeGreaterThanOrEqual(0);
+      expect(v).toBeLessThan(1);
+    }
+  });
+
+  test("accepts string seeds", () => {
+    expect(createRng("class-demo")()).toBe(createRng("class-demo")());
+    expect(createRng("a")()).not.toBe(createRng("b")());
+  });
+});
+
+test("hashString is stable", () => {
+  expect(hashString("abc")).toBe(hashString("abc"));
+  expect(hashString("abc")).not.toBe(hashString("abd"));
+});
@@ -0,0 +1,170 @@
+// Feature scaling. Points always live in plot coordinates (0–100); `axes`
+// maps them back to the dataset's raw feature units, and a scaling turns
+// raw units into the features k-NN compares.
+//
+// Every step is a per-axis affine map, so scaling amounts to weighting the
+// plot axes: `scalingWeights` gives those weights, which the metrics apply
+// as `axisWeights` (see `distance`). The plot, the search trees and the
+// boundary grid therefore never leave plot coordinates.
+//
+// An axis is `{ name, offset, scale }` with raw = offset + scale · plot.
+
+export const SCALINGS = {
+  none: "None (raw units)",
+  minmax: "Min-max",
+  zscore: "Z-score",
+  robust: "Robust (median / IQR)",
+};
+
+export const IDENTITY_AXES = {
+  x: { name: "x", offset: 0, scale: 1 },
+  y: { name: "y", offset: 0, scale: 1 },
+};
+
+/** Raw feature values `{ x, y }` of a point in plot coordinates. */
+export function toRaw(point, axes) {
+  return {
+    x: axes.x.offset + axes.x.scale * point.x,
+    y: axes.y.offset + axes.y.scale * point.y,
+  };
+}
+
+/** Plot coordinates of raw feature values `{ x, y }`: the inverse of `toRaw`. */
+export function fromRaw(raw, axes) {
+  return {
+    x: (raw.x - axes.x.offset) / axes.x.scale,
+    y: (raw.y - axes.y.offset) / axes.y.scale,
+  };
+}
+
+/**
+ * Axes that map the plot's 0–100 onto `ranges` (`{ x: [min, max], y: [min,
+ * max] }`). Empty or reversed ranges keep plot units.
+ */
+export function axesForRanges(ranges, names = {}) {
+  const axis = (key) => {
+    const [min, max] = ranges[key];
+    const valid = Number.isFinite(min) && Number.isFinite(max) && max > min;
+    return {
+      name: names[key] || key,
+      offset: valid ? min : 0,
+      scale: valid ? (max - min) / 100 : 1,
+    };
+  };
+  return { x: axis("x"), y: axis("y") };
+}
+
+/**
+ * Chain two axis maps: `inner` takes plot coordinates to intermediate
+ * values and `outer` takes those to raw units. Names come from `outer`.
+ */
+export function composeAxes(outer, inner) {
+  const axis = (key) => ({
+    name: outer[key].name,
+    offset: outer[key].offset + outer[key].scale * inner[key].offset,
+    scale: outer[key].scale * inner[key].scale,
+  });
+  return { x: axis("x"), y: axis("y") };
+}
+
+/** Axes as flat `# key=value` settings for dataset export. */
+export function axesToSettings(axes) {
+  return {
+    xName: axes.x.name,
+    xOffset: axes.x.offset,
+    xScale: axes.x.scale,
+    yName: axes.y.name,
+    yOffset: axes.y.offset,
+    yScale: axes.y.scale,
+  };
+}
+
+/**
+ * Axes read back from exported settings, or null when they are missing or
+ * invalid. `names` fill in missing axis names.
+ */
+export function axesFromSettings(settings, names = {}) {
+  const axis = (key) => {
+    const offset = settings[`${key}Offset`];
+    const scale = settings[`${key}Scale`];
+    if (!Number.isFinite(offset) || !Number.isFinite(scale) || scale <= 0) {
+      return null;
+    }
+    const name = settings[`${key}Name`];
+    return {
+      name:
+        name !== undefined && name !== "" ? String(name) : names[key] || key,
+      offset,
+      scale,
+    };
+  };
+  const x = axis("x");
+  const y = axis("y");
+  return x && y ? { x, y } : null;
+}
+
+// Linearly interpolated quantile of sorted values.
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lo = Math.floor(position);
+  const hi = Math.ceil(position);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (position - lo);
+}
+
+function fitAxis(kind, values) {
+  if (kind === "none" || values.length === 0) return { center: 0, spread: 1 };
+  const sorted = values.slice().sort((a, b) => a - b);
+  let center;
+  let spread;
+  if (kind === "minmax") {
+    center = sorted[0];
+    spread = sorted[sorted.length - 1] - sorted[0];
+  } else if (kind === "robust") {
+    center = quantile(sorted, 0.5);
+    spread = quantile(sorted, 0.75) - quantile(sorted, 0.25);
+  } else {
+    center = values.reduce((sum, v) => sum + v, 0) / values.length;
+    spread = Math.sqrt(
+      values.reduce((sum, v) => sum + (v - center) ** 2, 0) / values.length
+    );
+  }
+  // A constant axis (or one whose middle half is constant) is left as is.
+  return { center, spread: spread > 0 ? spread : 1 };
+}
+
+/**
+ * Fit a scaling on `points` (usually the training points) in raw units.
+ * Returns `{ kind, x: { center, spread }, y: { center, spread } }`; the
+ * scaled feature is (raw - center) / spread.
+ * - "minmax": center = min, spread = max - min (features in [0, 1]).
+ * - "zscore": center = mean, spread = standard deviation.
+ * - "robust": center = median, spread = interquartile range.
+ * - "none": raw units.
+ */
+export function fitScaling(kind, points, axes) {
+  const raw = points.map((p) => toRaw(p, axes));
+  const xs = raw.map((r) => r.x);
+  const ys = raw.map((r) => r.y);
+  return { kind, x: fitAxis(kind, xs), y: fitAxis(kind, ys) };
+}
+
+/** Scaled features `{ x, y }` of a point in plot coordinates. */
+export function scaleFeatures(point, axes, scaling) {
+  const raw = toRaw(point, axes);
+  return {
+    x: (raw.x - scaling.x.center) / scaling.x.spread,
+    y: (raw.y - scaling.y.center) / scaling.y.spread,
+  };
+}
+
+/**
+ * How much one plot unit weighs along each axis once scaled: distances
+ * between scaled features equal distances between plot coordinates with
+ * these axis weights (for every metric that ignores translation).
+ */
+export function scalingWeights(axes, scaling) {
+  return {
+    x: axes.x.scale / scaling.x.spread,
+    y: axes.y.scale / scaling.y.spread,
+  };
+}
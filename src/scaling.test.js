@@ -0,0 +1,117 @@
+import {
+  axesForRanges,
+  axesFromSettings,
+  axesToSettings,
+  composeAxes,
+  fitScaling,
+  fromRaw,
+  IDENTITY_AXES,
+  scaleFeatures,
+  scalingWeights,
+  toRaw,
+} from "./scaling";
+import { distance } from "./metrics";
+
+const axes = axesForRanges(
+  { x: [0, 1], y: [1000, 11000] },
+  { x: "ratio", y: "income" }
+);
+const points = [
+  { x: 10, y: 20 },
+  { x: 30, y: 90 },
+  { x: 50, y: 40 },
+  { x: 90, y: 60 },
+];
+
+test("axesForRanges maps the plot onto raw ranges", () => {
+  expect(toRaw({ x: 0, y: 0 }, axes)).toEqual({ x: 0, y: 1000 });
+  expect(toRaw({ x: 100, y: 50 }, axes)).toEqual({ x: 1, y: 6000 });
+  expect(axes.y.name).toBe("income");
+  const fallback = axesForRanges({ x: [5, 5], y: [0, 100] });
+  expect(fallback.x).toEqual({ name: "x", offset: 0, scale: 1 });
+});
+
+test("fromRaw places raw values back in the plot", () => {
+  expect(fromRaw({ x: 0.25, y: 6000 }, axes)).toEqual({ x: 25, y: 50 });
+  points.forEach((p) => {
+    const back = fromRaw(toRaw(p, axes), axes);
+    expect(back.x).toBeCloseTo(p.x);
+    expect(back.y).toBeCloseTo(p.y);
+  });
+});
+
+test("composeAxes chains two maps", () => {
+  const inner = { x: { offset: 2, scale: 3 }, y: { offset: 0, scale: 1 } };
+  const composed = composeAxes(axes, inner);
+  const viaInner = toRaw(toRaw({ x: 7, y: 9 }, inner), axes);
+  const raw = toRaw({ x: 7, y: 9 }, composed);
+  expect(raw.x).toBeCloseTo(viaInner.x);
+  expect(raw.y).toBeCloseTo(viaInner.y);
+  expect(composed.x.name).toBe("ratio");
+});
+
+test("axes round-trip through settings", () => {
+  expect(axesFromSettings(axesToSettings(axes))).toEqual(axes);
+  expect(axesFromSettings({ xOffset: 1, xScale: 0 })).toBeNull();
+});
+
+const scaledValues = (kind, key) => {
+  const fitted = fitScaling(kind, points, axes);
+  return points.map((p) => scaleFeatures(p, axes, fitted)[key]);
+};
+
+test.each(["x", "y"])("min-max scaling maps %s onto [0, 1]", (key) => {
+  const vals = scaledValues("minmax", key);
+  expect(Math.min(...vals)).toBeCloseTo(0);
+  expect(Math.max(...vals)).toBeCloseTo(1);
+});
+
+test.each(["x", "y"])("z-score scaling standardizes %s", (key) => {
+  const vals = scaledValues("zscore", key);
+  const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
+  const variance = vals.reduce((a, b) => a + (b - mean) ** 2, 0) / vals.length;
+  expect(mean).toBeCloseTo(0);
+  expect(variance).toBeCloseTo(1);
+});
+
+test.each(["x", "y"])("robust scaling centers %s on the median", (key) => {
+  const vals = scaledValues("robust", key).sort((a, b) => a - b);
+  expect((vals[1] + vals[2]) / 2).toBeCloseTo(0);
+  // Four points: the quartiles sit a quarter of the way into each half.
+  const q = (i, t) => vals[i] + (vals[i + 1] - vals[i]) * t;
+  expect(q(2, 0.25) - q(0, 0.75)).toBeCloseTo(1);
+});
+
+test("none keeps raw units and constant features stay finite", () => {
+  const fitted = fitScaling("none", points, axes);
+  expect(scaleFeatures(points[0], axes, fitted)).toEqual(
+    toRaw(points[0], axes)
+  );
+  const flat = fitScaling(
+    "zscore",
+    [
+      { x: 5, y: 1 },
+      { x: 5, y: 2 },
+    ],
+    axes
+  );
+  expect(flat.x.spread).toBe(1);
+});
+
+test("scaling weights reproduce distances between scaled features", () => {
+  const fitted = fitScaling("zscore", points, axes);
+  const axisWeights = scalingWeights(axes, fitted);
+  const [a, b] = [points[0], points[3]];
+  ["euclidean", "manhattan", "chebyshev"].forEach((metric) => {
+    expect(distance(a, b, metric, 3, { axisWeights })).toBeCloseTo(
+      distance(
+        scaleFeatures(a, axes, fitted),
+        scaleFeatures(b, axes, fitted),
+        metric
+      )
+    );
+  });
+  expect(
+    scalingWeights(IDENTITY_AXES, fitScaling("none", points, IDENTITY_AXES))
+  ).toEqual({ x: 1, y: 1 });
+});
@@ -0,0 +1,241 @@
+// Spatial indexes for exact k-nearest-neighbor search: a KD-tree (axis-
+// aligned boxes) and a ball tree (bounding balls under the search metric).
+// Both return exactly what a brute-force scan returns, including the order
+// of equal distances (lower training index first); they only skip subtrees
+// that provably cannot contain a closer point.
+
+import { distance } from "./metrics";
+
+export const SEARCH_ALGORITHMS = ["brute", "kd", "ball"];
+
+const LEAF_SIZE = 8;
+
+/**
+ * Whether a `kind` tree gives exact results for this metric. Ball trees
+ * need the triangle inequality, which Minkowski distances lack for p < 1
+ * and cosine distance lacks altogether. KD-tree bounds assume the distance
+ * grows with the gap on each axis, which rules out cosine and (correlated)
+ * Mahalanobis.
+ */
+export function treeSupports(kind, metric, p) {
+  if (metric === "cosine") return false;
+  if (kind === "kd") return metric !== "mahalanobis";
+  if (kind === "ball") return metric !== "minkowski" || p >= 1;
+  return false;
+}
+
+// Subtrees are pruned only when their lower bound beats the current k-th
+// distance by more than rounding error, so floating-point noise in the
+// bound can never drop a true neighbor.
+const PRUNE_SLACK = 1e-9;
+
+function boundsOf(points, indexes) {
+  const box = {
+    minX: Infinity,
+    maxX: -Infinity,
+    minY: Infinity,
+    maxY: -Infinity,
+  };
+  indexes.forEach((i) => {
+    const { x, y } = points[i];
+    if (x < box.minX) box.minX = x;
+    if (x > box.maxX) box.maxX = x;
+    if (y < box.minY) box.minY = y;
+    if (y > box.maxY) box.maxY = y;
+  });
+  return box;
+}
+
+// Split indexes at the median along the box's wider axis.
+function splitIndexes(points, indexes, box) {
+  const axis = box.maxX - box.minX >= box.maxY - box.minY ? "x" : "y";
+  const sorted = indexes
+    .slice()
+    .sort((a, b) => points[a][axis] - points[b][axis] || a - b);
+  const mid = sorted.length >> 1;
+  return {
+    axis,
+    split: points[sorted[mid]][axis],
+    left: sorted.slice(0, mid),
+    right: sorted.slice(mid),
+  };
+}
+
+/**
+ * Build a search tree over `points`.
+ *
+ * - "kd": every node stores the tight bounding box of its points and
+ *   leaves hold at most `leafSize` indexes. Serves every metric whose
+ *   distance grows with the gap on each axis (see `treeSupports`).
+ * - "ball": every node stores a center (the centroid) and the radius under
+ *   `metric`/`p`/`params` that covers its points, so it must be rebuilt
+ *   when the metric changes. Pruning relies on the triangle inequality.
+ *
+ * Nodes are `{ id, depth, count, indexes | left/right, … }`; ids number the
+ * nodes in depth-first order.
+ */
+export function buildTree(
+  points,
+  kind = "kd",
+  { metric = "euclidean", p = 3, params, leafSize = LEAF_SIZE } = {}
+) {
+  if (!SEARCH_ALGORITHMS.includes(kind) || kind === "brute") {
+    throw new Error(`Unknown search tree "${kind}"`);
+  }
+  let nextId = 0;
+
+  function build(indexes, depth) {
+    const node = { id: nextId++, depth, count: indexes.length };
+    const box = boundsOf(points, indexes);
+
+    if (kind === "kd") {
+      node.box = box;
+    } else {
+      const cx =
+        indexes.reduce((sum, i) => sum + points[i].x, 0) / indexes.length;
+      const cy =
+        indexes.reduce((sum, i) => sum + points[i].y, 0) / indexes.length;
+      node.center = { x: cx, y: cy };
+      node.radius = indexes.reduce(
+        (r, i) =>
+          Math.max(r, distance(points[i], node.center, metric, p, params)),
+        0
+      );
+    }
+
+    const degenerate = box.minX === box.maxX && box.minY === box.maxY;
+    if (indexes.length <= leafSize || degenerate) {
+      node.indexes = indexes;
+      return node;
+    }
+
+    const { axis, split, left, right } = splitIndexes(points, indexes, box);
+    node.axis = axis;
+    node.split = split;
+    node.left = build(left, depth + 1);
+    node.right = build(right, depth + 1);
+    return node;
+  }
+
+  const root =
+    points.length > 0
+      ? build(
+          points.map((_, i) => i),
+          0
+        )
+      : null;
+  return { kind, metric, p, params, points, root, size: nextId };
+}
+
+// Smallest possible distance from `query` to any point inside the node.
+function lowerBound(tree, node, query) {
+  if (tree.kind === "ball") {
+    const toCenter = distance(
+      query,
+      node.center,
+      tree.metric,
+      tree.p,
+      tree.params
+    );
+    return Math.max(0, toCenter - node.radius);
+  }
+  const { box } = node;
+  const dx = Math.max(box.minX - query.x, 0, query.x - box.maxX);
+  const dy = Math.max(box.minY - query.y, 0, query.y - box.maxY);
+  // Hamming: a gap of a full cell or more guarantees a different cell.
+  return distance(
+    { x: 0, y: 0 },
+    { x: dx, y: dy },
+    tree.metric,
+    tree.p,
+    tree.params
+  );
+}
+
+/**
+ * The k nearest points to `query` under the tree's metric, in the same
+ * shape and order as `getNeighbors`.
+ *
+ * With `{ trace: true }` returns `{ neighbors, visited, pruned,
+ * distanceCount }` instead: the nodes entered, the nodes skipped by their
+ * bound, and how many point distances were computed.
+ */
+export function queryTree(tree, query, k, { trace = false } = {}) {
+  const { metric, p, params } = tree;
+
+  const limit = Math.min(tree.points.length, Math.max(1, Math.floor(k) || 1));
+  const best = [];
+  const visited = [];
+  const pruned = [];
+  let distanceCount = 0;
+
+  const before = (a, b) =>
+    a.dist < b.dist || (a.dist === b.dist && a.index < b.index);
+
+  function consider(index) {
+    const dist = distance(tree.points[index], query, metric, p, params);
+    distanceCount++;
+    const candidate = { index, dist };
+    if (best.length === limit && !before(candidate, best[limit - 1])) return;
+
+    let lo = 0;
+    let hi = best.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (before(best[mid], candidate)) lo = mid + 1;
+      else hi = mid;
+    }
+    best.splice(lo, 0, candidate);
+    if (best.length > limit) best.pop();
+  }
+
+  function canSkip(bound) {
+    if (best.length < limit) return false;
+    const worst = best[limit - 1].dist;
+    return bound > worst + PRUNE_SLACK * Math.max(1, worst);
+  }
+
+  function search(node, bound) {
+    if (canSkip(bound)) {
+      if (trace) pruned.push(node);
+      return;
+    }
+    if (trace) visited.push(node);
+
+    if (node.indexes) {
+      node.indexes.forEach(consider);
+      return;
+    }
+    const leftBound = lowerBound(tree, node.left, query);
+    const rightBound = lowerBound(tree, node.right, query);
+    if (leftBound <= rightBound) {
+      search(node.left, leftBound);
+      search(node.right, rightBound);
+    } else {
+      search(node.right, rightBound);
+      search(node.left, leftBound);
+    }
+  }
+
+  if (query && tree.root) search(tree.root, lowerBound(tree, tree.root, query));
+
+  const neighbors = best.map(({ index, dist }) => ({
+    ...tree.points[index],
+    index,
+    dist,
+  }));
+  return trace ? { neighbors, visited, pruned, distanceCount } : neighbors;
+}
+
+/** Every node of the tree down to `maxDepth`, parents before children. */
+export function treeNodes(tree, maxDepth = Infinity) {
+  const nodes = [];
+  const walk = (node) => {
+    if (!node || node.depth > maxDepth) return;
+    nodes.push(node);
+    walk(node.left);
+    walk(node.right);
+  };
+  walk(tree.root);
+  return nodes;
+}
@@ -0,0 +1,126 @@
+import { createKnn, getNeighbors } from "./knn";
+import { invertCovariance } from "./metrics";
+import { createRng } from "./random";
+import { buildTree, queryTree, treeNodes, treeSupports } from "./spatialIndex";
+
+const rng = createRng(7);
+// Rounded coordinates give plenty of duplicate points and equal distances.
+const points = Array.from({ length: 400 }, () => ({
+  x: Math.round(rng() * 40) / 2,
+  y: Math.round(rng() * 40) / 2,
+  label: rng() < 0.5 ? "A" : "B",
+}));
+const queries = Array.from({ length: 40 }, () => ({
+  x: Math.round(rng() * 48) / 2 - 2,
+  y: Math.round(rng() * 48) / 2 - 2,
+}));
+
+const weighted = { axisWeights: { x: 0.5, y: 2 }, binSize: 3 };
+
+const metrics = [
+  ["euclidean", 3, undefined],
+  ["manhattan", 3, undefined],
+  ["minkowski", 1.5, undefined],
+  ["minkowski", 4, undefined],
+  ["chebyshev", 3, undefined],
+  ["hamming", 3, undefined],
+  ["euclidean", 3, weighted],
+  ["chebyshev", 3, weighted],
+  ["hamming", 3, weighted],
+];
+
+describe.each(["kd", "ball"])("%s tree", (kind) => {
+  test.each(metrics)(
+    "matches brute force exactly (%s, p=%s, params=%o)",
+    (metric, p, params) => {
+      const tree = buildTree(points, kind, { metric, p, params });
+      queries.forEach((query) => {
+        [1, 4, 15, 400, 500].forEach((k) => {
+          expect(queryTree(tree, query, k)).toEqual(
+            getNeighbors(query, points, k, metric, p, params)
+          );
+        });
+      });
+    }
+  );
+
+  test("prunes most of the tree for small k", () => {
+    const tree = buildTree(points, kind);
+    const { neighbors, visited, pruned, distanceCount } = queryTree(
+      tree,
+      { x: 10, y: 10 },
+      3,
+      { trace: true }
+    );
+    expect(neighbors).toHaveLength(3);
+    expect(pruned.length).toBeGreaterThan(0);
+    expect(distanceCount).toBeLessThan(points.length / 2);
+    expect(visited[0]).toBe(tree.root);
+  });
+
+  test("handles empty and single-point data", () => {
+    expect(queryTree(buildTree([], kind), { x: 0, y: 0 }, 3)).toEqual([]);
+    const single = buildTree([{ x: 1, y: 1, label: "A" }], kind);
+    expect(queryTree(single, { x: 0, y: 0 }, 3)).toEqual([
+      { x: 1, y: 1, label: "A", index: 0, dist: Math.SQRT2 },
+    ]);
+  });
+});
+
+test("every point sits in exactly one leaf", () => {
+  const tree = buildTree(points, "kd", { leafSize: 5 });
+  const leaves = treeNodes(tree).filter((node) => node.indexes);
+  const indexes = leaves.flatMap((node) => node.indexes).sort((a, b) => a - b);
+  expect(indexes).toEqual(points.map((_, i) => i));
+  expect(treeNodes(tree, 1).every((node) => node.depth <= 1)).toBe(true);
+});
+
+test("ball trees serve Mahalanobis exactly", () => {
+  const params = { precision: invertCovariance({ xx: 4, xy: 3, yy: 9 }) };
+  expect(treeSupports("kd", "mahalanobis", 3)).toBe(false);
+  expect(treeSupports("ball", "mahalanobis", 3)).toBe(true);
+  const tree = buildTree(points, "ball", { metric: "mahalanobis", params });
+  queries.forEach((query) => {
+    expect(queryTree(tree, query, 7)).toEqual(
+      getNeighbors(query, points, 7, "mahalanobis", 3, params)
+    );
+  });
+});
+
+test("no tree serves cosine distance", () => {
+  expect(treeSupports("kd", "cosine", 3)).toBe(false);
+  expect(treeSupports("ball", "cosine", 3)).toBe(false);
+  const model = createKnn({ k: 3, metric: "cosine", algorithm: "kd" }).fit(
+    points
+  );
+  expect(model.tree).toBeNull();
+});
+
+test("ball trees refuse Minkowski p < 1 and models fall back to brute force", () => {
+  expect(treeSupports("ball", "minkowski", 0.5)).toBe(false);
+  expect(treeSupports("kd", "minkowski", 0.5)).toBe(true);
+  const model = createKnn({
+    k: 5,
+    metric: "minkowski",
+    p: 0.5,
+    algorithm: "ball",
+  }).fit(points);
+  expect(model.tree).toBeNull();
+  expect(model.kneighbors(queries[0])).toEqual(
+    getNeighbors(queries[0], points, 5, "minkowski", 0.5)
+  );
+});
+
+test("models give the same predictions with every algorithm", () => {
+  const options = { k: 7, metric: "manhattan", weights: "distance" };
+  const brute = createKnn(options).fit(points);
+  ["kd", "ball"].forEach((algorithm) => {
+    const model = createKnn({ ...options, algorithm }).fit(points);
+    expect(model.tree).not.toBeNull();
+    expect(model.predictProba(queries)).toEqual(brute.predictProba(queries));
+    expect(model.traceSearch(queries[0]).neighbors).toEqual(
+      brute.kneighbors(queries[0])
+    );
+  });
+  expect(brute.traceSearch(queries[0])).toBeNull();
+});
@@ -0,0 +1,216 @@
+// Sweeps for the bias–variance animation: a sequence of model settings
+// (k from 1 to n, or Minkowski p from 1 to ∞), the error of each and a
+// raster of each frame for export (an animated GIF, or one contact sheet
+// PNG holding every frame). Pure: the sweep card plays the frames.
+//
+// A frame is a partial set of model options, `{ k }` or `{ metric, p }`,
+// merged over the current options. Every frame pins `neighborMode` to "k":
+// a radius or adaptive search would ignore the k being swept.
+
+import { boundaryPixels } from "./boundary";
+import { hexToRgb } from "./colorScale";
+import { createKnn, majorityLabel, meanValue } from "./knn";
+
+export const SWEEPS = {
+  k: "k from 1 to n",
+  p: "Minkowski p from 1 to ∞",
+};
+
+// Longer k sweeps skip values so the animation stays watchable.
+export const MAX_SWEEP_FRAMES = 60;
+
+export const P_SWEEP_VALUES = [1, 1.25, 1.5, 2, 3, 4, 6, 10, 20, Infinity];
+
+/** k values from 1 to n, at most MAX_SWEEP_FRAMES of them. */
+export function kSweepValues(n) {
+  if (n < 1) return [];
+  if (n <= MAX_SWEEP_FRAMES) return Array.from({ length: n }, (_, i) => i + 1);
+  const values = new Set();
+  for (let i = 0; i < MAX_SWEEP_FRAMES; i++) {
+    values.add(Math.round(1 + ((n - 1) * i) / (MAX_SWEEP_FRAMES - 1)));
+  }
+  return [...values];
+}
+
+/**
+ * Frames of a sweep over `n` training points. The "p" sweep ends with
+ * p = ∞, which is Chebyshev distance.
+ */
+export function sweepFrames(kind, n) {
+  const neighborMode = "k";
+  if (kind === "p") {
+    return P_SWEEP_VALUES.map((p) => ({
+      metric: p === Infinity ? "chebyshev" : "minkowski",
+      p,
+      neighborMode,
+    }));
+  }
+  return kSweepValues(n).map((k) => ({ k, neighborMode }));
+}
+
+// Score `queries` with one frame's options from their neighbor lists, each
+// at least `options.k` long (or every training point).
+function score(neighbors, queries, train, options, isRegression) {
+  if (queries.length === 0) return null;
+  const k = Math.min(options.k, train.length);
+  if (k < 1) return null;
+  if (isRegression) {
+    let squared = 0;
+    let count = 0;
+    queries.forEach((q, i) => {
+      const fit = meanValue(neighbors[i].slice(0, k), options);
+      if (!fit || !Number.isFinite(q.value)) return;
+      squared += (fit.value - q.value) ** 2;
+      count++;
+    });
+    return count > 0 ? Math.sqrt(squared / count) : null;
+  }
+  let wrong = 0;
+  queries.forEach((q, i) => {
+    const vote = majorityLabel(neighbors[i].slice(0, k), options);
+    if (!vote || vote.label !== q.label) wrong++;
+  });
+  return wrong / queries.length;
+}
+
+/**
+ * Error of every frame on the training points themselves (resubstitution,
+ * so k = 1 scores 0) and on the held-out `test` points: the error rate for
+ * classification, RMSE for regression. `options` are the current model
+ * options. Returns `[{ train, test }]` (null where there is nothing to
+ * score).
+ *
+ * Frames with the same metric share one neighbor search per query for the
+ * largest k among them: the k nearest are a prefix of those, so a k sweep
+ * searches once and a p sweep once per frame, with the chosen `algorithm`.
+ */
+export function sweepErrors(train, test, frames, options, mode) {
+  const isRegression = mode === "regression";
+  const frameOptions = frames.map((frame) => ({ ...options, ...frame }));
+  const groups = new Map();
+  frameOptions.forEach((o, i) => {
+    const key = `${o.metric}:${o.p}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  });
+
+  const errors = new Array(frames.length);
+  groups.forEach((indexes) => {
+    const { metric, p } = frameOptions[indexes[0]];
+    const maxK = Math.min(
+      train.length,
+      Math.max(...indexes.map((i) => frameOptions[i].k))
+    );
+    const model = createKnn({
+      k: maxK,
+      metric,
+      p,
+      metricParams: options.metricParams,
+      algorithm: options.algorithm,
+      neighborMode: "k",
+    }).fit(train);
+    const search = (q) => (maxK > 0 ? model.kneighbors(q) : []);
+    const neighbors = { train: train.map(search), test: test.map(search) };
+    indexes.forEach((i) => {
+      errors[i] = {
+        train: score(
+          neighbors.train,
+          train,
+          train,
+          frameOptions[i],
+          isRegression
+        ),
+        test: score(neighbors.test, test, train, frameOptions[i], isRegression),
+      };
+    });
+  });
+  return errors;
+}
+
+/**
+ * One exported frame as RGBA pixels, `size` × `size`: the boundary
+ * `result` painted with `paint` (see `boundaryPixels`) over white, the
+ * training points in `pointColor(point)` and a bar along the bottom
+ * showing `progress` (0–1) through the sweep.
+ */
+export function frameRaster(result, paint, points, pointColor, size, progress) {
+  const pixels = new Uint8ClampedArray(size * size * 4).fill(255);
+  const put = (x, y, [r, g, b], alpha = 1) => {
+    if (x < 0 || y < 0 || x >= size || y >= size) return;
+    const offset = (y * size + x) * 4;
+    pixels[offset] = Math.round(pixels[offset] * (1 - alpha) + r * alpha);
+    pixels[offset + 1] = Math.round(
+      pixels[offset + 1] * (1 - alpha) + g * alpha
+    );
+    pixels[offset + 2] = Math.round(
+      pixels[offset + 2] * (1 - alpha) + b * alpha
+    );
+  };
+
+  if (result) {
+    const cells = boundaryPixels(result, paint);
+    const { resolution } = result;
+    for (let y = 0; y < size; y++) {
+      const row = Math.floor((y * resolution) / size);
+      for (let x = 0; x < size; x++) {
+        const cell =
+          (row * resolution + Math.floor((x * resolution) / size)) * 4;
+        if (cells[cell + 3] === 0) continue;
+        put(
+          x,
+          y,
+          [cells[cell], cells[cell + 1], cells[cell + 2]],
+          cells[cell + 3] / 255
+        );
+      }
+    }
+  }
+
+  const radius = Math.max(2, size * 0.016);
+  const outline = [17, 24, 39];
+  points.forEach((point) => {
+    const cx = (point.x / 100) * size;
+    const cy = (1 - point.y / 100) * size;
+    const color = hexToRgb(pointColor(point));
+    for (let y = Math.floor(cy - radius - 1); y <= cy + radius + 1; y++) {
+      for (let x = Math.floor(cx - radius - 1); x <= cx + radius + 1; x++) {
+        const d = Math.hypot(x + 0.5 - cx, y + 0.5 - cy);
+        if (d <= radius - 1) put(x, y, color);
+        else if (d <= radius) put(x, y, outline, 0.8);
+      }
+    }
+  });
+
+  const barHeight = Math.max(2, Math.round(size * 0.02));
+  const filled = Math.round(Math.max(0, Math.min(1, progress)) * size);
+  for (let y = size - barHeight; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      put(x, y, x < filled ? outline : [229, 231, 235]);
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Lay square `rasters` (each `size` × `size` RGBA) out left to right, top
+ * to bottom on a white sheet as close to square as possible. Returns
+ * `{ pixels, width, height, columns }`.
+ */
+export function contactSheet(rasters, size) {
+  const columns = Math.max(1, Math.ceil(Math.sqrt(rasters.length)));
+  const rows = Math.max(1, Math.ceil(rasters.length / columns));
+  const width = columns * size;
+  const height = rows * size;
+  const pixels = new Uint8ClampedArray(width * height * 4).fill(255);
+  rasters.forEach((raster, i) => {
+    const left = (i % columns) * size;
+    const top = Math.floor(i / columns) * size;
+    for (let y = 0; y < size; y++) {
+      pixels.set(
+        raster.subarray(y * size * 4, (y + 1) * size * 4),
+        ((top + y) * width + left) * 4
+      );
+    }
+  });
+  return { pixels, width, height, columns };
+}
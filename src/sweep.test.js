@@ -0,0 +1,142 @@
+import { createKnn } from "./knn";
+import {
+  contactSheet,
+  frameRaster,
+  kSweepValues,
+  MAX_SWEEP_FRAMES,
+  sweepErrors,
+  sweepFrames,
+} from "./sweep";
+
+const points = [
+  { x: 10, y: 50, label: "A", value: 0 },
+  { x: 30, y: 50, label: "B", value: 100 },
+  { x: 90, y: 50, label: "B", value: 100 },
+];
+const options = { k: 1, metric: "euclidean", p: 2, weights: "uniform" };
+
+test("k sweeps run from 1 to n, thinned past the frame limit", () => {
+  expect(kSweepValues(0)).toEqual([]);
+  expect(kSweepValues(4)).toEqual([1, 2, 3, 4]);
+  const long = kSweepValues(500);
+  expect(long.length).toBeLessThanOrEqual(MAX_SWEEP_FRAMES);
+  expect(long[0]).toBe(1);
+  expect(long[long.length - 1]).toBe(500);
+  expect(long.every((k, i) => i === 0 || k > long[i - 1])).toBe(true);
+});
+
+test("p sweeps end with Chebyshev distance", () => {
+  const frames = sweepFrames("p", 10);
+  expect(frames[0]).toEqual({ metric: "minkowski", p: 1, neighborMode: "k" });
+  expect(frames[frames.length - 1]).toEqual({
+    metric: "chebyshev",
+    p: Infinity,
+    neighborMode: "k",
+  });
+  expect(sweepFrames("k", 3).map((f) => f.k)).toEqual([1, 2, 3]);
+});
+
+test("sweeps search a fixed k even in radius mode", () => {
+  const frames = sweepFrames("k", 3);
+  const test = [{ x: 12, y: 50, label: "A" }];
+  const radius = { ...options, neighborMode: "radius", radius: 100 };
+  expect(sweepErrors(points, test, frames, radius, "classification")).toEqual(
+    sweepErrors(points, test, frames, options, "classification")
+  );
+  // Merged over the current options, every frame predicts with its own k.
+  const predictions = frames.map((frame) =>
+    createKnn({ ...radius, ...frame })
+      .fit(points)
+      .predict({ x: 12, y: 50 })
+  );
+  expect(predictions).toEqual(["A", "A", "B"]);
+});
+
+test("training error is 0 at k = 1 and grows as the boundary smooths", () => {
+  const test = [{ x: 12, y: 50, label: "A" }];
+  const errors = sweepErrors(
+    points,
+    test,
+    sweepFrames("k", 3),
+    options,
+    "classification"
+  );
+  expect(errors[0]).toEqual({ train: 0, test: 0 });
+  // k = 3 predicts B everywhere.
+  expect(errors[2].train).toBeCloseTo(1 / 3);
+  expect(errors[2].test).toBe(1);
+});
+
+test("p sweeps score each frame at the current k, with any search tree", () => {
+  const test = [
+    { x: 20, y: 52, label: "A" },
+    { x: 60, y: 40, label: "B" },
+  ];
+  const twoNearest = { ...options, k: 2 };
+  const frames = sweepFrames("p", 3);
+  const errors = sweepErrors(
+    points,
+    test,
+    frames,
+    twoNearest,
+    "classification"
+  );
+  frames.forEach((frame, i) => {
+    const model = createKnn({ ...twoNearest, ...frame }).fit(points);
+    const wrong = test.filter((q) => model.predict(q) !== q.label).length;
+    expect(errors[i].test).toBeCloseTo(wrong / test.length);
+  });
+  expect(
+    sweepErrors(
+      points,
+      test,
+      frames,
+      { ...twoNearest, algorithm: "kd" },
+      "classification"
+    )
+  ).toEqual(errors);
+});
+
+test("regression sweeps report RMSE and null without test points", () => {
+  const errors = sweepErrors(
+    points,
+    [],
+    sweepFrames("k", 3),
+    options,
+    "regression"
+  );
+  expect(errors[0]).toEqual({ train: 0, test: null });
+  // k = 3 predicts 200 / 3 for every point.
+  const mean = 200 / 3;
+  expect(errors[2].train).toBeCloseTo(
+    Math.sqrt((mean ** 2 + 2 * (100 - mean) ** 2) / 3)
+  );
+});
+
+test("frames are drawn over white with the points and a progress bar", () => {
+  const size = 50;
+  const pixels = frameRaster(
+    null,
+    {},
+    [{ x: 50, y: 50, label: "A" }],
+    () => "#ff0000",
+    size,
+    0.5
+  );
+  const at = (x, y) =>
+    Array.from(pixels.slice((y * size + x) * 4, (y * size + x) * 4 + 4));
+  expect(pixels.length).toBe(size * size * 4);
+  expect(at(0, 0)).toEqual([255, 255, 255, 255]);
+  expect(at(25, 25)).toEqual([255, 0, 0, 255]);
+  expect(at(0, size - 1)).toEqual([17, 24, 39, 255]);
+  expect(at(size - 1, size - 1)).toEqual([229, 231, 235, 255]);
+});
+
+test("frames are packed into one sheet in reading order", () => {
+  const size = 2;
+  const solid = (v) => new Uint8ClampedArray(size * size * 4).fill(v);
+  const sheet = contactSheet([solid(10), solid(20), solid(30)], size);
+  expect(sheet).toMatchObject({ width: 4, height: 4, columns: 2 });
+  const at = (x, y) => sheet.pixels[(y * sheet.width + x) * 4];
+  expect([at(0, 0), at(3, 1), at(1, 3), at(3, 3)]).toEqual([10, 20, 30, 255]);
+});
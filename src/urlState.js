@@ -0,0 +1,286 @@
+// Shareable session state: the whole visualizer setup packed into the URL
+// hash (`#s=...`). The hash never reaches the server, so links work on any
+// static host, including the GitHub Pages deployment.
+//
+// The state is written as compact JSON (short keys, points as a flat number
+// array, labels as class indexes) and compressed with lz-string into a
+// URL-safe string. The leading character is a format version.
+
+import {
+  compressToEncodedURIComponent,
+  decompressFromEncodedURIComponent,
+} from "lz-string";
+import { MAX_CLASSES } from "./classes";
+import {
+  EMPTY_RADIUS,
+  METRICS,
+  NEIGHBOR_MODES,
+  SEARCH_ALGORITHMS,
+  TIE_BREAKS,
+  WEIGHTINGS,
+} from "./knn";
+import { MAX_MINKOWSKI_P } from "./metrics";
+import { PROJECTION_VIEWS } from "./projection";
+import { SCALINGS } from "./scaling";
+
+const FORMAT_VERSION = "1";
+const HASH_KEY = "s=";
+const MODES = ["classification", "regression"];
+const COVARIANCE_SOURCES = ["data", "manual"];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/** Serialize a session into the string stored after `#s=`. */
+export function encodeState(state) {
+  const classNames = state.classes.map((c) => c.name);
+  const compact = {
+    m: state.mode,
+    k: state.k,
+    n: state.neighborMode,
+    r: state.radius,
+    E: state.emptyRadius,
+    d: state.distanceMetric,
+    p: state.minkowskiP,
+    W: [state.axisWeights.x, state.axisWeights.y],
+    u: state.covarianceSource,
+    C: [state.covariance.sx, state.covariance.sy, state.covariance.rho],
+    B: state.binSize,
+    F: ["x", "y"].flatMap((key) => {
+      const { name, offset, scale } = state.featureAxes[key];
+      return [name, offset, scale];
+    }),
+    z: state.scaling,
+    a: state.algorithm,
+    w: state.weights,
+    h: state.bandwidth,
+    t: state.tieBreak,
+    s: state.tieSeed,
+    b: state.showDecisionBoundary ? 1 : 0,
+    l: Math.max(0, classNames.indexOf(state.selectedLabelForNewPoint)),
+    v: state.valueForNewPoint,
+    c: state.classes.map((c) => [c.name, c.color]),
+    q: state.queryPoint
+      ? [round2(state.queryPoint.x), round2(state.queryPoint.y)]
+      : null,
+    P: state.points.flatMap((p) => [
+      round2(p.x),
+      round2(p.y),
+      classNames.indexOf(p.label),
+    ]),
+  };
+  const testIndexes = state.points.flatMap((p, i) => (p.test ? [i] : []));
+  if (testIndexes.length > 0) compact.T = testIndexes;
+  if (state.points.some((p) => Number.isFinite(p.value))) {
+    compact.V = state.points.map((p) =>
+      Number.isFinite(p.value) ? p.value : null
+    );
+  }
+  if (state.projection) {
+    const { names, view, pair, mean, axes, origin, scale, explained } =
+      state.projection;
+    compact.N = [names, view, pair, mean, axes[0], axes[1], origin, scale];
+    compact.e = explained;
+    compact.X = state.points.map((p) =>
+      p.features ? p.features.map(round2) : null
+    );
+  }
+  return (
+    FORMAT_VERSION + compressToEncodedURIComponent(JSON.stringify(compact))
+  );
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+const featuresAt = (list, i) =>
+  Array.isArray(list) && Array.isArray(list[i]) && list[i].every(isNum)
+    ? list[i]
+    : null;
+
+const numbers = (v, length) =>
+  Array.isArray(v) && v.length === length && v.every(isNum);
+
+// A projection (see `projection.js`) from its compact form, or null.
+function readProjection(raw, explained) {
+  if (!Array.isArray(raw) || raw.length !== 8) return null;
+  const [names, view, pair, mean, u, v, origin, scale] = raw;
+  if (!Array.isArray(names) || names.length < 3) return null;
+  if (!names.every((n) => typeof n === "string")) return null;
+  const d = names.length;
+  if (!PROJECTION_VIEWS[view]) return null;
+  const validPair =
+    view !== "pair" ||
+    (numbers(pair, 2) && pair.every((i) => Number.isInteger(i) && i < d));
+  if (!validPair || !numbers(mean, d) || !numbers(u, d) || !numbers(v, d)) {
+    return null;
+  }
+  if (!numbers(origin, 2) || !numbers(scale, 2) || !scale.every((s) => s > 0)) {
+    return null;
+  }
+  return {
+    names,
+    view,
+    pair: view === "pair" ? pair : null,
+    mean,
+    axes: [u, v],
+    origin,
+    scale,
+    explained: numbers(explained, 2) ? explained : null,
+  };
+}
+
+function readClasses(raw) {
+  if (!Array.isArray(raw) || raw.length === 0 || raw.length > MAX_CLASSES) {
+    return null;
+  }
+  const classes = [];
+  for (const entry of raw) {
+    if (!Array.isArray(entry)) return null;
+    const [name, color] = entry;
+    if (typeof name !== "string" || !name.trim()) return null;
+    if (typeof color !== "string" || !/^#[0-9a-f]{6}$/i.test(color)) {
+      return null;
+    }
+    if (classes.some((c) => c.name === name)) return null;
+    classes.push({ name, color });
+  }
+  return classes;
+}
+
+/**
+ * Parse the string written by `encodeState`. Returns a partial session with
+ * only the fields that were present and valid, or null when the string is
+ * not a state link at all.
+ */
+export function decodeState(encoded) {
+  if (!encoded || encoded[0] !== FORMAT_VERSION) return null;
+
+  let compact;
+  try {
+    const json = decompressFromEncodedURIComponent(encoded.slice(1));
+    compact = json ? JSON.parse(json) : null;
+  } catch (err) {
+    return null;
+  }
+  if (!compact || typeof compact !== "object") return null;
+
+  const state = {};
+  const classes = readClasses(compact.c);
+  if (classes) state.classes = classes;
+
+  if (MODES.includes(compact.m)) state.mode = compact.m;
+  if (isNum(compact.k) && compact.k >= 1) state.k = Math.floor(compact.k);
+  if (METRICS.includes(compact.d)) state.distanceMetric = compact.d;
+  if (isNum(compact.p)) {
+    state.minkowskiP = clamp(compact.p, 1, MAX_MINKOWSKI_P);
+  }
+  if (Array.isArray(compact.W) && compact.W.every(isNum)) {
+    state.axisWeights = {
+      x: Math.max(0, compact.W[0]),
+      y: Math.max(0, compact.W[1]),
+    };
+  }
+  if (COVARIANCE_SOURCES.includes(compact.u)) {
+    state.covarianceSource = compact.u;
+  }
+  if (
+    Array.isArray(compact.C) &&
+    compact.C.length === 3 &&
+    compact.C.every(isNum) &&
+    compact.C[0] > 0 &&
+    compact.C[1] > 0
+  ) {
+    state.covariance = {
+      sx: compact.C[0],
+      sy: compact.C[1],
+      rho: clamp(compact.C[2], -0.95, 0.95),
+    };
+  }
+  if (isNum(compact.B) && compact.B > 0) state.binSize = compact.B;
+  if (Array.isArray(compact.F) && compact.F.length === 6) {
+    const axis = ([name, offset, scale]) =>
+      typeof name === "string" && isNum(offset) && isNum(scale) && scale > 0
+        ? { name, offset, scale }
+        : null;
+    const x = axis(compact.F.slice(0, 3));
+    const y = axis(compact.F.slice(3));
+    if (x && y) state.featureAxes = { x, y };
+  }
+  if (SCALINGS[compact.z]) state.scaling = compact.z;
+  if (NEIGHBOR_MODES[compact.n]) state.neighborMode = compact.n;
+  if (isNum(compact.r) && compact.r >= 0) state.radius = compact.r;
+  if (EMPTY_RADIUS[compact.E]) state.emptyRadius = compact.E;
+  if (SEARCH_ALGORITHMS.includes(compact.a)) state.algorithm = compact.a;
+  if (WEIGHTINGS.includes(compact.w)) state.weights = compact.w;
+  if (isNum(compact.h) && compact.h > 0) state.bandwidth = compact.h;
+  if (TIE_BREAKS.includes(compact.t)) state.tieBreak = compact.t;
+  if (isNum(compact.s)) state.tieSeed = compact.s;
+  if (compact.b === 0 || compact.b === 1) {
+    state.showDecisionBoundary = compact.b === 1;
+  }
+  if (isNum(compact.v)) state.valueForNewPoint = compact.v;
+
+  if (classes && isNum(compact.l) && classes[compact.l]) {
+    state.selectedLabelForNewPoint = classes[compact.l].name;
+  }
+
+  if (compact.q === null) {
+    state.queryPoint = null;
+  } else if (
+    Array.isArray(compact.q) &&
+    isNum(compact.q[0]) &&
+    isNum(compact.q[1])
+  ) {
+    state.queryPoint = {
+      x: clamp(compact.q[0], 0, 100),
+      y: clamp(compact.q[1], 0, 100),
+    };
+  }
+
+  const projection = readProjection(compact.N, compact.e);
+  if (projection) state.projection = projection;
+
+  // Points need the class list to resolve their labels.
+  if (classes && Array.isArray(compact.P) && compact.P.length % 3 === 0) {
+    const values = Array.isArray(compact.V) ? compact.V : null;
+    const testIndexes = new Set(Array.isArray(compact.T) ? compact.T : []);
+    const points = [];
+    for (let i = 0; i < compact.P.length; i += 3) {
+      const [x, y, labelIndex] = compact.P.slice(i, i + 3);
+      if (!isNum(x) || !isNum(y) || !classes[labelIndex]) continue;
+      const point = {
+        x: clamp(x, 0, 100),
+        y: clamp(y, 0, 100),
+        label: classes[labelIndex].name,
+      };
+      const value = values ? values[i / 3] : null;
+      if (isNum(value)) point.value = value;
+      if (testIndexes.has(i / 3)) point.test = true;
+      const features = projection && featuresAt(compact.X, i / 3);
+      if (features && features.length === projection.names.length) {
+        point.features = features;
+      }
+      points.push(point);
+    }
+    state.points = points;
+  }
+
+  return state;
+}
+
+/** The encoded state in a location hash like `#s=...`, or null. */
+export function readHash(hash) {
+  const raw = String(hash || "").replace(/^#/, "");
+  return raw.startsWith(HASH_KEY) ? raw.slice(HASH_KEY.length) : null;
+}
+
+export function stateToHash(state) {
+  return `#${HASH_KEY}${encodeState(state)}`;
+}
+
+/** Absolute link to the current page with `state` in its hash. */
+export function shareUrl(state, location = window.location) {
+  return `${location.origin}${location.pathname}${location.search}${stateToHash(
+    state
+  )}`;
+}
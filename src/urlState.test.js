@@ -0,0 +1,148 @@
+import { compressToEncodedURIComponent } from "lz-string";
+import { generateDataset } from "./generators";
+import { pairProjection } from "./projection";
+import {
+  decodeState,
+  encodeState,
+  readHash,
+  shareUrl,
+  stateToHash,
+} from "./urlState";
+
+const session = {
+  mode: "classification",
+  points: [
+    { x: 20.123, y: 30, label: "A", value: 5 },
+    { x: 70, y: 80.5, label: "Dog", value: 9.5 },
+  ],
+  classes: [
+    { name: "A", color: "#e74c3c" },
+    { name: "Dog", color: "#3498db" },
+  ],
+  queryPoint: { x: 50, y: 49.999 },
+  k: 2,
+  neighborMode: "radius",
+  radius: 7.5,
+  emptyRadius: "nearest",
+  distanceMetric: "minkowski",
+  minkowskiP: 2.5,
+  axisWeights: { x: 1.5, y: 0.5 },
+  covarianceSource: "manual",
+  covariance: { sx: 12, sy: 4, rho: -0.4 },
+  binSize: 12.5,
+  featureAxes: {
+    x: { name: "income", offset: -500, scale: 1000 },
+    y: { name: "age", offset: 18, scale: 0.5 },
+  },
+  scaling: "robust",
+  algorithm: "ball",
+  weights: "gaussian",
+  bandwidth: 12,
+  tieBreak: "random",
+  tieSeed: 7,
+  showDecisionBoundary: false,
+  selectedLabelForNewPoint: "Dog",
+  valueForNewPoint: 42,
+};
+
+test("round-trips a session", () => {
+  const decoded = decodeState(encodeState(session));
+  expect(decoded).toEqual({
+    ...session,
+    points: [
+      { x: 20.12, y: 30, label: "A", value: 5 },
+      { x: 70, y: 80.5, label: "Dog", value: 9.5 },
+    ],
+    queryPoint: { x: 50, y: 50 },
+  });
+});
+
+test("keeps test points", () => {
+  const points = session.points.map((p, i) =>
+    i === 1 ? { ...p, test: true } : p
+  );
+  const decoded = decodeState(encodeState({ ...session, points }));
+  expect(decoded.points.map((p) => p.test)).toEqual([undefined, true]);
+});
+
+test("keeps high-dimensional points and their projection", () => {
+  const projection = pairProjection(
+    [
+      [20, 30, 1, 2],
+      [70, 80, 3, 4],
+    ],
+    ["a", "b", "c", "d"]
+  );
+  const points = [
+    { x: 20, y: 30, label: "A", features: [20, 30, 1.234, 2] },
+    { x: 70, y: 80, label: "Dog" },
+  ];
+  const decoded = decodeState(encodeState({ ...session, points, projection }));
+  expect(decoded.projection).toEqual(projection);
+  expect(decoded.points.map((p) => p.features)).toEqual([
+    [20, 30, 1.23, 2],
+    undefined,
+  ]);
+});
+
+test("the encoded state is URL-safe", () => {
+  expect(encodeState(session)).toMatch(/^[A-Za-z0-9+\-$_]+$/);
+});
+
+test("compresses large datasets", () => {
+  const points = generateDataset("blobs", { perClass: 500 }).map((p) => ({
+    ...p,
+    label: p.label === 0 ? "A" : "Dog",
+  }));
+  const encoded = encodeState({ ...session, points });
+  const rawJsonLength = JSON.stringify(points).length;
+  expect(encoded.length).toBeLessThan(rawJsonLength / 3);
+  expect(decodeState(encoded).points).toHaveLength(1000);
+});
+
+test("rejects strings that are not state links", () => {
+  expect(decodeState("")).toBeNull();
+  expect(decodeState("2abc")).toBeNull();
+  expect(decodeState("1!!!not-lz")).toBeNull();
+});
+
+test("drops invalid fields but keeps the valid ones", () => {
+  const encoded =
+    "1" +
+    compressToEncodedURIComponent(
+      JSON.stringify({
+        k: -3,
+        d: "chebyshev-ish",
+        p: 99,
+        W: [1, "heavy"],
+        u: "guess",
+        C: [10, -2, 0.5],
+        B: 0,
+        F: ["income", 0, -1, "age", 0, 1],
+        z: "log",
+        n: "everything",
+        r: -1,
+        E: "shrug",
+        N: [["a", "b"], "pair", [0, 1], [0, 0], [1, 0], [0, 1], [0, 0], [1, 1]],
+        c: [["A", "#ffffff"]],
+        P: [10, 10, 0, 20, 20, 5, "x", 1, 0],
+      })
+    );
+  expect(decodeState(encoded)).toEqual({
+    minkowskiP: 20,
+    classes: [{ name: "A", color: "#ffffff" }],
+    points: [{ x: 10, y: 10, label: "A" }],
+  });
+});
+
+test("readHash and shareUrl", () => {
+  const hash = stateToHash(session);
+  expect(readHash(hash)).toBe(encodeState(session));
+  expect(readHash("#other")).toBeNull();
+  const url = shareUrl(session, {
+    origin: "https://byambajav-m.github.io",
+    pathname: "/knn-visualizer/",
+    search: "",
+  });
+  expect(url).toBe(`https://byambajav-m.github.io/knn-visualizer/${hash}`);
+});
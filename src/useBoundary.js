@@ -0,0 +1,94 @@
+import { useEffect, useRef, useState } from "react";
+import { boundaryPixels, computeBoundary } from "./boundary";
+import { createBoundaryWorker } from "./boundaryWorkerClient";
+
+/**
+ * RGBA `pixels` (`width` × `height`, square unless `height` is given, row
+ * 0 at the top) as a data URL for an SVG <image>. Null where canvas is
+ * unavailable.
+ */
+export function pixelsImageUrl(pixels, width, height = width) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext && canvas.getContext("2d");
+  if (!ctx) return null;
+  const image = ctx.createImageData(width, height);
+  image.data.set(pixels);
+  ctx.putImageData(image, 0, 0);
+  return canvas.toDataURL();
+}
+
+/**
+ * Paint a finished boundary grid (see `boundaryPixels` for `paint`) into a
+ * data URL for an SVG <image>. Null where canvas is unavailable.
+ */
+export function boundaryImageUrl(result, paint) {
+  return pixelsImageUrl(boundaryPixels(result, paint), result.resolution);
+}
+
+/**
+ * Decision boundary for `request` (see `createBoundaryJob`), computed in a
+ * Web Worker. Returns `{ result, pending }`: `result` is the latest grid
+ * received (possibly a coarse preview of the requested one) and `pending`
+ * is true while the requested grid is still being computed. Without Worker
+ * support, or when the worker fails, the grid is computed synchronously. A
+ * null request clears it.
+ */
+export default function useBoundary(request) {
+  const [state, setState] = useState({ result: null, pending: false });
+  const workerRef = useRef(null);
+  const latestIdRef = useRef(0);
+  const requestRef = useRef(request);
+
+  useEffect(() => {
+    let worker = null;
+    try {
+      worker = createBoundaryWorker();
+    } catch (err) {
+      worker = null;
+    }
+    if (!worker) return undefined;
+
+    worker.onmessage = (event) => {
+      const { id, result, final } = event.data;
+      if (id !== latestIdRef.current) return;
+      setState({ result, pending: !final });
+    };
+    // A worker that throws (say, on metric settings it cannot use) or sends
+    // an unreadable message never finishes the request: compute the latest
+    // one here instead, so the boundary does not stay pending.
+    const fallBack = (event) => {
+      event.preventDefault();
+      const latest = requestRef.current;
+      if (!latest) return;
+      try {
+        setState({ result: computeBoundary(latest), pending: false });
+      } catch (err) {
+        setState((prev) => ({ ...prev, pending: false }));
+      }
+    };
+    worker.onerror = fallBack;
+    worker.onmessageerror = fallBack;
+    workerRef.current = worker;
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const id = ++latestIdRef.current;
+    requestRef.current = request;
+    if (!request) {
+      setState({ result: null, pending: false });
+    } else if (workerRef.current) {
+      setState((prev) => ({ ...prev, pending: true }));
+      workerRef.current.postMessage({ id, request });
+    } else {
+      setState({ result: computeBoundary(request), pending: false });
+    }
+  }, [request]);
+
+  return state;
+}
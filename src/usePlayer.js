@@ -0,0 +1,70 @@
+import { useCallback, useEffect, useState } from "react";
+
+// Base time per frame at 1× speed, in milliseconds.
+export const FRAME_MS = 900;
+
+export const PLAYER_SPEEDS = [0.5, 1, 2, 4];
+
+/**
+ * Play/pause/step state for an animation of `frameCount` frames. Playing
+ * advances one frame every FRAME_MS / speed and stops on the last frame;
+ * playing again from there restarts. The frame is clamped when
+ * `frameCount` shrinks.
+ *
+ * Returns `{ frame, playing, speed, setSpeed, play, pause, toggle, step,
+ * seek }`; `step(delta)` moves by `delta` frames and pauses.
+ */
+export default function usePlayer(frameCount) {
+  const [frame, setFrame] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const last = Math.max(0, frameCount - 1);
+  const current = Math.min(frame, last);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (current >= last) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setFrame(current + 1), FRAME_MS / speed);
+    return () => clearTimeout(timer);
+  }, [playing, current, last, speed]);
+
+  const play = useCallback(() => {
+    if (current >= last) setFrame(0);
+    setPlaying(true);
+  }, [current, last]);
+
+  const pause = useCallback(() => setPlaying(false), []);
+
+  const toggle = useCallback(
+    () => (playing ? pause() : play()),
+    [playing, play, pause]
+  );
+
+  const seek = useCallback(
+    (index) => setFrame(Math.max(0, Math.min(last, index))),
+    [last]
+  );
+
+  const step = useCallback(
+    (delta) => {
+      setPlaying(false);
+      seek(current + delta);
+    },
+    [current, seek]
+  );
+
+  return {
+    frame: current,
+    playing,
+    speed,
+    setSpeed,
+    play,
+    pause,
+    toggle,
+    step,
+    seek,
+  };
+}
@@ -0,0 +1,243 @@
+// Voronoi diagrams of the training points under the plain Euclidean metric
+// on the plot, clipped to the 0–100 viewBox. For k = 1 these cells are
+// exactly the decision regions; the order-k diagram (regions sharing the
+// same set of k nearest points) is sampled on a grid like the boundary.
+
+import { hexToRgb } from "./colorScale";
+import { getNeighbors } from "./knn";
+
+export const VORONOI_ORDERS = {
+  first: "Exact cells (k = 1)",
+  k: "Order k (approximate)",
+};
+
+export const VORONOI_FILLS = {
+  none: "Outlines only",
+  owner: "Owner colors",
+};
+
+// Grid cells per side of the order-k approximation.
+export const ORDER_K_RESOLUTION = 80;
+
+const EPS = 1e-9;
+
+// Plot corners, counter-clockwise (y up). `edge` is the site whose
+// bisector created the edge starting at that vertex (-1 for the plot edge).
+const PLOT_BOX = [
+  { x: 0, y: 0, edge: -1 },
+  { x: 100, y: 0, edge: -1 },
+  { x: 100, y: 100, edge: -1 },
+  { x: 0, y: 100, edge: -1 },
+];
+
+/**
+ * Keep the part of convex `polygon` closer to site `a` than to site `b`
+ * (index `j`), Sutherland–Hodgman style. The new edge along their bisector
+ * is tagged with `j`.
+ */
+function clipToBisector(polygon, a, b, j) {
+  const nx = b.x - a.x;
+  const ny = b.y - a.y;
+  const c = (nx * (a.x + b.x) + ny * (a.y + b.y)) / 2;
+  const side = (v) => nx * v.x + ny * v.y - c;
+  const out = [];
+  polygon.forEach((cur, i) => {
+    const next = polygon[(i + 1) % polygon.length];
+    const sc = side(cur);
+    const sn = side(next);
+    const at = () => {
+      const t = sc / (sc - sn);
+      return {
+        x: cur.x + (next.x - cur.x) * t,
+        y: cur.y + (next.y - cur.y) * t,
+      };
+    };
+    if (sc <= EPS) out.push(cur);
+    if (sc <= EPS && sn > EPS) out.push({ ...at(), edge: j });
+    if (sc > EPS && sn <= EPS) out.push({ ...at(), edge: cur.edge });
+  });
+  return out;
+}
+
+/**
+ * The exact Voronoi cell of every training point: the part of the plot
+ * closer to it than to any other point. Points sharing a position share a
+ * cell. Returns `[{ owners, polygon, neighbors }]` with `owners` the
+ * indexes of the point(s) at the cell's site, `polygon` its corners
+ * (`[x, y]`, counter-clockwise, y up) and `neighbors` the first owner of
+ * every cell it shares an edge with.
+ */
+export function voronoiCells(points) {
+  // One site per distinct position; the first point there stands for it.
+  const siteOf = new Map();
+  const sites = [];
+  points.forEach((p, i) => {
+    const key = `${p.x},${p.y}`;
+    if (!siteOf.has(key)) {
+      siteOf.set(key, sites.length);
+      sites.push({ x: p.x, y: p.y, owners: [] });
+    }
+    sites[siteOf.get(key)].owners.push(i);
+  });
+
+  return sites.map((site, s) => {
+    // Nearer sites first: once the next site is more than twice as far as
+    // every corner, its bisector cannot cut the cell any more.
+    const others = sites
+      .map((o, t) => ({ t, d: Math.hypot(o.x - site.x, o.y - site.y) }))
+      .filter(({ t }) => t !== s)
+      .sort((u, v) => u.d - v.d);
+    let polygon = PLOT_BOX;
+    for (const { t, d } of others) {
+      const reach = Math.max(
+        ...polygon.map((v) => Math.hypot(v.x - site.x, v.y - site.y))
+      );
+      if (d > 2 * reach) break;
+      polygon = clipToBisector(polygon, site, sites[t], t);
+      if (polygon.length === 0) break;
+    }
+
+    const neighbors = new Set();
+    polygon.forEach((v, i) => {
+      const next = polygon[(i + 1) % polygon.length];
+      if (v.edge >= 0 && Math.hypot(next.x - v.x, next.y - v.y) > EPS) {
+        neighbors.add(sites[v.edge].owners[0]);
+      }
+    });
+    return {
+      owners: site.owners,
+      polygon: polygon.map((v) => [v.x, v.y]),
+      neighbors: [...neighbors],
+    };
+  });
+}
+
+/**
+ * Delaunay triangulation edges `[i, j]` (point indexes, i < j): the pairs
+ * whose Voronoi cells share an edge inside the plot.
+ */
+export function delaunayEdges(cells) {
+  const edges = new Map();
+  cells.forEach(({ owners, neighbors }) => {
+    neighbors.forEach((j) => {
+      const [a, b] = owners[0] < j ? [owners[0], j] : [j, owners[0]];
+      edges.set(`${a},${b}`, [a, b]);
+    });
+  });
+  return [...edges.values()];
+}
+
+/** SVG path data for a cell polygon (y flipped to SVG coordinates). */
+export function polygonPath(polygon) {
+  return polygon.length
+    ? `M${polygon
+        .map(([x, y]) => `${x.toFixed(2)} ${(100 - y).toFixed(2)}`)
+        .join("L")}Z`
+    : "";
+}
+
+/**
+ * Approximate order-k Voronoi diagram: every cell of a `resolution` grid
+ * (cell centers, row 0 at the bottom) gets the region of its set of k
+ * nearest `points`. Returns `{ resolution, regionOf, regions, segments }`:
+ * `regionOf[cell]` indexes `regions`, each `{ owners }` (sorted point
+ * indexes), and `segments` (`[x1, y1, x2, y2, …]`) trace the grid edges
+ * between different regions.
+ */
+export function orderKRegions(points, k, resolution) {
+  const step = 100 / resolution;
+  const regionOf = new Int32Array(resolution * resolution);
+  const regions = [];
+  const ids = new Map();
+  for (let gy = 0; gy < resolution; gy++) {
+    for (let gx = 0; gx < resolution; gx++) {
+      const owners = getNeighbors(
+        { x: (gx + 0.5) * step, y: (gy + 0.5) * step },
+        points,
+        k
+      )
+        .map((n) => n.index)
+        .sort((a, b) => a - b);
+      const key = owners.join(",");
+      if (!ids.has(key)) {
+        ids.set(key, regions.length);
+        regions.push({ owners });
+      }
+      regionOf[gy * resolution + gx] = ids.get(key);
+    }
+  }
+
+  const segments = [];
+  for (let gy = 0; gy < resolution; gy++) {
+    for (let gx = 0; gx < resolution; gx++) {
+      const here = regionOf[gy * resolution + gx];
+      if (gx + 1 < resolution && regionOf[gy * resolution + gx + 1] !== here) {
+        segments.push(
+          (gx + 1) * step,
+          gy * step,
+          (gx + 1) * step,
+          (gy + 1) * step
+        );
+      }
+      if (
+        gy + 1 < resolution &&
+        regionOf[(gy + 1) * resolution + gx] !== here
+      ) {
+        segments.push(
+          gx * step,
+          (gy + 1) * step,
+          (gx + 1) * step,
+          (gy + 1) * step
+        );
+      }
+    }
+  }
+  return {
+    resolution,
+    regionOf,
+    regions,
+    segments: new Float32Array(segments),
+  };
+}
+
+/** Index into `grid.regions` of the region at plot position `at`. */
+export function regionIndexAt(grid, at) {
+  const { resolution } = grid;
+  const cell = (v) =>
+    Math.max(0, Math.min(resolution - 1, Math.floor((v / 100) * resolution)));
+  return grid.regionOf[cell(at.y) * resolution + cell(at.x)];
+}
+
+/** The region of `orderKRegions` result `grid` at plot position `at`. */
+export function regionAt(grid, at) {
+  return grid.regions[regionIndexAt(grid, at)];
+}
+
+/**
+ * RGBA pixels (row 0 at the top) painting every order-k region in the
+ * average of its owners' colors (`colorOf(pointIndex)`, hex) at `opacity`.
+ */
+export function orderKPixels(grid, colorOf, opacity) {
+  const { resolution, regionOf, regions } = grid;
+  const alpha = Math.round(opacity * 255);
+  const regionColors = regions.map(({ owners }) => {
+    const sum = [0, 0, 0];
+    owners.forEach((i) => {
+      hexToRgb(colorOf(i)).forEach((v, c) => (sum[c] += v / owners.length));
+    });
+    return sum.map(Math.round);
+  });
+  const pixels = new Uint8ClampedArray(resolution * resolution * 4);
+  for (let gy = 0; gy < resolution; gy++) {
+    const rowStart = (resolution - 1 - gy) * resolution;
+    for (let gx = 0; gx < resolution; gx++) {
+      const [r, g, b] = regionColors[regionOf[gy * resolution + gx]];
+      const offset = (rowStart + gx) * 4;
+      pixels[offset] = r;
+      pixels[offset + 1] = g;
+      pixels[offset + 2] = b;
+      pixels[offset + 3] = alpha;
+    }
+  }
+  return pixels;
+}
@@ -0,0 +1,106 @@
+import { getNeighbors } from "./knn";
+import { createRng } from "./random";
+import {
+  delaunayEdges,
+  orderKRegions,
+  polygonPath,
+  regionAt,
+  voronoiCells,
+} from "./voronoi";
+
+function area(polygon) {
+  let sum = 0;
+  polygon.forEach(([x1, y1], i) => {
+    const [x2, y2] = polygon[(i + 1) % polygon.length];
+    sum += x1 * y2 - x2 * y1;
+  });
+  return sum / 2;
+}
+
+function contains(polygon, { x, y }) {
+  return polygon.every(([x1, y1], i) => {
+    const [x2, y2] = polygon[(i + 1) % polygon.length];
+    return (x2 - x1) * (y - y1) - (y2 - y1) * (x - x1) >= -1e-6;
+  });
+}
+
+test("two points split the plot along their bisector", () => {
+  const cells = voronoiCells([
+    { x: 25, y: 50 },
+    { x: 75, y: 50 },
+  ]);
+  expect(cells.map((c) => area(c.polygon))).toEqual([5000, 5000]);
+  cells[0].polygon.forEach(([x]) => expect(x).toBeLessThanOrEqual(50));
+  expect(cells[0].neighbors).toEqual([1]);
+  expect(delaunayEdges(cells)).toEqual([[0, 1]]);
+  expect(
+    polygonPath([
+      [0, 0],
+      [50, 0],
+      [50, 100],
+    ])
+  ).toBe("M0.00 100.00L50.00 100.00L50.00 0.00Z");
+});
+
+test("every position lies in the cell of its nearest point", () => {
+  const rng = createRng(7);
+  const points = Array.from({ length: 40 }, () => ({
+    x: rng() * 100,
+    y: rng() * 100,
+  }));
+  const cells = voronoiCells(points);
+  expect(cells.reduce((sum, c) => sum + area(c.polygon), 0)).toBeCloseTo(10000);
+  for (let n = 0; n < 200; n++) {
+    const at = { x: rng() * 100, y: rng() * 100 };
+    const [nearest] = getNeighbors(at, points, 1);
+    expect(contains(cells[nearest.index].polygon, at)).toBe(true);
+  }
+});
+
+test("points at the same position share a cell", () => {
+  const cells = voronoiCells([
+    { x: 20, y: 20 },
+    { x: 80, y: 80 },
+    { x: 20, y: 20 },
+  ]);
+  expect(cells).toHaveLength(2);
+  expect(cells[0].owners).toEqual([0, 2]);
+});
+
+test("the center of a square is a Delaunay neighbor of every corner", () => {
+  const points = [
+    { x: 50, y: 50 },
+    { x: 20, y: 20 },
+    { x: 80, y: 20 },
+    { x: 80, y: 80 },
+    { x: 20, y: 80 },
+  ];
+  const edges = delaunayEdges(voronoiCells(points));
+  [1, 2, 3, 4].forEach((corner) => expect(edges).toContainEqual([0, corner]));
+  // Opposite corners are separated by the center's cell.
+  expect(edges).not.toContainEqual([1, 3]);
+});
+
+test("order-k regions group positions by their k nearest points", () => {
+  const points = [
+    { x: 20, y: 50 },
+    { x: 50, y: 50 },
+    { x: 80, y: 50 },
+  ];
+  const first = orderKRegions(points, 1, 20);
+  expect(first.regions).toHaveLength(3);
+  const second = orderKRegions(points, 2, 20);
+  expect(second.regions.map((r) => r.owners)).toEqual([
+    [0, 1],
+    [1, 2],
+  ]);
+  expect(regionAt(second, { x: 5, y: 10 }).owners).toEqual([0, 1]);
+  expect(regionAt(second, { x: 95, y: 90 }).owners).toEqual([1, 2]);
+  // One vertical line at x = 50 separates the two regions.
+  const xs = new Set();
+  for (let i = 0; i < second.segments.length; i += 4) {
+    xs.add(second.segments[i]);
+    xs.add(second.segments[i + 2]);
+  }
+  expect([...xs]).toEqual([50]);
+});
@@ -0,0 +1,100 @@
+// Step-by-step walkthrough of one prediction, as a list of animation
+// frames. Pure: the player (`usePlayer`) moves through the frames and the
+// plot overlay and the explanation card draw whatever a frame shows.
+//
+// A frame is `{ stage, shown }`:
+// - "distances": `shown` distance lines are drawn, in training order.
+// - "sorting": the distance list before (`shown` 0) and after (1) sorting.
+// - "radius": a ball grows to `shown` (0–1) of the k-th neighbor distance
+//   (of r in radius mode).
+// - "vote": the `shown` nearest neighbors have been tallied.
+
+import { createKnn, getNeighbors } from "./knn";
+
+export const WALKTHROUGH_STAGES = ["distances", "sorting", "radius", "vote"];
+
+// Long stages are cut into at most this many frames.
+export const MAX_STAGE_FRAMES = 12;
+
+const RADIUS_FRAMES = 6;
+
+/**
+ * Everything the walkthrough shows for `query` against the training
+ * `points`: `ranked` holds every point nearest first (as `getNeighbors`
+ * returns them, with `index` and `dist`), `order` the same entries in
+ * training order, `k` the number of neighbors that vote (as many as the
+ * options' `neighborMode` picks, see `createKnn`; 0 when a radius holds
+ * none) and `radius` the ball holding them: the k-th neighbor distance, or
+ * at least r in radius mode. Null without a query or training points.
+ */
+export function buildWalkthrough(query, points, options = {}) {
+  if (!query || !points || points.length === 0) return null;
+  const { metric, p, metricParams, neighborMode = "k" } = options;
+  const ranked = getNeighbors(
+    query,
+    points,
+    points.length,
+    metric,
+    p,
+    metricParams
+  );
+  // The model's own search decides how many of the ranked points vote;
+  // both lists keep equal distances in training order.
+  const count =
+    neighborMode === "k"
+      ? Math.min(points.length, Math.max(1, Math.floor(options.k) || 1))
+      : createKnn(options).fit(points).kneighbors(query).length;
+  const reach = count > 0 ? ranked[count - 1].dist : 0;
+  const order = ranked.slice().sort((a, b) => a.index - b.index);
+  return {
+    query,
+    ranked,
+    order,
+    k: count,
+    radius: neighborMode === "radius" ? Math.max(options.radius, reach) : reach,
+  };
+}
+
+// 1..total in at most MAX_STAGE_FRAMES roughly even steps.
+function batches(total) {
+  const steps = Math.min(total, MAX_STAGE_FRAMES);
+  return Array.from({ length: steps }, (_, i) =>
+    Math.round(((i + 1) * total) / steps)
+  );
+}
+
+/** The frames of a walkthrough, in playing order ([] for null). */
+export function walkthroughFrames(walkthrough) {
+  if (!walkthrough) return [];
+  return [
+    ...batches(walkthrough.ranked.length).map((shown) => ({
+      stage: "distances",
+      shown,
+    })),
+    { stage: "sorting", shown: 0 },
+    { stage: "sorting", shown: 1 },
+    ...Array.from({ length: RADIUS_FRAMES }, (_, i) => ({
+      stage: "radius",
+      shown: (i + 1) / RADIUS_FRAMES,
+    })),
+    ...batches(walkthrough.k).map((shown) => ({ stage: "vote", shown })),
+  ];
+}
+
+/** True once `frame` shows the distances in rank order. */
+export function isSorted(frame) {
+  return (
+    frame.stage !== "distances" &&
+    !(frame.stage === "sorting" && frame.shown === 0)
+  );
+}
+
+/**
+ * Position of every training point in the distance list at `frame`:
+ * training order until the list is sorted, rank afterwards. Maps a point's
+ * `index` to its row.
+ */
+export function listRows(walkthrough, frame) {
+  const list = isSorted(frame) ? walkthrough.ranked : walkthrough.order;
+  return new Map(list.map((entry, row) => [entry.index, row]));
+}
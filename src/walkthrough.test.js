@@ -0,0 +1,94 @@
+import {
+  buildWalkthrough,
+  isSorted,
+  listRows,
+  MAX_STAGE_FRAMES,
+  walkthroughFrames,
+  WALKTHROUGH_STAGES,
+} from "./walkthrough";
+
+const points = [
+  { x: 50, y: 10, label: "A" },
+  { x: 12, y: 10, label: "B" },
+  { x: 30, y: 10, label: "A" },
+  { x: 10, y: 30, label: "B" },
+];
+const query = { x: 10, y: 10 };
+
+test("buildWalkthrough ranks every point and finds the k-th distance", () => {
+  const walk = buildWalkthrough(query, points, { k: 2, metric: "manhattan" });
+  expect(walk.ranked.map((n) => n.index)).toEqual([1, 2, 3, 0]);
+  expect(walk.order.map((n) => n.index)).toEqual([0, 1, 2, 3]);
+  expect(walk.k).toBe(2);
+  expect(walk.radius).toBe(20);
+  expect(buildWalkthrough(query, points, { k: 9 }).k).toBe(4);
+  expect(buildWalkthrough(null, points, { k: 2 })).toBeNull();
+  expect(buildWalkthrough(query, [], { k: 2 })).toBeNull();
+});
+
+test("buildWalkthrough counts the neighbors the chosen mode picks", () => {
+  const ball = buildWalkthrough(query, points, {
+    neighborMode: "radius",
+    radius: 25,
+  });
+  expect(ball.k).toBe(3);
+  expect(ball.radius).toBe(25);
+  const empty = buildWalkthrough(query, points, {
+    neighborMode: "radius",
+    radius: 1,
+  });
+  expect(empty.k).toBe(0);
+  expect(walkthroughFrames(empty).some((f) => f.stage === "vote")).toBe(false);
+  const fallback = buildWalkthrough(query, points, {
+    neighborMode: "radius",
+    radius: 1,
+    emptyRadius: "nearest",
+  });
+  expect(fallback.k).toBe(1);
+  expect(fallback.radius).toBe(2);
+});
+
+test("frames walk through the stages in order", () => {
+  const walk = buildWalkthrough(query, points, { k: 3 });
+  const frames = walkthroughFrames(walk);
+  const stages = frames.map((f) => f.stage);
+  expect([...new Set(stages)]).toEqual(WALKTHROUGH_STAGES);
+  expect(
+    frames.filter((f) => f.stage === "distances").map((f) => f.shown)
+  ).toEqual([1, 2, 3, 4]);
+  expect(frames.filter((f) => f.stage === "vote").map((f) => f.shown)).toEqual([
+    1, 2, 3,
+  ]);
+  const radius = frames.filter((f) => f.stage === "radius");
+  expect(radius[radius.length - 1].shown).toBe(1);
+  expect(walkthroughFrames(null)).toEqual([]);
+});
+
+test("long stages are batched and still end with every point", () => {
+  const many = Array.from({ length: 50 }, (_, i) => ({ x: i, y: 0 }));
+  const walk = buildWalkthrough(query, many, { k: 30 });
+  const frames = walkthroughFrames(walk);
+  const distances = frames.filter((f) => f.stage === "distances");
+  const votes = frames.filter((f) => f.stage === "vote");
+  expect(distances).toHaveLength(MAX_STAGE_FRAMES);
+  expect(distances[distances.length - 1].shown).toBe(50);
+  expect(votes).toHaveLength(MAX_STAGE_FRAMES);
+  expect(votes[votes.length - 1].shown).toBe(30);
+});
+
+test("the list switches from training order to rank order when sorted", () => {
+  const walk = buildWalkthrough(query, points, { k: 2 });
+  const before = { stage: "sorting", shown: 0 };
+  const after = { stage: "sorting", shown: 1 };
+  expect(isSorted(before)).toBe(false);
+  expect(isSorted(after)).toBe(true);
+  expect(isSorted({ stage: "vote", shown: 1 })).toBe(true);
+  expect([...listRows(walk, before)]).toEqual([
+    [0, 0],
+    [1, 1],
+    [2, 2],
+    [3, 3],
+  ]);
+  expect(listRows(walk, after).get(1)).toBe(0);
+  expect(listRows(walk, after).get(0)).toBe(3);
+});